@@ -0,0 +1,784 @@
+const { ethers } = require('ethers');
+const OTC_SWAP_ABI = require('./abi/OTCSwap.json');
+const { normalizeOrder, isEmptyOrder } = require('./orders');
+const { buildSignedOrder, hashSignedOrder, signOrder, DEFAULT_EXPIRY_SECONDS } = require('./signedOrders');
+const { OrderWatcher } = require('./watcher');
+const { NATIVE_TOKEN, isNativeToken } = require('./native');
+const { TokenCache } = require('./tokens');
+const { PERMIT_ABI, DEFAULT_PERMIT_SECONDS, getPermitDomain, signPermit } = require('./permits');
+const validation = require('./validation');
+
+const ERC20_ABI = [
+  'function name() view returns (string)',
+  'function symbol() view returns (string)',
+  'function decimals() view returns (uint8)',
+  'function balanceOf(address) view returns (uint256)',
+  'function allowance(address owner, address spender) view returns (uint256)',
+  'function approve(address spender, uint256 amount) returns (bool)',
+  'function transfer(address to, uint256 amount) returns (bool)'
+];
+
+// Number of `orders(id)` reads issued together. JsonRpcProvider coalesces
+// concurrent calls into a single JSON-RPC batch, so each chunk costs one
+// round trip instead of one per order.
+const DEFAULT_BATCH_SIZE = 50;
+
+// What each token has to cover, summed so a token that pays for both the
+// order and the creation fee is approved once for the total
+function amountsByToken(entries) {
+  const amounts = new Map();
+  for (const [token, amount] of entries) {
+    const key = ethers.getAddress(token);
+    amounts.set(key, (amounts.get(key) || 0n) + BigInt(amount));
+  }
+  return amounts;
+}
+
+class OTCClient {
+  constructor(contractAddress, runner, options = {}) {
+    this.provider = runner.provider || runner;
+    this.contract = new ethers.Contract(contractAddress, OTC_SWAP_ABI, runner);
+    this.batchSize = options.batchSize || DEFAULT_BATCH_SIZE;
+    this.tokens = options.tokens || new TokenCache(this.provider);
+    // Optional TransactionManager every transaction is sent through
+    this.transactions = options.transactions || null;
+    this._timing = null;
+    this._domain = null;
+    this._permitDomains = new Map();
+  }
+
+  // Connect with signer
+  connect(signer) {
+    this.contract = this.contract.connect(signer);
+    return this;
+  }
+
+  get signer() {
+    return this.contract.runner;
+  }
+
+  // Create a new order
+  async createOrder(params) {
+    const {
+      taker = ethers.ZeroAddress, // For public orders
+      sellToken,
+      sellAmount,
+      buyToken,
+      buyAmount,
+      expiry = null, // Seconds the order can be filled for; ORDER_EXPIRY if not set
+      usePermit = false // Sign EIP-2612 permits instead of sending approvals
+    } = params;
+
+    try {
+      // The contract pulls the creation fee as well as the sell tokens
+      const [feeToken, feeAmount] = await Promise.all([
+        this.contract.feeToken(),
+        this.contract.orderCreationFeeAmount()
+      ]);
+      const permits = await this._ensureAllowances(
+        amountsByToken([[sellToken, sellAmount], [feeToken, feeAmount]]),
+        usePermit
+      );
+
+      // Create the order
+      const overrides = { value: isNativeToken(sellToken) ? sellAmount : 0n };
+      const args = [taker, sellToken, sellAmount, buyToken, buyAmount];
+      let receipt;
+      if (permits.length > 0) {
+        const orderExpiry = expiry ?? (await this.getTiming()).orderExpiry;
+        receipt = await this.send('createOrderWithPermit', [...args, orderExpiry, permits], overrides);
+      } else if (expiry === null) {
+        receipt = await this.send('createOrder(address,address,uint256,address,uint256)', args, overrides);
+      } else {
+        receipt = await this.send('createOrder(address,address,uint256,address,uint256,uint256)', [...args, expiry], overrides);
+      }
+
+      // Find the OrderCreated event
+      const event = receipt.logs.find(
+        log => log.eventName === 'OrderCreated'
+      );
+
+      return {
+        orderId: Number(event.args.orderId),
+        txHash: receipt.hash,
+        maker: event.args.maker,
+        expiry: Number(event.args.expiry),
+        creation: {
+          timestamp: Number(event.args.timestamp),
+          blockNumber: receipt.blockNumber
+        }
+      };
+    } catch (error) {
+      throw await this._explain(new Error(`Failed to create order: ${error.message}`, { cause: error }), () => this.validateCreateOrder(params));
+    }
+  }
+
+  // Fill an existing order. buyAmount must be all that remains of it.
+  // With minSellAmount, the fill reverts unless the taker gets at least that
+  // much of the sell token, so a maker who reprices the order while the fill
+  // is pending cannot take more for less.
+  async fillOrder(params) {
+    const { orderId, buyToken, buyAmount, minSellAmount = null, usePermit = false } = params;
+
+    try {
+      // First make sure the buy tokens can be spent
+      const permits = await this._ensureAllowances(amountsByToken([[buyToken, buyAmount]]), usePermit);
+
+      // Fill the order
+      const receipt = await this._sendFill(orderId, buyToken, buyAmount, minSellAmount, permits, true);
+
+      // A repriced order can take the payment as a partial fill
+      const event = receipt.logs.find(
+        log => log.eventName === 'OrderFilled' || log.eventName === 'OrderPartiallyFilled'
+      );
+
+      return {
+        orderId: Number(orderId),
+        txHash: receipt.hash,
+        taker: event.args.taker,
+        sellAmount: event.args.sellAmount,
+        buyAmount: event.args.buyAmount,
+        isComplete: event.eventName === 'OrderFilled',
+        fill: {
+          timestamp: Number(event.args.timestamp),
+          blockNumber: receipt.blockNumber
+        }
+      };
+    } catch (error) {
+      throw await this._explain(new Error(`Failed to fill order: ${error.message}`, { cause: error }),
+        () => this.validateFillOrder(orderId, null, { buyAmount, minSellAmount }));
+    }
+  }
+
+  // Fill part of an order. buyAmount is how much of the buy token to pay;
+  // the sell tokens received follow from quoteFill(). minSellAmount works as
+  // in fillOrder.
+  async fillOrderPartial(params) {
+    const { orderId, buyToken, buyAmount, minSellAmount = null, usePermit = false } = params;
+
+    try {
+      const permits = await this._ensureAllowances(amountsByToken([[buyToken, buyAmount]]), usePermit);
+
+      const receipt = await this._sendFill(orderId, buyToken, buyAmount, minSellAmount, permits, false);
+
+      // The fill that completes an order emits OrderFilled instead
+      const event = receipt.logs.find(
+        log => log.eventName === 'OrderPartiallyFilled' || log.eventName === 'OrderFilled'
+      );
+
+      return {
+        orderId: Number(orderId),
+        txHash: receipt.hash,
+        taker: event.args.taker,
+        sellAmount: event.args.sellAmount,
+        buyAmount: event.args.buyAmount,
+        isComplete: event.eventName === 'OrderFilled',
+        fill: {
+          timestamp: Number(event.args.timestamp),
+          blockNumber: receipt.blockNumber
+        }
+      };
+    } catch (error) {
+      throw await this._explain(new Error(`Failed to fill order: ${error.message}`, { cause: error }),
+        () => this.validateFillOrder(orderId, null, { buyAmount, minSellAmount }));
+    }
+  }
+
+  // A fill with a price bound goes through the bounded fillOrderPartial,
+  // which fills the whole order when buyAmount is all that remains
+  async _sendFill(orderId, buyToken, buyAmount, minSellAmount, permits, whole) {
+    const overrides = { value: isNativeToken(buyToken) ? buyAmount : 0n };
+    if (permits.length > 0) {
+      return this.send('fillOrderWithPermit', [orderId, buyAmount, minSellAmount ?? 0n, permits], overrides);
+    }
+    if (minSellAmount !== null) {
+      return this.send('fillOrderPartial(uint256,uint256,uint256)', [orderId, buyAmount, minSellAmount], overrides);
+    }
+    return whole
+      ? this.send('fillOrder', [orderId], overrides)
+      : this.send('fillOrderPartial(uint256,uint256)', [orderId, buyAmount], overrides);
+  }
+
+  // Reprice an active order. The order's current remaining amounts are read
+  // first and passed along, so the update reverts if a fill lands before it.
+  // Extra sell tokens are approved (or sent, for native coin) as needed.
+  async updateOrder(params) {
+    const { orderId, newSellAmount, newBuyAmount } = params;
+
+    try {
+      const order = await this.getOrder(orderId);
+      if (!order) {
+        throw new Error(`Order ${orderId} does not exist`);
+      }
+      const newTaker = params.newTaker ?? order.taker;
+      const topUp = newSellAmount > order.remainingSellAmount ? newSellAmount - order.remainingSellAmount : 0n;
+
+      await this._ensureAllowances(amountsByToken([[order.sellToken, topUp]]));
+
+      const receipt = await this.send('updateOrder', [
+        orderId,
+        order.remainingSellAmount,
+        order.remainingBuyAmount,
+        newSellAmount,
+        newBuyAmount,
+        newTaker
+      ], { value: isNativeToken(order.sellToken) ? topUp : 0n });
+
+      const event = receipt.logs.find(
+        log => log.eventName === 'OrderUpdated'
+      );
+
+      return {
+        orderId: Number(orderId),
+        txHash: receipt.hash,
+        taker: event.args.taker,
+        sellAmount: event.args.newSellAmount,
+        buyAmount: event.args.newBuyAmount,
+        update: {
+          timestamp: Number(event.args.timestamp),
+          blockNumber: receipt.blockNumber
+        }
+      };
+    } catch (error) {
+      throw new Error(`Failed to update order: ${error.message}`, { cause: error });
+    }
+  }
+
+  // Prices an order has had on chain, oldest first, from its OrderCreated
+  // and OrderUpdated events. Amounts after the first entry are the
+  // remaining amounts the order was repriced to.
+  async getPriceHistory(orderId, params = {}) {
+    const { fromBlock = 0, toBlock = 'latest' } = params;
+
+    const [created, updated] = await Promise.all([
+      this.contract.queryFilter(this.contract.filters.OrderCreated(orderId), fromBlock, toBlock),
+      this.contract.queryFilter(this.contract.filters.OrderUpdated(orderId), fromBlock, toBlock)
+    ]);
+
+    return [
+      ...created.map(event => ({
+        sellAmount: event.args.sellAmount,
+        buyAmount: event.args.buyAmount,
+        taker: event.args.taker,
+        timestamp: Number(event.args.timestamp),
+        blockNumber: event.blockNumber,
+        transactionHash: event.transactionHash
+      })),
+      ...updated.map(event => ({
+        sellAmount: event.args.newSellAmount,
+        buyAmount: event.args.newBuyAmount,
+        taker: event.args.taker,
+        timestamp: Number(event.args.timestamp),
+        blockNumber: event.blockNumber,
+        transactionHash: event.transactionHash
+      }))
+    ];
+  }
+
+  // Sends a call to the contract (or `contract`) and resolves with its
+  // receipt, logs parsed, once it is mined. With a TransactionManager, it
+  // is queued there, which picks its nonce and fees, replaces it if it gets
+  // stuck and decodes why it reverted.
+  async send(method, args = [], overrides = {}, contract = this.contract) {
+    if (!this.transactions) {
+      const tx = await contract[method](...args, overrides);
+      return tx.wait();
+    }
+    const request = await contract[method].populateTransaction(...args, overrides);
+    const pending = await this.transactions.send(request, { label: method.split('(')[0] });
+    const receipt = await pending.wait();
+    return new ethers.ContractTransactionReceipt(contract.interface, this.provider, receipt);
+  }
+
+  // Makes sure the contract can pull each amount (a Map from
+  // amountsByToken) from the connected account. Allowances that already
+  // cover it are left alone. With usePermit, a token that supports EIP-2612
+  // gets a signed permit instead of an approve transaction; the permits are
+  // returned to be sent with the order or fill. Native coin is sent as value
+  // and needs neither.
+  async _ensureAllowances(amounts, usePermit = false) {
+    const owner = await this.signer.getAddress();
+    const permits = [];
+    for (const [token, amount] of amounts) {
+      if (isNativeToken(token) || amount === 0n) {
+        continue;
+      }
+      const tokenContract = new ethers.Contract(token, ERC20_ABI, this.signer);
+      if ((await tokenContract.allowance(owner, this.contract.target)) >= amount) {
+        continue;
+      }
+
+      const permit = usePermit ? await this._signPermit(token, owner, amount) : null;
+      if (permit) {
+        permits.push(permit);
+      } else {
+        await this.send('approve', [this.contract.target, amount], {}, tokenContract);
+      }
+    }
+    return permits;
+  }
+
+  // A permit for the contract to spend `value` of the token, or null if the
+  // token does not support EIP-2612
+  async _signPermit(token, owner, value) {
+    if (!this._permitDomains.has(token)) {
+      this._permitDomains.set(token, await getPermitDomain(token, this.provider));
+    }
+    const domain = this._permitDomains.get(token);
+    if (!domain) {
+      return null;
+    }
+    const tokenContract = new ethers.Contract(token, PERMIT_ABI, this.provider);
+    const [nonce, now] = await Promise.all([tokenContract.nonces(owner), this._now()]);
+    return signPermit(this.signer, domain, {
+      owner,
+      spender: this.contract.target,
+      value,
+      nonce,
+      deadline: now + DEFAULT_PERMIT_SECONDS
+    });
+  }
+
+  // Native coin the contract could not deliver to an account (for example a
+  // contract without a receive function) and is holding for it
+  async getPendingNativeWithdrawal(account) {
+    return this.contract.pendingNativeWithdrawals(account);
+  }
+
+  // Claim native coin held for the connected account
+  async withdrawNative(recipient) {
+    try {
+      const receipt = await this.send('withdrawNative', [recipient ?? await this.signer.getAddress()]);
+
+      const event = receipt.logs.find(
+        log => log.eventName === 'NativeWithdrawn'
+      );
+
+      return {
+        txHash: receipt.hash,
+        recipient: event.args.recipient,
+        amount: event.args.amount
+      };
+    } catch (error) {
+      throw new Error(`Failed to withdraw native coin: ${error.message}`, { cause: error });
+    }
+  }
+
+  // Cancel an order
+  async cancelOrder(orderId) {
+    try {
+      const receipt = await this.send('cancelOrder', [orderId]);
+
+      // Find the OrderCanceled event
+      const event = receipt.logs.find(
+        log => log.eventName === 'OrderCanceled'
+      );
+
+      return {
+        orderId: Number(orderId),
+        txHash: receipt.hash,
+        cancellation: {
+          timestamp: Number(event.args.timestamp),
+          blockNumber: receipt.blockNumber
+        }
+      };
+    } catch (error) {
+      throw new Error(`Failed to cancel order: ${error.message}`, { cause: error });
+    }
+  }
+
+  // EIP-712 domain signed orders are bound to, read from the contract
+  async getSignedOrderDomain() {
+    if (!this._domain) {
+      const domain = await this.contract.eip712Domain();
+      this._domain = {
+        name: domain.name,
+        version: domain.version,
+        chainId: domain.chainId,
+        verifyingContract: domain.verifyingContract
+      };
+    }
+    return this._domain;
+  }
+
+  // Sign an order off-chain. Only the sell token allowance is set here; the
+  // order is shared with takers and costs the maker no transaction to list.
+  async signOrder(params) {
+    const maker = await this.signer.getAddress();
+    // The contract checks expiry against chain time, not the local clock
+    const expiry = params.expiry ?? (await this._now()) + DEFAULT_EXPIRY_SECONDS;
+    const order = buildSignedOrder({ ...params, maker, expiry });
+
+    try {
+      await this._ensureAllowances(amountsByToken([[order.sellToken, order.sellAmount]]));
+
+      const domain = await this.getSignedOrderDomain();
+      const signature = await signOrder(this.signer, domain, order);
+
+      return { order, signature, orderHash: hashSignedOrder(domain, order) };
+    } catch (error) {
+      throw new Error(`Failed to sign order: ${error.message}`, { cause: error });
+    }
+  }
+
+  // Fill an order signed off-chain by its maker
+  async fillSignedOrder(order, signature) {
+    try {
+      await this._ensureAllowances(amountsByToken([[order.buyToken, order.buyAmount]]));
+
+      const receipt = await this.send('fillSignedOrder', [order, signature]);
+
+      const event = receipt.logs.find(
+        log => log.eventName === 'SignedOrderFilled'
+      );
+
+      return {
+        orderHash: event.args.orderHash,
+        txHash: receipt.hash,
+        maker: event.args.maker,
+        taker: event.args.taker,
+        fill: {
+          timestamp: Number(event.args.timestamp),
+          blockNumber: receipt.blockNumber
+        }
+      };
+    } catch (error) {
+      throw new Error(`Failed to fill signed order: ${error.message}`, { cause: error });
+    }
+  }
+
+  // Cancel one signed order by burning its nonce
+  async cancelSignedOrder(nonce) {
+    try {
+      const receipt = await this.send('cancelSignedOrder', [nonce]);
+      return { nonce: BigInt(nonce), txHash: receipt.hash };
+    } catch (error) {
+      throw new Error(`Failed to cancel signed order: ${error.message}`, { cause: error });
+    }
+  }
+
+  // Cancel every signed order of the connected maker with a nonce below minNonce
+  async cancelSignedOrdersUpTo(minNonce) {
+    try {
+      const receipt = await this.send('cancelSignedOrdersUpTo', [minNonce]);
+      return { minNonce: BigInt(minNonce), txHash: receipt.hash };
+    } catch (error) {
+      throw new Error(`Failed to cancel signed orders: ${error.message}`, { cause: error });
+    }
+  }
+
+  // Whether a signed order can still be filled, as far as the contract's
+  // nonce bookkeeping and chain time are concerned
+  async getSignedOrderState(order) {
+    const [nonceUsed, minNonce, now] = await Promise.all([
+      this.contract.signedOrderNonceUsed(order.maker, order.nonce),
+      this.contract.minSignedOrderNonce(order.maker),
+      this._now()
+    ]);
+    const isCanceled = nonceUsed || BigInt(order.nonce) < minNonce;
+    const isExpired = now > Number(order.expiry);
+
+    return {
+      nonceUsed,
+      isCanceled,
+      isExpired,
+      isFillable: !isCanceled && !isExpired
+    };
+  }
+
+  // Contract constants used to derive order deadlines. They never change
+  // for a deployed contract, so they are read once. orderExpiry is only the
+  // default; each order carries its own expiry.
+  async getTiming() {
+    if (!this._timing) {
+      const [orderExpiry, gracePeriod] = await Promise.all([
+        this.contract.ORDER_EXPIRY(),
+        this.contract.GRACE_PERIOD()
+      ]);
+      this._timing = {
+        orderExpiry: Number(orderExpiry),
+        gracePeriod: Number(gracePeriod)
+      };
+    }
+    return this._timing;
+  }
+
+  // Range of expiries (in seconds) createOrder accepts. The owner can change
+  // them, so they are not cached.
+  async getOrderExpiryBounds() {
+    const [minOrderExpiry, maxOrderExpiry] = await Promise.all([
+      this.contract.minOrderExpiry(),
+      this.contract.maxOrderExpiry()
+    ]);
+    return { minOrderExpiry: Number(minOrderExpiry), maxOrderExpiry: Number(maxOrderExpiry) };
+  }
+
+  // Whether the contract accepts new orders and fills. Makers can still
+  // cancel while paused, and in emergency mode even past the grace period.
+  async getContractState() {
+    const [paused, emergencyMode, isDisabled] = await Promise.all([
+      this.contract.paused(),
+      this.contract.emergencyMode(),
+      this.contract.isDisabled()
+    ]);
+    return { paused, emergencyMode, isDisabled };
+  }
+
+  // Creation fees held for cleanup rewards, one entry per fee token the
+  // contract has used
+  async getAccumulatedFees() {
+    const [tokens, amounts] = await this.contract.getAccumulatedFees();
+    return tokens.map((token, i) => ({ token, amount: amounts[i] }));
+  }
+
+  // Protocol fees still to withdraw, for every token one was charged in,
+  // including tokens that have since been delisted. Skips empty balances.
+  async getProtocolFeeBalances() {
+    const [tokens, amounts] = await this.contract.getProtocolFeeBalances();
+    return tokens
+      .map((token, i) => ({ token, amount: amounts[i] }))
+      .filter(({ amount }) => amount > 0n);
+  }
+
+  // Pairs orders can be created for, each an anchor token and a token it
+  // trades against. Either side can be sold.
+  async getTradablePairs() {
+    const [anchors, tokens] = await this.contract.getTradablePairs();
+    return anchors.map((anchor, i) => ({ anchor, token: tokens[i] }));
+  }
+
+  // Protocol fees charged on fills, in basis points. The taker receives
+  // sellAmount minus sellAmount * takerFeeBps / 10000 and the maker
+  // buyAmount minus buyAmount * makerFeeBps / 10000, both rounded down.
+  async getProtocolFees() {
+    const [takerFeeBps, makerFeeBps, feeRecipient] = await Promise.all([
+      this.contract.takerFeeBps(),
+      this.contract.makerFeeBps(),
+      this.contract.feeRecipient()
+    ]);
+    return { takerFeeBps: Number(takerFeeBps), makerFeeBps: Number(makerFeeBps), feeRecipient };
+  }
+
+  // Order deadlines are compared against chain time, not the local clock
+  async _now() {
+    const block = await this.provider.getBlock('latest');
+    return block.timestamp;
+  }
+
+  // Range of order ids that may still hold an order
+  async getOrderIdWindow() {
+    const [firstOrderId, nextOrderId] = await Promise.all([
+      this.contract.firstOrderId(),
+      this.contract.nextOrderId()
+    ]);
+    return { firstOrderId: Number(firstOrderId), nextOrderId: Number(nextOrderId) };
+  }
+
+  // Fetch a single order, or null if the slot was deleted or never used
+  async getOrder(orderId) {
+    const [raw, timing, now] = await Promise.all([
+      this.contract.orders(orderId),
+      this.getTiming(),
+      this._now()
+    ]);
+    if (isEmptyOrder(raw)) {
+      return null;
+    }
+    return normalizeOrder(orderId, raw, { ...timing, now });
+  }
+
+  // Fetch every existing order between fromId (inclusive) and toId
+  // (exclusive). Defaults to the firstOrderId..nextOrderId window.
+  async getOrders(params = {}) {
+    const window = await this.getOrderIdWindow();
+    const fromId = params.fromId ?? window.firstOrderId;
+    const toId = params.toId ?? window.nextOrderId;
+
+    const [timing, now] = await Promise.all([this.getTiming(), this._now()]);
+    const orders = [];
+
+    for (let start = fromId; start < toId; start += this.batchSize) {
+      const ids = [];
+      for (let id = start; id < Math.min(start + this.batchSize, toId); id++) {
+        ids.push(id);
+      }
+
+      const raws = await Promise.all(ids.map(id => this.contract.orders(id)));
+
+      raws.forEach((raw, index) => {
+        if (!isEmptyOrder(raw)) {
+          orders.push(normalizeOrder(ids[index], raw, { ...timing, now }));
+        }
+      });
+    }
+
+    return orders;
+  }
+
+  // Fetch active orders with pagination, read from the contract's order
+  // indexes instead of scanning the order id window. A maker, or both
+  // tokens of a pair, picks the narrower index. Orders come in index order.
+  async getActiveOrders(params = {}) {
+    const {
+      offset = 0,
+      limit = 10,
+      // Expired orders stay Active until canceled or cleaned up
+      includeExpired = false,
+      makerAddress = null,
+      sellToken = null,
+      buyToken = null
+    } = params;
+
+    let readIndex;
+    if (makerAddress) {
+      readIndex = (from, count) => this.contract.getOrdersByMaker(makerAddress, from, count);
+    } else if (sellToken && buyToken) {
+      readIndex = (from, count) => this.contract.getOrdersByPair(sellToken, buyToken, from, count);
+    } else {
+      readIndex = (from, count) => this.contract.getActiveOrders(from, count);
+    }
+
+    // The index pages directly when it holds exactly the orders asked for
+    const tokensLeft = makerAddress ? sellToken || buyToken : Boolean(sellToken) !== Boolean(buyToken);
+    if (includeExpired && !tokensLeft) {
+      return this._getOrderPage(readIndex(offset, limit), offset, limit);
+    }
+
+    // Otherwise the whole index is read and filtered here
+    const sameAddress = (a, b) => a.toLowerCase() === b.toLowerCase();
+    const orders = [];
+    let hasMore = true;
+    for (let from = 0; hasMore; from += this.batchSize) {
+      const page = await this._getOrderPage(readIndex(from, this.batchSize), from, this.batchSize);
+      orders.push(...page.orders.filter(order =>
+        (includeExpired || !order.isExpired) &&
+        (!sellToken || sameAddress(order.sellToken, sellToken)) &&
+        (!buyToken || sameAddress(order.buyToken, buyToken))
+      ));
+      hasMore = page.pagination.hasMore;
+    }
+
+    hasMore = offset + limit < orders.length;
+    return {
+      orders: orders.slice(offset, offset + limit),
+      pagination: {
+        hasMore,
+        nextOffset: hasMore ? offset + limit : 0,
+        total: orders.length
+      }
+    };
+  }
+
+  // Active orders of a maker, read from the contract's index instead of
+  // scanning the order id window. Includes expired orders not yet cleaned up.
+  async getOrdersByMaker(makerAddress, params = {}) {
+    const { offset = 0, limit = 10 } = params;
+    return this._getOrderPage(this.contract.getOrdersByMaker(makerAddress, offset, limit), offset, limit);
+  }
+
+  // Active orders selling sellToken for buyToken, read from the contract's index
+  async getOrdersByPair(sellToken, buyToken, params = {}) {
+    const { offset = 0, limit = 10 } = params;
+    return this._getOrderPage(this.contract.getOrdersByPair(sellToken, buyToken, offset, limit), offset, limit);
+  }
+
+  // Calls handler with every change to orders matching filter
+  // ({ makerAddress, sellToken, buyToken }, all optional) from now on, or
+  // from options.fromBlock. Resolves to the running OrderWatcher; call
+  // stop() on it to unsubscribe. Options: confirmations, pollInterval,
+  // blockRange, onError and reconnect (see client/watcher.js).
+  async watchOrders(filter, handler, options = {}) {
+    return new OrderWatcher(this, filter || {}, handler, options).start();
+  }
+
+  // Every reason createOrder(params) would revert right now, in the order
+  // the contract checks them, each with what to do about it:
+  //   { ok, failures: [{ code, message, revertReason, remediation }] }
+  // Checks the connected signer's funds unless params.maker is set.
+  async validateCreateOrder(params) {
+    return validation.validateCreateOrder(this, params, await this._account(params.maker));
+  }
+
+  // Same for filling an order as `taker` (default: the connected signer).
+  // options.buyAmount checks a partial fill instead of the whole order.
+  async validateFillOrder(orderId, taker = null, options = {}) {
+    return validation.validateFillOrder(this, orderId, await this._account(taker), options);
+  }
+
+  async _account(account) {
+    if (account) {
+      return account;
+    }
+    if (typeof this.signer.getAddress !== 'function') {
+      throw new Error('Pass an account or connect a signer');
+    }
+    return this.signer.getAddress();
+  }
+
+  // Adds what validation finds to a failed transaction's error, so callers
+  // see why it reverted and how to fix it. A failed validation leaves the
+  // error as it was.
+  async _explain(error, validate) {
+    try {
+      const { failures } = await validate();
+      if (failures.length > 0) {
+        error.failures = failures;
+        error.message += failures.map(failure => `\n  ${failure.message}: ${failure.remediation}`).join('');
+      }
+    } catch (validationError) {
+      // Nothing to add
+    }
+    return error;
+  }
+
+  // The index views return pages in no particular order. isFillable comes
+  // from the contract, so it also accounts for the contract being paused.
+  async _getOrderPage(call, offset, limit) {
+    try {
+      const [[page, total], timing, now] = await Promise.all([call, this.getTiming(), this._now()]);
+      const orders = page.map(details => ({
+        ...normalizeOrder(details.orderId, details.order, { ...timing, now }),
+        isFillable: details.fillable
+      }));
+      const hasMore = offset + limit < Number(total);
+
+      return {
+        orders,
+        pagination: {
+          hasMore,
+          nextOffset: hasMore ? offset + limit : 0,
+          total: Number(total)
+        }
+      };
+    } catch (error) {
+      throw new Error(`Failed to fetch orders: ${error.message}`, { cause: error });
+    }
+  }
+
+  // Helper function to fetch token details
+  async getTokenDetails(tokenAddress) {
+    if (isNativeToken(tokenAddress)) {
+      const balance = await this.provider.getBalance(await this.signer.getAddress());
+      return { name: 'Native Coin', symbol: 'NATIVE', decimals: 18, balance };
+    }
+
+    const tokenContract = new ethers.Contract(tokenAddress, ERC20_ABI, this.provider);
+
+    const [name, symbol, decimals, balance] = await Promise.all([
+      tokenContract.name(),
+      tokenContract.symbol(),
+      tokenContract.decimals(),
+      tokenContract.balanceOf(await this.signer.getAddress())
+    ]);
+
+    return { name, symbol, decimals: Number(decimals), balance };
+  }
+}
+
+module.exports = {
+  OTCClient,
+  OTC_SWAP_ABI,
+  ERC20_ABI,
+  NATIVE_TOKEN,
+  isNativeToken
+};
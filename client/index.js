@@ -0,0 +1,53 @@
+const { OTCClient, OTC_SWAP_ABI, ERC20_ABI, NATIVE_TOKEN, isNativeToken } = require('./OTCClient');
+const { ORDER_STATUS, OrderStatus, normalizeOrder, quoteFill } = require('./orders');
+const { PRICE_DECIMALS, TokenCache, price, orderPrice, formatPrice } = require('./tokens');
+const { ORDER_EVENTS, OrderWatcher } = require('./watcher');
+const { CREATE_ORDER_CHECKS, FILL_ORDER_CHECKS, OTHER_FAILURES } = require('./validation');
+const { PERMIT_TYPES, getPermitDomain, signPermit } = require('./permits');
+const { FEE_STRATEGIES, TransactionManager, decodeRevert } = require('./transactions');
+const {
+  SIGNED_ORDER_TYPES,
+  signedOrderDomain,
+  buildSignedOrder,
+  hashSignedOrder,
+  signOrder,
+  verifySignedOrder,
+  serializeSignedOrder,
+  deserializeSignedOrder
+} = require('./signedOrders');
+
+module.exports = {
+  OTCClient,
+  OTC_SWAP_ABI,
+  ERC20_ABI,
+  NATIVE_TOKEN,
+  isNativeToken,
+  ORDER_STATUS,
+  OrderStatus,
+  normalizeOrder,
+  quoteFill,
+  PRICE_DECIMALS,
+  TokenCache,
+  price,
+  orderPrice,
+  formatPrice,
+  ORDER_EVENTS,
+  OrderWatcher,
+  CREATE_ORDER_CHECKS,
+  FILL_ORDER_CHECKS,
+  OTHER_FAILURES,
+  PERMIT_TYPES,
+  getPermitDomain,
+  signPermit,
+  FEE_STRATEGIES,
+  TransactionManager,
+  decodeRevert,
+  SIGNED_ORDER_TYPES,
+  signedOrderDomain,
+  buildSignedOrder,
+  hashSignedOrder,
+  signOrder,
+  verifySignedOrder,
+  serializeSignedOrder,
+  deserializeSignedOrder
+};
@@ -0,0 +1,13 @@
+// Mirrors NATIVE_TOKEN in contracts/OTCSwapStorage.sol. Orders use it in place of a
+// token address to trade the chain's native coin, which is sent as msg.value
+// instead of being approved.
+const NATIVE_TOKEN = '0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE';
+
+function isNativeToken(token) {
+  return token.toLowerCase() === NATIVE_TOKEN.toLowerCase();
+}
+
+module.exports = {
+  NATIVE_TOKEN,
+  isNativeToken
+};
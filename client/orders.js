@@ -0,0 +1,80 @@
+const { ethers } = require('ethers');
+
+// Mirrors the OrderStatus enum in contracts/OTCSwapStorage.sol
+const ORDER_STATUS = ['Active', 'Filled', 'Canceled'];
+
+const OrderStatus = {
+  Active: 0,
+  Filled: 1,
+  Canceled: 2
+};
+
+// Turns the tuple returned by `orders(id)` into a plain object and derives
+// the deadlines the contract enforces, where expiry is set per order:
+//   fillOrder    requires now <= timestamp + expiry
+//   cancelOrder  requires now <= timestamp + expiry + GRACE_PERIOD
+//   cleanup      requires now >  timestamp + expiry + GRACE_PERIOD
+function normalizeOrder(orderId, raw, timing) {
+  const { gracePeriod, now } = timing;
+
+  const statusCode = Number(raw.status);
+  const timestamp = Number(raw.timestamp);
+  const expiry = Number(raw.expiry);
+  const expiresAt = timestamp + expiry;
+  const graceEndsAt = expiresAt + gracePeriod;
+
+  const isActive = statusCode === OrderStatus.Active;
+  const isExpired = now > expiresAt;
+
+  return {
+    orderId: Number(orderId),
+    maker: raw.maker,
+    taker: raw.taker,
+    sellToken: raw.sellToken,
+    sellAmount: raw.sellAmount,
+    buyToken: raw.buyToken,
+    buyAmount: raw.buyAmount,
+    timestamp,
+    status: ORDER_STATUS[statusCode],
+    statusCode,
+    feeToken: raw.feeToken,
+    orderCreationFee: raw.orderCreationFee,
+    tries: Number(raw.tries),
+    remainingSellAmount: raw.remainingSellAmount,
+    remainingBuyAmount: raw.remainingBuyAmount,
+    isPartiallyFilled: raw.remainingBuyAmount > 0n && raw.remainingBuyAmount < raw.buyAmount,
+    expiry,
+    expiresAt,
+    graceEndsAt,
+    isPublic: raw.taker === ethers.ZeroAddress,
+    isExpired,
+    isFillable: isActive && !isExpired,
+    isCancelable: isActive && now <= graceEndsAt,
+    isCleanable: now > graceEndsAt
+  };
+}
+
+// Sell tokens a taker receives for paying buyAmount towards an order, using
+// the same rounding as OTCSwap.fillOrderPartial
+function quoteFill(order, buyAmount) {
+  if (buyAmount <= 0n || buyAmount > order.remainingBuyAmount) {
+    throw new Error(`Fill amount must be between 1 and ${order.remainingBuyAmount}`);
+  }
+  if (buyAmount === order.remainingBuyAmount) {
+    return order.remainingSellAmount;
+  }
+  return (order.remainingSellAmount * buyAmount) / order.remainingBuyAmount;
+}
+
+// Deleted (cleaned up or retried) slots read back as an all-zero struct
+function isEmptyOrder(raw) {
+  return raw.maker === ethers.ZeroAddress;
+}
+
+module.exports = {
+  ORDER_STATUS,
+  OrderStatus,
+  normalizeOrder,
+  quoteFill,
+  isEmptyOrder
+};
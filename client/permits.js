@@ -0,0 +1,76 @@
+const { ethers } = require('ethers');
+
+// EIP-2612 permit, signed by the token owner
+const PERMIT_TYPES = {
+  Permit: [
+    { name: 'owner', type: 'address' },
+    { name: 'spender', type: 'address' },
+    { name: 'value', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ]
+};
+
+const PERMIT_ABI = [
+  'function name() view returns (string)',
+  'function nonces(address owner) view returns (uint256)',
+  'function DOMAIN_SEPARATOR() view returns (bytes32)',
+  'function eip712Domain() view returns (bytes1 fields, string name, string version, uint256 chainId, address verifyingContract, bytes32 salt, uint256[] extensions)'
+];
+
+// A permit is submitted with the order or fill it was signed for, so it only
+// has to outlive the wait for that transaction
+const DEFAULT_PERMIT_SECONDS = 60 * 60;
+
+// Domain fields in the order of the EIP-5267 `fields` bitmap
+const DOMAIN_FIELDS = ['name', 'version', 'chainId', 'verifyingContract', 'salt'];
+
+// The EIP-712 domain a token's permits are signed in, or null if the token
+// does not support EIP-2612. Tokens that implement EIP-5267 describe their
+// domain; for the rest it is assumed to be version '1' of their name(). The
+// domain is only used if it hashes to the token's DOMAIN_SEPARATOR(), which
+// rules out tokens with a different permit, such as DAI's.
+async function getPermitDomain(token, provider) {
+  const contract = new ethers.Contract(token, PERMIT_ABI, provider);
+  try {
+    const [separator, { chainId }] = await Promise.all([
+      contract.DOMAIN_SEPARATOR(),
+      provider.getNetwork(),
+      contract.nonces(ethers.ZeroAddress)
+    ]);
+
+    let domain;
+    try {
+      const described = await contract.eip712Domain();
+      const fields = Number(described.fields);
+      domain = {};
+      DOMAIN_FIELDS.forEach((field, bit) => {
+        if (fields & (1 << bit)) {
+          domain[field] = described[field];
+        }
+      });
+    } catch (error) {
+      domain = { name: await contract.name(), version: '1', chainId, verifyingContract: ethers.getAddress(token) };
+    }
+
+    return ethers.TypedDataEncoder.hashDomain(domain) === separator ? domain : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Signs a permit letting `spender` take `value` of the token, in the shape
+// the contract's Permit struct expects
+async function signPermit(signer, domain, { owner, spender, value, nonce, deadline }) {
+  const message = { owner, spender, value: BigInt(value), nonce: BigInt(nonce), deadline: BigInt(deadline) };
+  const { v, r, s } = ethers.Signature.from(await signer.signTypedData(domain, PERMIT_TYPES, message));
+  return { token: domain.verifyingContract, value: message.value, deadline: message.deadline, v, r, s };
+}
+
+module.exports = {
+  PERMIT_TYPES,
+  PERMIT_ABI,
+  DEFAULT_PERMIT_SECONDS,
+  getPermitDomain,
+  signPermit
+};
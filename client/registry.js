@@ -0,0 +1,108 @@
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { OTCClient } = require('./OTCClient');
+
+// Deployment manifests, one JSON file per network, written by
+// scripts/deploy.js:
+//
+//   {
+//     "network": "polygon",
+//     "chainId": 137,
+//     "gitCommit": "...",
+//     "deployer": "0x...",
+//     "deployedAt": "2024-01-01T00:00:00.000Z",
+//     "contracts": {
+//       "OTCSwap": { address, constructorArgs, blockNumber, txHash, abiHash },
+//       "OTCSwapTimelock": { ... }
+//     }
+//   }
+//
+// This module reads the file system, so unlike the rest of the client it only
+// runs under Node. It is not exported from index.js for that reason.
+
+// deployments/ at the root of the repository, unless OTC_DEPLOYMENTS_DIR
+// points elsewhere
+function deploymentsDir(dir) {
+  return dir || process.env.OTC_DEPLOYMENTS_DIR || path.join(__dirname, '..', 'deployments');
+}
+
+function manifestPath(network, dir) {
+  return path.join(deploymentsDir(dir), `${network}.json`);
+}
+
+// Hash of a contract ABI, so a manifest records which interface was deployed
+// and clients can tell whether theirs still matches
+function abiHash(abi) {
+  return ethers.id(JSON.stringify(abi));
+}
+
+function loadDeployment(network, options = {}) {
+  const filePath = manifestPath(network, options.dir);
+  if (!fs.existsSync(filePath)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+// Finds a manifest by chain id, for callers that only have a provider.
+// hardhat and localhost share chain id 1337, and the in-process hardhat
+// chain is gone once its process exits, so a hardhat manifest only counts
+// when no other network matches.
+function findDeployment(chainId, options = {}) {
+  const dir = deploymentsDir(options.dir);
+  if (!fs.existsSync(dir)) {
+    return null;
+  }
+  const matches = fs.readdirSync(dir)
+    .filter(name => name.endsWith('.json'))
+    .sort()
+    .map(file => JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8')))
+    .filter(manifest => BigInt(manifest.chainId) === BigInt(chainId));
+  return matches.find(manifest => manifest.network !== 'hardhat') || matches[0] || null;
+}
+
+// Writes through a temporary file, like the indexer's JsonFileStore, so a
+// failed write never leaves half a manifest behind
+function saveDeployment(network, manifest, options = {}) {
+  const filePath = manifestPath(network, options.dir);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tmpPath = `${filePath}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(manifest, null, 2) + '\n');
+  fs.renameSync(tmpPath, filePath);
+  return filePath;
+}
+
+// Address of a deployed contract on a network, or null if it has no manifest
+// or the manifest does not list the contract
+function getContractAddress(network, name = 'OTCSwap', options = {}) {
+  const manifest = loadDeployment(network, options);
+  return manifest?.contracts[name]?.address || null;
+}
+
+// An OTCClient for the OTCSwap deployed on the runner's chain. `network`
+// selects a manifest by name instead of by chain id.
+async function connectDeployment(runner, options = {}) {
+  let manifest;
+  if (options.network) {
+    manifest = loadDeployment(options.network, options);
+  } else {
+    const provider = runner.provider || runner;
+    const { chainId } = await provider.getNetwork();
+    manifest = findDeployment(chainId, options);
+  }
+  if (!manifest?.contracts.OTCSwap) {
+    throw new Error(`No OTCSwap deployment found for ${options.network || 'this chain'} in ${deploymentsDir(options.dir)}`);
+  }
+  return new OTCClient(manifest.contracts.OTCSwap.address, runner);
+}
+
+module.exports = {
+  deploymentsDir,
+  abiHash,
+  loadDeployment,
+  findDeployment,
+  saveDeployment,
+  getContractAddress,
+  connectDeployment
+};
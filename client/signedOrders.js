@@ -0,0 +1,110 @@
+const { ethers } = require('ethers');
+
+// Mirrors SIGNED_ORDER_TYPEHASH in contracts/OTCSwapStorage.sol
+const SIGNED_ORDER_TYPES = {
+  SignedOrder: [
+    { name: 'maker', type: 'address' },
+    { name: 'taker', type: 'address' },
+    { name: 'sellToken', type: 'address' },
+    { name: 'sellAmount', type: 'uint256' },
+    { name: 'buyToken', type: 'address' },
+    { name: 'buyAmount', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'expiry', type: 'uint256' }
+  ]
+};
+
+const DOMAIN_NAME = 'OTCSwap';
+const DOMAIN_VERSION = '1';
+
+// Default lifetime of a signed order, matching ORDER_EXPIRY
+const DEFAULT_EXPIRY_SECONDS = 7 * 24 * 60 * 60;
+
+function signedOrderDomain(chainId, verifyingContract) {
+  return {
+    name: DOMAIN_NAME,
+    version: DOMAIN_VERSION,
+    chainId: BigInt(chainId),
+    verifyingContract
+  };
+}
+
+// Fills in defaults and coerces amounts so the order hashes the same way
+// everywhere. Nonces default to the current time in milliseconds, which keeps
+// them increasing so cancelSignedOrdersUpTo can cancel everything older.
+function buildSignedOrder(params) {
+  const {
+    maker,
+    taker = ethers.ZeroAddress,
+    sellToken,
+    sellAmount,
+    buyToken,
+    buyAmount,
+    nonce = Date.now(),
+    expiry = Math.floor(Date.now() / 1000) + DEFAULT_EXPIRY_SECONDS
+  } = params;
+
+  if (!maker || !sellToken || !buyToken) {
+    throw new Error('maker, sellToken and buyToken are required');
+  }
+
+  return {
+    maker: ethers.getAddress(maker),
+    taker: ethers.getAddress(taker),
+    sellToken: ethers.getAddress(sellToken),
+    sellAmount: BigInt(sellAmount),
+    buyToken: ethers.getAddress(buyToken),
+    buyAmount: BigInt(buyAmount),
+    nonce: BigInt(nonce),
+    expiry: BigInt(expiry)
+  };
+}
+
+// Same digest as OTCSwap.hashSignedOrder
+function hashSignedOrder(domain, order) {
+  return ethers.TypedDataEncoder.hash(domain, SIGNED_ORDER_TYPES, order);
+}
+
+async function signOrder(signer, domain, order) {
+  if ((await signer.getAddress()).toLowerCase() !== order.maker.toLowerCase()) {
+    throw new Error('Orders must be signed by their maker');
+  }
+  return signer.signTypedData(domain, SIGNED_ORDER_TYPES, order);
+}
+
+// Checks an EOA signature off-chain. Orders signed by contract wallets
+// (ERC-1271) are only verified by the contract when filled.
+function verifySignedOrder(domain, order, signature) {
+  try {
+    const signer = ethers.verifyTypedData(domain, SIGNED_ORDER_TYPES, order, signature);
+    return signer.toLowerCase() === order.maker.toLowerCase();
+  } catch {
+    return false;
+  }
+}
+
+// Signed orders are shared as JSON, which cannot hold bigints
+function serializeSignedOrder(order, signature) {
+  return {
+    order: Object.fromEntries(
+      Object.entries(order).map(([key, value]) => [key, typeof value === 'bigint' ? value.toString() : value])
+    ),
+    signature
+  };
+}
+
+function deserializeSignedOrder(data) {
+  return { order: buildSignedOrder(data.order), signature: data.signature };
+}
+
+module.exports = {
+  SIGNED_ORDER_TYPES,
+  DEFAULT_EXPIRY_SECONDS,
+  signedOrderDomain,
+  buildSignedOrder,
+  hashSignedOrder,
+  signOrder,
+  verifySignedOrder,
+  serializeSignedOrder,
+  deserializeSignedOrder
+};
@@ -0,0 +1,150 @@
+const { ethers } = require('ethers');
+const { isNativeToken } = require('./native');
+
+const NATIVE_TOKEN_INFO = { symbol: 'POL', decimals: 18 };
+
+const METADATA_ABI = [
+  'function symbol() view returns (string)',
+  'function decimals() view returns (uint8)'
+];
+
+// Prices are fixed-point bigints with this many decimals
+const PRICE_DECIMALS = 18;
+const PRICE_SCALE = 10n ** BigInt(PRICE_DECIMALS);
+
+function sameAddress(a, b) {
+  return Boolean(a && b) && a.toLowerCase() === b.toLowerCase();
+}
+
+// Units of the quote token one whole unit of the base token is worth, given
+// an amount of each in their smallest units. Rounded down.
+//   price(1e6 USDC base units, 6, 2e18 LBDS base units, 18) = 2 * PRICE_SCALE
+function price(baseAmount, baseDecimals, quoteAmount, quoteDecimals) {
+  if (baseAmount === 0n) {
+    return null;
+  }
+  return (quoteAmount * 10n ** BigInt(baseDecimals) * PRICE_SCALE) /
+    (baseAmount * 10n ** BigInt(quoteDecimals));
+}
+
+function formatPrice(value) {
+  return value === null ? 'n/a' : ethers.formatUnits(value, PRICE_DECIMALS);
+}
+
+// Prices of an order in both directions. The remaining amounts are used
+// while anything remains, since updateOrder reprices only the remainder;
+// a finished order is priced by its totals. When one side is the Liberdus
+// token, liberdusPerUnit is the Liberdus paid or asked per whole unit of the
+// other token.
+function orderPrice(order, sellInfo, buyInfo, liberdusToken = null) {
+  const open = order.remainingBuyAmount !== undefined && order.remainingBuyAmount > 0n;
+  const sellAmount = open ? order.remainingSellAmount : order.sellAmount;
+  const buyAmount = open ? order.remainingBuyAmount : order.buyAmount;
+
+  const buyPerSell = price(sellAmount, sellInfo.decimals, buyAmount, buyInfo.decimals);
+  const sellPerBuy = price(buyAmount, buyInfo.decimals, sellAmount, sellInfo.decimals);
+
+  let liberdusPerUnit = null;
+  let unitToken = null;
+  if (sameAddress(order.buyToken, liberdusToken)) {
+    liberdusPerUnit = buyPerSell;
+    unitToken = order.sellToken;
+  } else if (sameAddress(order.sellToken, liberdusToken)) {
+    liberdusPerUnit = sellPerBuy;
+    unitToken = order.buyToken;
+  }
+
+  return { buyPerSell, sellPerBuy, liberdusPerUnit, unitToken };
+}
+
+// Falls back when a token does not implement a call (it reverts or returns
+// nothing), but not on provider errors
+async function optional(call, fallback) {
+  try {
+    return await call;
+  } catch (error) {
+    if (error.code === 'CALL_EXCEPTION' || error.code === 'BAD_DATA') {
+      return fallback;
+    }
+    throw error;
+  }
+}
+
+// Symbol and decimals of tokens, read from chain once and kept. Metadata
+// can be seeded (for example from an indexer checkpoint) with `tokens`.
+class TokenCache {
+  constructor(provider, options = {}) {
+    this.provider = provider;
+    this._tokens = new Map();
+    for (const token of options.tokens || []) {
+      this._tokens.set(token.address.toLowerCase(), Promise.resolve(token));
+    }
+  }
+
+  // { address, symbol, decimals }. symbol() and decimals() are optional in
+  // ERC20; a token without them shows as its address with 18 decimals.
+  get(address) {
+    const key = address.toLowerCase();
+    if (!this._tokens.has(key)) {
+      const info = this._load(address);
+      // A failed lookup (e.g. a dropped connection) is retried next time
+      info.catch(() => this._tokens.delete(key));
+      this._tokens.set(key, info);
+    }
+    return this._tokens.get(key);
+  }
+
+  async _load(address) {
+    if (isNativeToken(address)) {
+      return { address, ...NATIVE_TOKEN_INFO };
+    }
+    const token = new ethers.Contract(address, METADATA_ABI, this.provider);
+    const [symbol, decimals] = await Promise.all([
+      optional(token.symbol(), `${address.slice(0, 6)}...${address.slice(-4)}`),
+      optional(token.decimals(), 18n)
+    ]);
+    return { address, symbol, decimals: Number(decimals) };
+  }
+
+  // Every token looked up so far, for saving alongside other state
+  async all() {
+    return Promise.all([...this._tokens.values()]);
+  }
+
+  // '1.5 USDC'
+  async format(address, amount) {
+    const { symbol, decimals } = await this.get(address);
+    return `${ethers.formatUnits(amount, decimals)} ${symbol}`;
+  }
+
+  // Parses an amount in token units ('1.5') into the token's smallest units
+  async parse(address, value) {
+    const { decimals } = await this.get(address);
+    return ethers.parseUnits(String(value), decimals);
+  }
+
+  async orderPrice(order, liberdusToken = null) {
+    const [sellInfo, buyInfo] = await Promise.all([this.get(order.sellToken), this.get(order.buyToken)]);
+    return orderPrice(order, sellInfo, buyInfo, liberdusToken);
+  }
+
+  // '2.5 LBDS per USDC', or the buy token per sell token when neither side
+  // is the Liberdus token
+  async formatOrderPrice(order, liberdusToken = null) {
+    const prices = await this.orderPrice(order, liberdusToken);
+    if (prices.liberdusPerUnit !== null) {
+      const [liberdus, unit] = await Promise.all([this.get(liberdusToken), this.get(prices.unitToken)]);
+      return `${formatPrice(prices.liberdusPerUnit)} ${liberdus.symbol} per ${unit.symbol}`;
+    }
+    const [sellInfo, buyInfo] = await Promise.all([this.get(order.sellToken), this.get(order.buyToken)]);
+    return `${formatPrice(prices.buyPerSell)} ${buyInfo.symbol} per ${sellInfo.symbol}`;
+  }
+}
+
+module.exports = {
+  PRICE_DECIMALS,
+  TokenCache,
+  price,
+  orderPrice,
+  formatPrice
+};
@@ -0,0 +1,480 @@
+const { ethers } = require('ethers');
+const OTC_SWAP_ABI = require('./abi/OTCSwap.json');
+
+// Errors of OpenZeppelin 5 ERC20 tokens. Orders and fills pull tokens, so
+// these come back through OTCSwap calls.
+const ERC20_ERRORS_ABI = [
+  'error ERC20InsufficientBalance(address sender, uint256 balance, uint256 needed)',
+  'error ERC20InsufficientAllowance(address spender, uint256 allowance, uint256 needed)',
+  'error ERC20InvalidSender(address sender)',
+  'error ERC20InvalidReceiver(address receiver)',
+  'error ERC20InvalidApprover(address approver)',
+  'error ERC20InvalidSpender(address spender)'
+];
+
+const REVERT_INTERFACES = [new ethers.Interface(OTC_SWAP_ABI), new ethers.Interface(ERC20_ERRORS_ABI)];
+
+const ERROR_STRING_SELECTOR = '0x08c379a0';
+const PANIC_SELECTOR = '0x4e487b71';
+
+// EIP-1559 fee strategies, in percent: the priority fee the node suggests
+// is scaled by `priority`, and added to the latest base fee scaled by
+// `baseFee` so the transaction stays valid while base fees rise
+const FEE_STRATEGIES = {
+  slow: { priority: 100n, baseFee: 125n },
+  standard: { priority: 125n, baseFee: 200n },
+  fast: { priority: 200n, baseFee: 300n }
+};
+
+// Nodes only accept a replacement that raises both fees by at least 10%
+const MIN_BUMP_PERCENT = 10;
+const DEFAULT_BUMP_PERCENT = 15;
+const DEFAULT_BUMP_AFTER = 30000;
+const DEFAULT_POLL_INTERVAL = 2000;
+const STATE_VERSION = 1;
+
+function maxOf(a, b) {
+  return a > b ? a : b;
+}
+
+// The revert data an ethers or node error carries, wherever it is nested
+function findRevertData(error, depth = 0) {
+  if (!error || typeof error !== 'object' || depth > 4) {
+    return null;
+  }
+  if (typeof error.data === 'string' && ethers.isHexString(error.data) && error.data.length >= 10) {
+    return error.data;
+  }
+  for (const nested of [error.error, error.info && error.info.error, error.cause, error.data]) {
+    const data = findRevertData(nested, depth + 1);
+    if (data) {
+      return data;
+    }
+  }
+  return null;
+}
+
+// Decodes revert data into { name, args, reason }: Error(string) and
+// Panic(uint256), then the custom errors of OTCSwap, ERC20 tokens and any
+// extra `interfaces`. Returns null when there is no data.
+function decodeRevert(data, interfaces = REVERT_INTERFACES) {
+  if (!data || data === '0x') {
+    return null;
+  }
+  const selector = data.slice(0, 10);
+  const coder = ethers.AbiCoder.defaultAbiCoder();
+  try {
+    if (selector === ERROR_STRING_SELECTOR) {
+      const [message] = coder.decode(['string'], ethers.dataSlice(data, 4));
+      return { name: 'Error', args: [message], reason: message };
+    }
+    if (selector === PANIC_SELECTOR) {
+      const [code] = coder.decode(['uint256'], ethers.dataSlice(data, 4));
+      return { name: 'Panic', args: [code], reason: `Panic(0x${code.toString(16)})` };
+    }
+  } catch (error) {
+    return { name: null, args: [], reason: `Malformed revert data ${data}` };
+  }
+  for (const iface of interfaces) {
+    try {
+      const parsed = iface.parseError(data);
+      if (parsed) {
+        const args = [...parsed.args];
+        return { name: parsed.name, args, reason: `${parsed.name}(${args.join(', ')})` };
+      }
+    } catch (error) {
+      // Not one of this interface's errors
+    }
+  }
+  return { name: null, args: [], reason: `Unknown error ${selector}` };
+}
+
+// Entries are kept as plain data so any store can persist them
+function toRecord(entry) {
+  const { receipt, error, ...record } = entry;
+  return record;
+}
+
+// Sends transactions from one signer, one at a time and in order. Nonces
+// are assigned locally, so many calls can be queued without waiting for
+// each to be mined. Fees follow an EIP-1559 strategy, and a transaction
+// still pending after `bumpAfter` ms is replaced with the same nonce and
+// fees raised by `bumpPercent`, up to `maxFeePerGas`. Reverts are decoded
+// against OTCSwap's errors.
+//
+// Pending transactions are written to `store` (anything with the
+// load()/save(state) of the indexer's stores), so a restarted process can
+// resume() watching them.
+class TransactionManager {
+  constructor(signer, options = {}) {
+    const bumpPercent = options.bumpPercent ?? DEFAULT_BUMP_PERCENT;
+    if (bumpPercent < MIN_BUMP_PERCENT) {
+      throw new Error(`bumpPercent must be at least ${MIN_BUMP_PERCENT}`);
+    }
+    const feeStrategy = options.feeStrategy || 'standard';
+    if (typeof feeStrategy !== 'function' && !FEE_STRATEGIES[feeStrategy]) {
+      throw new Error(`Unknown fee strategy ${feeStrategy}; use ${Object.keys(FEE_STRATEGIES).join(', ')} or a function`);
+    }
+
+    this.signer = signer;
+    this.provider = signer.provider;
+    this.store = options.store || null;
+    this.feeStrategy = feeStrategy;
+    this.maxFeePerGas = options.maxFeePerGas ?? null;
+    this.minPriorityFee = options.minPriorityFee ?? 0n;
+    this.bumpPercent = BigInt(bumpPercent);
+    this.bumpAfter = options.bumpAfter ?? DEFAULT_BUMP_AFTER;
+    this.pollInterval = options.pollInterval || DEFAULT_POLL_INTERVAL;
+    this.confirmations = options.confirmations || 1;
+    this.interfaces = [...REVERT_INTERFACES, ...(options.interfaces || [])];
+    this.onUpdate = options.onUpdate || (() => {});
+    this.onError = options.onError || (() => {});
+
+    this._nonce = null;
+    this._queue = Promise.resolve();
+    this._saving = Promise.resolve();
+    this._entries = new Map();
+    this._waiters = new Map();
+    this._timer = null;
+    this._polling = null;
+    this._stopped = false;
+  }
+
+  // Queues a transaction request ({ to, data, value, gasLimit }). Resolves
+  // once it is broadcast with { id, label, nonce, hash, wait() }; wait()
+  // resolves with the receipt once it is mined, or rejects with the decoded
+  // revert. A request that would revert is rejected before it uses a nonce.
+  send(request, { label = null } = {}) {
+    this._stopped = false;
+    const submitted = this._queue.then(() => this._submit(request, label));
+    this._queue = submitted.catch(() => {});
+    return submitted;
+  }
+
+  // Resolves with the receipt of a transaction sent or resumed by this
+  // manager
+  wait(id) {
+    const entry = this._entries.get(id);
+    if (!entry) {
+      return Promise.reject(new Error(`Unknown transaction ${id}`));
+    }
+    if (entry.status === 'confirmed') {
+      return Promise.resolve(entry.receipt);
+    }
+    if (entry.status !== 'pending') {
+      return Promise.reject(entry.error);
+    }
+    const settled = new Promise((resolve, reject) => {
+      this._waiters.set(id, [...(this._waiters.get(id) || []), { resolve, reject }]);
+    });
+    this.poll();
+    return settled;
+  }
+
+  // Transactions sent and not yet settled
+  pending() {
+    return [...this._entries.values()].filter(entry => entry.status === 'pending').map(toRecord);
+  }
+
+  // Watches the pending transactions an earlier process saved for this
+  // signer and chain. Returns their handles.
+  async resume() {
+    const [from, { chainId }, state] = await Promise.all([
+      this.signer.getAddress(),
+      this.provider.getNetwork(),
+      this.store ? this.store.load() : null
+    ]);
+    const saved = ((state && state.transactions) || []).filter(entry =>
+      entry.status === 'pending' && entry.chainId === chainId && entry.from.toLowerCase() === from.toLowerCase()
+    );
+    for (const entry of saved) {
+      if (!this._entries.has(entry.id)) {
+        this._entries.set(entry.id, entry);
+      }
+    }
+    this._stopped = false;
+    this._schedule();
+    return saved.map(entry => this._handle(this._entries.get(entry.id)));
+  }
+
+  // Stops polling. Pending transactions stay in the store.
+  async stop() {
+    this._stopped = true;
+    clearTimeout(this._timer);
+    this._timer = null;
+    await this._polling;
+  }
+
+  // Fees for a new transaction under the fee strategy, capped at
+  // maxFeePerGas
+  async fees() {
+    const [block, feeData] = await Promise.all([this.provider.getBlock('latest'), this.provider.getFeeData()]);
+    const baseFee = block.baseFeePerGas ?? 0n;
+    const priorityFee = maxOf(feeData.maxPriorityFeePerGas ?? 0n, this.minPriorityFee);
+
+    if (typeof this.feeStrategy === 'function') {
+      return this._cap(await this.feeStrategy({ baseFee, priorityFee }));
+    }
+    const strategy = FEE_STRATEGIES[this.feeStrategy];
+    const maxPriorityFeePerGas = (priorityFee * strategy.priority) / 100n;
+    return this._cap({
+      maxPriorityFeePerGas,
+      maxFeePerGas: (baseFee * strategy.baseFee) / 100n + maxPriorityFeePerGas
+    });
+  }
+
+  _cap({ maxFeePerGas, maxPriorityFeePerGas }) {
+    if (this.maxFeePerGas !== null && maxFeePerGas > this.maxFeePerGas) {
+      maxFeePerGas = this.maxFeePerGas;
+    }
+    return {
+      maxFeePerGas,
+      maxPriorityFeePerGas: maxPriorityFeePerGas > maxFeePerGas ? maxFeePerGas : maxPriorityFeePerGas
+    };
+  }
+
+  async _submit(request, label) {
+    const [from, { chainId }] = await Promise.all([this.signer.getAddress(), this.provider.getNetwork()]);
+    const tx = {
+      to: request.to,
+      data: request.data || '0x',
+      value: BigInt(request.value || 0)
+    };
+    try {
+      tx.gasLimit = request.gasLimit === undefined || request.gasLimit === null
+        ? await this.provider.estimateGas({ ...tx, from })
+        : BigInt(request.gasLimit);
+    } catch (error) {
+      throw this._failure(error, 'Transaction would revert');
+    }
+
+    const fees = await this.fees();
+    for (let attempt = 0; ; attempt++) {
+      if (this._nonce === null) {
+        this._nonce = await this.provider.getTransactionCount(from, 'pending');
+      }
+      const entry = {
+        id: `${chainId}:${from.toLowerCase()}:${this._nonce}`,
+        label,
+        chainId,
+        from,
+        nonce: this._nonce,
+        request: tx,
+        ...fees,
+        hashes: [],
+        status: 'pending',
+        submittedAt: Date.now(),
+        broadcastAt: null
+      };
+
+      try {
+        await this._broadcast(entry);
+      } catch (error) {
+        // The local nonce is out of step with the chain; read it again
+        this._nonce = null;
+        if (error.code === 'NONCE_EXPIRED' && attempt === 0) {
+          continue;
+        }
+        throw this._failure(error, 'Failed to send transaction', entry);
+      }
+
+      this._nonce++;
+      this._entries.set(entry.id, entry);
+      this.onUpdate('sent', toRecord(entry));
+      await this._save();
+      this._schedule();
+      return this._handle(entry);
+    }
+  }
+
+  async _broadcast(entry) {
+    const response = await this.signer.sendTransaction({
+      ...entry.request,
+      type: 2,
+      chainId: entry.chainId,
+      nonce: entry.nonce,
+      maxFeePerGas: entry.maxFeePerGas,
+      maxPriorityFeePerGas: entry.maxPriorityFeePerGas
+    });
+    entry.hashes.push(response.hash);
+    entry.broadcastAt = Date.now();
+  }
+
+  _handle(entry) {
+    return {
+      id: entry.id,
+      label: entry.label,
+      nonce: entry.nonce,
+      get hash() {
+        return entry.hashes[entry.hashes.length - 1];
+      },
+      wait: () => this.wait(entry.id)
+    };
+  }
+
+  _schedule() {
+    if (this._timer || this._stopped || this.pending().length === 0) {
+      return;
+    }
+    this._timer = setTimeout(async () => {
+      await this.poll();
+      this._timer = null;
+      this._schedule();
+    }, this.pollInterval);
+  }
+
+  // Checks every pending transaction once: settles the mined ones and
+  // replaces those pending for longer than bumpAfter
+  poll() {
+    if (!this._polling) {
+      this._polling = this._poll().finally(() => {
+        this._polling = null;
+      });
+    }
+    return this._polling;
+  }
+
+  async _poll() {
+    const pending = [...this._entries.values()].filter(entry => entry.status === 'pending');
+    if (pending.length === 0) {
+      return;
+    }
+    try {
+      // Read before the receipts, so a nonce counted as used always has
+      // its receipt found below
+      const minedNonce = await this.provider.getTransactionCount(pending[0].from, 'latest');
+      for (const entry of pending) {
+        await this._check(entry, minedNonce);
+      }
+      await this._save();
+    } catch (error) {
+      this.onError(error);
+    } finally {
+      // Waiters hear back once the store no longer lists what settled
+      pending.filter(entry => entry.status !== 'pending').forEach(entry => this._release(entry));
+    }
+  }
+
+  async _check(entry, minedNonce) {
+    for (const hash of entry.hashes) {
+      const receipt = await this.provider.getTransactionReceipt(hash);
+      if (!receipt) {
+        continue;
+      }
+      if ((await receipt.confirmations()) < this.confirmations) {
+        return;
+      }
+      if (receipt.status === 1) {
+        this._settle(entry, 'confirmed', receipt, null);
+      } else {
+        const revert = await this._minedRevert(entry, receipt);
+        const error = new Error(`Transaction ${receipt.hash} reverted${revert ? `: ${revert.reason}` : ''}`);
+        Object.assign(error, { revert, receipt, transaction: toRecord(entry) });
+        this._settle(entry, 'failed', receipt, error);
+      }
+      return;
+    }
+
+    if (minedNonce > entry.nonce) {
+      const error = new Error(`Nonce ${entry.nonce} of ${entry.from} was used by another transaction`);
+      error.transaction = toRecord(entry);
+      this._settle(entry, 'replaced', null, error);
+      return;
+    }
+    if (Date.now() - entry.broadcastAt >= this.bumpAfter) {
+      await this._bump(entry);
+    }
+  }
+
+  // Replaces a stuck transaction with the same nonce and higher fees: the
+  // old fees raised by bumpPercent, or what the strategy asks for now if
+  // that is more
+  async _bump(entry) {
+    const bump = fee => (fee * (100n + this.bumpPercent) + 99n) / 100n;
+    const current = await this.fees();
+    const fees = this._cap({
+      maxFeePerGas: maxOf(bump(entry.maxFeePerGas), current.maxFeePerGas),
+      maxPriorityFeePerGas: maxOf(bump(entry.maxPriorityFeePerGas), current.maxPriorityFeePerGas)
+    });
+    if (fees.maxFeePerGas < bump(entry.maxFeePerGas) || fees.maxPriorityFeePerGas < bump(entry.maxPriorityFeePerGas)) {
+      // maxFeePerGas leaves no room for a replacement nodes would accept
+      return;
+    }
+
+    const previous = { maxFeePerGas: entry.maxFeePerGas, maxPriorityFeePerGas: entry.maxPriorityFeePerGas };
+    Object.assign(entry, fees);
+    try {
+      await this._broadcast(entry);
+      this.onUpdate('bumped', toRecord(entry));
+    } catch (error) {
+      // Usually the original was mined in the meantime; the next round
+      // finds its receipt
+      Object.assign(entry, previous);
+      this.onError(error);
+    }
+  }
+
+  // A mined transaction's receipt has no revert reason, so the call is
+  // re-run against the state of the block it was mined in
+  async _minedRevert(entry, receipt) {
+    try {
+      await this.provider.call({ ...entry.request, from: entry.from, blockTag: receipt.blockNumber });
+      return null;
+    } catch (error) {
+      return decodeRevert(findRevertData(error), this.interfaces);
+    }
+  }
+
+  _settle(entry, status, receipt, error) {
+    entry.status = status;
+    entry.receipt = receipt;
+    entry.error = error;
+    this.onUpdate(status, toRecord(entry));
+  }
+
+  _release(entry) {
+    const waiters = this._waiters.get(entry.id) || [];
+    this._waiters.delete(entry.id);
+    for (const { resolve, reject } of waiters) {
+      if (entry.status === 'confirmed') {
+        resolve(entry.receipt);
+      } else {
+        reject(entry.error);
+      }
+    }
+  }
+
+  // Adds the decoded revert to an error from the node
+  _failure(error, message, entry = null) {
+    const revert = decodeRevert(findRevertData(error), this.interfaces);
+    const reason = revert ? revert.reason : error.shortMessage || error.message;
+    const failure = new Error(`${message}: ${reason}`);
+    Object.assign(failure, { revert, transaction: entry && toRecord(entry), cause: error });
+    return failure;
+  }
+
+  // Saves this signer's pending transactions, keeping what other managers
+  // sharing the store have saved
+  _save() {
+    if (!this.store) {
+      return Promise.resolve();
+    }
+    this._saving = this._saving.catch(() => {}).then(async () => {
+      const ours = new Set(this._entries.keys());
+      const state = await this.store.load();
+      const others = ((state && state.transactions) || []).filter(entry => !ours.has(entry.id));
+      await this.store.save({
+        version: STATE_VERSION,
+        transactions: [...others, ...this.pending()]
+      });
+    });
+    return this._saving;
+  }
+}
+
+module.exports = {
+  FEE_STRATEGIES,
+  TransactionManager,
+  decodeRevert,
+  findRevertData
+};
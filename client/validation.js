@@ -0,0 +1,307 @@
+const { ethers } = require('ethers');
+const { isNativeToken } = require('./native');
+const { ORDER_STATUS, OrderStatus, normalizeOrder, isEmptyOrder, quoteFill } = require('./orders');
+
+const BALANCE_ABI = [
+  'function balanceOf(address) view returns (uint256)',
+  'function allowance(address owner, address spender) view returns (uint256)'
+];
+
+// Revert strings of createOrder: the whenNotPaused modifier, then the
+// requires of _createOrder and _checkPair in the order the contract checks
+// them. test/Validation.test.js fails if the contract gains one missing here.
+const CREATE_ORDER_CHECKS = {
+  CONTRACT_PAUSED: 'Contract is paused',
+  CONTRACT_DISABLED: 'Contract is disabled',
+  INVALID_SELL_TOKEN: 'Invalid sell token',
+  INVALID_BUY_TOKEN: 'Invalid buy token',
+  INVALID_SELL_AMOUNT: 'Invalid sell amount',
+  INVALID_BUY_AMOUNT: 'Invalid buy amount',
+  SAME_TOKEN: 'Cannot swap same token',
+  SELL_TOKEN_NOT_ALLOWED: 'Sell token not allowed',
+  BUY_TOKEN_NOT_ALLOWED: 'Buy token not allowed',
+  NO_ANCHOR_TOKEN: 'Either buy or sell token must be Liberdus token',
+  PAIR_DISABLED: 'Pair disabled',
+  BELOW_MINIMUM_SIZE: 'Order below minimum size',
+  INVALID_EXPIRY: 'Invalid expiry',
+  INCORRECT_NATIVE_AMOUNT: 'Incorrect native amount',
+  INSUFFICIENT_SELL_BALANCE: 'Insufficient balance for sell token',
+  INSUFFICIENT_SELL_ALLOWANCE: 'Insufficient allowance for sell token',
+  INSUFFICIENT_FEE_BALANCE: 'Insufficient balance for fee',
+  INSUFFICIENT_FEE_ALLOWANCE: 'Insufficient allowance for fee'
+};
+
+// Revert strings of fillOrder and fillOrderPartial: the whenNotPaused and
+// validOrder modifiers, then the requires of _fillOrder
+const FILL_ORDER_CHECKS = {
+  CONTRACT_PAUSED: 'Contract is paused',
+  ORDER_NOT_FOUND: 'Order does not exist',
+  ORDER_NOT_ACTIVE: 'Order is not active',
+  ORDER_EXPIRED: 'Order has expired',
+  NOT_AUTHORIZED_TAKER: 'Not authorized to fill this order',
+  INVALID_FILL_AMOUNT: 'Invalid fill amount',
+  FILL_TOO_SMALL: 'Fill amount too small',
+  SELL_AMOUNT_BELOW_MINIMUM: 'Sell amount below minimum',
+  INCORRECT_NATIVE_AMOUNT: 'Incorrect native amount',
+  INSUFFICIENT_BUY_BALANCE: 'Insufficient balance for buy token',
+  INSUFFICIENT_BUY_ALLOWANCE: 'Insufficient allowance for buy token'
+};
+
+// Conditions the requires let through but that still fail the transaction:
+// the node refuses a transaction it cannot fund, and a token shared by the
+// order and the fee has to cover both in the transfers that follow
+const OTHER_FAILURES = {
+  INSUFFICIENT_NATIVE_BALANCE: 'Insufficient native balance',
+  INSUFFICIENT_BALANCE_FOR_SELL_AND_FEE: 'Balance does not cover the order and the creation fee',
+  INSUFFICIENT_ALLOWANCE_FOR_SELL_AND_FEE: 'Allowance does not cover the order and the creation fee'
+};
+
+function sameAddress(a, b) {
+  return a.toLowerCase() === b.toLowerCase();
+}
+
+function isValidToken(token) {
+  return Boolean(token) && token !== ethers.ZeroAddress;
+}
+
+// Collects failures in the order the contract checks them, so the first one
+// is the revert the transaction would hit. revertReason is null for
+// OTHER_FAILURES, which revert without one of the contract's messages.
+function failureList(checks) {
+  const failures = [];
+  const add = (code, remediation) => failures.push({
+    code,
+    message: checks[code] || OTHER_FAILURES[code],
+    revertReason: checks[code] || null,
+    remediation
+  });
+  return { failures, add };
+}
+
+function result(failures) {
+  return { ok: failures.length === 0, failures };
+}
+
+// Checks the account can pay `amount` of `token` to the contract, adding the
+// codes.balance and codes.allowance failures if not. The remediation asks
+// for `needed`, which is more than `amount` when the same token also pays
+// for something else. Native coin is paid as value, so only its balance
+// matters.
+async function checkFunds(client, account, token, amount, add, codes, purpose, needed = amount) {
+  const { tokens, provider } = client;
+  if (isNativeToken(token)) {
+    const balance = await provider.getBalance(account);
+    if (balance < amount) {
+      add('INSUFFICIENT_NATIVE_BALANCE', `Get ${await tokens.format(token, needed - balance)} more, plus gas`);
+    }
+    return;
+  }
+
+  const contract = new ethers.Contract(token, BALANCE_ABI, provider);
+  const [balance, allowance] = await Promise.all([
+    contract.balanceOf(account),
+    contract.allowance(account, client.contract.target)
+  ]);
+  if (balance < amount) {
+    add(codes.balance, `Get ${await tokens.format(token, needed - balance)} more`);
+  }
+  if (allowance < amount) {
+    add(codes.allowance, `Approve ${await tokens.format(token, needed)} ${purpose}`);
+  }
+}
+
+// Everything that would make createOrder(params) from `maker` revert. params
+// are those of OTCClient.createOrder; `value` defaults to what it sends.
+async function validateCreateOrder(client, params, maker) {
+  const { contract, tokens } = client;
+  const { sellToken, buyToken, expiry = null } = params;
+  const sellAmount = BigInt(params.sellAmount ?? 0);
+  const buyAmount = BigInt(params.buyAmount ?? 0);
+  const { failures, add } = failureList(CREATE_ORDER_CHECKS);
+
+  const [paused, isDisabled, feeToken, fee, minOrderExpiry, maxOrderExpiry, timing] = await Promise.all([
+    contract.paused(),
+    contract.isDisabled(),
+    contract.feeToken(),
+    contract.orderCreationFeeAmount(),
+    contract.minOrderExpiry(),
+    contract.maxOrderExpiry(),
+    client.getTiming()
+  ]);
+
+  if (paused) {
+    add('CONTRACT_PAUSED', 'Wait until the contract is unpaused');
+  }
+  if (isDisabled) {
+    add('CONTRACT_DISABLED', 'The contract no longer accepts orders');
+  }
+  if (!isValidToken(sellToken)) {
+    add('INVALID_SELL_TOKEN', 'Set the token to sell');
+  }
+  if (!isValidToken(buyToken)) {
+    add('INVALID_BUY_TOKEN', 'Set the token to buy');
+  }
+  if (sellAmount <= 0n) {
+    add('INVALID_SELL_AMOUNT', 'Sell more than zero');
+  }
+  if (buyAmount <= 0n) {
+    add('INVALID_BUY_AMOUNT', 'Buy more than zero');
+  }
+  if (!isValidToken(sellToken) || !isValidToken(buyToken)) {
+    return result(failures);
+  }
+  if (sameAddress(sellToken, buyToken)) {
+    add('SAME_TOKEN', 'Sell and buy different tokens');
+  }
+
+  const [sellAllowed, buyAllowed, sellAnchor, buyAnchor, pairDisabled, sellMinimum, buyMinimum] = await Promise.all([
+    contract.allowedTokens(sellToken),
+    contract.allowedTokens(buyToken),
+    contract.anchorTokens(sellToken),
+    contract.anchorTokens(buyToken),
+    contract.pairDisabled(sellToken, buyToken),
+    contract.minOrderSize(sellToken),
+    contract.minOrderSize(buyToken)
+  ]);
+  if (!sellAllowed) {
+    add('SELL_TOKEN_NOT_ALLOWED', 'Sell a token listed by getAllowedTokens()');
+  }
+  if (!buyAllowed) {
+    add('BUY_TOKEN_NOT_ALLOWED', 'Buy a token listed by getAllowedTokens()');
+  }
+  if (!sellAnchor && !buyAnchor) {
+    const anchors = await Promise.all((await contract.getAnchorTokens()).map(token => tokens.get(token)));
+    add('NO_ANCHOR_TOKEN', `Sell or buy one of ${anchors.map(token => token.symbol).join(', ')}`);
+  }
+  if (pairDisabled) {
+    add('PAIR_DISABLED', 'Trading between these tokens is switched off; choose another pair');
+  }
+  if (sellAmount < sellMinimum || buyAmount < buyMinimum) {
+    const minimums = [];
+    if (sellAmount < sellMinimum) {
+      minimums.push(`sell at least ${await tokens.format(sellToken, sellMinimum)}`);
+    }
+    if (buyAmount < buyMinimum) {
+      minimums.push(`buy at least ${await tokens.format(buyToken, buyMinimum)}`);
+    }
+    add('BELOW_MINIMUM_SIZE', minimums.join(' and ').replace(/^./, c => c.toUpperCase()));
+  }
+
+  const orderExpiry = expiry === null ? BigInt(timing.orderExpiry) : BigInt(expiry);
+  if (orderExpiry < minOrderExpiry || orderExpiry > maxOrderExpiry) {
+    add('INVALID_EXPIRY', `Use an expiry between ${minOrderExpiry} and ${maxOrderExpiry} seconds`);
+  }
+
+  const nativeSell = isNativeToken(sellToken);
+  const expectedValue = nativeSell ? sellAmount : 0n;
+  if (BigInt(params.value ?? expectedValue) !== expectedValue) {
+    add('INCORRECT_NATIVE_AMOUNT', nativeSell
+      ? `Send exactly ${await tokens.format(sellToken, sellAmount)} with the order`
+      : 'Send no native coin with the order');
+  }
+
+  // The fee is pulled before the sell tokens, so a token used for both
+  // has to cover the sum
+  if (!nativeSell && sameAddress(sellToken, feeToken)) {
+    const purpose = 'for the order and the creation fee';
+    const before = failures.length;
+    await checkFunds(client, maker, sellToken, sellAmount, add, {
+      balance: 'INSUFFICIENT_SELL_BALANCE',
+      allowance: 'INSUFFICIENT_SELL_ALLOWANCE'
+    }, purpose, sellAmount + fee);
+    await checkFunds(client, maker, feeToken, fee, add, {
+      balance: 'INSUFFICIENT_FEE_BALANCE',
+      allowance: 'INSUFFICIENT_FEE_ALLOWANCE'
+    }, purpose, sellAmount + fee);
+    if (failures.length === before) {
+      await checkFunds(client, maker, sellToken, sellAmount + fee, add, {
+        balance: 'INSUFFICIENT_BALANCE_FOR_SELL_AND_FEE',
+        allowance: 'INSUFFICIENT_ALLOWANCE_FOR_SELL_AND_FEE'
+      }, purpose);
+    }
+  } else {
+    await checkFunds(client, maker, sellToken, sellAmount, add, {
+      balance: 'INSUFFICIENT_SELL_BALANCE',
+      allowance: 'INSUFFICIENT_SELL_ALLOWANCE'
+    }, 'for the order');
+    await checkFunds(client, maker, feeToken, fee, add, {
+      balance: 'INSUFFICIENT_FEE_BALANCE',
+      allowance: 'INSUFFICIENT_FEE_ALLOWANCE'
+    }, 'for the creation fee');
+  }
+
+  return result(failures);
+}
+
+// Everything that would make `taker` filling the order revert. options:
+// buyAmount for a partial fill (default: all that remains), minSellAmount
+// for a bounded fill and value (default: what OTCClient sends).
+async function validateFillOrder(client, orderId, taker, options = {}) {
+  const { contract, tokens } = client;
+  const { failures, add } = failureList(FILL_ORDER_CHECKS);
+
+  const [paused, raw, timing, now] = await Promise.all([
+    contract.paused(),
+    contract.orders(orderId),
+    client.getTiming(),
+    client._now()
+  ]);
+
+  if (paused) {
+    add('CONTRACT_PAUSED', 'Wait until the contract is unpaused');
+  }
+  if (isEmptyOrder(raw)) {
+    add('ORDER_NOT_FOUND', 'Check the order id; expired orders are removed by cleanup');
+    return result(failures);
+  }
+  if (Number(raw.status) !== OrderStatus.Active) {
+    add('ORDER_NOT_ACTIVE', `The order is already ${ORDER_STATUS[Number(raw.status)].toLowerCase()}`);
+    return result(failures);
+  }
+
+  const order = normalizeOrder(orderId, raw, { ...timing, now });
+  if (order.isExpired) {
+    add('ORDER_EXPIRED', `The order could be filled until ${new Date(order.expiresAt * 1000).toISOString()}`);
+  }
+  if (!order.isPublic && !sameAddress(order.taker, taker)) {
+    add('NOT_AUTHORIZED_TAKER', `Only ${order.taker} can fill this order`);
+  }
+
+  const buyAmount = BigInt(options.buyAmount ?? order.remainingBuyAmount);
+  if (buyAmount <= 0n || buyAmount > order.remainingBuyAmount) {
+    add('INVALID_FILL_AMOUNT', `Pay more than zero and at most ${await tokens.format(order.buyToken, order.remainingBuyAmount)}`);
+  } else if (buyAmount < order.remainingBuyAmount &&
+      (order.remainingSellAmount * buyAmount) / order.remainingBuyAmount === 0n) {
+    // Smallest payment that buys at least one unit of the sell token
+    const minimum = (order.remainingBuyAmount + order.remainingSellAmount - 1n) / order.remainingSellAmount;
+    add('FILL_TOO_SMALL', `Pay at least ${await tokens.format(order.buyToken, minimum)}`);
+  } else if (options.minSellAmount != null && quoteFill(order, buyAmount) < BigInt(options.minSellAmount)) {
+    add('SELL_AMOUNT_BELOW_MINIMUM', `The order now gives ${await tokens.format(order.sellToken, quoteFill(order, buyAmount))}; ` +
+      'check its new price before filling');
+  }
+
+  const nativeBuy = isNativeToken(order.buyToken);
+  const expectedValue = nativeBuy ? buyAmount : 0n;
+  if (BigInt(options.value ?? expectedValue) !== expectedValue) {
+    add('INCORRECT_NATIVE_AMOUNT', nativeBuy
+      ? `Send exactly ${await tokens.format(order.buyToken, buyAmount)} with the fill`
+      : 'Send no native coin with the fill');
+  }
+
+  if (buyAmount > 0n) {
+    await checkFunds(client, taker, order.buyToken, buyAmount, add, {
+      balance: 'INSUFFICIENT_BUY_BALANCE',
+      allowance: 'INSUFFICIENT_BUY_ALLOWANCE'
+    }, 'to pay for the fill');
+  }
+
+  return result(failures);
+}
+
+module.exports = {
+  CREATE_ORDER_CHECKS,
+  FILL_ORDER_CHECKS,
+  OTHER_FAILURES,
+  validateCreateOrder,
+  validateFillOrder
+};
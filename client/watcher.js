@@ -0,0 +1,268 @@
+const { normalizeOrder, isEmptyOrder } = require('./orders');
+
+// Events that change an order, and the update type handlers see for each
+const ORDER_EVENTS = {
+  OrderCreated: 'created',
+  OrderPartiallyFilled: 'partiallyFilled',
+  OrderFilled: 'filled',
+  OrderUpdated: 'updated',
+  OrderCanceled: 'canceled',
+  OrderCleanedUp: 'cleanedUp',
+  RetryOrder: 'retried'
+};
+
+const DEFAULT_POLL_INTERVAL = 4000;
+const DEFAULT_BLOCK_RANGE = 2000;
+const MAX_BACKOFF = 60000;
+// Processed block hashes kept to find where a reorg forked
+const HASH_HISTORY = 64;
+// What nodes answer for a read at a block whose state they no longer keep
+const MISSING_STATE = /missing trie node|pruned|historical state|archive state|state (is )?(not available|unavailable)/i;
+
+function sameAddress(a, b) {
+  return a.toLowerCase() === b.toLowerCase();
+}
+
+// `subject` is an order, or the args of an event whose order is gone. Event
+// args lack the tokens of some events, which then never match a token filter.
+function matchesFilter(filter, subject) {
+  const matches = (value, wanted) => !wanted || (value !== undefined && sameAddress(value, wanted));
+  return matches(subject.maker, filter.makerAddress) &&
+    matches(subject.sellToken, filter.sellToken) &&
+    matches(subject.buyToken, filter.buyToken);
+}
+
+// Streams order changes to a handler. Each round reads the logs of blocks
+// that are `confirmations` deep, so reorgs shallower than that are never
+// seen. Deeper ones are detected by the hash of the last processed block and
+// replayed from where the chains fork. A failed round (for example a dropped
+// connection) is retried with backoff, optionally on a provider from
+// `reconnect`, starting from the last processed block, so nothing is missed.
+//
+// Handlers receive { type, orderId, order, previousOrderId, event }. `order`
+// is the normalised order as of the event's block; for cleanedUp it is the
+// order as it was just before removal. Nodes that prune old state cannot
+// serve those reads, so the order is then read at the latest block instead;
+// if it is gone by then, `order` is null and the filter is matched against
+// the event args. Delivery is at least once: after a
+// failed round or a deep reorg, updates can be repeated, so handlers should
+// treat each one as the latest state of its order rather than as a delta.
+class OrderWatcher {
+  constructor(client, filter, handler, options = {}) {
+    this.client = client;
+    this.filter = filter;
+    this.handler = handler;
+    this.confirmations = options.confirmations || 0;
+    this.pollInterval = options.pollInterval || DEFAULT_POLL_INTERVAL;
+    this.blockRange = options.blockRange || DEFAULT_BLOCK_RANGE;
+    this.onError = options.onError || (() => {});
+    this.reconnect = options.reconnect || null;
+
+    this.contract = client.contract;
+    this.provider = client.provider;
+    this.topics = Object.keys(ORDER_EVENTS).map(name => this.contract.interface.getEvent(name).topicHash);
+    this.lastBlock = options.fromBlock === undefined ? null : options.fromBlock - 1;
+    this.failures = 0;
+
+    this._hashes = [];
+    this._timing = null;
+    this._running = false;
+    this._timer = null;
+    this._polling = null;
+  }
+
+  async start() {
+    if (this.lastBlock === null) {
+      this.lastBlock = await this._confirmedHead();
+      await this._rememberHash(this.lastBlock);
+    }
+    this._running = true;
+    this._schedule(this.pollInterval);
+    return this;
+  }
+
+  // Stops polling. Resolves once a round in progress has finished.
+  async stop() {
+    this._running = false;
+    clearTimeout(this._timer);
+    await this._polling;
+  }
+
+  _schedule(delay) {
+    this._timer = setTimeout(async () => {
+      await this.poll();
+      if (this._running) {
+        const backoff = this.failures > 0 ? Math.min(this.pollInterval * 2 ** this.failures, MAX_BACKOFF) : this.pollInterval;
+        this._schedule(backoff);
+      }
+    }, delay);
+  }
+
+  // Delivers everything confirmed since the last round. Returns the number
+  // of updates handed to the handler, or null if the round failed.
+  poll() {
+    if (!this._polling) {
+      this._polling = this._poll().finally(() => {
+        this._polling = null;
+      });
+    }
+    return this._polling;
+  }
+
+  async _poll() {
+    try {
+      await this._checkReorg();
+      const head = await this._confirmedHead();
+      let delivered = 0;
+      const now = (await this.provider.getBlock('latest')).timestamp;
+
+      for (let from = this.lastBlock + 1; from <= head; from += this.blockRange) {
+        const to = Math.min(from + this.blockRange - 1, head);
+        const logs = await this.provider.getLogs({
+          address: this.contract.target,
+          topics: [this.topics],
+          fromBlock: from,
+          toBlock: to
+        });
+        for (const log of logs) {
+          delivered += await this._deliver(log, now);
+        }
+        this.lastBlock = to;
+        await this._rememberHash(to);
+      }
+
+      this.failures = 0;
+      return delivered;
+    } catch (error) {
+      this.failures++;
+      this.onError(error);
+      await this._reconnect();
+      return null;
+    }
+  }
+
+  async _deliver(log, now) {
+    const event = this.contract.interface.parseLog(log);
+    const args = event.args;
+    const type = ORDER_EVENTS[event.name];
+    const orderId = Number(type === 'retried' ? args.newOrderId : args.orderId);
+
+    // A cleaned up order is gone by the end of its block
+    const blockTag = type === 'cleanedUp' ? log.blockNumber - 1 : log.blockNumber;
+    const [raw, timing] = await Promise.all([
+      this._readOrder(orderId, blockTag),
+      this._getTiming()
+    ]);
+    const order = isEmptyOrder(raw) ? null : normalizeOrder(orderId, raw, { ...timing, now });
+    if (!matchesFilter(this.filter, order || args)) {
+      return 0;
+    }
+
+    try {
+      await this.handler({
+        type,
+        orderId,
+        order,
+        previousOrderId: type === 'retried' ? Number(args.oldOrderId) : null,
+        event: {
+          name: event.name,
+          args,
+          blockNumber: log.blockNumber,
+          blockHash: log.blockHash,
+          transactionHash: log.transactionHash,
+          logIndex: log.index
+        }
+      });
+    } catch (error) {
+      // A failing handler must not stall the stream for everyone else
+      this.onError(error);
+    }
+    return 1;
+  }
+
+  async _readOrder(orderId, blockTag) {
+    try {
+      return await this.contract.orders(orderId, { blockTag });
+    } catch (error) {
+      // Without archive state the historical read fails on every retry, so
+      // settle for the latest state rather than stall the stream. Anything
+      // else fails the round, which is retried.
+      if (!MISSING_STATE.test(error.message)) {
+        throw error;
+      }
+      return this.contract.orders(orderId);
+    }
+  }
+
+  // Read through this.contract rather than the client, whose provider is
+  // the one a reconnect replaces
+  async _getTiming() {
+    if (!this._timing) {
+      const [orderExpiry, gracePeriod] = await Promise.all([
+        this.contract.ORDER_EXPIRY(),
+        this.contract.GRACE_PERIOD()
+      ]);
+      this._timing = {
+        orderExpiry: Number(orderExpiry),
+        gracePeriod: Number(gracePeriod)
+      };
+    }
+    return this._timing;
+  }
+
+  async _confirmedHead() {
+    return (await this.provider.getBlockNumber()) - this.confirmations;
+  }
+
+  async _rememberHash(blockNumber) {
+    if (blockNumber < 0) {
+      return;
+    }
+    const block = await this.provider.getBlock(blockNumber);
+    this._hashes.push({ number: blockNumber, hash: block.hash });
+    if (this._hashes.length > HASH_HISTORY) {
+      this._hashes.shift();
+    }
+  }
+
+  // Rewinds to the newest processed block still on the chain if the last
+  // one has been replaced
+  async _checkReorg() {
+    for (let i = this._hashes.length - 1; i >= 0; i--) {
+      const { number, hash } = this._hashes[i];
+      const block = await this.provider.getBlock(number);
+      if (block && block.hash === hash) {
+        if (i < this._hashes.length - 1) {
+          this.onError(new Error(`Chain reorganised after block ${number}; replaying from block ${number + 1}`));
+          this._hashes.length = i + 1;
+          this.lastBlock = number;
+        }
+        return;
+      }
+    }
+    if (this._hashes.length > 0) {
+      const oldest = this._hashes[0].number;
+      this.onError(new Error(`Chain reorganised before block ${oldest}; replaying from block ${oldest - this.blockRange}`));
+      this._hashes = [];
+      this.lastBlock = Math.max(oldest - this.blockRange, -1);
+    }
+  }
+
+  async _reconnect() {
+    if (!this.reconnect) {
+      return;
+    }
+    try {
+      const runner = await this.reconnect();
+      this.contract = this.contract.connect(runner);
+      this.provider = runner.provider || runner;
+    } catch (error) {
+      this.onError(error);
+    }
+  }
+}
+
+module.exports = {
+  ORDER_EVENTS,
+  OrderWatcher
+};
@@ -0,0 +1,37 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+// Mock token that burns a fee on every transfer, for testing escrow accounting
+contract FeeOnTransferToken is ERC20 {
+    uint256 public feeBasisPoints;
+
+    constructor(uint256 _feeBasisPoints) ERC20("Fee Token", "FOT") {
+        feeBasisPoints = _feeBasisPoints;
+        _mint(msg.sender, 1000000 * 10**decimals());
+    }
+
+    function setFee(uint256 _feeBasisPoints) public {
+        feeBasisPoints = _feeBasisPoints;
+    }
+
+    function mint(address to, uint256 amount) public {
+        _mint(to, amount);
+    }
+
+    // Shrinks a holder's balance the way a negative rebase would
+    function rebaseDown(address account, uint256 amount) public {
+        _burn(account, amount);
+    }
+
+    function _update(address from, address to, uint256 amount) internal virtual override {
+        if (from == address(0) || to == address(0) || feeBasisPoints == 0) {
+            super._update(from, to, amount);
+            return;
+        }
+        uint256 fee = (amount * feeBasisPoints) / 10000;
+        super._update(from, address(0), fee);
+        super._update(from, to, amount - fee);
+    }
+}
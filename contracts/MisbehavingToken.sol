@@ -6,6 +6,9 @@ import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Pausable.sol";
 import "@openzeppelin/contracts/access/Ownable.sol";
 
 contract MisbehavingToken is ERC20Pausable, Ownable {
+    // When set, balanceOf reverts with this reason
+    string public revertReason;
+
     constructor() ERC20("Pausable Token", "PTKN") Ownable(msg.sender) {
         _mint(msg.sender, 1000000 * 10**decimals());
     }
@@ -21,4 +24,13 @@ contract MisbehavingToken is ERC20Pausable, Ownable {
     function unpause() public onlyOwner {
         _unpause();
     }
+
+    function setRevertReason(string memory reason) public onlyOwner {
+        revertReason = reason;
+    }
+
+    function balanceOf(address account) public view override returns (uint256) {
+        require(bytes(revertReason).length == 0, revertReason);
+        return super.balanceOf(account);
+    }
 }
@@ -1,162 +1,31 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.20;
 
-import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
 import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
-import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
-import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
+import "@openzeppelin/contracts/utils/cryptography/SignatureChecker.sol";
+import "./OTCSwapStorage.sol";
+import "./OTCSwapAdmin.sol";
 
-contract OTCSwap is ReentrancyGuard, Ownable {
+contract OTCSwap is OTCSwapStorage {
     using SafeERC20 for IERC20;
 
-    uint256 public constant ORDER_EXPIRY = 7 days;
-    uint256 public constant GRACE_PERIOD = 7 days;
-    uint256 public constant MAX_RETRY_ATTEMPTS = 10;
-
-    address public feeToken;
-    uint256 public orderCreationFeeAmount;
-    uint256 public accumulatedFees;
-    uint256 public firstOrderId;
-    uint256 public nextOrderId;
-    bool public isDisabled;
-    address public liberdusToken;
-    
-    mapping(address => bool) public allowedTokens;
-    address[] public allowedTokensList;
-
-    enum OrderStatus {
-        Active,     // Order is active and can be filled
-        Filled,     // Order was filled
-        Canceled    // Order was canceled by maker
-    }
-
-    struct Order {
-        address maker;
-        address taker;  // address(0) if open to anyone
-        address sellToken;
-        uint256 sellAmount;
-        address buyToken;
-        uint256 buyAmount;
-        uint256 timestamp;
-        OrderStatus status;
-        address feeToken;
-        uint256 orderCreationFee;  // Fee paid when order was created
-        uint256 tries;             // Number of cleanup attempts
-    }
-
-    mapping(uint256 => Order) public orders;
-
-    event OrderCreated(
-        uint256 indexed orderId,
-        address indexed maker,
-        address indexed taker,
-        address sellToken,
-        uint256 sellAmount,
-        address buyToken,
-        uint256 buyAmount,
-        uint256 timestamp,
-        address feeToken,
-        uint256 orderCreationFee
-    );
-
-    event OrderFilled(
-        uint256 indexed orderId,
-        address indexed maker,
-        address indexed taker,
-        address sellToken,
-        uint256 sellAmount,
-        address buyToken,
-        uint256 buyAmount,
-        uint256 timestamp
-    );
-
-    event OrderCanceled(
-        uint256 indexed orderId,
-        address indexed maker,
-        uint256 timestamp
-    );
-
-    event OrderCleanedUp(
-        uint256 indexed orderId,
-        address indexed maker,
-        uint256 timestamp
-    );
-
-    event RetryOrder(
-        uint256 indexed oldOrderId,
-        uint256 indexed newOrderId,
-        address indexed maker,
-        uint256 tries,
-        uint256 timestamp
-    );
-
-    event CleanupFeesDistributed(
-        address indexed recipient,
-        address indexed feeToken,
-        uint256 amount,
-        uint256 timestamp
-    );
-
-    event CleanupError(
-        uint256 indexed orderId,
-        string reason,
-        uint256 timestamp
-    );
-
-    event ContractDisabled(
-        address indexed owner,
-        uint256 timestamp
-    );
-
-    event TransferError(
-        uint256 indexed orderId,
-        string tokenType,
-        string reason,
-        uint256 timestamp
-    );
-
-    event TokenTransferAttempt(
-        uint256 indexed orderId,
-        bool success,
-        bytes returnData,
-        uint256 fromBalance,
-        uint256 toBalance,
-        uint256 timestamp
-    );
-
-    event FeeConfigUpdated(
-        address indexed feeToken,
-        uint256 feeAmount,
-        uint256 timestamp
-    );
-
-    event AllowedTokensUpdated(
-        address[] tokens,
-        bool[] allowed,
-        uint256 timestamp
-    );
-
-    event LiberdusTokenUpdated(
-        address indexed oldToken,
-        address indexed newToken,
-        uint256 timestamp
-    );
-
-    modifier validOrder(uint256 orderId) {
-        require(orders[orderId].maker != address(0), "Order does not exist");
-        require(orders[orderId].status == OrderStatus.Active, "Order is not active");
-        _;
-    }
-
-    constructor(address _feeToken, uint256 _feeAmount, address[] memory _allowedTokens, address _liberdusToken) Ownable(msg.sender) {
-        require(_feeToken != address(0), "Invalid fee token");
+    // Deployed by the constructor; holds the code of the admin and cleanup functions
+    address public immutable adminModule;
+
+    constructor(address _feeToken, uint256 _feeAmount, address[] memory _allowedTokens, address _liberdusToken) {
+        require(_feeToken != address(0) && _feeToken != NATIVE_TOKEN, "Invalid fee token");
         require(_feeAmount > 0, "Invalid fee amount");
         require(_allowedTokens.length > 0, "Must specify allowed tokens");
         require(_liberdusToken != address(0), "Invalid Liberdus token");
         
         feeToken = _feeToken;
         orderCreationFeeAmount = _feeAmount;
+        feeTokensList.push(_feeToken);
         liberdusToken = _liberdusToken;
+        anchorTokens[_liberdusToken] = true;
+        anchorTokensList.push(_liberdusToken);
+        feeRecipient = msg.sender;
         
         // Initialize allowed tokens
         for (uint256 i = 0; i < _allowedTokens.length; i++) {
@@ -165,58 +34,67 @@ contract OTCSwap is ReentrancyGuard, Ownable {
             allowedTokensList.push(_allowedTokens[i]);
         }
         
-        emit FeeConfigUpdated(_feeToken, _feeAmount, block.timestamp);
-    }
+        adminModule = address(new OTCSwapAdmin());
 
-    function updateLiberdusToken(address _liberdusToken) external onlyOwner {
-        require(_liberdusToken != address(0), "Invalid Liberdus token");
-        address oldToken = liberdusToken;
-        liberdusToken = _liberdusToken;
-        emit LiberdusTokenUpdated(oldToken, _liberdusToken, block.timestamp);
-    }
-
-    function updateFeeConfig(address _feeToken, uint256 _feeAmount) external onlyOwner {
-        require(_feeToken != address(0), "Invalid fee token");
-        require(_feeAmount > 0, "Invalid fee amount");
-        feeToken = _feeToken;
-        orderCreationFeeAmount = _feeAmount;
         emit FeeConfigUpdated(_feeToken, _feeAmount, block.timestamp);
     }
 
-    function disableContract() external onlyOwner {
-        require(!isDisabled, "Contract already disabled");
-        isDisabled = true;
-        emit ContractDisabled(msg.sender, block.timestamp);
+    // Admin functions are implemented in OTCSwapAdmin; see there for details
+    function updateLiberdusToken(address /* _liberdusToken */) external { _delegateToAdmin(); }
+    function updateFeeConfig(address /* _feeToken */, uint256 /* _feeAmount */) external { _delegateToAdmin(); }
+    function updateProtocolFees(uint256 /* _takerFeeBps */, uint256 /* _makerFeeBps */, address /* _feeRecipient */) external { _delegateToAdmin(); }
+    function withdrawProtocolFees(address /* token */) external { _delegateToAdmin(); }
+    function updateOrderExpiryBounds(uint256 /* _minOrderExpiry */, uint256 /* _maxOrderExpiry */) external { _delegateToAdmin(); }
+    function disableContract() external { _delegateToAdmin(); }
+    function pause() external { _delegateToAdmin(); }
+    function unpause() external { _delegateToAdmin(); }
+    function setEmergencyMode(bool /* enabled */) external { _delegateToAdmin(); }
+    function rescueTokens(address /* token */, address /* recipient */, uint256 /* amount */) external { _delegateToAdmin(); }
+    function updateAllowedTokens(address[] calldata /* tokens */, bool[] calldata /* allowed */) external { _delegateToAdmin(); }
+    function updateAnchorTokens(address[] calldata /* tokens */, bool[] calldata /* anchor */) external { _delegateToAdmin(); }
+    function setPairEnabled(address /* tokenA */, address /* tokenB */, bool /* enabled */) external { _delegateToAdmin(); }
+    function updateMinOrderSize(address /* token */, uint256 /* _minOrderSize */) external { _delegateToAdmin(); }
+
+    // So is cleanup of expired orders
+    function cleanupExpiredOrders() external { _delegateToAdmin(); }
+    function cleanupExpiredOrders(uint256 /* maxOrders */) external { _delegateToAdmin(); }
+    function cleanupExpiredOrdersFrom(uint256 /* startOrderId */, uint256 /* maxOrders */) external { _delegateToAdmin(); }
+    function attemptTransfer(IERC20 /* token */, address /* to */, uint256 /* amount */) external { _delegateToAdmin(); }
+
+    // And updateOrder, which would not fit here
+    function updateOrder(uint256, uint256, uint256, uint256, uint256, address) external payable { _delegateToAdmin(); }
+
+    // Runs the current call in OTCSwapAdmin against this contract's storage
+    // and returns or reverts with its result
+    function _delegateToAdmin() internal {
+        address module = adminModule;
+        assembly ("memory-safe") {
+            let ptr := mload(0x40)
+            calldatacopy(ptr, 0, calldatasize())
+            let result := delegatecall(gas(), module, ptr, calldatasize(), 0, 0)
+            returndatacopy(ptr, 0, returndatasize())
+            if iszero(result) {
+                revert(ptr, returndatasize())
+            }
+            return(ptr, returndatasize())
+        }
     }
 
-    function updateAllowedTokens(address[] memory tokens, bool[] memory allowed) external onlyOwner {
-        require(tokens.length == allowed.length, "Arrays length mismatch");
-        require(tokens.length > 0, "Empty arrays");
-        
+    // Creation fees still held for cleanup rewards, for every fee token used so far
+    function getAccumulatedFees() external view returns (address[] memory tokens, uint256[] memory amounts) {
+        tokens = feeTokensList;
+        amounts = new uint256[](tokens.length);
         for (uint256 i = 0; i < tokens.length; i++) {
-            require(tokens[i] != address(0), "Invalid token address");
-            
-            if (allowed[i] && !allowedTokens[tokens[i]]) {
-                // Adding new token
-                allowedTokens[tokens[i]] = true;
-                allowedTokensList.push(tokens[i]);
-            } else if (!allowed[i] && allowedTokens[tokens[i]]) {
-                // Removing existing token
-                allowedTokens[tokens[i]] = false;
-                _removeFromAllowedTokensList(tokens[i]);
-            }
+            amounts[i] = accumulatedFees[tokens[i]];
         }
-        
-        emit AllowedTokensUpdated(tokens, allowed, block.timestamp);
     }
 
-    function _removeFromAllowedTokensList(address tokenToRemove) internal {
-        for (uint256 i = 0; i < allowedTokensList.length; i++) {
-            if (allowedTokensList[i] == tokenToRemove) {
-                allowedTokensList[i] = allowedTokensList[allowedTokensList.length - 1];
-                allowedTokensList.pop();
-                break;
-            }
+    // Protocol fees still to withdraw, for every token one was charged in
+    function getProtocolFeeBalances() external view returns (address[] memory tokens, uint256[] memory amounts) {
+        tokens = protocolFeeTokensList;
+        amounts = new uint256[](tokens.length);
+        for (uint256 i = 0; i < tokens.length; i++) {
+            amounts[i] = protocolFeeBalances[tokens[i]];
         }
     }
 
@@ -228,34 +106,125 @@ contract OTCSwap is ReentrancyGuard, Ownable {
         return allowedTokensList.length;
     }
 
+    function getAnchorTokens() external view returns (address[] memory) {
+        return anchorTokensList;
+    }
+
+    // Every pair an order can currently be created for: an allowed anchor
+    // token and another allowed token, minus disabled pairs. Either token of
+    // a pair can be the sell token. Pairs of two anchors are listed once.
+    function getTradablePairs() external view returns (address[] memory anchors, address[] memory tokens) {
+        anchors = new address[](anchorTokensList.length * allowedTokensList.length);
+        tokens = new address[](anchors.length);
+        uint256 count = 0;
+
+        for (uint256 i = 0; i < anchorTokensList.length; i++) {
+            address anchor = anchorTokensList[i];
+            if (!allowedTokens[anchor]) {
+                continue;
+            }
+            for (uint256 j = 0; j < allowedTokensList.length; j++) {
+                address token = allowedTokensList[j];
+                if (token == anchor || pairDisabled[anchor][token] || (anchorTokens[token] && token < anchor)) {
+                    continue;
+                }
+                anchors[count] = anchor;
+                tokens[count] = token;
+                count++;
+            }
+        }
+
+        // Trim both arrays to the pairs found
+        assembly ("memory-safe") {
+            mstore(anchors, count)
+            mstore(tokens, count)
+        }
+    }
+
+    // Active orders, including expired ones that have not been cleaned up.
+    // Removing an order moves the last one into its place, so pages can
+    // shift between calls. total is the number of orders in the index.
+    function getActiveOrders(uint256 offset, uint256 limit) external view returns (OrderDetails[] memory, uint256 total) {
+        return _getOrderPage(activeOrders, offset, limit);
+    }
+
+    function getOrdersByMaker(address maker, uint256 offset, uint256 limit) external view returns (OrderDetails[] memory, uint256 total) {
+        return _getOrderPage(makerOrders[maker], offset, limit);
+    }
+
+    function getOrdersByPair(address sellToken, address buyToken, uint256 offset, uint256 limit) external view returns (OrderDetails[] memory, uint256 total) {
+        return _getOrderPage(pairOrders[sellToken][buyToken], offset, limit);
+    }
+
+    function _getOrderPage(OrderIndex storage index, uint256 offset, uint256 limit) internal view returns (OrderDetails[] memory page, uint256 total) {
+        total = index.ids.length;
+        // Capped before adding to offset, so any limit is safe
+        if (offset > total) offset = total;
+        if (limit > total - offset) limit = total - offset;
+        page = new OrderDetails[](limit);
+
+        for (uint256 i = 0; i < limit; i++) {
+            uint256 orderId = index.ids[offset + i];
+            Order memory order = orders[orderId];
+            uint256 expiresAt = order.timestamp + order.expiry;
+            page[i] = OrderDetails(orderId, order, expiresAt, !paused && block.timestamp <= expiresAt);
+        }
+    }
+
     function createOrder(
         address taker,
         address sellToken,
         uint256 sellAmount,
         address buyToken,
         uint256 buyAmount
-    ) external nonReentrant returns (uint256) {
+    ) external payable nonReentrant whenNotPaused returns (uint256) {
+        return _createOrder(taker, sellToken, sellAmount, buyToken, buyAmount, ORDER_EXPIRY);
+    }
+
+    // Creates an order that can be filled for `expiry` seconds, which must lie
+    // within [minOrderExpiry, maxOrderExpiry]
+    function createOrder(
+        address taker,
+        address sellToken,
+        uint256 sellAmount,
+        address buyToken,
+        uint256 buyAmount,
+        uint256 expiry
+    ) external payable nonReentrant whenNotPaused returns (uint256) {
+        return _createOrder(taker, sellToken, sellAmount, buyToken, buyAmount, expiry);
+    }
+
+    function _createOrder(
+        address taker,
+        address sellToken,
+        uint256 sellAmount,
+        address buyToken,
+        uint256 buyAmount,
+        uint256 expiry
+    ) internal returns (uint256) {
         require(!isDisabled, "Contract is disabled");
         require(sellToken != address(0), "Invalid sell token");
         require(buyToken != address(0), "Invalid buy token");
         require(sellAmount > 0, "Invalid sell amount");
         require(buyAmount > 0, "Invalid buy amount");
         require(sellToken != buyToken, "Cannot swap same token");
-        require(allowedTokens[sellToken], "Sell token not allowed");
-        require(allowedTokens[buyToken], "Buy token not allowed");
-        require(
-            sellToken == liberdusToken || buyToken == liberdusToken,
-            "Either buy or sell token must be Liberdus token"
-        );
+        _checkPair(sellToken, sellAmount, buyToken, buyAmount);
+        require(expiry >= minOrderExpiry && expiry <= maxOrderExpiry, "Invalid expiry");
 
-        require(
-            IERC20(sellToken).balanceOf(msg.sender) >= sellAmount,
-            "Insufficient balance for sell token"
-        );
-        require(
-            IERC20(sellToken).allowance(msg.sender, address(this)) >= sellAmount,
-            "Insufficient allowance for sell token"
-        );
+        // Native coin is escrowed through msg.value instead of an allowance
+        bool nativeSell = sellToken == NATIVE_TOKEN;
+        require(msg.value == (nativeSell ? sellAmount : 0), "Incorrect native amount");
+
+        if (!nativeSell) {
+            require(
+                IERC20(sellToken).balanceOf(msg.sender) >= sellAmount,
+                "Insufficient balance for sell token"
+            );
+            require(
+                IERC20(sellToken).allowance(msg.sender, address(this)) >= sellAmount,
+                "Insufficient allowance for sell token"
+            );
+        }
         require(
             IERC20(feeToken).balanceOf(msg.sender) >= orderCreationFeeAmount,
             "Insufficient balance for fee"
@@ -264,17 +233,17 @@ contract OTCSwap is ReentrancyGuard, Ownable {
             IERC20(feeToken).allowance(msg.sender, address(this)) >= orderCreationFeeAmount,
             "Insufficient allowance for fee"
         );
-        require(
-            IERC20(sellToken).allowance(msg.sender, address(this)) >= sellAmount,
-            "Insufficient allowance for sell token"
-        );
 
         // Transfer fee token
         IERC20(feeToken).safeTransferFrom(msg.sender, address(this), orderCreationFeeAmount);
-        accumulatedFees += orderCreationFeeAmount;
+        accumulatedFees[feeToken] += orderCreationFeeAmount;
 
         // Transfer sell token
-        IERC20(sellToken).safeTransferFrom(msg.sender, address(this), sellAmount);
+        if (nativeSell) {
+            escrowedBalances[NATIVE_TOKEN] += sellAmount;
+        } else {
+            _depositEscrow(sellToken, sellAmount);
+        }
 
         uint256 orderId = nextOrderId++;
 
@@ -289,8 +258,12 @@ contract OTCSwap is ReentrancyGuard, Ownable {
             status: OrderStatus.Active,
             feeToken: feeToken,
             orderCreationFee: orderCreationFeeAmount,
-            tries: 0
+            tries: 0,
+            remainingSellAmount: sellAmount,
+            remainingBuyAmount: buyAmount,
+            expiry: expiry
         });
+        _indexOrder(orderId);
 
         emit OrderCreated(
             orderId,
@@ -302,17 +275,90 @@ contract OTCSwap is ReentrancyGuard, Ownable {
             buyAmount,
             block.timestamp,
             feeToken,
-            orderCreationFeeAmount
+            orderCreationFeeAmount,
+            expiry
         );
 
         return orderId;
     }
 
-    function fillOrder(uint256 orderId) external nonReentrant validOrder(orderId) {
+    // createOrder with EIP-2612 permits for the sell and fee tokens in place
+    // of approvals
+    function createOrderWithPermit(
+        address taker,
+        address sellToken,
+        uint256 sellAmount,
+        address buyToken,
+        uint256 buyAmount,
+        uint256 expiry,
+        Permit[] calldata permits
+    ) external payable nonReentrant whenNotPaused returns (uint256) {
+        _usePermits(permits);
+        return _createOrder(taker, sellToken, sellAmount, buyToken, buyAmount, expiry);
+    }
+
+    // Checks that a new order trades an enabled pair of allowed tokens, one
+    // of them an anchor, in amounts no smaller than each token's minimum.
+    // The anchor message predates anchor tokens and is kept for integrators.
+    function _checkPair(address sellToken, uint256 sellAmount, address buyToken, uint256 buyAmount) internal view {
+        require(allowedTokens[sellToken], "Sell token not allowed");
+        require(allowedTokens[buyToken], "Buy token not allowed");
+        require(
+            anchorTokens[sellToken] || anchorTokens[buyToken],
+            "Either buy or sell token must be Liberdus token"
+        );
+        require(!pairDisabled[sellToken][buyToken], "Pair disabled");
+        require(
+            sellAmount >= minOrderSize[sellToken] && buyAmount >= minOrderSize[buyToken],
+            "Order below minimum size"
+        );
+    }
+
+    function fillOrder(uint256 orderId) external payable nonReentrant whenNotPaused validOrder(orderId) {
+        _fillOrder(orderId, orders[orderId].remainingBuyAmount, 0);
+    }
+
+    // Fills part of an order. The taker pays buyAmount of the buy token and
+    // receives the pro-rata share of the remaining sell tokens, rounded down
+    // in the maker's favor. The order stays Active until nothing remains.
+    function fillOrderPartial(uint256 orderId, uint256 buyAmount) external payable nonReentrant whenNotPaused validOrder(orderId) {
+        _fillOrder(orderId, buyAmount, 0);
+    }
+
+    // fillOrderPartial that reverts unless the taker gets at least
+    // minSellAmount (before protocol fees). Makers can reprice an order with
+    // updateOrder while a fill is pending, so this is the fill that bounds
+    // the price; paying all that remains fills the whole order.
+    function fillOrderPartial(uint256 orderId, uint256 buyAmount, uint256 minSellAmount)
+        external payable nonReentrant whenNotPaused validOrder(orderId)
+    {
+        _fillOrder(orderId, buyAmount, minSellAmount);
+    }
+
+    // The bounded fillOrderPartial with an EIP-2612 permit for the buy token
+    // in place of an approval
+    function fillOrderWithPermit(uint256 orderId, uint256 buyAmount, uint256 minSellAmount, Permit[] calldata permits)
+        external payable nonReentrant whenNotPaused validOrder(orderId)
+    {
+        _usePermits(permits);
+        _fillOrder(orderId, buyAmount, minSellAmount);
+    }
+
+    // A permit that fails is skipped: anyone who saw it in the mempool can
+    // submit it first, which sets the same allowance. The allowance checks
+    // that follow still catch a permit that was really invalid.
+    function _usePermits(Permit[] calldata permits) internal {
+        for (uint256 i = 0; i < permits.length; i++) {
+            Permit calldata p = permits[i];
+            try IERC20Permit(p.token).permit(msg.sender, address(this), p.value, p.deadline, p.v, p.r, p.s) {} catch {}
+        }
+    }
+
+    function _fillOrder(uint256 orderId, uint256 buyAmount, uint256 minSellAmount) internal {
         Order storage order = orders[orderId];
 
         require(
-            block.timestamp <= order.timestamp + ORDER_EXPIRY,
+            block.timestamp <= order.timestamp + order.expiry,
             "Order has expired"
         );
         require(
@@ -320,31 +366,70 @@ contract OTCSwap is ReentrancyGuard, Ownable {
             "Not authorized to fill this order"
         );
         require(
-            IERC20(order.buyToken).balanceOf(msg.sender) >= order.buyAmount,
-            "Insufficient balance for buy token"
-        );
-        require(
-            IERC20(order.buyToken).allowance(msg.sender, address(this)) >= order.buyAmount,
-            "Insufficient allowance for buy token"
+            buyAmount > 0 && buyAmount <= order.remainingBuyAmount,
+            "Invalid fill amount"
         );
 
-        // Update order status first
-        order.status = OrderStatus.Filled;
+        uint256 sellAmount = buyAmount == order.remainingBuyAmount
+            ? order.remainingSellAmount
+            : (order.remainingSellAmount * buyAmount) / order.remainingBuyAmount;
+        require(sellAmount > 0, "Fill amount too small");
+        require(sellAmount >= minSellAmount, "Sell amount below minimum");
+
+        // Native coin is paid through msg.value instead of an allowance
+        bool nativeBuy = order.buyToken == NATIVE_TOKEN;
+        require(msg.value == (nativeBuy ? buyAmount : 0), "Incorrect native amount");
+
+        if (!nativeBuy) {
+            require(
+                IERC20(order.buyToken).balanceOf(msg.sender) >= buyAmount,
+                "Insufficient balance for buy token"
+            );
+            require(
+                IERC20(order.buyToken).allowance(msg.sender, address(this)) >= buyAmount,
+                "Insufficient allowance for buy token"
+            );
+        }
+
+        // Update order state first
+        order.remainingSellAmount -= sellAmount;
+        order.remainingBuyAmount -= buyAmount;
+        _releaseEscrow(order.sellToken, sellAmount);
+        if (order.remainingBuyAmount == 0) {
+            order.status = OrderStatus.Filled;
+            _unindexOrder(orderId);
+        }
+
+        // Protocol fees stay in the contract, out of the amounts each side receives
+        uint256 makerFee = _accrueProtocolFee(orderId, order.buyToken, order.maker, buyAmount, makerFeeBps);
+        uint256 takerFee = _accrueProtocolFee(orderId, order.sellToken, msg.sender, sellAmount, takerFeeBps);
 
         // First transfer: buyToken from buyer to maker (using transferFrom)
-        try this.externalTransferFrom(IERC20(order.buyToken), msg.sender, order.maker, order.buyAmount) {
-            // Second transfer: sellToken from contract to buyer
-            try this.externalTransfer(IERC20(order.sellToken), msg.sender, order.sellAmount) {
-                emit OrderFilled(
-                    orderId,
-                    order.maker,
-                    msg.sender,
-                    order.sellToken,
-                    order.sellAmount,
-                    order.buyToken,
-                    order.buyAmount,
-                    block.timestamp
-                );
+        if (nativeBuy) {
+            _sendNative(order.maker, buyAmount - makerFee);
+        } else {
+            if (makerFee > 0) {
+                _pullExact(order.buyToken, makerFee);
+            }
+            try this.externalTransferFrom(IERC20(order.buyToken), msg.sender, order.maker, buyAmount - makerFee) {
+            } catch Error(string memory reason) {
+                // Revert order status since first transfer failed
+                order.status = OrderStatus.Active;
+                emit TransferError(orderId, "buyToken", reason, block.timestamp);
+                revert(string(abi.encodePacked("Buy token transfer failed: ", reason)));
+            } catch (bytes memory) {
+                // Revert order status since first transfer failed
+                order.status = OrderStatus.Active;
+                emit TransferError(orderId, "buyToken", "Unknown error", block.timestamp);
+                revert("Buy token transfer failed with unknown error");
+            }
+        }
+
+        // Second transfer: sellToken from contract to buyer
+        if (order.sellToken == NATIVE_TOKEN) {
+            _sendNative(msg.sender, sellAmount - takerFee);
+        } else {
+            try this.externalTransfer(IERC20(order.sellToken), msg.sender, sellAmount - takerFee) {
             } catch Error(string memory reason) {
                 // Revert order status since second transfer failed
                 order.status = OrderStatus.Active;
@@ -356,17 +441,65 @@ contract OTCSwap is ReentrancyGuard, Ownable {
                 emit TransferError(orderId, "sellToken", "Unknown error", block.timestamp);
                 revert("Sell token transfer failed with unknown error");
             }
-        } catch Error(string memory reason) {
-            // Revert order status since first transfer failed
-            order.status = OrderStatus.Active;
-            emit TransferError(orderId, "buyToken", reason, block.timestamp);
-            revert(string(abi.encodePacked("Buy token transfer failed: ", reason)));
-        } catch (bytes memory) {
-            // Revert order status since first transfer failed
-            order.status = OrderStatus.Active;
-            emit TransferError(orderId, "buyToken", "Unknown error", block.timestamp);
-            revert("Buy token transfer failed with unknown error");
         }
+
+        if (order.status == OrderStatus.Filled) {
+            emit OrderFilled(
+                orderId,
+                order.maker,
+                msg.sender,
+                order.sellToken,
+                sellAmount,
+                order.buyToken,
+                buyAmount,
+                block.timestamp
+            );
+        } else {
+            emit OrderPartiallyFilled(
+                orderId,
+                order.maker,
+                msg.sender,
+                sellAmount,
+                buyAmount,
+                order.remainingSellAmount,
+                order.remainingBuyAmount,
+                block.timestamp
+            );
+        }
+    }
+
+    // Books the protocol fee on a fill leg and returns it. Rounds down, so
+    // tiny fills pay nothing.
+    function _accrueProtocolFee(
+        uint256 orderId,
+        address token,
+        address payer,
+        uint256 amount,
+        uint256 feeBps
+    ) internal returns (uint256 fee) {
+        fee = (amount * feeBps) / 10000;
+        if (fee > 0) {
+            protocolFeeBalances[token] += fee;
+            if (!isProtocolFeeToken[token]) {
+                isProtocolFeeToken[token] = true;
+                protocolFeeTokensList.push(token);
+            }
+            emit ProtocolFeeAccrued(orderId, token, payer, fee, block.timestamp);
+        }
+    }
+
+    // Claims native coin that could not be delivered, sending it to a
+    // recipient of the caller's choice
+    function withdrawNative(address payable recipient) external nonReentrant {
+        uint256 amount = pendingNativeWithdrawals[msg.sender];
+        require(amount > 0, "Nothing to withdraw");
+        pendingNativeWithdrawals[msg.sender] = 0;
+        totalPendingNativeWithdrawals -= amount;
+
+        (bool success, ) = recipient.call{value: amount}("");
+        require(success, "Native transfer failed");
+
+        emit NativeWithdrawn(msg.sender, recipient, amount, block.timestamp);
     }
 
     // Public function to enable try/catch for external transfers
@@ -385,160 +518,117 @@ contract OTCSwap is ReentrancyGuard, Ownable {
         Order storage order = orders[orderId];
         require(order.maker == msg.sender, "Only maker can cancel order");
         require(
-            block.timestamp <= order.timestamp + ORDER_EXPIRY + GRACE_PERIOD,
+            emergencyMode || block.timestamp <= order.timestamp + order.expiry + GRACE_PERIOD,
             "Grace period has expired"
         );
 
         // Update order status first
         order.status = OrderStatus.Canceled;
+        _unindexOrder(orderId);
+        uint256 refund = _releaseEscrow(order.sellToken, order.remainingSellAmount);
 
-        // Then return sell tokens to maker
-        IERC20(order.sellToken).safeTransfer(msg.sender, order.sellAmount);
+        // Then return the unfilled sell tokens to maker
+        if (order.sellToken == NATIVE_TOKEN) {
+            _sendNative(msg.sender, refund);
+        } else {
+            IERC20(order.sellToken).safeTransfer(msg.sender, refund);
+        }
 
         emit OrderCanceled(orderId, msg.sender, block.timestamp);
     }
 
-    function _handleFailedCleanup(
-        uint256 orderId,
-        Order storage order,
-        string memory reason
-    ) internal returns (uint256, address) {
-        emit CleanupError(orderId, reason, block.timestamp);
-
-        // If max retries reached, delete order and distribute fee
-        if (order.tries >= MAX_RETRY_ATTEMPTS) {
-            emit CleanupError(orderId, "Max retries reached", block.timestamp);
-            address feeTokenAddress = order.feeToken;
-            uint256 feeAmount = order.orderCreationFee;
-            delete orders[orderId];
-            return (feeAmount, feeTokenAddress);
-        } else {
-            // check if order.maker is not a zero address
-            require(order.maker != address(0), "Order maker is zero address in cleanup");
-
-            // Create a deep copy of the order in memory before modifying it
-            Order memory tempOrder = Order({
-                maker: order.maker,
-                sellToken: order.sellToken,
-                buyToken: order.buyToken,
-                sellAmount: order.sellAmount,
-                buyAmount: order.buyAmount,
-                tries: order.tries + 1,
-                status: OrderStatus.Active,
-                timestamp: block.timestamp,
-                taker: order.taker,
-                feeToken: order.feeToken,
-                orderCreationFee: order.orderCreationFee
-            });
-            require(tempOrder.maker != address(0), "tempOrder maker is zero address in cleanup");
-
-            // Create new order with incremented tries
-            uint256 newOrderId = nextOrderId++;
-            orders[newOrderId] = tempOrder;
-
-            require(orders[newOrderId].maker != address(0), "orders[newOrderId] maker is zero address in cleanup");
-
-            emit RetryOrder(
-                orderId,
-                newOrderId,
-                orders[newOrderId].maker,
-                orders[newOrderId].tries,
-                block.timestamp
-            );
-
-            delete orders[orderId];
-
-            return (0, address(0));
-        }
+    // EIP-712 digest the maker signs for a signed order
+    function hashSignedOrder(SignedOrder calldata order) public view returns (bytes32) {
+        return _hashTypedDataV4(keccak256(abi.encode(
+            SIGNED_ORDER_TYPEHASH,
+            order.maker,
+            order.taker,
+            order.sellToken,
+            order.sellAmount,
+            order.buyToken,
+            order.buyAmount,
+            order.nonce,
+            order.expiry
+        )));
     }
 
-    function cleanupExpiredOrders() external nonReentrant {
-        require(firstOrderId < nextOrderId, "No orders to clean up");
+    // Fills an order signed off-chain by its maker. The maker pays no creation
+    // fee and escrows nothing, so there is nothing to clean up afterwards;
+    // the order is filled in full or not at all.
+    function fillSignedOrder(SignedOrder calldata order, bytes calldata signature) external nonReentrant whenNotPaused {
+        require(!isDisabled, "Contract is disabled");
+        require(block.timestamp <= order.expiry, "Order has expired");
+        require(
+            order.taker == address(0) || order.taker == msg.sender,
+            "Not authorized to fill this order"
+        );
+        require(order.sellAmount > 0, "Invalid sell amount");
+        require(order.buyAmount > 0, "Invalid buy amount");
+        require(order.sellToken != order.buyToken, "Cannot swap same token");
+        // Native coin cannot be pulled from the maker with an allowance
+        require(
+            order.sellToken != NATIVE_TOKEN && order.buyToken != NATIVE_TOKEN,
+            "Native coin not supported for signed orders"
+        );
+        _checkPair(order.sellToken, order.sellAmount, order.buyToken, order.buyAmount);
+        require(
+            order.nonce >= minSignedOrderNonce[order.maker] && !signedOrderNonceUsed[order.maker][order.nonce],
+            "Order nonce already used"
+        );
 
-        Order storage order = orders[firstOrderId];
+        bytes32 orderHash = hashSignedOrder(order);
+        require(
+            SignatureChecker.isValidSignatureNow(order.maker, orderHash, signature),
+            "Invalid signature"
+        );
 
-        // Skip empty orders
-        if (order.maker == address(0)) {
-            firstOrderId++;
-            return;
-        }
+        require(
+            IERC20(order.sellToken).balanceOf(order.maker) >= order.sellAmount,
+            "Insufficient maker balance for sell token"
+        );
+        require(
+            IERC20(order.sellToken).allowance(order.maker, address(this)) >= order.sellAmount,
+            "Insufficient maker allowance for sell token"
+        );
+        require(
+            IERC20(order.buyToken).balanceOf(msg.sender) >= order.buyAmount,
+            "Insufficient balance for buy token"
+        );
+        require(
+            IERC20(order.buyToken).allowance(msg.sender, address(this)) >= order.buyAmount,
+            "Insufficient allowance for buy token"
+        );
 
-        uint256 feesToDistribute = 0;
-        address currentFeeToken;
-
-        // Check if grace period has passed
-        if (block.timestamp > order.timestamp + ORDER_EXPIRY + GRACE_PERIOD) {
-            // Only attempt token transfer for Active orders
-            if (order.status == OrderStatus.Active) {
-                IERC20 token = IERC20(order.sellToken);
-
-                bool transferSuccess;
-                try this.attemptTransfer(token, order.maker, order.sellAmount) {
-                    transferSuccess = true;
-                } catch Error(string memory reason) {
-                    transferSuccess = false;
-                    emit CleanupError(firstOrderId, reason, block.timestamp);
-                } catch (bytes memory) {
-                    transferSuccess = false;
-                    emit CleanupError(firstOrderId, "Unknown error", block.timestamp);
-                }
+        // Use the nonce before moving tokens so the order cannot be replayed
+        signedOrderNonceUsed[order.maker][order.nonce] = true;
 
-                if (!transferSuccess) {
-                    (uint256 fees, address feeTokenAddr) = _handleFailedCleanup(firstOrderId, order, "Token transfer failed");
-                    if (fees > 0) {
-                        feesToDistribute = fees;
-                        currentFeeToken = feeTokenAddr;
-                    }
-                } else {
-                    feesToDistribute = order.orderCreationFee;
-                    currentFeeToken = order.feeToken;
-                    address maker = order.maker;
-                    delete orders[firstOrderId];
-                    emit OrderCleanedUp(firstOrderId, maker, block.timestamp);
-                }
-            } else {
-                feesToDistribute = order.orderCreationFee;
-                currentFeeToken = order.feeToken;
-                address maker = order.maker;
-                delete orders[firstOrderId];
-                emit OrderCleanedUp(firstOrderId, maker, block.timestamp);
-            }
-            firstOrderId++;
-        }
+        IERC20(order.buyToken).safeTransferFrom(msg.sender, order.maker, order.buyAmount);
+        IERC20(order.sellToken).safeTransferFrom(order.maker, msg.sender, order.sellAmount);
 
-        if (feesToDistribute > 0 && feesToDistribute <= accumulatedFees) {
-            accumulatedFees -= feesToDistribute;
-            IERC20(currentFeeToken).safeTransfer(msg.sender, feesToDistribute);
-            emit CleanupFeesDistributed(msg.sender, currentFeeToken, feesToDistribute, block.timestamp);
-        }
+        emit SignedOrderFilled(
+            orderHash,
+            order.maker,
+            msg.sender,
+            order.sellToken,
+            order.sellAmount,
+            order.buyToken,
+            order.buyAmount,
+            order.nonce,
+            block.timestamp
+        );
     }
 
-    function attemptTransfer(IERC20 token, address to, uint256 amount) external {
-        require(msg.sender == address(this), "Only self");
-
-        // Get balances before transfer
-        uint256 fromBalance = token.balanceOf(address(this));
-        uint256 toBalance = token.balanceOf(to);
-
-        bool success;
-        bytes memory returnData;
-
-        try token.transfer(to, amount) returns (bool result) {
-            success = result;
-            returnData = abi.encode(result);
-        } catch (bytes memory err) {
-            success = false;
-            returnData = err;
-        }
+    // Cancels a single signed order by burning its nonce
+    function cancelSignedOrder(uint256 nonce) external {
+        require(nonce >= minSignedOrderNonce[msg.sender] && !signedOrderNonceUsed[msg.sender][nonce], "Order nonce already used");
+        signedOrderNonceUsed[msg.sender][nonce] = true;
+        emit SignedOrderCanceled(msg.sender, nonce, block.timestamp);
+    }
 
-        emit TokenTransferAttempt(
-            0,
-            success,
-            returnData,
-            fromBalance,
-            toBalance,
-            block.timestamp
-        );
-        require(success, "Token transfer failed");
+    // Cancels every signed order of the caller with a nonce below minNonce
+    function cancelSignedOrdersUpTo(uint256 minNonce) external {
+        require(minNonce > minSignedOrderNonce[msg.sender], "Nonce must increase");
+        minSignedOrderNonce[msg.sender] = minNonce;
+        emit SignedOrdersCanceledUpTo(msg.sender, minNonce, block.timestamp);
     }
 }
@@ -0,0 +1,515 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "./OTCSwapStorage.sol";
+
+// Admin functions and cleanup of expired orders, split out of OTCSwap to keep
+// it under the contract size limit. OTCSwap delegatecalls into this contract,
+// so these functions run against OTCSwap's storage and `this` is the OTCSwap.
+// Called directly, they only touch this contract's own unused storage, whose
+// roles are held by the OTCSwap that deployed it.
+contract OTCSwapAdmin is OTCSwapStorage {
+    using SafeERC20 for IERC20;
+
+    // The new Liberdus token takes the old one's place among the anchor tokens
+    function updateLiberdusToken(address _liberdusToken) external onlyRole(TIMELOCK_ROLE) {
+        require(_liberdusToken != address(0), "Invalid Liberdus token");
+        address oldToken = liberdusToken;
+        liberdusToken = _liberdusToken;
+        _setAnchorToken(oldToken, false);
+        _setAnchorToken(_liberdusToken, true);
+        emit LiberdusTokenUpdated(oldToken, _liberdusToken, block.timestamp);
+    }
+
+    function updateAnchorTokens(address[] memory tokens, bool[] memory anchor) external onlyRole(TIMELOCK_ROLE) {
+        require(tokens.length == anchor.length, "Arrays length mismatch");
+        require(tokens.length > 0, "Empty arrays");
+
+        for (uint256 i = 0; i < tokens.length; i++) {
+            require(tokens[i] != address(0), "Invalid token address");
+            _setAnchorToken(tokens[i], anchor[i]);
+        }
+        require(anchorTokensList.length > 0, "No anchor tokens left");
+
+        emit AnchorTokensUpdated(tokens, anchor, block.timestamp);
+    }
+
+    function _setAnchorToken(address token, bool anchor) internal {
+        if (anchor && !anchorTokens[token]) {
+            anchorTokens[token] = true;
+            anchorTokensList.push(token);
+        } else if (!anchor && anchorTokens[token]) {
+            anchorTokens[token] = false;
+            for (uint256 i = 0; i < anchorTokensList.length; i++) {
+                if (anchorTokensList[i] == token) {
+                    anchorTokensList[i] = anchorTokensList[anchorTokensList.length - 1];
+                    anchorTokensList.pop();
+                    break;
+                }
+            }
+        }
+    }
+
+    function updateFeeConfig(address _feeToken, uint256 _feeAmount) external onlyRole(TIMELOCK_ROLE) {
+        require(_feeToken != address(0) && _feeToken != NATIVE_TOKEN, "Invalid fee token");
+        require(_feeAmount > 0, "Invalid fee amount");
+        feeToken = _feeToken;
+        orderCreationFeeAmount = _feeAmount;
+        _trackFeeToken(_feeToken);
+        emit FeeConfigUpdated(_feeToken, _feeAmount, block.timestamp);
+    }
+
+    function _trackFeeToken(address token) internal {
+        for (uint256 i = 0; i < feeTokensList.length; i++) {
+            if (feeTokensList[i] == token) {
+                return;
+            }
+        }
+        feeTokensList.push(token);
+    }
+
+    // Behind the timelock so takers see a fee increase coming before it applies
+    function updateProtocolFees(uint256 _takerFeeBps, uint256 _makerFeeBps, address _feeRecipient) external onlyRole(TIMELOCK_ROLE) {
+        require(_takerFeeBps <= MAX_PROTOCOL_FEE_BPS && _makerFeeBps <= MAX_PROTOCOL_FEE_BPS, "Protocol fee too high");
+        require(_feeRecipient != address(0), "Invalid fee recipient");
+        takerFeeBps = _takerFeeBps;
+        makerFeeBps = _makerFeeBps;
+        feeRecipient = _feeRecipient;
+        emit ProtocolFeeConfigUpdated(_takerFeeBps, _makerFeeBps, _feeRecipient, block.timestamp);
+    }
+
+    // Sends the protocol fees collected in a token to feeRecipient
+    function withdrawProtocolFees(address token) external onlyRole(FEE_MANAGER_ROLE) nonReentrant {
+        uint256 amount = protocolFeeBalances[token];
+        require(amount > 0, "No protocol fees");
+        protocolFeeBalances[token] = 0;
+
+        if (token == NATIVE_TOKEN) {
+            _sendNative(feeRecipient, amount);
+        } else {
+            IERC20(token).safeTransfer(feeRecipient, amount);
+        }
+
+        emit ProtocolFeesWithdrawn(token, feeRecipient, amount, block.timestamp);
+    }
+
+    function updateOrderExpiryBounds(uint256 _minOrderExpiry, uint256 _maxOrderExpiry) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(_minOrderExpiry > 0 && _minOrderExpiry <= _maxOrderExpiry, "Invalid expiry bounds");
+        minOrderExpiry = _minOrderExpiry;
+        maxOrderExpiry = _maxOrderExpiry;
+        emit OrderExpiryBoundsUpdated(_minOrderExpiry, _maxOrderExpiry, block.timestamp);
+    }
+
+    function disableContract() external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(!isDisabled, "Contract already disabled");
+        isDisabled = true;
+        emit ContractDisabled(msg.sender, block.timestamp);
+    }
+
+    function pause() external onlyRole(PAUSER_ROLE) {
+        require(!paused, "Contract already paused");
+        paused = true;
+        emit Paused(msg.sender, block.timestamp);
+    }
+
+    // Emergency mode has to be switched off first, so makers are not cut off
+    // from their escrow by orders becoming fillable again
+    function unpause() external onlyRole(PAUSER_ROLE) {
+        require(paused, "Contract not paused");
+        require(!emergencyMode, "Emergency mode active");
+        paused = false;
+        emit Unpaused(msg.sender, block.timestamp);
+    }
+
+    function setEmergencyMode(bool enabled) external onlyRole(PAUSER_ROLE) {
+        require(!enabled || paused, "Contract not paused");
+        require(emergencyMode != enabled, "Emergency mode unchanged");
+        emergencyMode = enabled;
+        emit EmergencyModeUpdated(enabled, block.timestamp);
+    }
+
+    // Sends tokens that no order, fee balance or pending withdrawal is owed,
+    // such as tokens sent to the contract by mistake
+    function rescueTokens(address token, address recipient, uint256 amount) external onlyRole(DEFAULT_ADMIN_ROLE) nonReentrant {
+        require(recipient != address(0), "Invalid recipient");
+        uint256 owed = escrowedBalances[token] + protocolFeeBalances[token] + accumulatedFees[token];
+        uint256 balance;
+        if (token == NATIVE_TOKEN) {
+            owed += totalPendingNativeWithdrawals;
+            balance = address(this).balance;
+        } else {
+            balance = IERC20(token).balanceOf(address(this));
+        }
+        require(amount > 0 && balance >= owed && amount <= balance - owed, "Amount exceeds surplus");
+
+        if (token == NATIVE_TOKEN) {
+            (bool success, ) = recipient.call{value: amount}("");
+            require(success, "Native transfer failed");
+        } else {
+            IERC20(token).safeTransfer(recipient, amount);
+        }
+
+        emit TokensRescued(token, recipient, amount, block.timestamp);
+    }
+
+    function updateAllowedTokens(address[] memory tokens, bool[] memory allowed) external onlyRole(TOKEN_CURATOR_ROLE) {
+        require(tokens.length == allowed.length, "Arrays length mismatch");
+        require(tokens.length > 0, "Empty arrays");
+        
+        for (uint256 i = 0; i < tokens.length; i++) {
+            require(tokens[i] != address(0), "Invalid token address");
+            
+            if (allowed[i] && !allowedTokens[tokens[i]]) {
+                // Adding new token
+                allowedTokens[tokens[i]] = true;
+                allowedTokensList.push(tokens[i]);
+            } else if (!allowed[i] && allowedTokens[tokens[i]]) {
+                // Removing existing token
+                allowedTokens[tokens[i]] = false;
+                _removeFromAllowedTokensList(tokens[i]);
+            }
+        }
+        
+        emit AllowedTokensUpdated(tokens, allowed, block.timestamp);
+    }
+
+    // Switches trading between two tokens on or off, in both directions
+    function setPairEnabled(address tokenA, address tokenB, bool enabled) external onlyRole(TOKEN_CURATOR_ROLE) {
+        require(tokenA != address(0) && tokenB != address(0) && tokenA != tokenB, "Invalid pair");
+        pairDisabled[tokenA][tokenB] = !enabled;
+        pairDisabled[tokenB][tokenA] = !enabled;
+        emit PairStatusUpdated(tokenA, tokenB, enabled, block.timestamp);
+    }
+
+    function updateMinOrderSize(address token, uint256 _minOrderSize) external onlyRole(TOKEN_CURATOR_ROLE) {
+        require(token != address(0), "Invalid token address");
+        minOrderSize[token] = _minOrderSize;
+        emit MinOrderSizeUpdated(token, _minOrderSize, block.timestamp);
+    }
+
+    function _removeFromAllowedTokensList(address tokenToRemove) internal {
+        for (uint256 i = 0; i < allowedTokensList.length; i++) {
+            if (allowedTokensList[i] == tokenToRemove) {
+                allowedTokensList[i] = allowedTokensList[allowedTokensList.length - 1];
+                allowedTokensList.pop();
+                break;
+            }
+        }
+    }
+
+    // Reprices an active order without cancelling it. The amounts are the
+    // order's remaining amounts: the caller passes the ones it expects the
+    // order to have, so a fill that lands first makes the update revert
+    // instead of repricing a different remainder. Escrow is topped up or
+    // refunded by the difference and the creation fee is kept.
+    function updateOrder(
+        uint256 orderId,
+        uint256 expectedSellAmount,
+        uint256 expectedBuyAmount,
+        uint256 newSellAmount,
+        uint256 newBuyAmount,
+        address newTaker
+    ) external payable nonReentrant whenNotPaused validOrder(orderId) {
+        Order storage order = orders[orderId];
+        require(!isDisabled, "Contract is disabled");
+        require(order.maker == msg.sender, "Only maker can update order");
+        require(
+            block.timestamp <= order.timestamp + order.expiry,
+            "Order has expired"
+        );
+        require(
+            order.remainingSellAmount == expectedSellAmount && order.remainingBuyAmount == expectedBuyAmount,
+            "Order amounts changed"
+        );
+        require(newSellAmount > 0, "Invalid sell amount");
+        require(newBuyAmount > 0, "Invalid buy amount");
+        require(
+            newSellAmount >= minOrderSize[order.sellToken] && newBuyAmount >= minOrderSize[order.buyToken],
+            "Order below minimum size"
+        );
+
+        bool nativeSell = order.sellToken == NATIVE_TOKEN;
+        uint256 topUp = newSellAmount > expectedSellAmount ? newSellAmount - expectedSellAmount : 0;
+        require(msg.value == (nativeSell ? topUp : 0), "Incorrect native amount");
+
+        // Amounts already filled stay part of the order totals
+        order.sellAmount = order.sellAmount - expectedSellAmount + newSellAmount;
+        order.buyAmount = order.buyAmount - expectedBuyAmount + newBuyAmount;
+        order.remainingSellAmount = newSellAmount;
+        order.remainingBuyAmount = newBuyAmount;
+        order.taker = newTaker;
+
+        if (topUp > 0 && nativeSell) {
+            escrowedBalances[NATIVE_TOKEN] += topUp;
+        } else if (topUp > 0) {
+            _depositEscrow(order.sellToken, topUp);
+        } else if (newSellAmount < expectedSellAmount) {
+            _releaseEscrow(order.sellToken, expectedSellAmount - newSellAmount);
+            if (nativeSell) {
+                _sendNative(msg.sender, expectedSellAmount - newSellAmount);
+            } else {
+                IERC20(order.sellToken).safeTransfer(msg.sender, expectedSellAmount - newSellAmount);
+            }
+        }
+
+        emit OrderUpdated(
+            orderId,
+            msg.sender,
+            newTaker,
+            expectedSellAmount,
+            expectedBuyAmount,
+            newSellAmount,
+            newBuyAmount,
+            block.timestamp
+        );
+    }
+
+    function _handleFailedCleanup(
+        uint256 orderId,
+        Order storage order,
+        string memory reason
+    ) internal returns (uint256, address) {
+        emit CleanupError(orderId, reason, block.timestamp);
+
+        // If max retries reached, delete order and distribute fee
+        if (order.tries >= MAX_RETRY_ATTEMPTS) {
+            emit CleanupError(orderId, "Max retries reached", block.timestamp);
+            // The tokens stay in the contract but no order is owed them any more
+            escrowedBalances[order.sellToken] -= order.remainingSellAmount;
+            address feeTokenAddress = order.feeToken;
+            uint256 feeAmount = order.orderCreationFee;
+            delete orders[orderId];
+            return (feeAmount, feeTokenAddress);
+        } else {
+            // check if order.maker is not a zero address
+            require(order.maker != address(0), "Order maker is zero address in cleanup");
+
+            // Create a deep copy of the order in memory before modifying it
+            Order memory tempOrder = Order({
+                maker: order.maker,
+                sellToken: order.sellToken,
+                buyToken: order.buyToken,
+                sellAmount: order.sellAmount,
+                buyAmount: order.buyAmount,
+                tries: order.tries + 1,
+                status: OrderStatus.Active,
+                timestamp: block.timestamp,
+                taker: order.taker,
+                feeToken: order.feeToken,
+                orderCreationFee: order.orderCreationFee,
+                remainingSellAmount: order.remainingSellAmount,
+                remainingBuyAmount: order.remainingBuyAmount,
+                expiry: order.expiry
+            });
+            require(tempOrder.maker != address(0), "tempOrder maker is zero address in cleanup");
+
+            // Create new order with incremented tries
+            uint256 newOrderId = nextOrderId++;
+            orders[newOrderId] = tempOrder;
+            _indexOrder(newOrderId);
+
+            require(orders[newOrderId].maker != address(0), "orders[newOrderId] maker is zero address in cleanup");
+
+            emit RetryOrder(
+                orderId,
+                newOrderId,
+                orders[newOrderId].maker,
+                orders[newOrderId].tries,
+                block.timestamp
+            );
+
+            delete orders[orderId];
+
+            return (0, address(0));
+        }
+    }
+
+    function cleanupExpiredOrders() external nonReentrant {
+        require(firstOrderId < nextOrderId, "No orders to clean up");
+
+        Order storage order = orders[firstOrderId];
+
+        // Skip empty orders
+        if (order.maker == address(0)) {
+            firstOrderId++;
+            return;
+        }
+
+        uint256 feesToDistribute = 0;
+        address currentFeeToken;
+
+        // Check if grace period has passed
+        if (block.timestamp > order.timestamp + order.expiry + GRACE_PERIOD) {
+            (feesToDistribute, currentFeeToken) = _cleanupOrder(firstOrderId);
+            firstOrderId++;
+        }
+
+        feesToDistribute = _takeCleanupReward(currentFeeToken, feesToDistribute);
+        if (feesToDistribute > 0) {
+            IERC20(currentFeeToken).safeTransfer(msg.sender, feesToDistribute);
+            emit CleanupFeesDistributed(msg.sender, currentFeeToken, feesToDistribute, block.timestamp);
+        }
+    }
+
+    function cleanupExpiredOrders(uint256 maxOrders) external nonReentrant {
+        _cleanupExpiredOrders(firstOrderId, maxOrders);
+    }
+
+    // Cleans up expired orders starting at startOrderId, so orders that
+    // expire early can be reached behind a long-lived order that the
+    // firstOrderId window cannot yet move past
+    function cleanupExpiredOrdersFrom(uint256 startOrderId, uint256 maxOrders) external nonReentrant {
+        require(startOrderId >= firstOrderId, "Start before first order");
+        _cleanupExpiredOrders(startOrderId, maxOrders);
+    }
+
+    // Orders have their own expiry, so they do not expire in id order.
+    // Every order in the window is checked; firstOrderId only moves over the
+    // leading run of orders that are gone.
+    function _cleanupExpiredOrders(uint256 startOrderId, uint256 maxOrders) internal {
+        require(maxOrders > 0 && maxOrders <= MAX_CLEANUP_BATCH, "Invalid batch size");
+        require(startOrderId < nextOrderId, "No orders to clean up");
+
+        // Rewards are paid once per fee token after the loop
+        address[] memory rewardTokens = new address[](maxOrders);
+        uint256[] memory rewardAmounts = new uint256[](maxOrders);
+        uint256 rewardTokenCount = 0;
+
+        // Retries are appended past the window, so its end is fixed up front
+        uint256 endOrderId = nextOrderId;
+        if (endOrderId > startOrderId + maxOrders) {
+            endOrderId = startOrderId + maxOrders;
+        }
+
+        for (uint256 orderId = startOrderId; orderId < endOrderId; orderId++) {
+            if (orderId > startOrderId && gasleft() < CLEANUP_GAS_RESERVE) {
+                break;
+            }
+
+            Order storage order = orders[orderId];
+
+            if (order.maker != address(0)) {
+                if (block.timestamp <= order.timestamp + order.expiry + GRACE_PERIOD) {
+                    continue;
+                }
+
+                (uint256 fees, address feeTokenAddr) = _cleanupOrder(orderId);
+                fees = _takeCleanupReward(feeTokenAddr, fees);
+
+                if (fees > 0) {
+                    uint256 j = 0;
+                    while (j < rewardTokenCount && rewardTokens[j] != feeTokenAddr) {
+                        j++;
+                    }
+                    if (j == rewardTokenCount) {
+                        rewardTokens[j] = feeTokenAddr;
+                        rewardTokenCount++;
+                    }
+                    rewardAmounts[j] += fees;
+                }
+            }
+
+            // Cleaned and retried orders leave their slot empty, while skipped
+            // ones keep firstOrderId from moving past them
+            if (orderId == firstOrderId && orders[orderId].maker == address(0)) {
+                firstOrderId++;
+            }
+        }
+
+        for (uint256 i = 0; i < rewardTokenCount; i++) {
+            IERC20(rewardTokens[i]).safeTransfer(msg.sender, rewardAmounts[i]);
+            emit CleanupFeesDistributed(msg.sender, rewardTokens[i], rewardAmounts[i], block.timestamp);
+        }
+    }
+
+    // Takes an order's creation fee out of its fee token's bucket. Never pays
+    // more than the bucket holds, so a reward can neither be drawn from
+    // another fee token's fees nor make cleanup revert.
+    function _takeCleanupReward(address token, uint256 fee) internal returns (uint256) {
+        uint256 available = accumulatedFees[token];
+        if (fee > available) {
+            fee = available;
+        }
+        accumulatedFees[token] = available - fee;
+        return fee;
+    }
+
+    // Cleans up a single order whose grace period has passed. Returns the
+    // creation fee to pay the caller, which is zero when the order is retried.
+    function _cleanupOrder(uint256 orderId) internal returns (uint256, address) {
+        Order storage order = orders[orderId];
+
+        // Retried orders are indexed again under their new id
+        if (order.status == OrderStatus.Active) {
+            _unindexOrder(orderId);
+        }
+
+        // Native coin refunds cannot fail, they are credited to the maker instead
+        if (order.status == OrderStatus.Active && order.sellToken == NATIVE_TOKEN) {
+            escrowedBalances[NATIVE_TOKEN] -= order.remainingSellAmount;
+            _sendNative(order.maker, order.remainingSellAmount);
+        } else if (order.status == OrderStatus.Active) {
+            // Only attempt token transfer for Active orders
+            IERC20 token = IERC20(order.sellToken);
+
+            bool transferSuccess;
+            try this.attemptTransfer(token, order.maker, order.remainingSellAmount) {
+                transferSuccess = true;
+            } catch Error(string memory reason) {
+                transferSuccess = false;
+                emit CleanupError(orderId, reason, block.timestamp);
+            } catch (bytes memory) {
+                transferSuccess = false;
+                emit CleanupError(orderId, "Unknown error", block.timestamp);
+            }
+
+            if (!transferSuccess) {
+                return _handleFailedCleanup(orderId, order, "Token transfer failed");
+            }
+            escrowedBalances[order.sellToken] -= order.remainingSellAmount;
+        }
+
+        uint256 feeAmount = order.orderCreationFee;
+        address feeTokenAddress = order.feeToken;
+        address maker = order.maker;
+        delete orders[orderId];
+        emit OrderCleanedUp(orderId, maker, block.timestamp);
+
+        return (feeAmount, feeTokenAddress);
+    }
+
+    function attemptTransfer(IERC20 token, address to, uint256 amount) external {
+        require(msg.sender == address(this), "Only self");
+        require(
+            token.balanceOf(address(this)) >=
+                escrowedBalances[address(token)] + accumulatedFees[address(token)] + protocolFeeBalances[address(token)],
+            "Escrow balance shortfall"
+        );
+
+        // Get balances before transfer
+        uint256 fromBalance = token.balanceOf(address(this));
+        uint256 toBalance = token.balanceOf(to);
+
+        bool success;
+        bytes memory returnData;
+
+        try token.transfer(to, amount) returns (bool result) {
+            success = result;
+            returnData = abi.encode(result);
+        } catch (bytes memory err) {
+            success = false;
+            returnData = err;
+        }
+
+        emit TokenTransferAttempt(
+            0,
+            success,
+            returnData,
+            fromBalance,
+            toBalance,
+            block.timestamp
+        );
+        require(success, "Token transfer failed");
+    }
+}
@@ -0,0 +1,503 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/access/AccessControl.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+
+// State, events and modifiers shared by OTCSwap and OTCSwapAdmin. OTCSwap
+// delegatecalls into OTCSwapAdmin, so both must inherit exactly this layout
+// and declare no storage of their own.
+abstract contract OTCSwapStorage is ReentrancyGuard, AccessControl, EIP712 {
+    using SafeERC20 for IERC20;
+
+    uint256 public constant ORDER_EXPIRY = 7 days;  // Expiry of orders created without one
+    uint256 public constant GRACE_PERIOD = 7 days;
+    uint256 public constant MAX_RETRY_ATTEMPTS = 10;
+    uint256 public constant MAX_CLEANUP_BATCH = 100;
+    // Gas kept back by batched cleanup to finish the current order and pay out rewards
+    uint256 public constant CLEANUP_GAS_RESERVE = 350000;
+
+    // Stands in for the chain's native coin (POL) as a sell or buy token
+    address public constant NATIVE_TOKEN = 0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE;
+    // Gas forwarded when sending native coin; recipients that need more are credited instead
+    uint256 public constant NATIVE_TRANSFER_GAS = 50000;
+    // Upper bound on each protocol fee, in basis points (5%)
+    uint256 public constant MAX_PROTOCOL_FEE_BPS = 500;
+
+    // Admin roles. DEFAULT_ADMIN_ROLE grants and revokes the others, except
+    // TIMELOCK_ROLE, which only its holders can grant. TIMELOCK_ROLE is meant
+    // to be held by an OTCSwapTimelock, so changes to the creation fee, the
+    // protocol fees and the Liberdus and anchor tokens are announced before
+    // they take effect.
+    bytes32 public constant TOKEN_CURATOR_ROLE = keccak256("TOKEN_CURATOR_ROLE");
+    bytes32 public constant FEE_MANAGER_ROLE = keccak256("FEE_MANAGER_ROLE");
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
+    bytes32 public constant TIMELOCK_ROLE = keccak256("TIMELOCK_ROLE");
+
+    bytes32 public constant SIGNED_ORDER_TYPEHASH = keccak256(
+        "SignedOrder(address maker,address taker,address sellToken,uint256 sellAmount,address buyToken,uint256 buyAmount,uint256 nonce,uint256 expiry)"
+    );
+
+    address public feeToken;
+    uint256 public orderCreationFeeAmount;
+    // Creation fees held for cleanup rewards, per fee token. Each order pays
+    // its reward out of the bucket of the fee token it was created with.
+    mapping(address => uint256) public accumulatedFees;
+    // Every token that has been the fee token, so all buckets can be listed
+    address[] public feeTokensList;
+    uint256 public firstOrderId;
+    uint256 public nextOrderId;
+    bool public isDisabled;
+    // Reversible stop for incidents: blocks new orders, updates and fills
+    bool public paused;
+    // While paused, lets makers cancel Active orders past their grace period
+    bool public emergencyMode;
+    address public liberdusToken;
+    // Bounds on the expiry a maker can choose for an order
+    uint256 public minOrderExpiry = 5 minutes;
+    uint256 public maxOrderExpiry = 30 days;
+    // Protocol fees on fills, in basis points of the traded amounts. The taker
+    // fee comes out of the sell tokens paid to the taker, the maker fee out
+    // of the buy tokens paid to the maker.
+    uint256 public takerFeeBps;
+    uint256 public makerFeeBps;
+    address public feeRecipient;
+    
+    mapping(address => bool) public allowedTokens;
+    address[] public allowedTokensList;
+
+    // Every order has to sell or buy an anchor token. The Liberdus token is
+    // an anchor from the start; others (such as a stablecoin) can be added.
+    mapping(address => bool) public anchorTokens;
+    address[] public anchorTokensList;
+    // Pairs switched off by the token curator, set for both orderings
+    mapping(address => mapping(address => bool)) public pairDisabled;
+    // Smallest amount of a token an order can sell or buy; zero for no minimum
+    mapping(address => uint256) public minOrderSize;
+
+    enum OrderStatus {
+        Active,     // Order is active and can be filled
+        Filled,     // Order was filled
+        Canceled    // Order was canceled by maker
+    }
+
+    struct Order {
+        address maker;
+        address taker;  // address(0) if open to anyone
+        address sellToken;
+        uint256 sellAmount;
+        address buyToken;
+        uint256 buyAmount;
+        uint256 timestamp;
+        OrderStatus status;
+        address feeToken;
+        uint256 orderCreationFee;  // Fee paid when order was created
+        uint256 tries;             // Number of cleanup attempts
+        uint256 remainingSellAmount;  // Sell tokens still escrowed for this order
+        uint256 remainingBuyAmount;   // Buy tokens still wanted for the remaining sell tokens
+        uint256 expiry;               // Seconds after timestamp during which the order can be filled
+    }
+
+    mapping(uint256 => Order) public orders;
+
+    // Order returned by the lookup views, with its deadline and whether
+    // fillOrder would currently accept it
+    struct OrderDetails {
+        uint256 orderId;
+        Order order;
+        uint256 expiresAt;  // timestamp + expiry
+        bool fillable;
+    }
+
+    // Ids of Active orders, in no particular order. positions holds each
+    // id's index in ids plus one, so removal is a swap with the last id.
+    struct OrderIndex {
+        uint256[] ids;
+        mapping(uint256 => uint256) positions;
+    }
+
+    // Active orders (including expired ones not yet cleaned up), overall,
+    // per maker and per sell/buy token pair
+    OrderIndex internal activeOrders;
+    mapping(address => OrderIndex) internal makerOrders;
+    mapping(address => mapping(address => OrderIndex)) internal pairOrders;
+
+    // EIP-2612 permit signed by the caller, letting the contract spend
+    // `value` of `token` without a separate approve transaction
+    struct Permit {
+        address token;
+        uint256 value;
+        uint256 deadline;
+        uint8 v;
+        bytes32 r;
+        bytes32 s;
+    }
+
+    // Order signed off-chain by the maker. Nothing is escrowed: both legs are
+    // pulled from the maker and taker allowances when the order is filled.
+    struct SignedOrder {
+        address maker;
+        address taker;  // address(0) if open to anyone
+        address sellToken;
+        uint256 sellAmount;
+        address buyToken;
+        uint256 buyAmount;
+        uint256 nonce;
+        uint256 expiry;  // Unix timestamp after which the order can no longer be filled
+    }
+
+    // A signed order's nonce is used once it is filled or canceled
+    mapping(address => mapping(uint256 => bool)) public signedOrderNonceUsed;
+    // Signed orders with a nonce below this value are canceled in bulk
+    mapping(address => uint256) public minSignedOrderNonce;
+
+    // Sell tokens held for active orders, per token. Payouts check the
+    // contract still holds at least this much, so a token whose balance
+    // shrinks (negative rebase) cannot pay one maker out of another's escrow.
+    mapping(address => uint256) public escrowedBalances;
+
+    // Native coin that could not be sent to its recipient, claimable with withdrawNative
+    mapping(address => uint256) public pendingNativeWithdrawals;
+    uint256 public totalPendingNativeWithdrawals;
+
+    // Protocol fees collected per token, withdrawn to feeRecipient. Kept apart
+    // from accumulatedFees, which only backs cleanup rewards.
+    mapping(address => uint256) public protocolFeeBalances;
+    // Every token a protocol fee has been charged in, so all balances can be
+    // listed after a token is delisted
+    mapping(address => bool) public isProtocolFeeToken;
+    address[] public protocolFeeTokensList;
+
+    event OrderCreated(
+        uint256 indexed orderId,
+        address indexed maker,
+        address indexed taker,
+        address sellToken,
+        uint256 sellAmount,
+        address buyToken,
+        uint256 buyAmount,
+        uint256 timestamp,
+        address feeToken,
+        uint256 orderCreationFee,
+        uint256 expiry
+    );
+
+    event OrderFilled(
+        uint256 indexed orderId,
+        address indexed maker,
+        address indexed taker,
+        address sellToken,
+        uint256 sellAmount,
+        address buyToken,
+        uint256 buyAmount,
+        uint256 timestamp
+    );
+
+    event OrderPartiallyFilled(
+        uint256 indexed orderId,
+        address indexed maker,
+        address indexed taker,
+        uint256 sellAmount,
+        uint256 buyAmount,
+        uint256 remainingSellAmount,
+        uint256 remainingBuyAmount,
+        uint256 timestamp
+    );
+
+    event SignedOrderFilled(
+        bytes32 indexed orderHash,
+        address indexed maker,
+        address indexed taker,
+        address sellToken,
+        uint256 sellAmount,
+        address buyToken,
+        uint256 buyAmount,
+        uint256 nonce,
+        uint256 timestamp
+    );
+
+    event SignedOrderCanceled(
+        address indexed maker,
+        uint256 indexed nonce,
+        uint256 timestamp
+    );
+
+    event SignedOrdersCanceledUpTo(
+        address indexed maker,
+        uint256 minNonce,
+        uint256 timestamp
+    );
+
+    event OrderUpdated(
+        uint256 indexed orderId,
+        address indexed maker,
+        address indexed taker,
+        uint256 oldSellAmount,
+        uint256 oldBuyAmount,
+        uint256 newSellAmount,
+        uint256 newBuyAmount,
+        uint256 timestamp
+    );
+
+    event OrderCanceled(
+        uint256 indexed orderId,
+        address indexed maker,
+        uint256 timestamp
+    );
+
+    event OrderCleanedUp(
+        uint256 indexed orderId,
+        address indexed maker,
+        uint256 timestamp
+    );
+
+    event RetryOrder(
+        uint256 indexed oldOrderId,
+        uint256 indexed newOrderId,
+        address indexed maker,
+        uint256 tries,
+        uint256 timestamp
+    );
+
+    event CleanupFeesDistributed(
+        address indexed recipient,
+        address indexed feeToken,
+        uint256 amount,
+        uint256 timestamp
+    );
+
+    event CleanupError(
+        uint256 indexed orderId,
+        string reason,
+        uint256 timestamp
+    );
+
+    event ContractDisabled(
+        address indexed owner,
+        uint256 timestamp
+    );
+
+    event TransferError(
+        uint256 indexed orderId,
+        string tokenType,
+        string reason,
+        uint256 timestamp
+    );
+
+    event TokenTransferAttempt(
+        uint256 indexed orderId,
+        bool success,
+        bytes returnData,
+        uint256 fromBalance,
+        uint256 toBalance,
+        uint256 timestamp
+    );
+
+    event FeeConfigUpdated(
+        address indexed feeToken,
+        uint256 feeAmount,
+        uint256 timestamp
+    );
+
+    event AllowedTokensUpdated(
+        address[] tokens,
+        bool[] allowed,
+        uint256 timestamp
+    );
+
+    event LiberdusTokenUpdated(
+        address indexed oldToken,
+        address indexed newToken,
+        uint256 timestamp
+    );
+
+    event AnchorTokensUpdated(
+        address[] tokens,
+        bool[] anchor,
+        uint256 timestamp
+    );
+
+    event PairStatusUpdated(
+        address indexed tokenA,
+        address indexed tokenB,
+        bool enabled,
+        uint256 timestamp
+    );
+
+    event MinOrderSizeUpdated(
+        address indexed token,
+        uint256 minOrderSize,
+        uint256 timestamp
+    );
+
+    event NativeTransferDeferred(
+        address indexed recipient,
+        uint256 amount,
+        uint256 timestamp
+    );
+
+    event NativeWithdrawn(
+        address indexed account,
+        address indexed recipient,
+        uint256 amount,
+        uint256 timestamp
+    );
+
+    event OrderExpiryBoundsUpdated(
+        uint256 minOrderExpiry,
+        uint256 maxOrderExpiry,
+        uint256 timestamp
+    );
+
+    event ProtocolFeeConfigUpdated(
+        uint256 takerFeeBps,
+        uint256 makerFeeBps,
+        address indexed feeRecipient,
+        uint256 timestamp
+    );
+
+    event ProtocolFeeAccrued(
+        uint256 indexed orderId,
+        address indexed token,
+        address indexed payer,
+        uint256 amount,
+        uint256 timestamp
+    );
+
+    event ProtocolFeesWithdrawn(
+        address indexed token,
+        address indexed recipient,
+        uint256 amount,
+        uint256 timestamp
+    );
+
+    event Paused(
+        address indexed account,
+        uint256 timestamp
+    );
+
+    event Unpaused(
+        address indexed account,
+        uint256 timestamp
+    );
+
+    event EmergencyModeUpdated(
+        bool enabled,
+        uint256 timestamp
+    );
+
+    event TokensRescued(
+        address indexed token,
+        address indexed recipient,
+        uint256 amount,
+        uint256 timestamp
+    );
+
+    modifier whenNotPaused() {
+        require(!paused, "Contract is paused");
+        _;
+    }
+
+    modifier validOrder(uint256 orderId) {
+        require(orders[orderId].maker != address(0), "Order does not exist");
+        require(orders[orderId].status == OrderStatus.Active, "Order is not active");
+        _;
+    }
+
+    // The deployer starts with every role and hands them out from there
+    constructor() EIP712("OTCSwap", "1") {
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+        _grantRole(TOKEN_CURATOR_ROLE, msg.sender);
+        _grantRole(FEE_MANAGER_ROLE, msg.sender);
+        _grantRole(PAUSER_ROLE, msg.sender);
+        _grantRole(TIMELOCK_ROLE, msg.sender);
+        _setRoleAdmin(TIMELOCK_ROLE, TIMELOCK_ROLE);
+    }
+
+    // Adds an order to the active, maker and pair indexes
+    function _indexOrder(uint256 orderId) internal {
+        Order storage order = orders[orderId];
+        _addToIndex(activeOrders, orderId);
+        _addToIndex(makerOrders[order.maker], orderId);
+        _addToIndex(pairOrders[order.sellToken][order.buyToken], orderId);
+    }
+
+    // Removes an order from the indexes once it is no longer Active
+    function _unindexOrder(uint256 orderId) internal {
+        Order storage order = orders[orderId];
+        _removeFromIndex(activeOrders, orderId);
+        _removeFromIndex(makerOrders[order.maker], orderId);
+        _removeFromIndex(pairOrders[order.sellToken][order.buyToken], orderId);
+    }
+
+    function _addToIndex(OrderIndex storage index, uint256 orderId) internal {
+        index.ids.push(orderId);
+        index.positions[orderId] = index.ids.length;
+    }
+
+    function _removeFromIndex(OrderIndex storage index, uint256 orderId) internal {
+        uint256 position = index.positions[orderId];
+        uint256 lastId = index.ids[index.ids.length - 1];
+        index.ids[position - 1] = lastId;
+        index.positions[lastId] = position;
+        index.ids.pop();
+        delete index.positions[orderId];
+    }
+
+    // Sends native coin with a bounded amount of gas. If the recipient
+    // rejects it (or needs more gas), the amount is credited to them instead,
+    // so a maker contract cannot block fills, cancels or cleanup.
+    function _sendNative(address to, uint256 amount) internal {
+        bool success;
+        uint256 gasLimit = NATIVE_TRANSFER_GAS;
+        // Return data is never copied, so the recipient cannot make this run out of gas
+        assembly ("memory-safe") {
+            success := call(gasLimit, to, amount, 0, 0, 0, 0)
+        }
+        if (!success) {
+            pendingNativeWithdrawals[to] += amount;
+            totalPendingNativeWithdrawals += amount;
+            emit NativeTransferDeferred(to, amount, block.timestamp);
+        }
+    }
+
+    // Pulls sell tokens into escrow
+    function _depositEscrow(address token, uint256 amount) internal {
+        _pullExact(token, amount);
+        escrowedBalances[token] += amount;
+    }
+
+    // Pulls tokens the contract books as held. Fee-on-transfer tokens deliver
+    // less than the amount sent, which would leave the booking backed by
+    // tokens owed to others, so they are rejected.
+    function _pullExact(address token, uint256 amount) internal {
+        uint256 balanceBefore = IERC20(token).balanceOf(address(this));
+        IERC20(token).safeTransferFrom(msg.sender, address(this), amount);
+        require(
+            IERC20(token).balanceOf(address(this)) - balanceBefore == amount,
+            "Fee-on-transfer tokens not supported"
+        );
+    }
+
+    // Takes sell tokens out of the escrow ledger before they are paid out and
+    // returns how many to pay. Fee balances held in the same token count as
+    // owed too, so a shortfall is never covered out of them. A shortfall
+    // stops payouts, except in emergency mode: a maker cancelling then gets
+    // their pro-rata share of what the contract holds. The ledger still drops
+    // by the full amount, so everyone owed the token takes the same cut.
+    function _releaseEscrow(address token, uint256 amount) internal returns (uint256 payout) {
+        payout = amount;
+        if (token != NATIVE_TOKEN) {
+            uint256 balance = IERC20(token).balanceOf(address(this));
+            uint256 owed = escrowedBalances[token] + accumulatedFees[token] + protocolFeeBalances[token];
+            if (balance < owed) {
+                require(emergencyMode, "Escrow balance shortfall");
+                payout = (amount * balance) / owed;
+            }
+        }
+        escrowedBalances[token] -= amount;
+    }
+}
@@ -0,0 +1,16 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/governance/TimelockController.sol";
+
+// Holds OTCSwap's TIMELOCK_ROLE. Proposers schedule updateFeeConfig,
+// updateProtocolFees, updateLiberdusToken and updateAnchorTokens calls,
+// which executors can only run once minDelay has passed.
+contract OTCSwapTimelock is TimelockController {
+    constructor(
+        uint256 minDelay,
+        address[] memory proposers,
+        address[] memory executors,
+        address admin
+    ) TimelockController(minDelay, proposers, executors, admin) {}
+}
@@ -0,0 +1,16 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
+
+/**
+ * @title TestPermitToken
+ * @dev A test token that supports EIP-2612 permits, so approvals can be
+ * signed off-chain and submitted with an order or fill.
+ */
+contract TestPermitToken is ERC20, ERC20Permit {
+    constructor(string memory name, string memory symbol) ERC20(name, symbol) ERC20Permit(name) {
+        _mint(msg.sender, 1000000 * 10**decimals());
+    }
+}
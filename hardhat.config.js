@@ -1,6 +1,9 @@
 require("@nomicfoundation/hardhat-ethers");
 require("@nomicfoundation/hardhat-toolbox");
 require("dotenv").config();
+require("./tasks/roles");
+require("./tasks/otc");
+require("./tasks/tokens");
 
 module.exports = {
   solidity: {
@@ -0,0 +1,413 @@
+const { ethers } = require('ethers');
+const { OTC_SWAP_ABI, TokenCache, orderPrice } = require('../client');
+
+const STATE_VERSION = 6;
+
+// Events that change the order book or move tokens, in the order they are
+// declared in contracts/OTCSwapStorage.sol. CleanupError is included because
+// an order that hits MAX_RETRY_ATTEMPTS is deleted without an OrderCleanedUp
+// event. Its reason can carry a token's revert data, so the deletion is
+// told apart by the order's tries rather than by the reason.
+const INDEXED_EVENTS = [
+  'OrderCreated',
+  'OrderFilled',
+  'OrderPartiallyFilled',
+  'SignedOrderFilled',
+  'OrderUpdated',
+  'OrderCanceled',
+  'OrderCleanedUp',
+  'RetryOrder',
+  'CleanupFeesDistributed',
+  'CleanupError',
+  'ProtocolFeeAccrued'
+];
+
+const DEFAULT_BLOCK_RANGE = 2000;
+
+// Rebuilds the order book by replaying OTCSwap events.
+//
+// Orders are keyed by their logical id: the id the order was created with.
+// A failed cleanup re-creates the order under a new id (RetryOrder), and the
+// indexer follows that chain so the order keeps its identity. `aliases` maps
+// the on-chain id an order currently lives at to its logical id.
+class OrderIndexer {
+  constructor(contractAddress, provider, options = {}) {
+    this.provider = provider;
+    this.contract = new ethers.Contract(contractAddress, OTC_SWAP_ABI, provider);
+    this.store = options.store;
+    this.startBlock = options.startBlock || 0;
+    this.blockRange = options.blockRange || DEFAULT_BLOCK_RANGE;
+    this.confirmations = options.confirmations || 0;
+    this.state = null;
+    // MAX_RETRY_ATTEMPTS of the contract, read by load()
+    this.maxRetryAttempts = null;
+    this.tokens = new TokenCache(provider);
+    // Protocol fees of the fill being applied. They are emitted just before
+    // its fill event, in the same transaction.
+    this._accruedFees = [];
+
+    this.topics = INDEXED_EVENTS.map(name => this.contract.interface.getEvent(name).topicHash);
+  }
+
+  async _initialState() {
+    const network = await this.provider.getNetwork();
+    return {
+      version: STATE_VERSION,
+      chainId: Number(network.chainId),
+      contract: this.contract.target,
+      lastBlock: this.startBlock - 1,
+      orders: {},
+      aliases: {},
+      // Symbol and decimals of every token an order has used, keyed by
+      // lowercased address
+      tokens: {},
+      liberdusToken: null,
+      // Fills of signed orders, which never enter the order book
+      signedFills: [],
+      // Creation fees paid out to whoever cleaned up expired orders
+      cleanupRewards: []
+    };
+  }
+
+  // Loads the last checkpoint from the store, or starts from startBlock
+  async load() {
+    const saved = this.store ? await this.store.load() : null;
+    const initial = await this._initialState();
+
+    // A checkpoint written by an older version lacks fields this version
+    // tracks, so the index is rebuilt from startBlock
+    if (saved && saved.version === STATE_VERSION) {
+      if (saved.chainId !== initial.chainId || saved.contract.toLowerCase() !== initial.contract.toLowerCase()) {
+        throw new Error(
+          `Stored index belongs to ${saved.contract} on chain ${saved.chainId}, ` +
+          `not ${initial.contract} on chain ${initial.chainId}`
+        );
+      }
+      this.state = saved;
+    } else {
+      this.state = initial;
+    }
+    this.tokens = new TokenCache(this.provider, { tokens: Object.values(this.state.tokens) });
+    this.maxRetryAttempts = Number(await this.contract.MAX_RETRY_ATTEMPTS());
+    return this.state;
+  }
+
+  // Replays every event up to the latest confirmed block, saving a
+  // checkpoint after each block range so an interrupted sync resumes where
+  // it stopped. Returns the number of events applied.
+  async sync(toBlock) {
+    if (!this.state) {
+      await this.load();
+    }
+
+    const head = toBlock ?? (await this.provider.getBlockNumber()) - this.confirmations;
+    let applied = 0;
+    this.state.liberdusToken = await this.contract.liberdusToken();
+
+    for (let from = this.state.lastBlock + 1; from <= head; from += this.blockRange) {
+      const to = Math.min(from + this.blockRange - 1, head);
+
+      const logs = await this.provider.getLogs({
+        address: this.contract.target,
+        topics: [this.topics],
+        fromBlock: from,
+        toBlock: to
+      });
+
+      await this._loadTokens(logs);
+      for (const log of logs) {
+        this.applyLog(log);
+        applied++;
+      }
+
+      this.state.lastBlock = to;
+      if (this.store) {
+        await this.store.save(this.state);
+      }
+    }
+
+    return applied;
+  }
+
+  // Reads the metadata of tokens orders, signed fills and cleanup rewards
+  // use, so amounts and prices can be worked out without further calls
+  async _loadTokens(logs) {
+    for (const log of logs) {
+      const { name, args } = this.contract.interface.parseLog(log);
+      let addresses;
+      if (name === 'OrderCreated') {
+        addresses = [args.sellToken, args.buyToken, args.feeToken];
+      } else if (name === 'SignedOrderFilled') {
+        addresses = [args.sellToken, args.buyToken];
+      } else if (name === 'CleanupFeesDistributed') {
+        addresses = [args.feeToken];
+      } else {
+        continue;
+      }
+      for (const address of addresses) {
+        const key = address.toLowerCase();
+        if (!this.state.tokens[key]) {
+          this.state.tokens[key] = await this.tokens.get(address);
+        }
+      }
+    }
+  }
+
+  applyLog(log) {
+    const event = this.contract.interface.parseLog(log);
+    const args = event.args;
+
+    switch (event.name) {
+      case 'OrderCreated':
+        this._onCreated(args, log);
+        break;
+      case 'OrderFilled':
+        this._onFill(args, log, {
+          status: 'Filled',
+          remainingSellAmount: 0n,
+          remainingBuyAmount: 0n,
+          filledBy: args.taker,
+          filledAt: Number(args.timestamp)
+        });
+        break;
+      case 'OrderPartiallyFilled':
+        this._onFill(args, log, {
+          remainingSellAmount: args.remainingSellAmount,
+          remainingBuyAmount: args.remainingBuyAmount
+        });
+        break;
+      case 'SignedOrderFilled':
+        this.state.signedFills.push({
+          orderHash: args.orderHash,
+          maker: args.maker,
+          taker: args.taker,
+          sellToken: args.sellToken,
+          sellAmount: args.sellAmount,
+          buyToken: args.buyToken,
+          buyAmount: args.buyAmount,
+          nonce: args.nonce,
+          timestamp: Number(args.timestamp),
+          blockNumber: log.blockNumber,
+          transactionHash: log.transactionHash
+        });
+        break;
+      case 'OrderUpdated':
+        this._onUpdated(args, log);
+        break;
+      case 'OrderCanceled':
+        this._update(args.orderId, log, {
+          status: 'Canceled',
+          canceledAt: Number(args.timestamp)
+        });
+        break;
+      case 'OrderCleanedUp':
+        this._onCleanedUp(args.orderId, Number(args.timestamp), log, false);
+        break;
+      case 'RetryOrder':
+        this._onRetry(args, log);
+        break;
+      case 'CleanupFeesDistributed':
+        this.state.cleanupRewards.push({
+          recipient: args.recipient,
+          feeToken: args.feeToken,
+          amount: args.amount,
+          timestamp: Number(args.timestamp),
+          blockNumber: log.blockNumber,
+          transactionHash: log.transactionHash
+        });
+        break;
+      case 'CleanupError':
+        this._onCleanupError(args, log);
+        break;
+      case 'ProtocolFeeAccrued':
+        this._accruedFees.push({
+          orderId: args.orderId,
+          token: args.token,
+          amount: args.amount,
+          transactionHash: log.transactionHash
+        });
+        break;
+    }
+  }
+
+  _onCreated(args, log) {
+    const orderId = Number(args.orderId);
+    this.state.orders[orderId] = {
+      orderId,
+      currentOrderId: orderId,
+      orderIds: [orderId],
+      maker: args.maker,
+      taker: args.taker,
+      sellToken: args.sellToken,
+      sellAmount: args.sellAmount,
+      buyToken: args.buyToken,
+      buyAmount: args.buyAmount,
+      feeToken: args.feeToken,
+      orderCreationFee: args.orderCreationFee,
+      expiry: Number(args.expiry),
+      createdAt: Number(args.timestamp),
+      timestamp: Number(args.timestamp),
+      tries: 0,
+      status: 'Active',
+      remainingSellAmount: args.sellAmount,
+      remainingBuyAmount: args.buyAmount,
+      fills: [],
+      // Every price the order has had, starting with the one it was created at
+      priceHistory: [{
+        sellAmount: args.sellAmount,
+        buyAmount: args.buyAmount,
+        taker: args.taker,
+        timestamp: Number(args.timestamp),
+        blockNumber: log.blockNumber,
+        transactionHash: log.transactionHash
+      }],
+      filledBy: null,
+      filledAt: null,
+      canceledAt: null,
+      cleanedUpAt: null,
+      forceDeleted: false,
+      createdBlock: log.blockNumber,
+      updatedBlock: log.blockNumber
+    };
+    this.state.aliases[orderId] = orderId;
+  }
+
+  // Both fill events carry the amounts traded in that fill. The maker's
+  // protocol fee is taken from the buy token they receive, the taker's from
+  // the sell token.
+  _onFill(args, log, changes) {
+    const fees = this._accruedFees.filter(fee =>
+      fee.orderId === args.orderId && fee.transactionHash === log.transactionHash);
+    this._accruedFees = [];
+    const feeIn = token => fees.filter(fee => fee.token === token).reduce((sum, fee) => sum + fee.amount, 0n);
+
+    const order = this._update(args.orderId, log, changes);
+    if (order) {
+      order.fills.push({
+        orderId: Number(args.orderId),
+        taker: args.taker,
+        sellAmount: args.sellAmount,
+        buyAmount: args.buyAmount,
+        makerFee: feeIn(order.buyToken),
+        takerFee: feeIn(order.sellToken),
+        timestamp: Number(args.timestamp),
+        blockNumber: log.blockNumber,
+        transactionHash: log.transactionHash
+      });
+    }
+  }
+
+  // OrderUpdated carries remaining amounts; filled amounts stay in the totals
+  _onUpdated(args, log) {
+    const order = this.getOrderByOnChainId(args.orderId);
+    if (!order) {
+      return;
+    }
+    this._update(args.orderId, log, {
+      taker: args.taker,
+      sellAmount: order.sellAmount - args.oldSellAmount + args.newSellAmount,
+      buyAmount: order.buyAmount - args.oldBuyAmount + args.newBuyAmount,
+      remainingSellAmount: args.newSellAmount,
+      remainingBuyAmount: args.newBuyAmount
+    });
+    order.priceHistory.push({
+      sellAmount: args.newSellAmount,
+      buyAmount: args.newBuyAmount,
+      taker: args.taker,
+      timestamp: Number(args.timestamp),
+      blockNumber: log.blockNumber,
+      transactionHash: log.transactionHash
+    });
+  }
+
+  _onRetry(args, log) {
+    const oldOrderId = Number(args.oldOrderId);
+    const newOrderId = Number(args.newOrderId);
+    const order = this._update(oldOrderId, log, {
+      tries: Number(args.tries),
+      timestamp: Number(args.timestamp)
+    });
+
+    if (order) {
+      order.currentOrderId = newOrderId;
+      order.orderIds.push(newOrderId);
+      this.state.aliases[newOrderId] = order.orderId;
+    }
+    delete this.state.aliases[oldOrderId];
+  }
+
+  // A failed cleanup deletes the order once it has used up its retries, and
+  // re-creates it otherwise (RetryOrder follows)
+  _onCleanupError(args, log) {
+    const order = this.getOrderByOnChainId(args.orderId);
+    if (order && order.tries >= this.maxRetryAttempts) {
+      this._onCleanedUp(args.orderId, Number(args.timestamp), log, true);
+    }
+  }
+
+  _onCleanedUp(onChainId, timestamp, log, forceDeleted) {
+    const order = this._update(onChainId, log, {
+      cleanedUpAt: timestamp,
+      forceDeleted
+    });
+
+    // Active orders are expired by the time they are cleaned up; filled and
+    // canceled orders keep their final status.
+    if (order && order.status === 'Active') {
+      order.status = 'Expired';
+    }
+    delete this.state.aliases[Number(onChainId)];
+  }
+
+  _update(onChainId, log, changes) {
+    const order = this.getOrderByOnChainId(onChainId);
+    if (!order) {
+      // Created before startBlock; nothing to attach the event to
+      return null;
+    }
+    Object.assign(order, changes, { updatedBlock: log.blockNumber });
+    return order;
+  }
+
+  getOrder(logicalId) {
+    return this.state.orders[Number(logicalId)] || null;
+  }
+
+  // Resolves the id an order currently lives at on chain (the id accepted by
+  // fillOrder and cancelOrder) to its indexed record
+  getOrderByOnChainId(onChainId) {
+    const logicalId = this.state.aliases[Number(onChainId)];
+    return logicalId === undefined ? null : this.getOrder(logicalId);
+  }
+
+  getOrders(filter = {}) {
+    const sameAddress = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+    return Object.values(this.state.orders).filter(order =>
+      (!filter.status || order.status === filter.status) &&
+      (!filter.maker || sameAddress(order.maker, filter.maker)) &&
+      (!filter.sellToken || sameAddress(order.sellToken, filter.sellToken)) &&
+      (!filter.buyToken || sameAddress(order.buyToken, filter.buyToken))
+    );
+  }
+
+  getActiveOrders(filter = {}) {
+    return this.getOrders({ ...filter, status: 'Active' });
+  }
+
+  // Prices of an indexed order (see orderPrice in client/tokens.js), or
+  // null if its tokens' metadata has not been loaded by sync
+  getOrderPrice(order) {
+    const sellInfo = this.state.tokens[order.sellToken.toLowerCase()];
+    const buyInfo = this.state.tokens[order.buyToken.toLowerCase()];
+    if (!sellInfo || !buyInfo) {
+      return null;
+    }
+    return orderPrice(order, sellInfo, buyInfo, this.state.liberdusToken);
+  }
+}
+
+module.exports = {
+  OrderIndexer,
+  INDEXED_EVENTS
+};
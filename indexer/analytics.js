@@ -0,0 +1,366 @@
+const { ethers } = require('ethers');
+const { PRICE_DECIMALS, price, formatPrice } = require('../client');
+
+const PRICE_SCALE = 10n ** BigInt(PRICE_DECIMALS);
+
+// Columns of each report table, in the order they are exported
+const REPORT_TABLES = {
+  trades: ['time', 'block', 'transactionHash', 'type', 'order', 'maker', 'taker', 'sellToken', 'sellAmount',
+    'buyToken', 'buyAmount', 'makerFee', 'takerFee'],
+  pairs: ['base', 'quote', 'trades', 'baseVolume', 'quoteVolume', 'vwap', 'low', 'high', 'last'],
+  accounts: ['account', 'role', 'trades', 'pnl', 'unpriced'],
+  positions: ['account', 'role', 'token', 'amount', 'price', 'value'],
+  fees: ['account', 'token', 'creationFeesPaid', 'protocolFeesPaid', 'cleanupRewards', 'net'],
+  orders: ['created', 'filled', 'partiallyFilled', 'canceled', 'expired', 'active', 'fillRate', 'cancelRate', 'expiryRate']
+};
+
+function sameAddress(a, b) {
+  return Boolean(a && b) && a.toLowerCase() === b.toLowerCase();
+}
+
+function inPeriod(timestamp, { from, to }) {
+  return (from === null || timestamp >= from) && (to === null || timestamp < to);
+}
+
+function decimalsOf(state, token) {
+  const info = state.tokens[token.toLowerCase()];
+  return info ? info.decimals : 18;
+}
+
+// Adds `amount` to the bigint kept for `keys` in a Map, creating it on first
+// use. Keys are joined, so addresses must already be in one case.
+function add(map, keys, amount) {
+  const key = keys.join(' ');
+  map.set(key, (map.get(key) || 0n) + amount);
+}
+
+// Pairs are quoted in Liberdus when one side is the Liberdus token, so both
+// directions of the same market land in one row. Other pairs are ordered by
+// address.
+function pairOf(trade, liberdusToken) {
+  const { sellToken, buyToken } = trade;
+  const sellIsQuote = sameAddress(sellToken, liberdusToken) ||
+    (!sameAddress(buyToken, liberdusToken) && sellToken.toLowerCase() > buyToken.toLowerCase());
+  return sellIsQuote
+    ? { base: buyToken, quote: sellToken, baseAmount: trade.buyAmount, quoteAmount: trade.sellAmount }
+    : { base: sellToken, quote: buyToken, baseAmount: trade.sellAmount, quoteAmount: trade.buyAmount };
+}
+
+// Every fill in the period, of order book and signed orders alike, oldest
+// first
+function tradesIn(state, period) {
+  const trades = [];
+  for (const order of Object.values(state.orders)) {
+    for (const fill of order.fills) {
+      trades.push({
+        type: 'order',
+        orderId: order.orderId,
+        maker: order.maker,
+        taker: fill.taker,
+        sellToken: order.sellToken,
+        sellAmount: fill.sellAmount,
+        buyToken: order.buyToken,
+        buyAmount: fill.buyAmount,
+        makerFee: fill.makerFee,
+        takerFee: fill.takerFee,
+        timestamp: fill.timestamp,
+        blockNumber: fill.blockNumber,
+        transactionHash: fill.transactionHash
+      });
+    }
+  }
+  for (const fill of state.signedFills) {
+    trades.push({
+      type: 'signed',
+      orderId: fill.orderHash,
+      maker: fill.maker,
+      taker: fill.taker,
+      sellToken: fill.sellToken,
+      sellAmount: fill.sellAmount,
+      buyToken: fill.buyToken,
+      buyAmount: fill.buyAmount,
+      makerFee: 0n,
+      takerFee: 0n,
+      timestamp: fill.timestamp,
+      blockNumber: fill.blockNumber,
+      transactionHash: fill.transactionHash
+    });
+  }
+  return trades
+    .filter(trade => inPeriod(trade.timestamp, period))
+    .sort((a, b) => a.blockNumber - b.blockNumber || a.timestamp - b.timestamp);
+}
+
+function pairStats(state, trades, liberdusToken) {
+  const pairs = new Map();
+  for (const trade of trades) {
+    const { base, quote, baseAmount, quoteAmount } = pairOf(trade, liberdusToken);
+    const key = `${base.toLowerCase()} ${quote.toLowerCase()}`;
+    if (!pairs.has(key)) {
+      pairs.set(key, { base, quote, trades: 0, baseVolume: 0n, quoteVolume: 0n, low: null, high: null, last: null });
+    }
+    const pair = pairs.get(key);
+    const tradePrice = price(baseAmount, decimalsOf(state, base), quoteAmount, decimalsOf(state, quote));
+    pair.trades++;
+    pair.baseVolume += baseAmount;
+    pair.quoteVolume += quoteAmount;
+    if (tradePrice !== null) {
+      pair.low = pair.low === null || tradePrice < pair.low ? tradePrice : pair.low;
+      pair.high = pair.high === null || tradePrice > pair.high ? tradePrice : pair.high;
+      pair.last = tradePrice;
+    }
+  }
+  return [...pairs.values()].map(pair => ({
+    ...pair,
+    vwap: price(pair.baseVolume, decimalsOf(state, pair.base), pair.quoteVolume, decimalsOf(state, pair.quote))
+  }));
+}
+
+// Liberdus per whole unit of each token: the given price, else the last
+// trade of its Liberdus pair in the period
+function markPrices(pairs, liberdusToken, prices) {
+  const marks = new Map();
+  if (liberdusToken) {
+    marks.set(liberdusToken.toLowerCase(), PRICE_SCALE);
+  }
+  for (const pair of pairs) {
+    if (sameAddress(pair.quote, liberdusToken) && pair.last !== null) {
+      marks.set(pair.base.toLowerCase(), pair.last);
+    }
+  }
+  for (const [token, value] of Object.entries(prices)) {
+    marks.set(token.toLowerCase(), typeof value === 'bigint' ? value : ethers.parseUnits(String(value), PRICE_DECIMALS));
+  }
+  return marks;
+}
+
+// What each account gave and received in its trades as maker and as taker,
+// after protocol fees, valued in Liberdus at the mark prices. Tokens
+// without a mark price are left out of pnl and listed in `unpriced`.
+function accountStats(state, trades, liberdusToken, marks) {
+  const counts = new Map();
+  const flows = new Map();
+  for (const trade of trades) {
+    const maker = trade.maker.toLowerCase();
+    const taker = trade.taker.toLowerCase();
+    const sellToken = trade.sellToken.toLowerCase();
+    const buyToken = trade.buyToken.toLowerCase();
+    add(counts, [maker, 'maker'], 1n);
+    add(counts, [taker, 'taker'], 1n);
+    add(flows, [maker, 'maker', sellToken], -trade.sellAmount);
+    add(flows, [maker, 'maker', buyToken], trade.buyAmount - trade.makerFee);
+    add(flows, [taker, 'taker', sellToken], trade.sellAmount - trade.takerFee);
+    add(flows, [taker, 'taker', buyToken], -trade.buyAmount);
+  }
+
+  const addresses = new Map(trades.flatMap(trade => [trade.maker, trade.taker, trade.sellToken, trade.buyToken])
+    .map(address => [address.toLowerCase(), address]));
+  const liberdusDecimals = liberdusToken ? decimalsOf(state, liberdusToken) : 18;
+  const accounts = new Map();
+  for (const [key, count] of counts) {
+    const [account, role] = key.split(' ');
+    accounts.set(key, { account: addresses.get(account), role, trades: Number(count), positions: [], pnl: 0n, unpriced: [] });
+  }
+  for (const [key, amount] of flows) {
+    const [account, role, token] = key.split(' ');
+    const entry = accounts.get(`${account} ${role}`);
+    const mark = marks.has(token) ? marks.get(token) : null;
+    const value = mark === null
+      ? null
+      : amount * mark * 10n ** BigInt(liberdusDecimals) / (PRICE_SCALE * 10n ** BigInt(decimalsOf(state, token)));
+    entry.positions.push({ token: addresses.get(token), amount, price: mark, value });
+    if (value === null) {
+      entry.unpriced.push(addresses.get(token));
+    } else {
+      entry.pnl += value;
+    }
+  }
+  return [...accounts.values()];
+}
+
+// Creation fees makers paid for orders created in the period, protocol fees
+// taken from their fills and the cleanup rewards paid out, per account and
+// token
+function feeStats(state, trades, period) {
+  const paid = { creation: new Map(), protocol: new Map(), rewards: new Map() };
+  const addresses = new Map();
+  const record = (map, account, token, amount) => {
+    addresses.set(account.toLowerCase(), account);
+    addresses.set(token.toLowerCase(), token);
+    add(map, [account.toLowerCase(), token.toLowerCase()], amount);
+  };
+
+  for (const order of Object.values(state.orders)) {
+    if (inPeriod(order.createdAt, period) && order.orderCreationFee > 0n) {
+      record(paid.creation, order.maker, order.feeToken, order.orderCreationFee);
+    }
+  }
+  for (const trade of trades) {
+    if (trade.makerFee > 0n) {
+      record(paid.protocol, trade.maker, trade.buyToken, trade.makerFee);
+    }
+    if (trade.takerFee > 0n) {
+      record(paid.protocol, trade.taker, trade.sellToken, trade.takerFee);
+    }
+  }
+  for (const reward of state.cleanupRewards.filter(reward => inPeriod(reward.timestamp, period))) {
+    record(paid.rewards, reward.recipient, reward.feeToken, reward.amount);
+  }
+
+  const keys = new Set([...paid.creation.keys(), ...paid.protocol.keys(), ...paid.rewards.keys()]);
+  return [...keys].sort().map(key => {
+    const [account, token] = key.split(' ');
+    const creationFeesPaid = paid.creation.get(key) || 0n;
+    const protocolFeesPaid = paid.protocol.get(key) || 0n;
+    const cleanupRewards = paid.rewards.get(key) || 0n;
+    return {
+      account: addresses.get(account),
+      token: addresses.get(token),
+      creationFeesPaid,
+      protocolFeesPaid,
+      cleanupRewards,
+      net: cleanupRewards - creationFeesPaid - protocolFeesPaid
+    };
+  });
+}
+
+// How the orders created in the period ended. An active order past its
+// expiry at `now` counts as expired, as it can no longer be filled.
+// Partially filled orders are also counted by how they ended. Rates are
+// shares of the orders that ended, or null while none has.
+function orderStats(state, period, now) {
+  const stats = { created: 0, filled: 0, partiallyFilled: 0, canceled: 0, expired: 0, active: 0 };
+  for (const order of Object.values(state.orders)) {
+    if (!inPeriod(order.createdAt, period)) {
+      continue;
+    }
+    stats.created++;
+    if (order.fills.length > 0 && order.status !== 'Filled') {
+      stats.partiallyFilled++;
+    }
+    if (order.status === 'Filled') {
+      stats.filled++;
+    } else if (order.status === 'Canceled') {
+      stats.canceled++;
+    } else if (order.status === 'Expired' || now > order.timestamp + order.expiry) {
+      stats.expired++;
+    } else {
+      stats.active++;
+    }
+  }
+  const ended = stats.filled + stats.canceled + stats.expired;
+  const rate = count => (ended === 0 ? null : count / ended);
+  return { ...stats, fillRate: rate(stats.filled), cancelRate: rate(stats.canceled), expiryRate: rate(stats.expired) };
+}
+
+// Aggregates an OrderIndexer's state into a trade report. Options:
+//   from, to  unix seconds; fills, fees and created orders count when
+//             from <= timestamp < to. Either may be left out.
+//   prices    Liberdus per whole unit of a token, keyed by address, to
+//             value positions at instead of the period's last trade
+//   now       unix seconds when active orders are checked for expiry
+// Amounts are bigints in each token's smallest units, prices bigints with
+// PRICE_DECIMALS decimals.
+function tradeReport(state, options = {}) {
+  const period = { from: options.from ?? null, to: options.to ?? null };
+  const now = options.now ?? Math.floor(Date.now() / 1000);
+  const { liberdusToken } = state;
+
+  const trades = tradesIn(state, period);
+  const pairs = pairStats(state, trades, liberdusToken);
+  const marks = markPrices(pairs, liberdusToken, options.prices || {});
+
+  return {
+    ...period,
+    liberdusToken,
+    trades,
+    pairs,
+    accounts: accountStats(state, trades, liberdusToken, marks),
+    fees: feeStats(state, trades, period),
+    orders: orderStats(state, period, now)
+  };
+}
+
+// Flattens a report into the rows of REPORT_TABLES, with amounts in token
+// units and tokens by symbol, for JSON and CSV export
+function reportTables(report, state) {
+  const symbol = token => {
+    const info = state.tokens[token.toLowerCase()];
+    return info ? info.symbol : token;
+  };
+  const amount = (token, value) => ethers.formatUnits(value, decimalsOf(state, token));
+  const liberdus = value => (report.liberdusToken ? amount(report.liberdusToken, value) : '');
+  const optional = (value, format) => (value === null ? '' : format(value));
+
+  return {
+    trades: report.trades.map(trade => ({
+      time: new Date(trade.timestamp * 1000).toISOString(),
+      block: trade.blockNumber,
+      transactionHash: trade.transactionHash,
+      type: trade.type,
+      order: String(trade.orderId),
+      maker: trade.maker,
+      taker: trade.taker,
+      sellToken: symbol(trade.sellToken),
+      sellAmount: amount(trade.sellToken, trade.sellAmount),
+      buyToken: symbol(trade.buyToken),
+      buyAmount: amount(trade.buyToken, trade.buyAmount),
+      makerFee: amount(trade.buyToken, trade.makerFee),
+      takerFee: amount(trade.sellToken, trade.takerFee)
+    })),
+    pairs: report.pairs.map(pair => ({
+      base: symbol(pair.base),
+      quote: symbol(pair.quote),
+      trades: pair.trades,
+      baseVolume: amount(pair.base, pair.baseVolume),
+      quoteVolume: amount(pair.quote, pair.quoteVolume),
+      vwap: formatPrice(pair.vwap),
+      low: formatPrice(pair.low),
+      high: formatPrice(pair.high),
+      last: formatPrice(pair.last)
+    })),
+    accounts: report.accounts.map(entry => ({
+      account: entry.account,
+      role: entry.role,
+      trades: entry.trades,
+      pnl: liberdus(entry.pnl),
+      unpriced: entry.unpriced.map(symbol).join(' ')
+    })),
+    positions: report.accounts.flatMap(entry => entry.positions.map(position => ({
+      account: entry.account,
+      role: entry.role,
+      token: symbol(position.token),
+      amount: amount(position.token, position.amount),
+      price: optional(position.price, formatPrice),
+      value: optional(position.value, liberdus)
+    }))),
+    fees: report.fees.map(fee => ({
+      account: fee.account,
+      token: symbol(fee.token),
+      creationFeesPaid: amount(fee.token, fee.creationFeesPaid),
+      protocolFeesPaid: amount(fee.token, fee.protocolFeesPaid),
+      cleanupRewards: amount(fee.token, fee.cleanupRewards),
+      net: amount(fee.token, fee.net)
+    })),
+    orders: [report.orders]
+  };
+}
+
+function csvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One table of reportTables as CSV, with a header row
+function toCsv(rows, columns = rows.length > 0 ? Object.keys(rows[0]) : []) {
+  return [columns, ...rows.map(row => columns.map(column => row[column]))]
+    .map(fields => fields.map(csvField).join(','))
+    .join('\n') + '\n';
+}
+
+module.exports = {
+  REPORT_TABLES,
+  tradeReport,
+  reportTables,
+  toCsv
+};
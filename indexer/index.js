@@ -0,0 +1,14 @@
+const { OrderIndexer, INDEXED_EVENTS } = require('./OrderIndexer');
+const { MemoryStore, JsonFileStore } = require('./stores');
+const { REPORT_TABLES, tradeReport, reportTables, toCsv } = require('./analytics');
+
+module.exports = {
+  OrderIndexer,
+  INDEXED_EVENTS,
+  MemoryStore,
+  JsonFileStore,
+  REPORT_TABLES,
+  tradeReport,
+  reportTables,
+  toCsv
+};
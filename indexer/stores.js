@@ -0,0 +1,58 @@
+const fs = require('fs');
+const path = require('path');
+
+// BigInt values (token amounts) are not representable in JSON, so they are
+// written as {"$bigint": "<decimal>"} and revived on load.
+function replacer(key, value) {
+  return typeof value === 'bigint' ? { $bigint: value.toString() } : value;
+}
+
+function reviver(key, value) {
+  if (value && typeof value === 'object' && typeof value.$bigint === 'string') {
+    return BigInt(value.$bigint);
+  }
+  return value;
+}
+
+// Keeps the indexer state in memory only. Useful for tests and one-off scans.
+class MemoryStore {
+  constructor() {
+    this.state = null;
+  }
+
+  async load() {
+    return this.state ? JSON.parse(JSON.stringify(this.state, replacer), reviver) : null;
+  }
+
+  async save(state) {
+    this.state = JSON.parse(JSON.stringify(state, replacer), reviver);
+  }
+}
+
+// Persists the indexer state to a JSON file. Writes go to a temporary file
+// that is renamed over the old one, so a crash mid-write never leaves a
+// truncated checkpoint behind.
+class JsonFileStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+  }
+
+  async load() {
+    if (!fs.existsSync(this.filePath)) {
+      return null;
+    }
+    return JSON.parse(fs.readFileSync(this.filePath, 'utf8'), reviver);
+  }
+
+  async save(state) {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(state, replacer, 2));
+    fs.renameSync(tmpPath, this.filePath);
+  }
+}
+
+module.exports = {
+  MemoryStore,
+  JsonFileStore
+};
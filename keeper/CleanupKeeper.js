@@ -0,0 +1,357 @@
+const { ethers } = require('ethers');
+const { OTC_SWAP_ABI, ERC20_ABI, OrderStatus, isNativeToken } = require('../client');
+
+const DEFAULT_INTERVAL_MS = 60 * 1000;
+const DEFAULT_MAX_CLEANUPS_PER_TICK = 10;
+// Orders read ahead of firstOrderId each round
+const DEFAULT_SCAN_LIMIT = 200;
+
+// Prices are given as the amount of native coin (in ether units) one whole
+// fee token is worth, e.g. { '0x8f3C...': '2.5' } when 1 DAI buys 2.5 POL.
+function staticPriceOracle(prices) {
+  const table = {};
+  for (const [token, price] of Object.entries(prices)) {
+    table[token.toLowerCase()] = ethers.parseEther(String(price));
+  }
+  return async (token) => {
+    const price = table[token.toLowerCase()];
+    if (price === undefined) {
+      throw new Error(`No price configured for fee token ${token}`);
+    }
+    return price;
+  };
+}
+
+// One JSON object per line, so logs can be shipped and queried as-is
+function jsonLogger(entry) {
+  console.log(JSON.stringify(
+    { time: new Date().toISOString(), ...entry },
+    (key, value) => (typeof value === 'bigint' ? value.toString() : value)
+  ));
+}
+
+// Cleans up expired orders when the fees they pay out are worth more than
+// the gas it costs.
+//
+// Orders carry their own expiry, so they do not expire in id order. Each
+// round the keeper reads up to scanLimit orders from firstOrderId on and
+// plans one batched call: cleanupExpiredOrders(maxOrders) when the window
+// starts at firstOrderId, else cleanupExpiredOrdersFrom(start, maxOrders) to
+// reach expired orders behind a long-lived one. It adds up what every order
+// in the window would pay, per fee token, simulates the call, prices the
+// gas, and submits when the rewards (converted to native coin through the
+// price oracle) beat the cost by at least minProfit wei.
+//
+// Empty slots at firstOrderId, left by orders cleaned up out of order, pay
+// nothing, so stepping over them is sent without needing a profit.
+// Otherwise firstOrderId would never move on.
+class CleanupKeeper {
+  constructor(contractAddress, signer, options = {}) {
+    this.signer = signer;
+    this.provider = signer.provider;
+    this.contract = new ethers.Contract(contractAddress, OTC_SWAP_ABI, signer);
+    this.priceOracle = options.priceOracle;
+    this.minProfit = options.minProfit || 0n;
+    this.dryRun = Boolean(options.dryRun);
+    this.maxCleanupsPerTick = options.maxCleanupsPerTick || DEFAULT_MAX_CLEANUPS_PER_TICK;
+    this.scanLimit = options.scanLimit || DEFAULT_SCAN_LIMIT;
+    this.log = options.logger || jsonLogger;
+    this._decimals = {};
+    this._stopped = false;
+
+    if (!this.priceOracle) {
+      throw new Error('A priceOracle is required to judge profitability');
+    }
+  }
+
+  async _feeTokenDecimals(token) {
+    const key = token.toLowerCase();
+    if (this._decimals[key] === undefined) {
+      const erc20 = new ethers.Contract(token, ERC20_ABI, this.provider);
+      this._decimals[key] = Number(await erc20.decimals());
+    }
+    return this._decimals[key];
+  }
+
+  // Whether returning the escrowed tokens to the maker would succeed. A
+  // failed transfer turns the cleanup into a retry, which pays nothing until
+  // MAX_RETRY_ATTEMPTS is reached.
+  async _refundSucceeds(order) {
+    // Native refunds that bounce are credited to the maker, never retried
+    if (isNativeToken(order.sellToken)) {
+      return true;
+    }
+    const token = new ethers.Contract(order.sellToken, ERC20_ABI, this.provider);
+    try {
+      // attemptTransfer refuses to pay out of a balance below what the
+      // contract owes in the token: escrow plus both kinds of fee balance
+      const [balance, escrowed, accumulatedFees, protocolFees] = await Promise.all([
+        token.balanceOf(this.contract.target),
+        this.contract.escrowedBalances(order.sellToken),
+        this.contract.accumulatedFees(order.sellToken),
+        this.contract.protocolFeeBalances(order.sellToken)
+      ]);
+      if (balance < escrowed + accumulatedFees + protocolFees) {
+        return false;
+      }
+      return await token.transfer.staticCall(order.maker, order.remainingSellAmount, {
+        from: this.contract.target
+      });
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // The reward cleaning up an expired order would pay. `buckets` holds what
+  // is left of each fee token's accumulated fees as earlier orders in the
+  // same call draw on them.
+  async _expectedReward(order, buckets, maxRetries) {
+    if (Number(order.status) === OrderStatus.Active && !(await this._refundSucceeds(order))) {
+      if (order.tries < maxRetries) {
+        return 0n;
+      }
+    }
+
+    // Rewards come out of the bucket of the order's own fee token
+    const key = order.feeToken.toLowerCase();
+    if (!buckets.has(key)) {
+      buckets.set(key, await this.contract.accumulatedFees(order.feeToken));
+    }
+    const available = buckets.get(key);
+    const reward = order.orderCreationFee <= available ? order.orderCreationFee : available;
+    buckets.set(key, available - reward);
+    return reward;
+  }
+
+  // Adds up the rewards of the cleanable orders in [start, start + maxOrders),
+  // per fee token
+  async _rewards(orders, start, maxOrders, maxRetries) {
+    const buckets = new Map();
+    const rewards = [];
+    for (const { orderId, order } of orders) {
+      if (orderId < start || orderId >= start + maxOrders) {
+        continue;
+      }
+      const amount = await this._expectedReward(order, buckets, maxRetries);
+      const entry = rewards.find(reward => reward.feeToken.toLowerCase() === order.feeToken.toLowerCase());
+      if (entry) {
+        entry.amount += amount;
+      } else if (amount > 0n) {
+        rewards.push({ feeToken: order.feeToken, amount });
+      }
+    }
+    return rewards;
+  }
+
+  // The call that cleans up [startOrderId, startOrderId + maxOrders)
+  _call(firstOrderId, startOrderId, maxOrders) {
+    return startOrderId === firstOrderId
+      ? { method: 'cleanupExpiredOrders(uint256)', args: [maxOrders] }
+      : { method: 'cleanupExpiredOrdersFrom', args: [startOrderId, maxOrders] };
+  }
+
+  // Simulates a call and prices its gas. The contract stops early once gas
+  // runs low, so an estimate only covers the first order: the limit leaves
+  // CLEANUP_GAS_RESERVE for each further slot, and the cost is priced as
+  // if each order took as much gas as the first.
+  async _price({ method, args }, maxOrders, orderCount) {
+    const cleanup = this.contract.getFunction(method);
+    await cleanup.staticCall(...args);
+    const [estimate, reserve, block, feeData] = await Promise.all([
+      cleanup.estimateGas(...args),
+      this.contract.CLEANUP_GAS_RESERVE(),
+      this.provider.getBlock('latest'),
+      this.provider.getFeeData()
+    ]);
+
+    const gasLimit = (estimate * 12n) / 10n + reserve * BigInt(maxOrders - 1);
+    const gasEstimate = estimate * BigInt(Math.max(orderCount, 1));
+    const gasPrice = feeData.maxFeePerGas || feeData.gasPrice;
+    return {
+      gasEstimate,
+      gasLimit: gasLimit < block.gasLimit ? gasLimit : block.gasLimit,
+      gasPrice,
+      gasCost: gasEstimate * gasPrice
+    };
+  }
+
+  async _rewardInNative(rewards) {
+    let total = 0n;
+    for (const { feeToken, amount } of rewards) {
+      const price = await this.priceOracle(feeToken);
+      const decimals = await this._feeTokenDecimals(feeToken);
+      total += (amount * price) / 10n ** BigInt(decimals);
+    }
+    return total;
+  }
+
+  // Works out which cleanup call to send right now and whether it pays
+  async evaluate() {
+    const [first, next, batch, grace, maxRetries, block] = await Promise.all([
+      this.contract.firstOrderId(),
+      this.contract.nextOrderId(),
+      this.contract.MAX_CLEANUP_BATCH(),
+      this.contract.GRACE_PERIOD(),
+      this.contract.MAX_RETRY_ATTEMPTS(),
+      this.provider.getBlock('latest')
+    ]);
+
+    if (first >= next) {
+      return { action: 'idle', reason: 'No orders to clean up' };
+    }
+
+    const firstOrderId = Number(first);
+    const end = Math.min(Number(next), firstOrderId + this.scanLimit);
+    const ids = [];
+    for (let orderId = firstOrderId; orderId < end; orderId++) {
+      ids.push(orderId);
+    }
+    const orders = await Promise.all(ids.map(async orderId => ({ orderId, order: await this.contract.orders(orderId) })));
+
+    // The run of empty slots firstOrderId can step over
+    let emptySlots = 0;
+    while (emptySlots < orders.length && orders[emptySlots].order.maker === ethers.ZeroAddress) {
+      emptySlots++;
+    }
+
+    const cleanableAt = ({ order }) => Number(order.timestamp + order.expiry + grace) + 1;
+    const live = orders.filter(({ order }) => order.maker !== ethers.ZeroAddress);
+    const cleanable = live.filter(entry => block.timestamp >= cleanableAt(entry));
+
+    if (cleanable.length === 0) {
+      if (live.length === 0) {
+        return { action: 'skip', reason: 'Only empty slots, which pay nothing' };
+      }
+      const waiting = live.reduce((earliest, entry) => (cleanableAt(entry) < cleanableAt(earliest) ? entry : earliest));
+      return {
+        action: 'wait',
+        reason: 'No order past grace period',
+        orderId: waiting.orderId,
+        cleanableAt: cleanableAt(waiting)
+      };
+    }
+
+    // Empty slots pay nothing, so they are only stepped over by a call that
+    // also cleans an order: start at firstOrderId when the first cleanable
+    // order fits in the same batch, else at that order. The window ends at
+    // the last cleanable order it can hold.
+    const startOrderId = emptySlots > 0 && cleanable[0].orderId < firstOrderId + Number(batch)
+      ? firstOrderId
+      : cleanable[0].orderId;
+    const limit = startOrderId + Number(batch);
+    const inWindow = cleanable.filter(({ orderId }) => orderId < limit);
+    const maxOrders = inWindow[inWindow.length - 1].orderId - startOrderId + 1;
+
+    let evaluation;
+    try {
+      evaluation = await this._plan(firstOrderId, startOrderId, maxOrders, inWindow, maxRetries);
+      if (evaluation.profit >= this.minProfit) {
+        return { action: 'cleanup', ...evaluation };
+      }
+      return { action: 'skip', reason: 'Not profitable', ...evaluation };
+    } catch (error) {
+      return {
+        action: 'skip',
+        reason: `Simulation failed: ${error.shortMessage || error.message}`,
+        startOrderId,
+        maxOrders
+      };
+    }
+  }
+
+  async _plan(firstOrderId, startOrderId, maxOrders, cleanable, maxRetries) {
+    const call = this._call(firstOrderId, startOrderId, maxOrders);
+    const rewards = await this._rewards(cleanable, startOrderId, maxOrders, maxRetries);
+    const gas = await this._price(call, maxOrders, cleanable.length);
+    const rewardInNative = await this._rewardInNative(rewards);
+    return {
+      ...call,
+      startOrderId,
+      maxOrders,
+      orders: cleanable.map(({ orderId }) => orderId),
+      rewards,
+      rewardInNative,
+      ...gas,
+      profit: rewardInNative - gas.gasCost
+    };
+  }
+
+  // Cleans up orders while it stays profitable. Returns the receipts of the
+  // transactions sent.
+  async tick() {
+    const receipts = [];
+
+    for (let i = 0; i < this.maxCleanupsPerTick; i++) {
+      const evaluation = await this.evaluate();
+      this.log({ level: 'info', event: 'evaluate', ...evaluation });
+
+      if (evaluation.action !== 'cleanup') {
+        break;
+      }
+      const { startOrderId, maxOrders } = evaluation;
+      if (this.dryRun) {
+        this.log({ level: 'info', event: 'dry-run', startOrderId, maxOrders });
+        break;
+      }
+
+      const tx = await this.contract.getFunction(evaluation.method)(...evaluation.args, {
+        gasLimit: evaluation.gasLimit
+      });
+      this.log({ level: 'info', event: 'submitted', startOrderId, maxOrders, txHash: tx.hash });
+
+      const receipt = await tx.wait();
+      this.log({
+        level: 'info',
+        event: 'confirmed',
+        startOrderId,
+        maxOrders,
+        txHash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+        gasUsed: receipt.gasUsed,
+        gasCost: receipt.gasUsed * receipt.gasPrice,
+        cleaned: receipt.logs.filter(log => log.eventName === 'OrderCleanedUp').length,
+        rewards: receipt.logs
+          .filter(log => log.eventName === 'CleanupFeesDistributed')
+          .map(log => ({ feeToken: log.args.feeToken, amount: log.args.amount }))
+      });
+      receipts.push(receipt);
+    }
+
+    return receipts;
+  }
+
+  // Runs tick() every intervalMs until stop() is called. Errors are logged
+  // and the loop carries on, so a flaky RPC does not kill the keeper.
+  async run(intervalMs = DEFAULT_INTERVAL_MS) {
+    this._stopped = false;
+    this.log({ level: 'info', event: 'start', contract: this.contract.target, dryRun: this.dryRun });
+
+    while (!this._stopped) {
+      try {
+        await this.tick();
+      } catch (error) {
+        this.log({ level: 'error', event: 'tick-failed', error: error.shortMessage || error.message });
+      }
+      await new Promise(resolve => {
+        this._wake = resolve;
+        this._timer = setTimeout(resolve, intervalMs);
+      });
+    }
+
+    this.log({ level: 'info', event: 'stop' });
+  }
+
+  stop() {
+    this._stopped = true;
+    clearTimeout(this._timer);
+    if (this._wake) {
+      this._wake();
+    }
+  }
+}
+
+module.exports = {
+  CleanupKeeper,
+  staticPriceOracle,
+  jsonLogger
+};
@@ -0,0 +1,7 @@
+const { CleanupKeeper, staticPriceOracle, jsonLogger } = require('./CleanupKeeper');
+
+module.exports = {
+  CleanupKeeper,
+  staticPriceOracle,
+  jsonLogger
+};
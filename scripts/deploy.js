@@ -1,6 +1,13 @@
-const { ethers } = require("hardhat");
+const hre = require("hardhat");
+const { ethers, network } = hre;
 const fs = require("fs");
 const path = require("path");
+const { execSync } = require("child_process");
+const { TokenCache } = require("../client");
+const { abiHash, saveDeployment } = require("../client/registry");
+
+const ROOT_DIR = path.join(__dirname, "..");
+const CONFIG_DIR = path.join(ROOT_DIR, "deployments", "config");
 
 async function verifyContract(address, args, maxRetries = 3) {
   let retryCount = 0;
@@ -33,7 +40,7 @@ async function verifyContract(address, args, maxRetries = 3) {
         } else {
           console.error("❌ Max retries reached. Verification failed:", error.message);
           console.log("💡 Try running verification manually later with:");
-          console.log(`npx hardhat verify --network polygon ${address} "${args[0]}" "${args[1]}" '${JSON.stringify(args[2])}'`);
+          console.log(`npx hardhat verify --network ${network.name} ${address} ${args.map(arg => (typeof arg === "object" ? `'${JSON.stringify(arg)}'` : `"${arg}"`)).join(" ")}`);
           return false;
         }
       } else {
@@ -46,81 +53,169 @@ async function verifyContract(address, args, maxRetries = 3) {
   return false;
 }
 
-async function main() {
-  const DAI_ADDRESS = "0x8f3Cf7ad23Cd3CaDbD9735AFf958023239c6A063";
-  const LIBERDUS_ADDRESS = "0x693ed886545970F0a3ADf8C59af5cCdb6dDF0a76";
-  const FEE_AMOUNT = ethers.parseUnits("1", 18); // 1 DAI with 18 decimals
-  
-  // Load allowed tokens from JSON file
-  const allowedTokensPath = path.join(__dirname, "..", "allowed-tokens.json");
-  let ALLOWED_TOKENS;
-  
+// Deployment settings of a network, from deployments/config/<network>.json:
+//
+//   feeToken        token the creation fee is paid in
+//   feeAmount       creation fee, in fee token units (e.g. "1")
+//   liberdusToken   Liberdus token, the first anchor token
+//   allowedTokens   token addresses, or a JSON file of them relative to the
+//                   repository root (default: the fee and Liberdus tokens)
+//   testTokens      deploy test fee and Liberdus tokens instead of using
+//                   existing ones (local and test networks)
+//   timelockDelay   seconds fee and anchor changes wait in the timelock
+//   verify          verify the contracts on the block explorer
+//   confirmations   blocks to wait for before verifying
+function loadConfig(networkName) {
+  const configPath = path.join(CONFIG_DIR, `${networkName}.json`);
+  if (!fs.existsSync(configPath)) {
+    throw new Error(`No deployment config for ${networkName}. Create ${path.relative(ROOT_DIR, configPath)}`);
+  }
+  const config = JSON.parse(fs.readFileSync(configPath, "utf8"));
+  if (process.env.TIMELOCK_DELAY) {
+    config.timelockDelay = Number(process.env.TIMELOCK_DELAY);
+  }
+  return config;
+}
+
+function loadAllowedTokens(allowedTokens) {
+  if (typeof allowedTokens !== "string") {
+    return allowedTokens;
+  }
+  const allowedTokensPath = path.join(ROOT_DIR, allowedTokens);
+  const tokens = JSON.parse(fs.readFileSync(allowedTokensPath, "utf8"));
+  console.log(`Loaded ${tokens.length} allowed tokens from ${allowedTokensPath}`);
+  return tokens;
+}
+
+function gitCommit() {
   try {
-    const allowedTokensData = fs.readFileSync(allowedTokensPath, "utf8");
-    ALLOWED_TOKENS = JSON.parse(allowedTokensData);
-    console.log(`Loaded ${ALLOWED_TOKENS.length} allowed tokens from ${allowedTokensPath}`);
+    return execSync("git rev-parse HEAD", { cwd: ROOT_DIR, stdio: ["ignore", "pipe", "ignore"] }).toString().trim();
   } catch (error) {
-    console.error("Error loading allowed tokens file:", error.message);
-    console.log("Using fallback token list...");
-    // Fallback to default tokens if file loading fails
-    ALLOWED_TOKENS = [
-      "0x3c499c542cEF5E3811e1192ce70d8cC03d5c3359", // USDC
-      "0x7ceB23fD6bC0adD59E62ac25578270cFf1b9f619", // WETH on Polygon
-      "0x1BFD67037B42Cf73acF2047067bd4F2C47D9BfD6", // WBTC on Polygon
-      "0x2791Bca1f2de4661ED88A30C99A7a9449Aa84174", // USDC.e on Polygon
-      DAI_ADDRESS,  // DAI on Polygon
-      LIBERDUS_ADDRESS  // Liberdus token
-    ];
+    return null;
   }
+}
 
-  console.log("Deploying OTCSwap contract...");
-  console.log("Network:", network.name);
+// Deploys a contract and returns it with its manifest entry
+async function deployContract(name, args) {
+  const factory = await ethers.getContractFactory(name);
+  const contract = await factory.deploy(...args);
+  await contract.waitForDeployment();
+  const receipt = await contract.deploymentTransaction().wait();
+  const { abi } = await hre.artifacts.readArtifact(name);
 
+  console.log(`${name} deployed at ${receipt.contractAddress} (block ${receipt.blockNumber})`);
+  return {
+    contract,
+    record: {
+      address: receipt.contractAddress,
+      constructorArgs: args.map(arg => (typeof arg === "bigint" ? arg.toString() : arg)),
+      blockNumber: receipt.blockNumber,
+      txHash: receipt.hash,
+      abiHash: abiHash(abi)
+    }
+  };
+}
+
+// Deploys OTCSwap and its timelock as `config` describes and writes the
+// manifest to deployments/<network>.json. `options.dir` writes it elsewhere.
+// The in-process hardhat network's contracts are gone when it exits, so its
+// manifest is only written to an explicit `options.dir`.
+async function deploy(config, options = {}) {
   const [deployer] = await ethers.getSigners();
+  console.log("Network:", network.name);
   console.log("Deploying from:", deployer.address);
 
-  const OTCSwap = await ethers.getContractFactory("OTCSwap");
-  const otcSwap = await OTCSwap.deploy(DAI_ADDRESS, FEE_AMOUNT, ALLOWED_TOKENS, LIBERDUS_ADDRESS);
+  const contracts = {};
+  let { feeToken, liberdusToken } = config;
+  if (config.testTokens) {
+    const fee = await deployContract("TestToken", ["DAI Stablecoin", "DAI"]);
+    const liberdus = await deployContract("TestToken", ["Liberdus", "LBDS"]);
+    contracts.FeeToken = fee.record;
+    contracts.LiberdusToken = liberdus.record;
+    feeToken = fee.record.address;
+    liberdusToken = liberdus.record.address;
+  }
+  if (!feeToken || !liberdusToken) {
+    throw new Error(`The ${network.name} config needs feeToken and liberdusToken, or testTokens`);
+  }
+
+  const allowedTokens = loadAllowedTokens(config.allowedTokens || [feeToken, liberdusToken]);
+  const feeAmount = await new TokenCache(ethers.provider).parse(feeToken, config.feeAmount);
+
+  const { contract: otcSwap, record: otcSwapRecord } =
+    await deployContract("OTCSwap", [feeToken, feeAmount, allowedTokens, liberdusToken]);
+  contracts.OTCSwap = otcSwapRecord;
+
+  // Creation fee, Liberdus and anchor token changes go through a timelock. The
+  // deployer keeps the other roles and can hand them out with grant-role.
+  const { contract: timelock, record: timelockRecord } =
+    await deployContract("OTCSwapTimelock", [config.timelockDelay, [deployer.address], [deployer.address], ethers.ZeroAddress]);
+  contracts.OTCSwapTimelock = timelockRecord;
 
-  await otcSwap.waitForDeployment();
-  const address = await otcSwap.getAddress();
+  const TIMELOCK_ROLE = await otcSwap.TIMELOCK_ROLE();
+  await (await otcSwap.grantRole(TIMELOCK_ROLE, timelockRecord.address)).wait();
+  await (await otcSwap.renounceRole(TIMELOCK_ROLE, deployer.address)).wait();
+
+  const manifest = {
+    network: network.name,
+    chainId: Number((await ethers.provider.getNetwork()).chainId),
+    gitCommit: gitCommit(),
+    deployer: deployer.address,
+    deployedAt: new Date().toISOString(),
+    contracts
+  };
+  if (network.name !== "hardhat" || options.dir) {
+    const manifestPath = saveDeployment(network.name, manifest, options);
+    console.log(`Wrote deployment manifest to ${manifestPath}`);
+  }
+
+  return { manifest, otcSwap, timelock };
+}
+
+async function main() {
+  const config = loadConfig(network.name);
+  const { manifest } = await deploy(config);
+  const { OTCSwap } = manifest.contracts;
 
   console.log({
-    address,
-    dai: DAI_ADDRESS,
-    liberdus: LIBERDUS_ADDRESS,
-    feeAmount: ethers.formatUnits(FEE_AMOUNT, 18) + " DAI",
-    allowedTokens: ALLOWED_TOKENS
+    address: OTCSwap.address,
+    timelock: manifest.contracts.OTCSwapTimelock.address,
+    timelockDelay: config.timelockDelay,
+    feeToken: OTCSwap.constructorArgs[0],
+    liberdus: OTCSwap.constructorArgs[3],
+    feeAmount: config.feeAmount,
+    allowedTokens: OTCSwap.constructorArgs[2]
   });
 
-  if (network.name === "polygon" || network.name === "mumbai" || network.name === "amoy") {
+  if (config.verify) {
     console.log("\n🔍 Starting contract verification process...");
     console.log("⏳ Waiting for block confirmations (this may take a few minutes)...");
-    
+
     // Wait for more confirmations to ensure the contract is properly indexed
-    const confirmations = network.name === "polygon" ? 10 : 5;
-    await otcSwap.deploymentTransaction().wait(confirmations);
+    const confirmations = config.confirmations || 5;
+    await ethers.provider.waitForTransaction(OTCSwap.txHash, confirmations);
     console.log(`✅ ${confirmations} confirmations received`);
-    
-    // Additional wait time for Polygon explorer to index the contract
+
+    // Additional wait time for the explorer to index the contract
     console.log("⏳ Waiting additional 60 seconds for explorer to index the contract...");
     await new Promise(resolve => setTimeout(resolve, 60000));
-    
+
     console.log("🚀 Starting verification...");
-    const verificationSuccess = await verifyContract(address, [DAI_ADDRESS, FEE_AMOUNT, ALLOWED_TOKENS, LIBERDUS_ADDRESS]);
-    
-    if (!verificationSuccess) {
-      console.log("\n📝 Manual verification command:");
-      console.log(`npx hardhat verify --network ${network.name} ${address} "${DAI_ADDRESS}" "${FEE_AMOUNT}" '${JSON.stringify(ALLOWED_TOKENS)}' "${LIBERDUS_ADDRESS}"`);
+    for (const record of Object.values(manifest.contracts)) {
+      await verifyContract(record.address, record.constructorArgs);
     }
   } else {
-    console.log("ℹ️  Skipping verification (not on a supported network)");
+    console.log("ℹ️  Skipping verification (disabled in the network config)");
   }
 }
 
-main()
-  .then(() => process.exit(0))
-  .catch((error) => {
-    console.error(error);
-    process.exit(1);
-  });
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = { deploy, loadConfig };
@@ -0,0 +1,23 @@
+const hre = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+
+// Copies the compiled OTCSwap ABI into the client SDK so the SDK always ships
+// the exact interface of the contract in this repository.
+// Usage: npx hardhat run scripts/export-abi.js --network hardhat
+async function main() {
+  const artifact = await hre.artifacts.readArtifact("OTCSwap");
+  const outputPath = path.join(__dirname, "..", "client", "abi", "OTCSwap.json");
+
+  fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+  fs.writeFileSync(outputPath, JSON.stringify(artifact.abi, null, 2) + "\n");
+
+  console.log(`Wrote ${artifact.abi.length} ABI entries to ${outputPath}`);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,44 @@
+const { ethers, network } = require("hardhat");
+const { CleanupKeeper, staticPriceOracle } = require("../keeper");
+const { getContractAddress } = require("../client/registry");
+
+// Long-running cleanup keeper. Configuration comes from the environment
+// because `hardhat run` does not forward command line arguments:
+//
+//   OTC_SWAP_ADDRESS      deployed OTCSwap contract (default: the network's
+//                         deployment manifest)
+//   KEEPER_PRICES         JSON map of fee token address to its value in
+//                         native coin, e.g. '{"0x8f3C...":"2.5"}' (required)
+//   KEEPER_MIN_PROFIT     minimum profit per cleanup, in native coin (default 0)
+//   KEEPER_INTERVAL       seconds between checks (default 60)
+//   KEEPER_DRY_RUN        set to 1 to evaluate without sending transactions
+//
+// Usage: KEEPER_DRY_RUN=1 npx hardhat run scripts/keeper.js --network polygon
+async function main() {
+  const address = process.env.OTC_SWAP_ADDRESS || getContractAddress(network.name);
+  if (!address) {
+    throw new Error(`OTC_SWAP_ADDRESS is not set and there is no deployment manifest for ${network.name}`);
+  }
+  if (!process.env.KEEPER_PRICES) {
+    throw new Error("KEEPER_PRICES is not set");
+  }
+
+  const [signer] = await ethers.getSigners();
+  const keeper = new CleanupKeeper(address, signer, {
+    priceOracle: staticPriceOracle(JSON.parse(process.env.KEEPER_PRICES)),
+    minProfit: ethers.parseEther(process.env.KEEPER_MIN_PROFIT || "0"),
+    dryRun: process.env.KEEPER_DRY_RUN === "1"
+  });
+
+  process.on("SIGINT", () => keeper.stop());
+  process.on("SIGTERM", () => keeper.stop());
+
+  await keeper.run(Number(process.env.KEEPER_INTERVAL || 60) * 1000);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
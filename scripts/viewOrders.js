@@ -1,77 +1,63 @@
 const { ethers } = require('ethers');
+const path = require('path');
+const { OrderIndexer, JsonFileStore } = require('../indexer');
+const { loadDeployment } = require('../client/registry');
 
-// OTCSwap contract ABI (only what we need for querying)
-const OTC_SWAP_ABI = [
-  // Events
-  'event OrderCreated(uint256 indexed orderId, address indexed maker, address indexed taker, address sellToken, uint256 sellAmount, address buyToken, uint256 buyAmount, uint256 timestamp, uint256 orderCreationFee)',
-  // Functions
-  'function orders(uint256) view returns (address maker, address taker, address sellToken, uint256 sellAmount, address buyToken, uint256 buyAmount, uint256 timestamp, uint8 status, uint256 orderCreationFee, uint256 tries)',
-  'function nextOrderId() view returns (uint256)',
-  'function firstOrderId() view returns (uint256)',
-  // Constants
-  'function GRACE_PERIOD() view returns (uint256)',
-  'function ORDER_EXPIRY() view returns (uint256)'
-];
+// Connect to Amoy Polygon testnet
+const RPC_URL = process.env.RPC_URL || 'https://rpc-amoy.polygon.technology';
 
-async function queryActiveOrders() {
-  // Connect to Amoy Polygon testnet
-  const provider = new ethers.JsonRpcProvider('https://rpc-amoy.polygon.technology');
-
-  // OTCSwap contract address on Amoy testnet (replace with actual address)
-  const OTC_SWAP_ADDRESS = '0x3085Cd92888e9D49879947cBc3aBD5d11f842271';
-
-  // Create contract instance
-  const otcSwap = new ethers.Contract(OTC_SWAP_ADDRESS, OTC_SWAP_ABI, provider);
-
-  try {
-    // Get order ID range
-    const firstOrderId = await otcSwap.firstOrderId();
-    const nextOrderId = await otcSwap.nextOrderId();
-
-    console.log(`Querying orders from ${firstOrderId} to ${nextOrderId - 1n}`);
+// Network whose deployment manifest (deployments/<network>.json) gives the
+// contract address and the block it was deployed in
+const NETWORK = process.env.NETWORK || 'amoy';
+const deployment = loadDeployment(NETWORK)?.contracts.OTCSwap;
 
-    // Array to store active orders
-    const activeOrders = [];
+const OTC_SWAP_ADDRESS = process.env.OTC_SWAP_ADDRESS || deployment?.address;
 
-    const grace = await otcSwap.GRACE_PERIOD();
+// Block the contract was deployed in; events before it are never scanned
+const START_BLOCK = Number(process.env.START_BLOCK || deployment?.blockNumber || 0);
 
-    console.log(`Grace period: ${grace} seconds`, grace);
+async function queryActiveOrders() {
+  if (!OTC_SWAP_ADDRESS) {
+    throw new Error(`OTC_SWAP_ADDRESS is not set and there is no deployment manifest for ${NETWORK}`);
+  }
+  const provider = new ethers.JsonRpcProvider(RPC_URL);
 
-    // Query all orders
-    for (let i = firstOrderId; i < nextOrderId; i++) {
-      const order = await otcSwap.orders(i);
+  // The index is kept between runs, so only new blocks are scanned
+  const store = new JsonFileStore(
+    path.join(__dirname, '..', 'cache', 'indexer', `${OTC_SWAP_ADDRESS.toLowerCase()}.json`)
+  );
+  const indexer = new OrderIndexer(OTC_SWAP_ADDRESS, provider, { store, startBlock: START_BLOCK });
 
-      console.log('order', order, `is expired: `, order.status)
+  try {
+    const state = await indexer.load();
+    console.log(`Syncing events from block ${state.lastBlock + 1}...`);
+    const applied = await indexer.sync();
+    console.log(`Applied ${applied} events, indexed up to block ${indexer.state.lastBlock}`);
 
-      // Check if order is active (status 0)
-      if (order.status === 0 && order.maker !== ethers.ZeroAddress) {
-        activeOrders.push({
-          orderId: i,
-          maker: order.maker,
-          taker: order.taker,
-          sellToken: order.sellToken,
-          sellAmount: order.sellAmount,
-          buyToken: order.buyToken,
-          buyAmount: order.buyAmount,
-          timestamp: order.timestamp,
-          tries: order.tries
-        });
-      }
-    }
+    const activeOrders = indexer.getActiveOrders();
+    // Seeded from the index, so token metadata is not read again
+    const { tokens } = indexer;
 
     // Print results
     console.log('\nActive Orders:');
     console.log('=============');
 
     for (const order of activeOrders) {
-      console.log(`\nOrder ID: ${order.orderId}`);
+      console.log(`\nOrder ID: ${order.currentOrderId}` +
+        (order.currentOrderId !== order.orderId ? ` (originally ${order.orderId})` : ''));
       console.log(`Maker: ${order.maker}`);
       console.log(`Taker: ${order.taker === ethers.ZeroAddress ? 'Any' : order.taker}`);
       console.log(`Sell Token: ${order.sellToken}`);
-      console.log(`Sell Amount: ${ethers.formatEther(order.sellAmount)} tokens`);
+      console.log(`Sell Amount: ${await tokens.format(order.sellToken, order.sellAmount)}`);
       console.log(`Buy Token: ${order.buyToken}`);
-      console.log(`Buy Amount: ${ethers.formatEther(order.buyAmount)} tokens`);
-      console.log(`Created: ${new Date(Number(order.timestamp) * 1000).toLocaleString()}`);
+      console.log(`Buy Amount: ${await tokens.format(order.buyToken, order.buyAmount)}`);
+      if (order.fills.length > 0) {
+        console.log(`Remaining: ${await tokens.format(order.sellToken, order.remainingSellAmount)} for ` +
+          `${await tokens.format(order.buyToken, order.remainingBuyAmount)} after ${order.fills.length} partial fills`);
+      }
+      console.log(`Price: ${await tokens.formatOrderPrice(order, indexer.state.liberdusToken)}`);
+      console.log(`Created: ${new Date(order.timestamp * 1000).toLocaleString()}`);
+      console.log(`Expires: ${new Date((order.timestamp + order.expiry) * 1000).toLocaleString()}`);
       console.log(`Retry Attempts: ${order.tries}`);
     }
 
@@ -0,0 +1,351 @@
+const { scope, types } = require("hardhat/config");
+const fs = require("fs");
+const path = require("path");
+const { OTCClient, TokenCache, TransactionManager, quoteFill } = require("../client");
+const { getContractAddress, loadDeployment } = require("../client/registry");
+const { OrderIndexer, MemoryStore, JsonFileStore, REPORT_TABLES, tradeReport, reportTables, toCsv } = require("../indexer");
+
+const otc = scope("otc", "Order book commands for a deployed OTCSwap");
+
+// --contract, then `otcSwap` in the network's config, then OTC_SWAP_ADDRESS,
+// then the network's deployment manifest
+function contractAddress(hre, args) {
+  const address = args.contract ||
+    hre.network.config.otcSwap ||
+    process.env.OTC_SWAP_ADDRESS ||
+    getContractAddress(hre.network.name);
+  if (!address) {
+    throw new Error(`No OTCSwap address for ${hre.network.name}. Pass --contract, set otcSwap in the network config, ` +
+      "set OTC_SWAP_ADDRESS or deploy with scripts/deploy.js");
+  }
+  return address;
+}
+
+// Commands send their transactions through a TransactionManager. Its
+// pending transactions are saved to OTC_TRANSACTIONS_FILE, or to
+// .otc/<network>-transactions.json except on the in-process hardhat
+// network, so `otc pending` can pick them up after a restart.
+// OTC_FEE_STRATEGY is slow, standard (the default) or fast.
+function transactionManager(hre, signer) {
+  const file = process.env.OTC_TRANSACTIONS_FILE ||
+    (hre.network.name === "hardhat" ? null : path.join(hre.config.paths.root, ".otc", `${hre.network.name}-transactions.json`));
+  return new TransactionManager(signer, {
+    store: file ? new JsonFileStore(file) : null,
+    feeStrategy: process.env.OTC_FEE_STRATEGY || "standard",
+    onUpdate: (type, tx) => {
+      const hash = tx.hashes[tx.hashes.length - 1];
+      if (type === "sent") {
+        console.log(`Sent ${tx.label} with nonce ${tx.nonce} (${hash})`);
+      } else if (type === "bumped") {
+        console.log(`Replaced stuck ${tx.label} with nonce ${tx.nonce} at ` +
+          `${hre.ethers.formatUnits(tx.maxFeePerGas, "gwei")} gwei (${hash})`);
+      }
+    }
+  });
+}
+
+async function connect(hre, args) {
+  const [signer] = await hre.ethers.getSigners();
+  const address = contractAddress(hre, args);
+  return {
+    client: new OTCClient(address, signer, { transactions: transactionManager(hre, signer) }),
+    tokens: new TokenCache(signer.provider)
+  };
+}
+
+async function printOrder(tokens, order, liberdusToken) {
+  const date = timestamp => new Date(timestamp * 1000).toLocaleString();
+  console.log(`Order ${order.orderId} (${order.status}${order.isFillable ? ", fillable" : ""})`);
+  console.log(`  Maker:     ${order.maker}`);
+  console.log(`  Taker:     ${order.isPublic ? "Any" : order.taker}`);
+  console.log(`  Sells:     ${await tokens.format(order.sellToken, order.remainingSellAmount)}` +
+    (order.isPartiallyFilled ? ` of ${await tokens.format(order.sellToken, order.sellAmount)}` : ""));
+  console.log(`  For:       ${await tokens.format(order.buyToken, order.remainingBuyAmount)}` +
+    (order.isPartiallyFilled ? ` of ${await tokens.format(order.buyToken, order.buyAmount)}` : ""));
+  console.log(`  Price:     ${await tokens.formatOrderPrice(order, liberdusToken)}`);
+  console.log(`  Expires:   ${date(order.expiresAt)}`);
+  console.log(`  Cancel by: ${date(order.graceEndsAt)}`);
+  if (order.tries > 0) {
+    console.log(`  Retries:   ${order.tries}`);
+  }
+}
+
+function contractParam(task) {
+  return task.addOptionalParam("contract", "OTCSwap address", undefined, types.string);
+}
+
+contractParam(otc.task("list", "Lists active orders"))
+  .addOptionalParam("maker", "Only orders of this maker")
+  .addOptionalParam("sellToken", "Only orders selling this token")
+  .addOptionalParam("buyToken", "Only orders buying this token")
+  .addOptionalParam("offset", "Orders to skip", 0, types.int)
+  .addOptionalParam("limit", "Orders to show", 20, types.int)
+  .addFlag("expired", "Include expired orders that have not been cleaned up")
+  .setAction(async (args, hre) => {
+    const { client, tokens } = await connect(hre, args);
+    const { orders, pagination } = await client.getActiveOrders({
+      offset: args.offset,
+      limit: args.limit,
+      includeExpired: args.expired,
+      makerAddress: args.maker,
+      sellToken: args.sellToken,
+      buyToken: args.buyToken
+    });
+
+    const liberdusToken = await client.contract.liberdusToken();
+    for (const order of orders) {
+      await printOrder(tokens, order, liberdusToken);
+    }
+    console.log(`${orders.length} of ${pagination.total} active orders` +
+      (pagination.hasMore ? `; next page with --offset ${pagination.nextOffset}` : ""));
+    return orders;
+  });
+
+contractParam(otc.task("show", "Shows a single order"))
+  .addPositionalParam("id", "Order id", undefined, types.int)
+  .setAction(async (args, hre) => {
+    const { client, tokens } = await connect(hre, args);
+    const order = await client.getOrder(args.id);
+    if (!order) {
+      throw new Error(`Order ${args.id} does not exist`);
+    }
+    await printOrder(tokens, order, await client.contract.liberdusToken());
+    return order;
+  });
+
+contractParam(otc.task("create", "Creates an order, approving the sell token and creation fee as needed"))
+  .addParam("sellToken", "Token to sell")
+  .addParam("sellAmount", "Amount to sell, in token units (e.g. 1.5)")
+  .addParam("buyToken", "Token to buy")
+  .addParam("buyAmount", "Amount to buy, in token units")
+  .addOptionalParam("taker", "Only this account can fill the order")
+  .addOptionalParam("expiry", "Seconds the order can be filled for", undefined, types.int)
+  .addFlag("permit", "Sign EIP-2612 permits instead of sending approvals where the token supports them")
+  .setAction(async (args, hre) => {
+    const { client, tokens } = await connect(hre, args);
+    const otcSwap = client.contract;
+    const sellAmount = await tokens.parse(args.sellToken, args.sellAmount);
+    const buyAmount = await tokens.parse(args.buyToken, args.buyAmount);
+    const [feeToken, feeAmount] = await Promise.all([otcSwap.feeToken(), otcSwap.orderCreationFeeAmount()]);
+
+    const { orderId, txHash } = await client.createOrder({
+      taker: args.taker || hre.ethers.ZeroAddress,
+      sellToken: args.sellToken,
+      sellAmount,
+      buyToken: args.buyToken,
+      buyAmount,
+      expiry: args.expiry ?? null,
+      usePermit: args.permit
+    });
+    console.log(`Created order ${orderId}, paid ${await tokens.format(feeToken, feeAmount)} fee (${txHash})`);
+    return orderId;
+  });
+
+contractParam(otc.task("fill", "Fills an order, approving the buy token as needed"))
+  .addPositionalParam("id", "Order id", undefined, types.int)
+  .addOptionalParam("amount", "Buy token amount to pay for a partial fill, in token units")
+  .addFlag("permit", "Sign an EIP-2612 permit instead of sending an approval where the token supports it")
+  .setAction(async (args, hre) => {
+    const { client, tokens } = await connect(hre, args);
+    const order = await client.getOrder(args.id);
+    if (!order) {
+      throw new Error(`Order ${args.id} does not exist`);
+    }
+    const buyAmount = args.amount === undefined
+      ? order.remainingBuyAmount
+      : await tokens.parse(order.buyToken, args.amount);
+
+    // Bounded by the order as read, so the maker cannot reprice it under the fill
+    const params = { orderId: args.id, buyToken: order.buyToken, buyAmount, minSellAmount: quoteFill(order, buyAmount), usePermit: args.permit };
+    const fill = buyAmount === order.remainingBuyAmount
+      ? await client.fillOrder(params)
+      : await client.fillOrderPartial(params);
+
+    console.log(`Paid ${await tokens.format(order.buyToken, fill.buyAmount)} for ` +
+      `${await tokens.format(order.sellToken, fill.sellAmount)} (${fill.txHash})`);
+    return { sellAmount: fill.sellAmount, buyAmount: fill.buyAmount, isComplete: fill.isComplete };
+  });
+
+contractParam(otc.task("cancel", "Cancels one of your orders and returns its unfilled sell tokens"))
+  .addPositionalParam("id", "Order id", undefined, types.int)
+  .setAction(async (args, hre) => {
+    const { client } = await connect(hre, args);
+    const { txHash } = await client.cancelOrder(args.id);
+    console.log(`Canceled order ${args.id} (${txHash})`);
+    return txHash;
+  });
+
+contractParam(otc.task("cleanup", "Cleans up expired orders and collects their creation fees"))
+  .addOptionalParam("maxOrders", "Orders to check in one transaction", 20, types.int)
+  .setAction(async (args, hre) => {
+    const { client, tokens } = await connect(hre, args);
+    // The contract stops early once gas runs low, so an estimate only covers
+    // the first order. Leave room for the rest, within the block gas limit.
+    const [estimate, reserve, block] = await Promise.all([
+      client.contract["cleanupExpiredOrders(uint256)"].estimateGas(args.maxOrders),
+      client.contract.CLEANUP_GAS_RESERVE(),
+      hre.ethers.provider.getBlock("latest")
+    ]);
+    const gasLimit = estimate + reserve * BigInt(args.maxOrders - 1);
+    const receipt = await client.send("cleanupExpiredOrders(uint256)", [args.maxOrders], {
+      gasLimit: gasLimit < block.gasLimit ? gasLimit : block.gasLimit
+    });
+
+    const cleaned = receipt.logs.filter(log => log.eventName === "OrderCleanedUp").length;
+    const retried = receipt.logs.filter(log => log.eventName === "RetryOrder").length;
+    const rewards = receipt.logs.filter(log => log.eventName === "CleanupFeesDistributed");
+    console.log(`Cleaned up ${cleaned} orders, retried ${retried} (${receipt.hash})`);
+    for (const reward of rewards) {
+      console.log(`Received ${await tokens.format(reward.args.feeToken, reward.args.amount)}`);
+    }
+    return { cleaned, retried };
+  });
+
+contractParam(otc.task("fees", "Shows the creation fee, protocol fees and fee balances"))
+  .setAction(async (args, hre) => {
+    const { client, tokens } = await connect(hre, args);
+    const otcSwap = client.contract;
+    const [feeToken, feeAmount, protocolFees, accumulatedFees, protocolFeeBalances] = await Promise.all([
+      otcSwap.feeToken(),
+      otcSwap.orderCreationFeeAmount(),
+      client.getProtocolFees(),
+      client.getAccumulatedFees(),
+      client.getProtocolFeeBalances()
+    ]);
+
+    console.log(`Creation fee:  ${await tokens.format(feeToken, feeAmount)}`);
+    console.log(`Protocol fees: taker ${protocolFees.takerFeeBps / 100}%, maker ${protocolFees.makerFeeBps / 100}%, ` +
+      `paid to ${protocolFees.feeRecipient}`);
+    console.log("Cleanup rewards held:");
+    for (const { token, amount } of accumulatedFees) {
+      console.log(`  ${await tokens.format(token, amount)}`);
+    }
+
+    console.log("Protocol fees to withdraw:");
+    for (const { token, amount } of protocolFeeBalances) {
+      console.log(`  ${await tokens.format(token, amount)}`);
+    }
+    if (protocolFeeBalances.length === 0) {
+      console.log("  none");
+    }
+
+    return { feeToken, feeAmount, ...protocolFees, accumulatedFees, protocolFeeBalances };
+  });
+
+// Unix seconds from a date ("2026-09-01", "2026-09-01T12:00:00Z") or
+// from unix seconds as given
+function parseTime(value) {
+  if (value === undefined) {
+    return null;
+  }
+  const seconds = /^\d+$/.test(value) ? Number(value) : Math.floor(Date.parse(value) / 1000);
+  if (Number.isNaN(seconds)) {
+    throw new Error(`${value} is not a date or unix time`);
+  }
+  return seconds;
+}
+
+function percent(rate) {
+  return rate === null ? "n/a" : `${(rate * 100).toFixed(1)}%`;
+}
+
+function printReport(tables, liberdusSymbol) {
+  console.log("Pairs:");
+  for (const pair of tables.pairs) {
+    console.log(`  ${pair.base}/${pair.quote}: ${pair.trades} trades, ${pair.baseVolume} ${pair.base} for ` +
+      `${pair.quoteVolume} ${pair.quote}, VWAP ${pair.vwap} (low ${pair.low}, high ${pair.high}, last ${pair.last})`);
+  }
+  console.log(`Accounts (P&L in ${liberdusSymbol}):`);
+  for (const entry of tables.accounts) {
+    console.log(`  ${entry.account} ${entry.role}: ${entry.trades} trades, P&L ${entry.pnl}` +
+      (entry.unpriced ? `, unpriced ${entry.unpriced}` : ""));
+  }
+  const [orders] = tables.orders;
+  console.log(`Orders created: ${orders.created}; filled ${orders.filled} (${percent(orders.fillRate)}), ` +
+    `canceled ${orders.canceled} (${percent(orders.cancelRate)}), expired ${orders.expired} (${percent(orders.expiryRate)}), ` +
+    `active ${orders.active}; ${orders.partiallyFilled} partially filled`);
+  console.log("Fees:");
+  for (const fee of tables.fees) {
+    console.log(`  ${fee.account} ${fee.token}: creation fees ${fee.creationFeesPaid}, protocol fees ${fee.protocolFeesPaid}, ` +
+      `cleanup rewards ${fee.cleanupRewards}, net ${fee.net}`);
+  }
+}
+
+contractParam(otc.task("report", "Reports trade volume, prices, P&L, order outcomes and fees over a period"))
+  .addOptionalParam("from", "Start of the period, a date or unix time")
+  .addOptionalParam("to", "End of the period (excluded), a date or unix time")
+  .addOptionalParam("format", "table, json or csv", "table")
+  .addOptionalParam("table", `Table to export as csv: ${Object.keys(REPORT_TABLES).join(", ")}`, "trades")
+  .addOptionalParam("output", "File to write the json or csv to instead of printing it")
+  .addOptionalParam("prices", "JSON map of token address to its value in Liberdus, for tokens not traded against it")
+  .addOptionalParam("startBlock", "Block to index events from", undefined, types.int)
+  .setAction(async (args, hre) => {
+    if (!["table", "json", "csv"].includes(args.format)) {
+      throw new Error(`Unknown format ${args.format}; use table, json or csv`);
+    }
+    if (!REPORT_TABLES[args.table]) {
+      throw new Error(`Unknown table ${args.table}; use ${Object.keys(REPORT_TABLES).join(", ")}`);
+    }
+
+    // The index is kept between runs like scripts/viewOrders.js does, except
+    // for the in-process hardhat network, whose chain does not outlive it
+    const address = contractAddress(hre, args);
+    const deployment = loadDeployment(hre.network.name)?.contracts.OTCSwap;
+    const startBlock = args.startBlock ??
+      (deployment && deployment.address.toLowerCase() === address.toLowerCase() ? deployment.blockNumber : 0);
+    const store = hre.network.name === "hardhat"
+      ? new MemoryStore()
+      : new JsonFileStore(path.join(hre.config.paths.cache, "indexer", `${address.toLowerCase()}.json`));
+    const indexer = new OrderIndexer(address, hre.ethers.provider, { store, startBlock });
+    await indexer.sync();
+
+    const { timestamp: now } = await hre.ethers.provider.getBlock("latest");
+    const report = tradeReport(indexer.state, {
+      from: parseTime(args.from),
+      to: parseTime(args.to),
+      prices: args.prices ? JSON.parse(args.prices) : {},
+      now
+    });
+    const tables = reportTables(report, indexer.state);
+
+    if (args.format === "table") {
+      printReport(tables, (await indexer.tokens.get(report.liberdusToken)).symbol);
+      return tables;
+    }
+    const output = args.format === "json"
+      ? JSON.stringify({ from: report.from, to: report.to, liberdusToken: report.liberdusToken, ...tables }, null, 2) + "\n"
+      : toCsv(tables[args.table], REPORT_TABLES[args.table]);
+    if (args.output) {
+      fs.writeFileSync(path.resolve(hre.config.paths.root, args.output), output);
+      console.log(`Wrote ${args.output}`);
+    } else {
+      process.stdout.write(output);
+    }
+    return tables;
+  });
+
+otc.task("pending", "Waits for transactions an earlier command left pending")
+  .setAction(async (args, hre) => {
+    const [signer] = await hre.ethers.getSigners();
+    const manager = transactionManager(hre, signer);
+    const pending = await manager.resume();
+    if (pending.length === 0) {
+      console.log("No pending transactions");
+      return [];
+    }
+
+    const results = [];
+    for (const tx of pending) {
+      try {
+        const receipt = await tx.wait();
+        console.log(`${tx.label} with nonce ${tx.nonce} confirmed in block ${receipt.blockNumber} (${receipt.hash})`);
+        results.push({ nonce: tx.nonce, status: "confirmed", hash: receipt.hash });
+      } catch (error) {
+        console.log(`${tx.label} with nonce ${tx.nonce} failed: ${error.message}`);
+        results.push({ nonce: tx.nonce, status: "failed", error: error.message });
+      }
+    }
+    return results;
+  });
+
+module.exports = { contractAddress };
@@ -0,0 +1,66 @@
+const { task, types } = require("hardhat/config");
+const { contractAddress } = require("./otc");
+
+const ROLE_NAMES = [
+  "DEFAULT_ADMIN_ROLE",
+  "TOKEN_CURATOR_ROLE",
+  "FEE_MANAGER_ROLE",
+  "PAUSER_ROLE",
+  "TIMELOCK_ROLE"
+];
+
+// Accepts "PAUSER_ROLE", "pauser" or "token-curator"
+function roleName(role) {
+  const name = role.toUpperCase().replace(/-/g, "_");
+  const full = name.endsWith("_ROLE") ? name : `${name}_ROLE`;
+  if (!ROLE_NAMES.includes(full)) {
+    throw new Error(`Unknown role ${role}. Roles: ${ROLE_NAMES.join(", ")}`);
+  }
+  return full;
+}
+
+async function updateRole(hre, args, grant) {
+  const otcSwap = await hre.ethers.getContractAt("OTCSwap", contractAddress(hre, args));
+  const name = roleName(args.role);
+  const role = await otcSwap[name]();
+
+  if ((await otcSwap.hasRole(role, args.account)) === grant) {
+    console.log(`${args.account} ${grant ? "already has" : "does not have"} ${name}`);
+    return false;
+  }
+
+  const tx = grant
+    ? await otcSwap.grantRole(role, args.account)
+    : await otcSwap.revokeRole(role, args.account);
+  await tx.wait();
+  console.log(`${grant ? "Granted" : "Revoked"} ${name} ${grant ? "to" : "from"} ${args.account} (${tx.hash})`);
+  return true;
+}
+
+function roleTask(name, description, grant) {
+  task(name, description)
+    .addOptionalParam("contract", "OTCSwap address", undefined, types.string)
+    .addParam("role", `One of ${ROLE_NAMES.join(", ")}`)
+    .addParam("account", "Account to update")
+    .setAction((args, hre) => updateRole(hre, args, grant));
+}
+
+roleTask("grant-role", "Grants an OTCSwap role to an account", true);
+roleTask("revoke-role", "Revokes an OTCSwap role from an account", false);
+
+task("roles", "Lists the OTCSwap roles an account holds")
+  .addOptionalParam("contract", "OTCSwap address", undefined, types.string)
+  .addParam("account", "Account to check")
+  .setAction(async (args, hre) => {
+    const otcSwap = await hre.ethers.getContractAt("OTCSwap", contractAddress(hre, args));
+    const held = [];
+    for (const name of ROLE_NAMES) {
+      if (await otcSwap.hasRole(await otcSwap[name](), args.account)) {
+        held.push(name);
+      }
+    }
+    console.log(`${args.account}: ${held.length ? held.join(", ") : "no roles"}`);
+    return held;
+  });
+
+module.exports = { ROLE_NAMES, roleName };
@@ -0,0 +1,120 @@
+const { task, types } = require("hardhat/config");
+const fs = require("fs");
+const path = require("path");
+const readline = require("readline");
+const { ERC20_ABI, isNativeToken } = require("../client");
+const { contractAddress } = require("./otc");
+
+// Reads a JSON array of token addresses, checksummed and checked for
+// duplicates
+function readTokenList(hre, file) {
+  const filePath = path.resolve(hre.config.paths.root, file);
+  const list = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  if (!Array.isArray(list)) {
+    throw new Error(`${file} must contain a JSON array of token addresses`);
+  }
+
+  const seen = new Set();
+  return list.map(entry => {
+    if (!hre.ethers.isAddress(entry)) {
+      throw new Error(`${file}: ${entry} is not an address`);
+    }
+    const address = hre.ethers.getAddress(entry);
+    if (seen.has(address)) {
+      throw new Error(`${file}: ${address} is listed twice`);
+    }
+    seen.add(address);
+    return address;
+  });
+}
+
+// Checks a token has code and answers symbol() and decimals(). Returns
+// "SYMBOL (decimals)" or throws with the reason it is not a usable token.
+async function describeToken(hre, address) {
+  if (isNativeToken(address)) {
+    return "native coin";
+  }
+  if ((await hre.ethers.provider.getCode(address)) === "0x") {
+    throw new Error(`${address} is not a contract`);
+  }
+  const token = new hre.ethers.Contract(address, ERC20_ABI, hre.ethers.provider);
+  try {
+    const [symbol, decimals] = await Promise.all([token.symbol(), token.decimals()]);
+    return `${symbol} (${decimals} decimals)`;
+  } catch (error) {
+    throw new Error(`${address} does not implement ERC20 symbol() and decimals()`);
+  }
+}
+
+function confirm(question) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  return new Promise(resolve => {
+    rl.question(`${question} [y/N] `, answer => {
+      rl.close();
+      resolve(/^y(es)?$/i.test(answer.trim()));
+    });
+  });
+}
+
+task("sync-allowed-tokens", "Makes the OTCSwap allowed tokens match a JSON list in one transaction")
+  .addOptionalParam("contract", "OTCSwap address", undefined, types.string)
+  .addOptionalParam("file", "JSON array of token addresses", "allowed-tokens.json", types.string)
+  .addFlag("yes", "Submit without asking for confirmation")
+  .addFlag("dryRun", "Only print the plan")
+  .setAction(async (args, hre) => {
+    const otcSwap = await hre.ethers.getContractAt("OTCSwap", contractAddress(hre, args));
+    const wanted = readTokenList(hre, args.file);
+    const [current, anchors] = await Promise.all([otcSwap.getAllowedTokens(), otcSwap.getAnchorTokens()]);
+
+    const currentSet = new Set(current);
+    const wantedSet = new Set(wanted);
+    const added = wanted.filter(token => !currentSet.has(token));
+    const removed = current.filter(token => !wantedSet.has(token));
+
+    // Every listed token is checked, not just new ones, so the file never
+    // keeps a token that has since stopped behaving like one
+    const descriptions = new Map();
+    const invalid = [];
+    for (const token of wanted) {
+      try {
+        descriptions.set(token, await describeToken(hre, token));
+      } catch (error) {
+        invalid.push(error.message);
+      }
+    }
+    if (invalid.length > 0) {
+      throw new Error(`${args.file} lists invalid tokens:\n  ${invalid.join("\n  ")}`);
+    }
+
+    if (added.length === 0 && removed.length === 0) {
+      console.log(`Allowed tokens already match ${args.file} (${wanted.length} tokens)`);
+      return { added, removed, txHash: null };
+    }
+
+    console.log(`Plan for ${otcSwap.target}:`);
+    for (const token of added) {
+      console.log(`  + ${token} ${descriptions.get(token)}`);
+    }
+    for (const token of removed) {
+      const anchor = anchors.includes(token) ? " (anchor token: orders against it will no longer be possible)" : "";
+      console.log(`  - ${token}${anchor}`);
+    }
+
+    if (args.dryRun) {
+      return { added, removed, txHash: null };
+    }
+    if (!args.yes && !(await confirm(`Submit ${added.length} additions and ${removed.length} removals?`))) {
+      console.log("Aborted");
+      return { added, removed, txHash: null };
+    }
+
+    const tx = await otcSwap.updateAllowedTokens(
+      [...added, ...removed],
+      [...added.map(() => true), ...removed.map(() => false)]
+    );
+    await tx.wait();
+    console.log(`Updated allowed tokens (${tx.hash})`);
+    return { added, removed, txHash: tx.hash };
+  });
+
+module.exports = { readTokenList };
@@ -0,0 +1,171 @@
+const { expect } = require('chai')
+const { ethers } = require('hardhat')
+const hre = require('hardhat')
+const { time } = require('@nomicfoundation/hardhat-toolbox/network-helpers')
+
+describe('OTCSwap - Access Control', function () {
+  let otcSwap
+  let feeToken
+  let liberdusToken
+  let newToken
+  let owner
+  let curator
+  let feeManager
+  let pauser
+  let alice
+  let roles
+
+  const ORDER_FEE = ethers.parseUnits('1', 18)
+  const TIMELOCK_DELAY = 2 * 24 * 60 * 60 // 2 days in seconds
+
+  // Every admin function, the role it needs and valid arguments for it
+  const calls = () => [
+    ['updateAllowedTokens', 'TOKEN_CURATOR_ROLE', [[newToken.target], [true]]],
+    ['setPairEnabled', 'TOKEN_CURATOR_ROLE', [newToken.target, liberdusToken.target, false]],
+    ['updateMinOrderSize', 'TOKEN_CURATOR_ROLE', [newToken.target, 1]],
+    ['withdrawProtocolFees', 'FEE_MANAGER_ROLE', [feeToken.target]],
+    ['pause', 'PAUSER_ROLE', []],
+    ['unpause', 'PAUSER_ROLE', []],
+    ['setEmergencyMode', 'PAUSER_ROLE', [true]],
+    ['updateFeeConfig', 'TIMELOCK_ROLE', [feeToken.target, ORDER_FEE]],
+    ['updateProtocolFees', 'TIMELOCK_ROLE', [10, 10, owner.address]],
+    ['updateLiberdusToken', 'TIMELOCK_ROLE', [newToken.target]],
+    ['updateAnchorTokens', 'TIMELOCK_ROLE', [[newToken.target], [true]]],
+    ['updateOrderExpiryBounds', 'DEFAULT_ADMIN_ROLE', [60, 3600]],
+    ['rescueTokens', 'DEFAULT_ADMIN_ROLE', [feeToken.target, owner.address, 1]],
+    ['disableContract', 'DEFAULT_ADMIN_ROLE', []]
+  ]
+
+  beforeEach(async function () {
+    [owner, curator, feeManager, pauser, alice] = await ethers.getSigners()
+
+    const TestToken = await ethers.getContractFactory('TestToken')
+    liberdusToken = await TestToken.deploy('Liberdus', 'LBDS')
+    feeToken = await TestToken.deploy('DAI Stablecoin', 'DAI')
+    newToken = await TestToken.deploy('Token C', 'TKC')
+
+    const OTCSwap = await ethers.getContractFactory('OTCSwap')
+    otcSwap = await OTCSwap.deploy(feeToken.target, ORDER_FEE, [feeToken.target, liberdusToken.target], liberdusToken.target)
+    await otcSwap.waitForDeployment()
+
+    roles = {}
+    for (const name of ['DEFAULT_ADMIN_ROLE', 'TOKEN_CURATOR_ROLE', 'FEE_MANAGER_ROLE', 'PAUSER_ROLE', 'TIMELOCK_ROLE']) {
+      roles[name] = await otcSwap[name]()
+    }
+  })
+
+  describe('roles', function () {
+    it('should give the deployer every role', async function () {
+      for (const role of Object.values(roles)) {
+        expect(await otcSwap.hasRole(role, owner.address)).to.be.true
+      }
+    })
+
+    it('should reject every admin function without its role', async function () {
+      for (const [name, role, args] of calls()) {
+        await expect(otcSwap.connect(alice)[name](...args), name)
+          .to.be.revertedWithCustomError(otcSwap, 'AccessControlUnauthorizedAccount')
+          .withArgs(alice.address, roles[role])
+      }
+    })
+
+    it('should let each role call only its own functions', async function () {
+      await otcSwap.connect(owner).grantRole(roles.TOKEN_CURATOR_ROLE, curator.address)
+      await otcSwap.connect(owner).grantRole(roles.FEE_MANAGER_ROLE, feeManager.address)
+      await otcSwap.connect(owner).grantRole(roles.PAUSER_ROLE, pauser.address)
+      const holders = { TOKEN_CURATOR_ROLE: curator, FEE_MANAGER_ROLE: feeManager, PAUSER_ROLE: pauser }
+
+      for (const [name, role, args] of calls()) {
+        for (const [holderRole, holder] of Object.entries(holders)) {
+          if (holderRole !== role) {
+            await expect(otcSwap.connect(holder)[name](...args), `${holderRole} calling ${name}`)
+              .to.be.revertedWithCustomError(otcSwap, 'AccessControlUnauthorizedAccount')
+          }
+        }
+      }
+
+      await expect(otcSwap.connect(curator).updateAllowedTokens([newToken.target], [true]))
+        .to.emit(otcSwap, 'AllowedTokensUpdated')
+      await expect(otcSwap.connect(feeManager).withdrawProtocolFees(feeToken.target))
+        .to.be.revertedWith('No protocol fees')
+      await expect(otcSwap.connect(pauser).pause()).to.emit(otcSwap, 'Paused')
+      await expect(otcSwap.connect(pauser).setEmergencyMode(true)).to.emit(otcSwap, 'EmergencyModeUpdated')
+    })
+
+    it('should take effect as soon as a role is revoked', async function () {
+      await otcSwap.connect(owner).grantRole(roles.PAUSER_ROLE, pauser.address)
+      await otcSwap.connect(owner).revokeRole(roles.PAUSER_ROLE, pauser.address)
+
+      await expect(otcSwap.connect(pauser).pause())
+        .to.be.revertedWithCustomError(otcSwap, 'AccessControlUnauthorizedAccount')
+    })
+
+    it('should only let the admin grant roles other than TIMELOCK_ROLE', async function () {
+      await expect(otcSwap.connect(alice).grantRole(roles.PAUSER_ROLE, alice.address))
+        .to.be.revertedWithCustomError(otcSwap, 'AccessControlUnauthorizedAccount')
+        .withArgs(alice.address, roles.DEFAULT_ADMIN_ROLE)
+
+      expect(await otcSwap.getRoleAdmin(roles.TIMELOCK_ROLE)).to.equal(roles.TIMELOCK_ROLE)
+    })
+  })
+
+  describe('timelock', function () {
+    let timelock
+
+    // Hands TIMELOCK_ROLE to a timelock, as scripts/deploy.js does
+    beforeEach(async function () {
+      const OTCSwapTimelock = await ethers.getContractFactory('OTCSwapTimelock')
+      timelock = await OTCSwapTimelock.deploy(TIMELOCK_DELAY, [owner.address], [owner.address], ethers.ZeroAddress)
+
+      await otcSwap.connect(owner).grantRole(roles.TIMELOCK_ROLE, timelock.target)
+      await otcSwap.connect(owner).renounceRole(roles.TIMELOCK_ROLE, owner.address)
+    })
+
+    it('should delay fee and Liberdus token changes', async function () {
+      const data = otcSwap.interface.encodeFunctionData('updateFeeConfig', [feeToken.target, ORDER_FEE * BigInt(2)])
+      const salt = ethers.ZeroHash
+
+      await expect(otcSwap.connect(owner).updateFeeConfig(feeToken.target, ORDER_FEE * BigInt(2)))
+        .to.be.revertedWithCustomError(otcSwap, 'AccessControlUnauthorizedAccount')
+
+      await timelock.connect(owner).schedule(otcSwap.target, 0, data, ethers.ZeroHash, salt, TIMELOCK_DELAY)
+      await expect(timelock.connect(owner).execute(otcSwap.target, 0, data, ethers.ZeroHash, salt))
+        .to.be.revertedWithCustomError(timelock, 'TimelockUnexpectedOperationState')
+
+      await time.increase(TIMELOCK_DELAY)
+      await expect(timelock.connect(owner).execute(otcSwap.target, 0, data, ethers.ZeroHash, salt))
+        .to.emit(otcSwap, 'FeeConfigUpdated')
+      expect(await otcSwap.orderCreationFeeAmount()).to.equal(ORDER_FEE * BigInt(2))
+    })
+
+    it('should not let the admin bypass the timelock', async function () {
+      await expect(otcSwap.connect(owner).grantRole(roles.TIMELOCK_ROLE, owner.address))
+        .to.be.revertedWithCustomError(otcSwap, 'AccessControlUnauthorizedAccount')
+        .withArgs(owner.address, roles.TIMELOCK_ROLE)
+      await expect(otcSwap.connect(owner).updateLiberdusToken(newToken.target))
+        .to.be.revertedWithCustomError(otcSwap, 'AccessControlUnauthorizedAccount')
+      await expect(otcSwap.connect(owner).updateProtocolFees(10, 10, owner.address))
+        .to.be.revertedWithCustomError(otcSwap, 'AccessControlUnauthorizedAccount')
+    })
+  })
+
+  describe('hardhat tasks', function () {
+    it('should grant and revoke roles by name', async function () {
+      const args = { contract: otcSwap.target, role: 'pauser', account: pauser.address }
+
+      expect(await hre.run('grant-role', args)).to.be.true
+      expect(await otcSwap.hasRole(roles.PAUSER_ROLE, pauser.address)).to.be.true
+      expect(await hre.run('grant-role', args)).to.be.false
+      expect(await hre.run('roles', { contract: otcSwap.target, account: pauser.address }))
+        .to.deep.equal(['PAUSER_ROLE'])
+
+      expect(await hre.run('revoke-role', { ...args, role: 'PAUSER_ROLE' })).to.be.true
+      expect(await otcSwap.hasRole(roles.PAUSER_ROLE, pauser.address)).to.be.false
+    })
+
+    it('should reject unknown roles', async function () {
+      await expect(hre.run('grant-role', { contract: otcSwap.target, role: 'owner', account: alice.address }))
+        .to.be.rejectedWith('Unknown role owner')
+    })
+  })
+})
@@ -1,5 +1,9 @@
 const { expect } = require('chai')
 const { ethers } = require('hardhat')
+const hre = require('hardhat')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
 
 describe('OTCSwap - Allowed Tokens', function () {
   let otcSwap
@@ -116,7 +120,7 @@ describe('OTCSwap - Allowed Tokens', function () {
     it('should revert if non-owner tries to update Liberdus token', async function () {
       await expect(
         otcSwap.connect(alice).updateLiberdusToken(tokenC.target)
-      ).to.be.revertedWithCustomError(otcSwap, 'OwnableUnauthorizedAccount')
+      ).to.be.revertedWithCustomError(otcSwap, 'AccessControlUnauthorizedAccount')
     })
 
     it('should revert if trying to set Liberdus token to zero address', async function () {
@@ -207,7 +211,7 @@ describe('OTCSwap - Allowed Tokens', function () {
     it('should revert if not called by owner', async function () {
       await expect(
         otcSwap.connect(alice).updateAllowedTokens([tokenC.target], [true])
-      ).to.be.revertedWithCustomError(otcSwap, 'OwnableUnauthorizedAccount')
+      ).to.be.revertedWithCustomError(otcSwap, 'AccessControlUnauthorizedAccount')
     })
 
     it('should revert if arrays length mismatch', async function () {
@@ -490,6 +494,67 @@ describe('OTCSwap - Allowed Tokens', function () {
     })
   })
 
+  describe('sync-allowed-tokens task', function () {
+    let dir
+
+    // Writes a token list and runs the task against it
+    async function sync (tokens, args = {}) {
+      const file = path.join(dir, 'allowed-tokens.json')
+      fs.writeFileSync(file, JSON.stringify(tokens))
+      return hre.run('sync-allowed-tokens', { contract: otcSwap.target, file, yes: true, ...args })
+    }
+
+    beforeEach(function () {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'otc-allowed-'))
+    })
+
+    afterEach(function () {
+      fs.rmSync(dir, { recursive: true, force: true })
+    })
+
+    it('should add and remove tokens in one transaction', async function () {
+      const list = [tokenA.target, tokenC.target, feeToken.target, liberdusToken.target]
+
+      const result = await sync(list)
+
+      expect(result.added).to.deep.equal([tokenC.target])
+      expect(result.removed).to.deep.equal([tokenB.target])
+      const tx = await ethers.provider.getTransaction(result.txHash)
+      expect(otcSwap.interface.parseTransaction(tx).args[0]).to.deep.equal([tokenC.target, tokenB.target])
+      expect([...await otcSwap.getAllowedTokens()].sort()).to.deep.equal([...list].sort())
+    })
+
+    it('should do nothing when the list already matches', async function () {
+      const list = [tokenA.target.toLowerCase(), tokenC.target, feeToken.target, liberdusToken.target]
+      await sync(list)
+      const block = await ethers.provider.getBlockNumber()
+
+      expect(await sync(list)).to.deep.equal({ added: [], removed: [], txHash: null })
+      expect(await ethers.provider.getBlockNumber()).to.equal(block)
+    })
+
+    it('should only print the plan on a dry run', async function () {
+      const result = await sync([tokenA.target, feeToken.target, liberdusToken.target], { dryRun: true })
+
+      expect(result.removed).to.deep.equal([tokenB.target])
+      expect(result.txHash).to.be.null
+      expect(await otcSwap.allowedTokens(tokenB.target)).to.be.true
+    })
+
+    it('should reject addresses that are not ERC20 tokens before sending anything', async function () {
+      const block = await ethers.provider.getBlockNumber()
+
+      await expect(sync([tokenA.target, alice.address]))
+        .to.be.rejectedWith(`${alice.address} is not a contract`)
+      await expect(sync([tokenA.target, otcSwap.target]))
+        .to.be.rejectedWith(`${otcSwap.target} does not implement ERC20 symbol() and decimals()`)
+      await expect(sync([tokenA.target, tokenA.target.toLowerCase()]))
+        .to.be.rejectedWith('is listed twice')
+      await expect(sync(['0x1234'])).to.be.rejectedWith('0x1234 is not an address')
+      expect(await ethers.provider.getBlockNumber()).to.equal(block)
+    })
+  })
+
   async function getLatestTimestamp() {
     const block = await ethers.provider.getBlock('latest')
     return block.timestamp
@@ -0,0 +1,260 @@
+const { expect } = require('chai')
+const { ethers } = require('hardhat')
+const hre = require('hardhat')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { time } = require('@nomicfoundation/hardhat-toolbox/network-helpers')
+const { signedOrderDomain, buildSignedOrder, signOrder } = require('../client')
+const { OrderIndexer, REPORT_TABLES, tradeReport, reportTables, toCsv } = require('../indexer')
+
+describe('Trade analytics', function () {
+  let otcSwap
+  let tokenA
+  let feeToken
+  let liberdusToken
+  let owner
+  let alice
+  let bob
+  let charlie
+  let startBlock
+
+  const ORDER_EXPIRY = 7 * 24 * 60 * 60 // 7 days in seconds
+  const GRACE_PERIOD = 7 * 24 * 60 * 60 // 7 days in seconds
+  const ORDER_FEE = ethers.parseUnits('1', 18)
+  const TAKER_FEE_BPS = 25
+  const MAKER_FEE_BPS = 10
+  const units = value => ethers.parseEther(String(value))
+
+  function createOrder (sellToken, sellAmount, buyToken, buyAmount) {
+    return otcSwap.connect(alice).createOrder(ethers.ZeroAddress, sellToken.target, units(sellAmount), buyToken.target, units(buyAmount))
+  }
+
+  async function index () {
+    const indexer = new OrderIndexer(otcSwap.target, ethers.provider, { startBlock })
+    await indexer.sync()
+    return indexer.state
+  }
+
+  // Alice sells 100 LBDS for 200 TKA, filled by Bob in two halves, then
+  // 100 TKA for 100 LBDS, filled at once
+  async function trade () {
+    await createOrder(liberdusToken, 100, tokenA, 200)
+    await otcSwap.connect(bob).fillOrderPartial(0, units(100))
+    await otcSwap.connect(bob).fillOrder(0)
+    await createOrder(tokenA, 100, liberdusToken, 100)
+    await otcSwap.connect(bob).fillOrder(1)
+  }
+
+  beforeEach(async function () {
+    [owner, alice, bob, charlie] = await ethers.getSigners()
+    startBlock = await ethers.provider.getBlockNumber()
+
+    const TestToken = await ethers.getContractFactory('TestToken')
+    tokenA = await TestToken.deploy('Token A', 'TKA')
+    liberdusToken = await TestToken.deploy('Liberdus', 'LBDS')
+    feeToken = await TestToken.deploy('DAI Stablecoin', 'DAI')
+
+    const OTCSwap = await ethers.getContractFactory('OTCSwap')
+    otcSwap = await OTCSwap.deploy(feeToken.target, ORDER_FEE, [tokenA.target, liberdusToken.target], liberdusToken.target)
+    await otcSwap.waitForDeployment()
+    await otcSwap.connect(owner).updateProtocolFees(TAKER_FEE_BPS, MAKER_FEE_BPS, owner.address)
+
+    for (const account of [alice, bob]) {
+      for (const token of [tokenA, liberdusToken, feeToken]) {
+        await token.transfer(account.address, units(10000))
+        await token.connect(account).approve(otcSwap.target, ethers.MaxUint256)
+      }
+    }
+  })
+
+  it('should record the protocol fees of each fill', async function () {
+    await trade()
+    const state = await index()
+
+    expect(state.orders[0].fills.map(fill => [fill.makerFee, fill.takerFee])).to.deep.equal([
+      [units('0.1'), units('0.125')],
+      [units('0.1'), units('0.125')]
+    ])
+    expect(state.orders[1].fills[0].makerFee).to.equal(units('0.1'))
+    expect(state.orders[1].fills[0].takerFee).to.equal(units('0.25'))
+  })
+
+  it('should report volume and VWAP per pair, quoted in Liberdus', async function () {
+    await trade()
+    const { pairs, trades } = tradeReport(await index())
+
+    expect(trades).to.have.length(3)
+    expect(pairs).to.deep.equal([{
+      base: tokenA.target,
+      quote: liberdusToken.target,
+      trades: 3,
+      baseVolume: units(300),
+      quoteVolume: units(200),
+      low: units('0.5'),
+      high: units(1),
+      last: units(1),
+      vwap: units(200) * units(1) / units(300)
+    }])
+  })
+
+  it('should value maker and taker P&L in Liberdus at the last price', async function () {
+    await trade()
+    const { accounts } = tradeReport(await index())
+
+    const [maker, taker] = accounts
+    expect(maker).to.include({ account: alice.address, role: 'maker', trades: 3 })
+    expect(maker.positions.map(({ token, amount }) => [token, amount])).to.deep.equal([
+      [liberdusToken.target, units('-0.1')],
+      [tokenA.target, units('99.8')]
+    ])
+    expect(maker.pnl).to.equal(units('99.7'))
+
+    expect(taker).to.include({ account: bob.address, role: 'taker', trades: 3 })
+    expect(taker.pnl).to.equal(units('-100.5'))
+    // What the two sides lost between them is what the protocol took
+    expect(maker.pnl + taker.pnl).to.equal(units('-0.8'))
+  })
+
+  it('should use given prices and leave tokens without one unpriced', async function () {
+    await otcSwap.connect(owner).updateAllowedTokens([feeToken.target], [true])
+    await otcSwap.connect(owner).updateAnchorTokens([feeToken.target], [true])
+    await createOrder(tokenA, 100, feeToken, 50)
+    await otcSwap.connect(bob).fillOrder(0)
+    const state = await index()
+
+    const { accounts } = tradeReport(state)
+    expect(accounts[0].pnl).to.equal(0n)
+    expect(accounts[0].unpriced).to.deep.equal([tokenA.target, feeToken.target])
+
+    const priced = tradeReport(state, { prices: { [tokenA.target]: '2', [feeToken.target.toLowerCase()]: units(3) } })
+    // -100 TKA at 2 plus 49.95 DAI at 3
+    expect(priced.accounts[0].pnl).to.equal(units('-50.15'))
+    expect(priced.accounts[0].unpriced).to.deep.equal([])
+  })
+
+  it('should include fills of signed orders', async function () {
+    const domain = signedOrderDomain((await ethers.provider.getNetwork()).chainId, otcSwap.target)
+    const order = buildSignedOrder({
+      maker: alice.address,
+      sellToken: liberdusToken.target,
+      sellAmount: units(30),
+      buyToken: tokenA.target,
+      buyAmount: units(60),
+      nonce: 1,
+      expiry: (await time.latest()) + 3600
+    })
+    await otcSwap.connect(bob).fillSignedOrder(order, await signOrder(alice, domain, order))
+
+    const { trades, pairs } = tradeReport(await index())
+    expect(trades).to.have.length(1)
+    expect(trades[0]).to.include({ type: 'signed', maker: alice.address, taker: bob.address, makerFee: 0n })
+    expect(pairs[0]).to.include({ base: tokenA.target, baseVolume: units(60), quoteVolume: units(30) })
+  })
+
+  it('should count how orders ended', async function () {
+    await trade()
+    await createOrder(liberdusToken, 100, tokenA, 200)
+    await otcSwap.connect(bob).fillOrderPartial(2, units(50))
+    await otcSwap.connect(alice).cancelOrder(2)
+    await createOrder(liberdusToken, 100, tokenA, 200)
+    const state = await index()
+
+    expect(tradeReport(state, { now: await time.latest() }).orders).to.deep.equal({
+      created: 4, filled: 2, partiallyFilled: 1, canceled: 1, expired: 0, active: 1,
+      fillRate: 2 / 3, cancelRate: 1 / 3, expiryRate: 0
+    })
+    // Past its expiry an order counts as expired before it is cleaned up
+    const later = (await time.latest()) + ORDER_EXPIRY + 1
+    expect(tradeReport(state, { now: later }).orders).to.include({ expired: 1, active: 0, expiryRate: 1 / 4 })
+  })
+
+  it('should report fees paid and cleanup rewards earned within the period', async function () {
+    await createOrder(liberdusToken, 100, tokenA, 200)
+    await createOrder(liberdusToken, 100, tokenA, 200)
+    await otcSwap.connect(bob).fillOrder(0)
+    await time.increase(ORDER_EXPIRY + GRACE_PERIOD + 1)
+    const cleanupTime = (await time.latest()) + 1
+    await otcSwap.connect(charlie)['cleanupExpiredOrders(uint256)'](10)
+    const state = await index()
+
+    const { fees } = tradeReport(state)
+    const byAccount = Object.fromEntries(fees.map(fee => [`${fee.account} ${fee.token}`, fee]))
+    expect(byAccount[`${alice.address} ${feeToken.target}`]).to.include({ creationFeesPaid: ORDER_FEE * 2n, net: -ORDER_FEE * 2n })
+    expect(byAccount[`${alice.address} ${tokenA.target}`]).to.include({ protocolFeesPaid: units('0.2') })
+    expect(byAccount[`${bob.address} ${liberdusToken.target}`]).to.include({ protocolFeesPaid: units('0.25') })
+    expect(byAccount[`${charlie.address} ${feeToken.target}`]).to.include({ cleanupRewards: ORDER_FEE * 2n, net: ORDER_FEE * 2n })
+
+    // Only the cleanup happened after it started
+    const later = tradeReport(state, { from: cleanupTime })
+    expect(later.trades).to.deep.equal([])
+    expect(later.fees.map(fee => fee.account)).to.deep.equal([charlie.address])
+    expect(tradeReport(state, { to: cleanupTime }).fees).to.have.length(3)
+  })
+
+  describe('export', function () {
+    it('should format amounts in token units', async function () {
+      await trade()
+      const state = await index()
+      const tables = reportTables(tradeReport(state), state)
+
+      expect(Object.keys(tables)).to.deep.equal(Object.keys(REPORT_TABLES))
+      for (const [name, columns] of Object.entries(REPORT_TABLES)) {
+        expect(Object.keys(tables[name][0]), name).to.deep.equal(columns)
+      }
+      expect(tables.pairs[0]).to.include({ base: 'TKA', quote: 'LBDS', baseVolume: '300.0', vwap: '0.666666666666666666', last: '1.0' })
+      expect(tables.accounts[0]).to.include({ role: 'maker', pnl: '99.7', unpriced: '' })
+      expect(tables.trades[0]).to.include({ type: 'order', order: '0', sellToken: 'LBDS', sellAmount: '50.0', makerFee: '0.1' })
+    })
+
+    it('should write CSV with quoted fields and a header for empty tables', function () {
+      expect(toCsv([{ a: 'x,y', b: 'say "hi"', c: null }, { a: 1, b: -2, c: '' }])).to.equal(
+        'a,b,c\n"x,y","say ""hi""",\n1,-2,\n'
+      )
+      expect(toCsv([], ['account', 'token'])).to.equal('account,token\n')
+    })
+  })
+
+  describe('otc report', function () {
+    let dir
+
+    beforeEach(function () {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'otc-report-'))
+    })
+
+    afterEach(function () {
+      fs.rmSync(dir, { recursive: true, force: true })
+    })
+
+    it('should export a table as CSV and the report as JSON', async function () {
+      await trade()
+      const run = args => hre.run({ scope: 'otc', task: 'report' }, { contract: otcSwap.target, startBlock, ...args })
+
+      const csv = path.join(dir, 'pairs.csv')
+      await run({ format: 'csv', table: 'pairs', output: csv })
+      expect(fs.readFileSync(csv, 'utf8').split('\n').slice(0, 2)).to.deep.equal([
+        REPORT_TABLES.pairs.join(','),
+        'TKA,LBDS,3,300.0,200.0,0.666666666666666666,0.5,1.0,1.0'
+      ])
+
+      const json = path.join(dir, 'report.json')
+      await run({ format: 'json', output: json, from: '2000-01-01' })
+      const report = JSON.parse(fs.readFileSync(json, 'utf8'))
+      expect(report.from).to.equal(Date.parse('2000-01-01') / 1000)
+      expect(report.liberdusToken).to.equal(liberdusToken.target)
+      expect(report.trades).to.have.length(3)
+      expect(report.orders[0]).to.include({ created: 2, filled: 2, fillRate: 1 })
+
+      const tables = await run({})
+      expect(tables.accounts.map(entry => entry.pnl)).to.deep.equal(['99.7', '-100.5'])
+    })
+
+    it('should reject unknown formats, tables and dates', async function () {
+      const run = args => hre.run({ scope: 'otc', task: 'report' }, { contract: otcSwap.target, startBlock, ...args })
+
+      await expect(run({ format: 'xml' })).to.be.rejectedWith('Unknown format xml')
+      await expect(run({ format: 'csv', table: 'orderbook' })).to.be.rejectedWith('Unknown table orderbook')
+      await expect(run({ from: 'last month' })).to.be.rejectedWith('last month is not a date or unix time')
+    })
+  })
+})
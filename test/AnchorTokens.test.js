@@ -0,0 +1,190 @@
+const { expect } = require('chai')
+const { ethers } = require('hardhat')
+const { time } = require('@nomicfoundation/hardhat-toolbox/network-helpers')
+const { OTCClient } = require('../client')
+
+describe('OTCSwap - Anchor Tokens and Pairs', function () {
+  let otcSwap
+  let tokenA
+  let tokenB
+  let stablecoin
+  let feeToken
+  let liberdusToken
+  let owner
+  let alice
+  let bob
+
+  const ORDER_FEE = ethers.parseUnits('1', 18)
+  const sellAmount = ethers.parseEther('100')
+  const buyAmount = ethers.parseEther('200')
+
+  async function createOrder (sellToken, buyToken, amounts = [sellAmount, buyAmount]) {
+    return otcSwap.connect(alice).createOrder(ethers.ZeroAddress, sellToken.target, amounts[0], buyToken.target, amounts[1])
+  }
+
+  beforeEach(async function () {
+    [owner, alice, bob] = await ethers.getSigners()
+
+    const TestToken = await ethers.getContractFactory('TestToken')
+    tokenA = await TestToken.deploy('Token A', 'TKA')
+    tokenB = await TestToken.deploy('Token B', 'TKB')
+    stablecoin = await TestToken.deploy('USD Coin', 'USDC')
+    liberdusToken = await TestToken.deploy('Liberdus', 'LBDS')
+    feeToken = await TestToken.deploy('DAI Stablecoin', 'DAI')
+
+    const OTCSwap = await ethers.getContractFactory('OTCSwap')
+    otcSwap = await OTCSwap.deploy(
+      feeToken.target,
+      ORDER_FEE,
+      [tokenA.target, tokenB.target, stablecoin.target, liberdusToken.target],
+      liberdusToken.target
+    )
+    await otcSwap.waitForDeployment()
+
+    for (const account of [alice, bob]) {
+      await feeToken.transfer(account.address, ORDER_FEE * BigInt(100))
+      for (const token of [tokenA, tokenB, stablecoin, liberdusToken, feeToken]) {
+        if (token !== feeToken) {
+          await token.transfer(account.address, ethers.parseEther('10000'))
+        }
+        await token.connect(account).approve(otcSwap.target, ethers.MaxUint256)
+      }
+    }
+  })
+
+  describe('anchor tokens', function () {
+    it('should start with the Liberdus token as the only anchor', async function () {
+      expect(await otcSwap.getAnchorTokens()).to.deep.equal([liberdusToken.target])
+      await expect(createOrder(tokenA, stablecoin))
+        .to.be.revertedWith('Either buy or sell token must be Liberdus token')
+    })
+
+    it('should accept orders against any anchor once added', async function () {
+      const update = await otcSwap.connect(owner).updateAnchorTokens([stablecoin.target], [true])
+      await expect(update)
+        .to.emit(otcSwap, 'AnchorTokensUpdated')
+        .withArgs([stablecoin.target], [true], await time.latest())
+
+      await expect(createOrder(tokenA, stablecoin)).to.emit(otcSwap, 'OrderCreated')
+      await expect(createOrder(liberdusToken, tokenA)).to.emit(otcSwap, 'OrderCreated')
+      await expect(createOrder(tokenA, tokenB))
+        .to.be.revertedWith('Either buy or sell token must be Liberdus token')
+    })
+
+    it('should apply to signed orders', async function () {
+      const client = new OTCClient(otcSwap.target, alice)
+      const { order, signature } = await client.signOrder({
+        sellToken: tokenA.target,
+        sellAmount,
+        buyToken: stablecoin.target,
+        buyAmount
+      })
+
+      await expect(otcSwap.connect(bob).fillSignedOrder(order, signature))
+        .to.be.revertedWith('Either buy or sell token must be Liberdus token')
+      await otcSwap.connect(owner).updateAnchorTokens([stablecoin.target], [true])
+      await expect(otcSwap.connect(bob).fillSignedOrder(order, signature))
+        .to.emit(otcSwap, 'SignedOrderFilled')
+    })
+
+    it('should move the anchor when the Liberdus token is replaced', async function () {
+      await otcSwap.connect(owner).updateAnchorTokens([stablecoin.target], [true])
+      await otcSwap.connect(owner).updateLiberdusToken(tokenB.target)
+
+      expect(await otcSwap.anchorTokens(liberdusToken.target)).to.be.false
+      expect(await otcSwap.getAnchorTokens()).to.deep.equal([stablecoin.target, tokenB.target])
+    })
+
+    it('should keep at least one anchor', async function () {
+      await expect(otcSwap.connect(owner).updateAnchorTokens([liberdusToken.target], [false]))
+        .to.be.revertedWith('No anchor tokens left')
+      await expect(otcSwap.connect(owner).updateAnchorTokens([ethers.ZeroAddress], [true]))
+        .to.be.revertedWith('Invalid token address')
+      await expect(otcSwap.connect(owner).updateAnchorTokens([stablecoin.target], []))
+        .to.be.revertedWith('Arrays length mismatch')
+    })
+  })
+
+  describe('pairs', function () {
+    it('should block new orders on a disabled pair in both directions', async function () {
+      const disable = await otcSwap.connect(owner).setPairEnabled(liberdusToken.target, tokenA.target, false)
+      await expect(disable)
+        .to.emit(otcSwap, 'PairStatusUpdated')
+        .withArgs(liberdusToken.target, tokenA.target, false, await time.latest())
+
+      await expect(createOrder(liberdusToken, tokenA)).to.be.revertedWith('Pair disabled')
+      await expect(createOrder(tokenA, liberdusToken)).to.be.revertedWith('Pair disabled')
+      await expect(createOrder(liberdusToken, tokenB)).to.emit(otcSwap, 'OrderCreated')
+
+      await otcSwap.connect(owner).setPairEnabled(tokenA.target, liberdusToken.target, true)
+      await expect(createOrder(liberdusToken, tokenA)).to.emit(otcSwap, 'OrderCreated')
+    })
+
+    it('should still fill orders created before the pair was disabled', async function () {
+      await createOrder(liberdusToken, tokenA)
+      await otcSwap.connect(owner).setPairEnabled(liberdusToken.target, tokenA.target, false)
+
+      await expect(otcSwap.connect(bob).fillOrder(0)).to.emit(otcSwap, 'OrderFilled')
+    })
+
+    it('should list every tradable pair once', async function () {
+      await otcSwap.connect(owner).updateAnchorTokens([stablecoin.target], [true])
+      await otcSwap.connect(owner).setPairEnabled(stablecoin.target, tokenB.target, false)
+
+      const [anchors, tokens] = await otcSwap.getTradablePairs()
+      const pairs = anchors.map((anchor, i) => [anchor, tokens[i]].sort().join())
+      const expected = [
+        [liberdusToken, tokenA],
+        [liberdusToken, tokenB],
+        [liberdusToken, stablecoin],
+        [stablecoin, tokenA]
+      ].map(pair => pair.map(token => token.target).sort().join())
+
+      expect(pairs).to.have.members(expected)
+      expect(pairs).to.have.lengthOf(expected.length)
+    })
+
+    it('should leave out tokens that are not allowed', async function () {
+      await otcSwap.connect(owner).updateAllowedTokens([tokenB.target, stablecoin.target], [false, false])
+
+      const client = new OTCClient(otcSwap.target, ethers.provider)
+      expect(await client.getTradablePairs()).to.deep.equal([
+        { anchor: liberdusToken.target, token: tokenA.target }
+      ])
+    })
+
+    it('should only let the token curator change pairs and minimums', async function () {
+      await expect(otcSwap.connect(alice).setPairEnabled(liberdusToken.target, tokenA.target, false))
+        .to.be.revertedWithCustomError(otcSwap, 'AccessControlUnauthorizedAccount')
+      await expect(otcSwap.connect(alice).updateMinOrderSize(tokenA.target, 1))
+        .to.be.revertedWithCustomError(otcSwap, 'AccessControlUnauthorizedAccount')
+      await expect(otcSwap.connect(owner).setPairEnabled(tokenA.target, tokenA.target, false))
+        .to.be.revertedWith('Invalid pair')
+    })
+  })
+
+  describe('minimum order size', function () {
+    it('should reject orders selling or buying less than the minimum', async function () {
+      const update = await otcSwap.connect(owner).updateMinOrderSize(tokenA.target, buyAmount)
+      await expect(update)
+        .to.emit(otcSwap, 'MinOrderSizeUpdated')
+        .withArgs(tokenA.target, buyAmount, await time.latest())
+
+      await expect(createOrder(liberdusToken, tokenA, [sellAmount, buyAmount - BigInt(1)]))
+        .to.be.revertedWith('Order below minimum size')
+      await expect(createOrder(tokenA, liberdusToken, [buyAmount - BigInt(1), sellAmount]))
+        .to.be.revertedWith('Order below minimum size')
+      await expect(createOrder(liberdusToken, tokenA)).to.emit(otcSwap, 'OrderCreated')
+    })
+
+    it('should apply to updated amounts but not to partial fills', async function () {
+      await createOrder(liberdusToken, tokenA)
+      await otcSwap.connect(owner).updateMinOrderSize(tokenA.target, buyAmount)
+
+      await expect(otcSwap.connect(alice).updateOrder(0, sellAmount, buyAmount, sellAmount, buyAmount / BigInt(2), ethers.ZeroAddress))
+        .to.be.revertedWith('Order below minimum size')
+      await expect(otcSwap.connect(bob).fillOrderPartial(0, buyAmount / BigInt(4)))
+        .to.emit(otcSwap, 'OrderPartiallyFilled')
+    })
+  })
+})
@@ -0,0 +1,228 @@
+const { expect } = require('chai')
+const { ethers } = require('hardhat')
+const { time } = require('@nomicfoundation/hardhat-toolbox/network-helpers')
+const { CleanupKeeper, staticPriceOracle } = require('../keeper')
+
+describe('CleanupKeeper', function () {
+  let otcSwap
+  let tokenA
+  let feeToken
+  let liberdusToken
+  let misbehavingToken
+  let alice
+  let keeperSigner
+  let logs
+
+  const ORDER_EXPIRY = 7 * 24 * 60 * 60 // 7 days in seconds
+  const GRACE_PERIOD = 7 * 24 * 60 * 60 // 7 days in seconds
+  const ORDER_FEE = ethers.parseUnits('1', 18)
+  const sellAmount = ethers.parseEther('100')
+  const buyAmount = ethers.parseEther('200')
+
+  function newKeeper (options = {}) {
+    return new CleanupKeeper(otcSwap.target, keeperSigner, {
+      priceOracle: staticPriceOracle({ [feeToken.target]: '1' }),
+      logger: entry => logs.push(entry),
+      ...options
+    })
+  }
+
+  async function createOrder (sellToken = liberdusToken, expiry = ORDER_EXPIRY) {
+    await otcSwap.connect(alice)['createOrder(address,address,uint256,address,uint256,uint256)'](
+      ethers.ZeroAddress,
+      sellToken.target,
+      sellAmount,
+      sellToken === liberdusToken ? tokenA.target : liberdusToken.target,
+      buyAmount,
+      expiry
+    )
+  }
+
+  beforeEach(async function () {
+    [, alice, keeperSigner] = await ethers.getSigners()
+    logs = []
+
+    const TestToken = await ethers.getContractFactory('TestToken')
+    tokenA = await TestToken.deploy('Token A', 'TKA')
+    liberdusToken = await TestToken.deploy('Liberdus', 'LBDS')
+    feeToken = await TestToken.deploy('DAI Stablecoin', 'DAI')
+    const MisbehavingToken = await ethers.getContractFactory('MisbehavingToken')
+    misbehavingToken = await MisbehavingToken.deploy()
+
+    const OTCSwap = await ethers.getContractFactory('OTCSwap')
+    otcSwap = await OTCSwap.deploy(
+      feeToken.target,
+      ORDER_FEE,
+      [tokenA.target, feeToken.target, liberdusToken.target, misbehavingToken.target],
+      liberdusToken.target
+    )
+    await otcSwap.waitForDeployment()
+
+    await liberdusToken.transfer(alice.address, ethers.parseEther('10000'))
+    await misbehavingToken.mint(alice.address, ethers.parseEther('10000'))
+    await feeToken.transfer(alice.address, ORDER_FEE * BigInt(100))
+    await liberdusToken.connect(alice).approve(otcSwap.target, ethers.MaxUint256)
+    await misbehavingToken.connect(alice).approve(otcSwap.target, ethers.MaxUint256)
+    await feeToken.connect(alice).approve(otcSwap.target, ethers.MaxUint256)
+  })
+
+  it('should require a price oracle', async function () {
+    expect(() => new CleanupKeeper(otcSwap.target, keeperSigner)).to.throw('priceOracle is required')
+  })
+
+  it('should stay idle when there are no orders', async function () {
+    const evaluation = await newKeeper().evaluate()
+    expect(evaluation.action).to.equal('idle')
+  })
+
+  it('should wait until the first order is past its grace period', async function () {
+    await createOrder()
+    const createdAt = await time.latest()
+
+    const evaluation = await newKeeper().evaluate()
+    expect(evaluation.action).to.equal('wait')
+    expect(evaluation.cleanableAt).to.equal(createdAt + ORDER_EXPIRY + GRACE_PERIOD + 1)
+  })
+
+  it('should clean up expired orders while profitable', async function () {
+    await createOrder()
+    await createOrder()
+    await time.increase(ORDER_EXPIRY + GRACE_PERIOD + 1)
+
+    const balanceBefore = await feeToken.balanceOf(keeperSigner.address)
+    const receipts = await newKeeper().tick()
+
+    // Both orders go in one batched call
+    expect(receipts).to.have.length(1)
+    expect(await feeToken.balanceOf(keeperSigner.address)).to.equal(balanceBefore + ORDER_FEE * BigInt(2))
+    expect(await otcSwap.firstOrderId()).to.equal(2)
+
+    expect(logs[0]).to.include({ action: 'cleanup', method: 'cleanupExpiredOrders(uint256)', startOrderId: 0, maxOrders: 2 })
+    expect(logs[0].rewards).to.deep.equal([{ feeToken: feeToken.target, amount: ORDER_FEE * BigInt(2) }])
+    const confirmed = logs.filter(entry => entry.event === 'confirmed')
+    expect(confirmed.map(entry => entry.cleaned)).to.deep.equal([2])
+    expect(confirmed[0].rewards).to.deep.equal([{ feeToken: feeToken.target, amount: ORDER_FEE * BigInt(2) }])
+    expect(logs[logs.length - 1].action).to.equal('idle')
+  })
+
+  it('should clean up expired orders behind a long-lived first order', async function () {
+    await createOrder(liberdusToken, 30 * 24 * 60 * 60)
+    await createOrder()
+    await createOrder()
+    await time.increase(ORDER_EXPIRY + GRACE_PERIOD + 1)
+
+    const balanceBefore = await feeToken.balanceOf(keeperSigner.address)
+    const receipts = await newKeeper().tick()
+
+    expect(receipts).to.have.length(1)
+    expect(logs[0]).to.include({ action: 'cleanup', method: 'cleanupExpiredOrdersFrom', startOrderId: 1, maxOrders: 2 })
+    expect(await feeToken.balanceOf(keeperSigner.address)).to.equal(balanceBefore + ORDER_FEE * BigInt(2))
+    expect(await otcSwap.firstOrderId()).to.equal(0)
+    expect(logs[logs.length - 1]).to.include({ action: 'wait', orderId: 0 })
+  })
+
+  it('should step over an empty first slot only in a profitable cleanup', async function () {
+    await createOrder(liberdusToken, 30 * 24 * 60 * 60)
+    await createOrder()
+    await createOrder(liberdusToken, 30 * 24 * 60 * 60)
+    await time.increase(ORDER_EXPIRY + GRACE_PERIOD + 1)
+    // Order 1 is cleaned up out of order, then order 0 in its turn
+    await otcSwap.connect(alice).cleanupExpiredOrdersFrom(1, 1)
+    await time.increase(30 * 24 * 60 * 60)
+    await otcSwap.connect(alice)['cleanupExpiredOrders(uint256)'](1)
+    expect(await otcSwap.firstOrderId()).to.equal(1)
+
+    // Order 2 is past its grace period too, but pays nothing worth the gas,
+    // so the empty slot is not stepped over on its own
+    const unprofitable = newKeeper({ priceOracle: staticPriceOracle({ [feeToken.target]: '0.000000001' }) })
+    expect(await unprofitable.tick()).to.have.length(0)
+    expect(logs[0]).to.include({ action: 'skip', reason: 'Not profitable', startOrderId: 1, maxOrders: 2 })
+    expect(await otcSwap.firstOrderId()).to.equal(1)
+
+    // A profitable cleanup of order 2 takes the empty slot along
+    logs = []
+    expect(await newKeeper().tick()).to.have.length(1)
+    expect(logs[0]).to.include({ action: 'cleanup', method: 'cleanupExpiredOrders(uint256)', startOrderId: 1, maxOrders: 2 })
+    expect(logs[0].orders).to.deep.equal([2])
+    expect(await otcSwap.firstOrderId()).to.equal(3)
+  })
+
+  it('should not send a cleanup over empty slots alone', async function () {
+    await createOrder(liberdusToken, 30 * 24 * 60 * 60)
+    await createOrder()
+    await time.increase(ORDER_EXPIRY + GRACE_PERIOD + 1)
+    await otcSwap.connect(alice).cleanupExpiredOrdersFrom(1, 1)
+    await time.increase(30 * 24 * 60 * 60)
+    await otcSwap.connect(alice)['cleanupExpiredOrders(uint256)'](1)
+    expect(await otcSwap.firstOrderId()).to.equal(1)
+
+    const keeper = newKeeper()
+    expect(await keeper.evaluate()).to.include({ action: 'skip', reason: 'Only empty slots, which pay nothing' })
+
+    await createOrder()
+    expect(await keeper.evaluate()).to.include({ action: 'wait', orderId: 2 })
+  })
+
+  it('should skip cleanups that cost more gas than they pay', async function () {
+    await createOrder()
+    await time.increase(ORDER_EXPIRY + GRACE_PERIOD + 1)
+
+    // 1 fee token is worth next to nothing in native coin
+    const keeper = newKeeper({ priceOracle: staticPriceOracle({ [feeToken.target]: '0.000000001' }) })
+    const receipts = await keeper.tick()
+
+    expect(receipts).to.have.length(0)
+    expect(logs[0].action).to.equal('skip')
+    expect(logs[0].reason).to.equal('Not profitable')
+    expect(logs[0].profit < 0n).to.be.true
+    expect(await otcSwap.firstOrderId()).to.equal(0)
+  })
+
+  it('should expect no reward when the refund to the maker would fail', async function () {
+    await createOrder(misbehavingToken)
+    await misbehavingToken.pause()
+    await time.increase(ORDER_EXPIRY + GRACE_PERIOD + 1)
+
+    const evaluation = await newKeeper().evaluate()
+
+    expect(evaluation.action).to.equal('skip')
+    expect(evaluation.rewards).to.deep.equal([])
+  })
+
+  it('should expect no reward when the balance only covers escrow and not the fees owed in the token', async function () {
+    const [owner, , , bob] = await ethers.getSigners()
+    const FeeOnTransferToken = await ethers.getContractFactory('FeeOnTransferToken')
+    const rebasingToken = await FeeOnTransferToken.deploy(0)
+    await otcSwap.connect(owner).updateAllowedTokens([rebasingToken.target], [true])
+    await otcSwap.connect(owner).updateProtocolFees(100, 0, owner.address)
+    await rebasingToken.mint(alice.address, sellAmount * BigInt(2))
+    await rebasingToken.connect(alice).approve(otcSwap.target, ethers.MaxUint256)
+    await liberdusToken.transfer(bob.address, buyAmount)
+    await liberdusToken.connect(bob).approve(otcSwap.target, buyAmount)
+
+    // The taker fee on a partial fill stays in the contract as a protocol fee balance
+    await createOrder(rebasingToken)
+    await otcSwap.connect(bob)['fillOrderPartial(uint256,uint256)'](0, buyAmount / BigInt(2))
+    expect(await otcSwap.protocolFeeBalances(rebasingToken.target)).to.be.greaterThan(0)
+    await rebasingToken.rebaseDown(otcSwap.target, 1)
+    await time.increase(ORDER_EXPIRY + GRACE_PERIOD + 1)
+
+    const evaluation = await newKeeper().evaluate()
+
+    expect(evaluation.rewards).to.deep.equal([])
+    await expect(otcSwap.connect(keeperSigner)['cleanupExpiredOrders(uint256)'](1))
+      .to.emit(otcSwap, 'RetryOrder')
+  })
+
+  it('should not send transactions in dry-run mode', async function () {
+    await createOrder()
+    await time.increase(ORDER_EXPIRY + GRACE_PERIOD + 1)
+
+    const receipts = await newKeeper({ dryRun: true }).tick()
+
+    expect(receipts).to.have.length(0)
+    expect(logs.map(entry => entry.event)).to.deep.equal(['evaluate', 'dry-run'])
+    expect(logs[0].action).to.equal('cleanup')
+    expect(await otcSwap.firstOrderId()).to.equal(0)
+  })
+})
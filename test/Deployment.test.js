@@ -0,0 +1,137 @@
+const { expect } = require('chai')
+const { ethers } = require('hardhat')
+const hre = require('hardhat')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { deploy, loadConfig } = require('../scripts/deploy')
+const { OTC_SWAP_ABI } = require('../client')
+const {
+  abiHash,
+  loadDeployment,
+  findDeployment,
+  getContractAddress,
+  connectDeployment
+} = require('../client/registry')
+
+describe('Deployment manifests and registry', function () {
+  const testConfig = { testTokens: true, feeAmount: '1', timelockDelay: 60 }
+  let dir
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'otc-deployments-'))
+  })
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true })
+  })
+
+  it('should deploy and record every contract in the network manifest', async function () {
+    const { manifest, otcSwap, timelock } = await deploy(testConfig, { dir })
+
+    expect(loadDeployment('hardhat', { dir })).to.deep.equal(manifest)
+    expect(manifest.chainId).to.equal(1337)
+    expect(manifest.gitCommit).to.match(/^[0-9a-f]{40}$/)
+    expect(Object.keys(manifest.contracts)).to.deep.equal(['FeeToken', 'LiberdusToken', 'OTCSwap', 'OTCSwapTimelock'])
+
+    const record = manifest.contracts.OTCSwap
+    const receipt = await ethers.provider.getTransactionReceipt(record.txHash)
+    expect(record.address).to.equal(otcSwap.target)
+    expect(record.blockNumber).to.equal(receipt.blockNumber)
+    expect(record.abiHash).to.equal(abiHash(OTC_SWAP_ABI))
+    expect(record.constructorArgs).to.deep.equal([
+      manifest.contracts.FeeToken.address,
+      ethers.parseEther('1').toString(),
+      [manifest.contracts.FeeToken.address, manifest.contracts.LiberdusToken.address],
+      manifest.contracts.LiberdusToken.address
+    ])
+
+    expect(await otcSwap.liberdusToken()).to.equal(manifest.contracts.LiberdusToken.address)
+    expect(await otcSwap.hasRole(await otcSwap.TIMELOCK_ROLE(), timelock.target)).to.be.true
+    expect(await timelock.getMinDelay()).to.equal(60)
+  })
+
+  it('should use existing tokens and scale the fee by the fee token decimals', async function () {
+    const TestToken = await ethers.getContractFactory('TestToken')
+    const TestTokenDecimals = await ethers.getContractFactory('TestTokenDecimals')
+    const usdc = await TestTokenDecimals.deploy('USD Coin', 'USDC', 6)
+    const liberdusToken = await TestToken.deploy('Liberdus', 'LBDS')
+
+    const { manifest, otcSwap } = await deploy({
+      feeToken: usdc.target,
+      feeAmount: '1.5',
+      liberdusToken: liberdusToken.target,
+      timelockDelay: 60
+    }, { dir })
+
+    expect(manifest.contracts.FeeToken).to.be.undefined
+    expect(await otcSwap.orderCreationFeeAmount()).to.equal(1500000n)
+    expect(await otcSwap.getAllowedTokens()).to.deep.equal([usdc.target, liberdusToken.target])
+  })
+
+  it('should refuse a config without tokens', async function () {
+    await expect(deploy({ feeAmount: '1', timelockDelay: 60 }, { dir }))
+      .to.be.rejectedWith('The hardhat config needs feeToken and liberdusToken, or testTokens')
+  })
+
+  it('should read the deployment config of each network', function () {
+    const polygon = loadConfig('polygon')
+    expect(polygon.liberdusToken).to.equal('0x693ed886545970F0a3ADf8C59af5cCdb6dDF0a76')
+    expect(polygon.allowedTokens).to.equal('allowed-tokens.json')
+    expect(loadConfig('localhost').testTokens).to.be.true
+    expect(() => loadConfig('mainnet')).to.throw('No deployment config for mainnet')
+  })
+
+  it('should look deployments up by network name and chain id', async function () {
+    const { manifest } = await deploy(testConfig, { dir })
+    const address = manifest.contracts.OTCSwap.address
+
+    expect(getContractAddress('hardhat', 'OTCSwap', { dir })).to.equal(address)
+    expect(getContractAddress('hardhat', 'OTCSwapTimelock', { dir })).to.equal(manifest.contracts.OTCSwapTimelock.address)
+    expect(getContractAddress('polygon', 'OTCSwap', { dir })).to.be.null
+    expect(findDeployment(1337, { dir })).to.deep.equal(manifest)
+    expect(findDeployment(137, { dir })).to.be.null
+
+    const client = await connectDeployment(ethers.provider, { dir })
+    expect(client.contract.target).to.equal(address)
+    expect(await client.contract.liberdusToken()).to.equal(manifest.contracts.LiberdusToken.address)
+    await expect(connectDeployment(ethers.provider, { dir, network: 'polygon' }))
+      .to.be.rejectedWith('No OTCSwap deployment found for polygon')
+  })
+
+  it('should prefer a localhost manifest over a stale hardhat one', async function () {
+    const { manifest } = await deploy(testConfig, { dir })
+    const stale = { ...manifest, deployedAt: '2020-01-01T00:00:00.000Z', contracts: { OTCSwap: { address: ethers.ZeroAddress } } }
+    fs.writeFileSync(path.join(dir, 'hardhat.json'), JSON.stringify(stale))
+    fs.writeFileSync(path.join(dir, 'localhost.json'), JSON.stringify({ ...manifest, network: 'localhost' }))
+
+    expect(findDeployment(1337, { dir }).network).to.equal('localhost')
+    const client = await connectDeployment(ethers.provider, { dir })
+    expect(client.contract.target).to.equal(manifest.contracts.OTCSwap.address)
+  })
+
+  it('should not write a manifest for the hardhat network to deployments/', async function () {
+    const before = fs.existsSync(path.join(__dirname, '..', 'deployments', 'hardhat.json'))
+    await deploy(testConfig)
+    expect(fs.existsSync(path.join(__dirname, '..', 'deployments', 'hardhat.json'))).to.equal(before)
+  })
+
+  it('should let the CLI find the contract through the manifest', async function () {
+    const { manifest } = await deploy(testConfig, { dir })
+    const env = { address: process.env.OTC_SWAP_ADDRESS, dir: process.env.OTC_DEPLOYMENTS_DIR }
+    delete process.env.OTC_SWAP_ADDRESS
+    process.env.OTC_DEPLOYMENTS_DIR = dir
+    try {
+      expect(await hre.run({ scope: 'otc', task: 'list' }, {})).to.deep.equal([])
+      expect(await hre.run('roles', { account: manifest.deployer })).to.include('DEFAULT_ADMIN_ROLE')
+    } finally {
+      for (const [name, value] of [['OTC_SWAP_ADDRESS', env.address], ['OTC_DEPLOYMENTS_DIR', env.dir]]) {
+        if (value === undefined) {
+          delete process.env[name]
+        } else {
+          process.env[name] = value
+        }
+      }
+    }
+  })
+})
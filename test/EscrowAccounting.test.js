@@ -0,0 +1,200 @@
+const { expect } = require('chai')
+const { ethers } = require('hardhat')
+const { time } = require('@nomicfoundation/hardhat-toolbox/network-helpers')
+
+describe('OTCSwap - Escrow Accounting', function () {
+  let otcSwap
+  let tokenA
+  let feeToken
+  let liberdusToken
+  let fotToken
+  let owner
+  let alice
+  let bob
+  let charlie
+
+  const ORDER_EXPIRY = 7 * 24 * 60 * 60 // 7 days in seconds
+  const GRACE_PERIOD = 7 * 24 * 60 * 60 // 7 days in seconds
+  const ORDER_FEE = ethers.parseUnits('1', 18)
+  const sellAmount = ethers.parseEther('100')
+  const buyAmount = ethers.parseEther('200')
+
+  async function createOrder (maker, sellToken, buyToken = liberdusToken) {
+    return otcSwap.connect(maker).createOrder(
+      ethers.ZeroAddress,
+      sellToken.target,
+      sellAmount,
+      buyToken.target,
+      buyAmount
+    )
+  }
+
+  beforeEach(async function () {
+    [owner, alice, bob, charlie] = await ethers.getSigners()
+
+    const TestToken = await ethers.getContractFactory('TestToken')
+    tokenA = await TestToken.deploy('Token A', 'TKA')
+    liberdusToken = await TestToken.deploy('Liberdus', 'LBDS')
+    feeToken = await TestToken.deploy('DAI Stablecoin', 'DAI')
+
+    // Starts without a fee so orders can be created before it is switched on
+    const FeeOnTransferToken = await ethers.getContractFactory('FeeOnTransferToken')
+    fotToken = await FeeOnTransferToken.deploy(0)
+
+    const OTCSwap = await ethers.getContractFactory('OTCSwap')
+    otcSwap = await OTCSwap.deploy(
+      feeToken.target,
+      ORDER_FEE,
+      [tokenA.target, feeToken.target, liberdusToken.target, fotToken.target],
+      liberdusToken.target
+    )
+    await otcSwap.waitForDeployment()
+
+    for (const account of [alice, bob]) {
+      await fotToken.mint(account.address, ethers.parseEther('10000'))
+      await liberdusToken.transfer(account.address, ethers.parseEther('10000'))
+      await tokenA.transfer(account.address, ethers.parseEther('10000'))
+      await feeToken.transfer(account.address, ORDER_FEE * BigInt(100))
+      for (const token of [fotToken, liberdusToken, tokenA, feeToken]) {
+        await token.connect(account).approve(otcSwap.target, ethers.MaxUint256)
+      }
+    }
+  })
+
+  describe('fee-on-transfer tokens', function () {
+    it('should reject deposits that arrive short', async function () {
+      await fotToken.setFee(100) // 1%
+
+      await expect(createOrder(alice, fotToken))
+        .to.be.revertedWith('Fee-on-transfer tokens not supported')
+    })
+
+    it('should reject top-ups that arrive short', async function () {
+      await createOrder(alice, fotToken)
+      await fotToken.setFee(100)
+
+      await expect(otcSwap.connect(alice).updateOrder(0, sellAmount, buyAmount, sellAmount * BigInt(2), buyAmount, ethers.ZeroAddress))
+        .to.be.revertedWith('Fee-on-transfer tokens not supported')
+    })
+
+    it('should not let a fee switched on later drain other escrow', async function () {
+      await createOrder(alice, fotToken)
+      await createOrder(bob, fotToken)
+      await fotToken.setFee(100)
+
+      // Payouts now burn a fee, but each order still only releases its own escrow
+      await otcSwap.connect(alice).cancelOrder(0)
+      expect(await otcSwap.escrowedBalances(fotToken.target)).to.equal(sellAmount)
+      expect(await fotToken.balanceOf(otcSwap.target)).to.equal(sellAmount)
+
+      await otcSwap.connect(bob).cancelOrder(1)
+      expect(await otcSwap.escrowedBalances(fotToken.target)).to.equal(0)
+    })
+  })
+
+  describe('escrow ledger', function () {
+    it('should track deposits and payouts per token', async function () {
+      await createOrder(alice, liberdusToken, tokenA)
+      await createOrder(alice, liberdusToken, tokenA)
+      await createOrder(bob, tokenA)
+      expect(await otcSwap.escrowedBalances(liberdusToken.target)).to.equal(sellAmount * BigInt(2))
+      expect(await otcSwap.escrowedBalances(tokenA.target)).to.equal(sellAmount)
+
+      await otcSwap.connect(bob).fillOrderPartial(0, buyAmount / BigInt(4))
+      expect(await otcSwap.escrowedBalances(liberdusToken.target)).to.equal(sellAmount * BigInt(7) / BigInt(4))
+
+      await otcSwap.connect(alice).cancelOrder(1)
+      await otcSwap.connect(alice).updateOrder(0, sellAmount * BigInt(3) / BigInt(4), buyAmount * BigInt(3) / BigInt(4), sellAmount / BigInt(2), buyAmount, ethers.ZeroAddress)
+      expect(await otcSwap.escrowedBalances(liberdusToken.target)).to.equal(sellAmount / BigInt(2))
+
+      await time.increase(ORDER_EXPIRY + GRACE_PERIOD + 1)
+      await otcSwap.connect(charlie)['cleanupExpiredOrders(uint256)'](10)
+      expect(await otcSwap.escrowedBalances(liberdusToken.target)).to.equal(0)
+      expect(await otcSwap.escrowedBalances(tokenA.target)).to.equal(0)
+    })
+
+    it('should drop the escrow of orders deleted after MAX_RETRY_ATTEMPTS', async function () {
+      const PausableToken = await ethers.getContractFactory('MisbehavingToken')
+      const pausableToken = await PausableToken.deploy()
+      await otcSwap.connect(owner).updateAllowedTokens([pausableToken.target], [true])
+      await pausableToken.mint(alice.address, sellAmount)
+      await pausableToken.connect(alice).approve(otcSwap.target, sellAmount)
+
+      await createOrder(alice, pausableToken)
+      await pausableToken.pause()
+
+      for (let i = 0; i <= 10; i++) {
+        await time.increase(ORDER_EXPIRY + GRACE_PERIOD + 1)
+        await otcSwap.connect(charlie).cleanupExpiredOrders()
+      }
+
+      expect(await otcSwap.escrowedBalances(pausableToken.target)).to.equal(0)
+    })
+  })
+
+  describe('rebasing tokens', function () {
+    it('should stop payouts when the balance falls below escrow', async function () {
+      await createOrder(alice, fotToken)
+      await createOrder(bob, fotToken)
+      await fotToken.rebaseDown(otcSwap.target, ethers.parseEther('1'))
+
+      await expect(otcSwap.connect(alice).cancelOrder(0))
+        .to.be.revertedWith('Escrow balance shortfall')
+      await expect(otcSwap.connect(bob).fillOrder(0))
+        .to.be.revertedWith('Escrow balance shortfall')
+    })
+
+    it('should not cover a shortfall out of fee balances in the same token', async function () {
+      await otcSwap.connect(owner).updateProtocolFees(100, 0, owner.address) // 1% taker fee
+      await createOrder(alice, fotToken)
+      await createOrder(alice, fotToken)
+      await otcSwap.connect(bob).fillOrder(0)
+      const protocolFees = await otcSwap.protocolFeeBalances(fotToken.target)
+      expect(protocolFees).to.equal(sellAmount / BigInt(100))
+
+      // Still holds the escrow of order 1, but not the fees on top of it
+      await fotToken.rebaseDown(otcSwap.target, 1)
+      expect(await fotToken.balanceOf(otcSwap.target)).to.equal(sellAmount + protocolFees - BigInt(1))
+
+      await expect(otcSwap.connect(alice).cancelOrder(1))
+        .to.be.revertedWith('Escrow balance shortfall')
+    })
+
+    it('should let makers cancel for their share of a shortfall in emergency mode', async function () {
+      await createOrder(alice, fotToken)
+      await createOrder(bob, fotToken)
+      // A quarter of what the contract holds is gone
+      await fotToken.rebaseDown(otcSwap.target, sellAmount / BigInt(2))
+
+      await otcSwap.connect(owner).pause()
+      await expect(otcSwap.connect(alice).cancelOrder(0))
+        .to.be.revertedWith('Escrow balance shortfall')
+
+      await otcSwap.connect(owner).setEmergencyMode(true)
+      await expect(otcSwap.connect(alice).cancelOrder(0))
+        .to.changeTokenBalance(fotToken, alice, sellAmount * BigInt(3) / BigInt(4))
+      await expect(otcSwap.connect(bob).cancelOrder(1))
+        .to.changeTokenBalance(fotToken, bob, sellAmount * BigInt(3) / BigInt(4))
+      expect(await otcSwap.escrowedBalances(fotToken.target)).to.equal(0)
+      expect(await fotToken.balanceOf(otcSwap.target)).to.equal(0)
+    })
+
+    it('should retry cleanup instead of paying out of a shortfall', async function () {
+      await createOrder(alice, fotToken)
+      await fotToken.rebaseDown(otcSwap.target, ethers.parseEther('1'))
+      await time.increase(ORDER_EXPIRY + GRACE_PERIOD + 1)
+
+      await expect(otcSwap.connect(charlie).cleanupExpiredOrders())
+        .to.emit(otcSwap, 'RetryOrder')
+      expect(await otcSwap.escrowedBalances(fotToken.target)).to.equal(sellAmount)
+    })
+
+    it('should keep paying out when the balance grows', async function () {
+      await createOrder(alice, fotToken)
+      await fotToken.mint(otcSwap.target, ethers.parseEther('5'))
+
+      await expect(otcSwap.connect(alice).cancelOrder(0))
+        .to.changeTokenBalance(fotToken, alice, sellAmount)
+    })
+  })
+})
@@ -0,0 +1,264 @@
+const { expect } = require('chai')
+const { ethers } = require('hardhat')
+const { time } = require('@nomicfoundation/hardhat-toolbox/network-helpers')
+const { OTCClient, NATIVE_TOKEN } = require('../client')
+
+describe('OTCSwap - Native Coin', function () {
+  let otcSwap
+  let feeToken
+  let liberdusToken
+  let owner
+  let alice
+  let bob
+  let charlie
+
+  const ORDER_EXPIRY = 7 * 24 * 60 * 60 // 7 days in seconds
+  const GRACE_PERIOD = 7 * 24 * 60 * 60 // 7 days in seconds
+  const ORDER_FEE = ethers.parseUnits('1', 18)
+  const nativeAmount = ethers.parseEther('2')
+  const liberdusAmount = ethers.parseEther('100')
+
+  const createOrder = 'createOrder(address,address,uint256,address,uint256)'
+
+  async function sellNative (maker = alice, value = nativeAmount) {
+    return otcSwap.connect(maker)[createOrder](
+      ethers.ZeroAddress,
+      NATIVE_TOKEN,
+      nativeAmount,
+      liberdusToken.target,
+      liberdusAmount,
+      { value }
+    )
+  }
+
+  async function buyNative (maker = alice) {
+    return otcSwap.connect(maker).createOrder(
+      ethers.ZeroAddress,
+      liberdusToken.target,
+      liberdusAmount,
+      NATIVE_TOKEN,
+      nativeAmount
+    )
+  }
+
+  beforeEach(async function () {
+    [owner, alice, bob, charlie] = await ethers.getSigners()
+
+    const TestToken = await ethers.getContractFactory('TestToken')
+    liberdusToken = await TestToken.deploy('Liberdus', 'LBDS')
+    feeToken = await TestToken.deploy('DAI Stablecoin', 'DAI')
+
+    const OTCSwap = await ethers.getContractFactory('OTCSwap')
+    otcSwap = await OTCSwap.deploy(feeToken.target, ORDER_FEE, [feeToken.target, liberdusToken.target, NATIVE_TOKEN], liberdusToken.target)
+    await otcSwap.waitForDeployment()
+
+    for (const account of [alice, bob]) {
+      await liberdusToken.transfer(account.address, ethers.parseEther('10000'))
+      await feeToken.transfer(account.address, ORDER_FEE * BigInt(100))
+      await liberdusToken.connect(account).approve(otcSwap.target, ethers.MaxUint256)
+      await feeToken.connect(account).approve(otcSwap.target, ethers.MaxUint256)
+    }
+  })
+
+  describe('selling native coin', function () {
+    it('should escrow msg.value and pay it out to the taker', async function () {
+      await sellNative()
+      expect(await ethers.provider.getBalance(otcSwap.target)).to.equal(nativeAmount)
+
+      const fill = otcSwap.connect(bob).fillOrder(0)
+      await expect(fill).to.changeEtherBalances([otcSwap, bob], [-nativeAmount, nativeAmount])
+      await expect(fill).to.changeTokenBalances(liberdusToken, [bob, alice], [-liberdusAmount, liberdusAmount])
+    })
+
+    it('should require msg.value to match the sell amount', async function () {
+      await expect(sellNative(alice, nativeAmount - BigInt(1)))
+        .to.be.revertedWith('Incorrect native amount')
+
+      await expect(otcSwap.connect(alice)[createOrder](
+        ethers.ZeroAddress,
+        liberdusToken.target,
+        liberdusAmount,
+        NATIVE_TOKEN,
+        nativeAmount,
+        { value: 1 }
+      )).to.be.revertedWith('Incorrect native amount')
+    })
+
+    it('should refund the unfilled remainder on cancel', async function () {
+      await sellNative()
+      await otcSwap.connect(bob).fillOrderPartial(0, liberdusAmount / BigInt(4))
+
+      await expect(otcSwap.connect(alice).cancelOrder(0))
+        .to.changeEtherBalances([otcSwap, alice], [-(nativeAmount * BigInt(3) / BigInt(4)), nativeAmount * BigInt(3) / BigInt(4)])
+    })
+
+    it('should take and refund native coin when the order is repriced', async function () {
+      await sellNative()
+
+      await expect(otcSwap.connect(alice).updateOrder(0, nativeAmount, liberdusAmount, nativeAmount * BigInt(2), liberdusAmount, ethers.ZeroAddress))
+        .to.be.revertedWith('Incorrect native amount')
+      await expect(otcSwap.connect(alice).updateOrder(0, nativeAmount, liberdusAmount, nativeAmount * BigInt(2), liberdusAmount, ethers.ZeroAddress, { value: nativeAmount }))
+        .to.changeEtherBalance(otcSwap, nativeAmount)
+
+      await expect(otcSwap.connect(alice).updateOrder(0, nativeAmount * BigInt(2), liberdusAmount, nativeAmount / BigInt(2), liberdusAmount, ethers.ZeroAddress))
+        .to.changeEtherBalances([otcSwap, alice], [-(nativeAmount * BigInt(3) / BigInt(2)), nativeAmount * BigInt(3) / BigInt(2)])
+    })
+
+    it('should refund the maker on cleanup', async function () {
+      await sellNative()
+      await time.increase(ORDER_EXPIRY + GRACE_PERIOD + 1)
+
+      const cleanup = otcSwap.connect(charlie).cleanupExpiredOrders()
+      await expect(cleanup).to.changeEtherBalances([otcSwap, alice], [-nativeAmount, nativeAmount])
+      await expect(cleanup).to.changeTokenBalance(feeToken, charlie, ORDER_FEE)
+    })
+  })
+
+  describe('buying native coin', function () {
+    it('should forward msg.value to the maker', async function () {
+      await buyNative()
+
+      const fill = otcSwap.connect(bob).fillOrder(0, { value: nativeAmount })
+      await expect(fill).to.changeEtherBalances([bob, alice, otcSwap], [-nativeAmount, nativeAmount, 0])
+      await expect(fill).to.changeTokenBalance(liberdusToken, bob, liberdusAmount)
+    })
+
+    it('should require msg.value to match the fill amount', async function () {
+      await buyNative()
+
+      await expect(otcSwap.connect(bob).fillOrder(0, { value: nativeAmount - BigInt(1) }))
+        .to.be.revertedWith('Incorrect native amount')
+      await expect(otcSwap.connect(bob)['fillOrderPartial(uint256,uint256)'](0, nativeAmount / BigInt(2), { value: nativeAmount }))
+        .to.be.revertedWith('Incorrect native amount')
+      await otcSwap.connect(bob)['fillOrderPartial(uint256,uint256)'](0, nativeAmount / BigInt(2), { value: nativeAmount / BigInt(2) })
+    })
+
+    it('should reject msg.value when the buy token is an ERC20', async function () {
+      await sellNative()
+      await expect(otcSwap.connect(bob).fillOrder(0, { value: 1 }))
+        .to.be.revertedWith('Incorrect native amount')
+    })
+  })
+
+  describe('makers that reject native coin', function () {
+    let maker
+
+    beforeEach(async function () {
+      const NativeRejectingMaker = await ethers.getContractFactory('NativeRejectingMaker')
+      maker = await NativeRejectingMaker.deploy()
+
+      await liberdusToken.transfer(maker.target, ethers.parseEther('1000'))
+      await feeToken.transfer(maker.target, ORDER_FEE * BigInt(10))
+      for (const token of [liberdusToken, feeToken]) {
+        await maker.execute(token.target, token.interface.encodeFunctionData('approve', [otcSwap.target, ethers.MaxUint256]))
+      }
+    })
+
+    const makerCall = (name, args, value = 0) =>
+      maker.connect(owner).execute(otcSwap.target, otcSwap.interface.encodeFunctionData(name, args), { value })
+
+    it('should credit the maker instead of failing the fill', async function () {
+      await makerCall(createOrder, [
+        ethers.ZeroAddress, liberdusToken.target, liberdusAmount, NATIVE_TOKEN, nativeAmount
+      ])
+
+      const fill = await otcSwap.connect(bob).fillOrder(0, { value: nativeAmount })
+      await expect(fill)
+        .to.emit(otcSwap, 'NativeTransferDeferred')
+        .withArgs(maker.target, nativeAmount, await time.latest())
+      expect(await otcSwap.pendingNativeWithdrawals(maker.target)).to.equal(nativeAmount)
+      expect((await otcSwap.orders(0)).status).to.equal(1) // Filled
+
+      // The maker claims the coin to an address that accepts it
+      const withdraw = makerCall('withdrawNative', [charlie.address])
+      await expect(withdraw).to.changeEtherBalances([otcSwap, charlie], [-nativeAmount, nativeAmount])
+      expect(await otcSwap.pendingNativeWithdrawals(maker.target)).to.equal(0)
+    })
+
+    it('should credit the refund when the maker cancels', async function () {
+      await makerCall(createOrder, [
+        ethers.ZeroAddress, NATIVE_TOKEN, nativeAmount, liberdusToken.target, liberdusAmount
+      ], nativeAmount)
+
+      await makerCall('cancelOrder', [0])
+
+      expect((await otcSwap.orders(0)).status).to.equal(2) // Canceled
+      expect(await otcSwap.pendingNativeWithdrawals(maker.target)).to.equal(nativeAmount)
+      expect(await ethers.provider.getBalance(otcSwap.target)).to.equal(nativeAmount)
+    })
+
+    it('should clean up without retrying and credit the refund', async function () {
+      await makerCall(createOrder, [
+        ethers.ZeroAddress, NATIVE_TOKEN, nativeAmount, liberdusToken.target, liberdusAmount
+      ], nativeAmount)
+      await time.increase(ORDER_EXPIRY + GRACE_PERIOD + 1)
+
+      const cleanup = otcSwap.connect(charlie).cleanupExpiredOrders()
+      await expect(cleanup).to.emit(otcSwap, 'OrderCleanedUp')
+      await expect(cleanup).to.not.emit(otcSwap, 'RetryOrder')
+      await expect(cleanup).to.changeTokenBalance(feeToken, charlie, ORDER_FEE)
+
+      expect(await otcSwap.pendingNativeWithdrawals(maker.target)).to.equal(nativeAmount)
+    })
+  })
+
+  describe('token rules', function () {
+    it('should only trade native coin while it is allowed', async function () {
+      await otcSwap.connect(owner).updateAllowedTokens([NATIVE_TOKEN], [false])
+      await expect(sellNative()).to.be.revertedWith('Sell token not allowed')
+    })
+
+    it('should not accept native coin as the fee token', async function () {
+      await expect(otcSwap.connect(owner).updateFeeConfig(NATIVE_TOKEN, ORDER_FEE))
+        .to.be.revertedWith('Invalid fee token')
+    })
+
+    it('should refuse signed orders with a native leg', async function () {
+      const order = {
+        maker: alice.address,
+        taker: ethers.ZeroAddress,
+        sellToken: liberdusToken.target,
+        sellAmount: liberdusAmount,
+        buyToken: NATIVE_TOKEN,
+        buyAmount: nativeAmount,
+        nonce: 1,
+        expiry: (await time.latest()) + 3600
+      }
+      await expect(otcSwap.connect(bob).fillSignedOrder(order, '0x'))
+        .to.be.revertedWith('Native coin not supported for signed orders')
+    })
+
+    it('should have nothing to withdraw by default', async function () {
+      await expect(otcSwap.connect(alice).withdrawNative(alice.address))
+        .to.be.revertedWith('Nothing to withdraw')
+    })
+  })
+
+  describe('OTCClient', function () {
+    it('should send native coin as value instead of approving it', async function () {
+      const makerClient = new OTCClient(otcSwap.target, ethers.provider).connect(alice)
+      const takerClient = new OTCClient(otcSwap.target, ethers.provider).connect(bob)
+
+      const created = await makerClient.createOrder({
+        sellToken: liberdusToken.target,
+        sellAmount: liberdusAmount,
+        buyToken: NATIVE_TOKEN,
+        buyAmount: nativeAmount
+      })
+
+      const aliceBefore = await ethers.provider.getBalance(alice.address)
+      await takerClient.fillOrder({ orderId: created.orderId, buyToken: NATIVE_TOKEN, buyAmount: nativeAmount })
+      expect(await ethers.provider.getBalance(alice.address)).to.equal(aliceBefore + nativeAmount)
+
+      const native = await makerClient.createOrder({
+        sellToken: NATIVE_TOKEN,
+        sellAmount: nativeAmount,
+        buyToken: liberdusToken.target,
+        buyAmount: liberdusAmount
+      })
+      expect(await ethers.provider.getBalance(otcSwap.target)).to.equal(nativeAmount)
+      expect((await makerClient.getOrder(native.orderId)).sellToken).to.equal(NATIVE_TOKEN)
+      expect(await makerClient.getPendingNativeWithdrawal(alice.address)).to.equal(0)
+    })
+  })
+})
@@ -0,0 +1,339 @@
+const { expect } = require('chai')
+const { ethers, artifacts } = require('hardhat')
+const { time } = require('@nomicfoundation/hardhat-toolbox/network-helpers')
+const { OTCClient, OTC_SWAP_ABI, quoteFill } = require('../client')
+
+describe('OTCClient', function () {
+  let otcSwap
+  let tokenA
+  let feeToken
+  let liberdusToken
+  let owner
+  let alice
+  let bob
+  let client
+
+  const ORDER_EXPIRY = 7 * 24 * 60 * 60 // 7 days in seconds
+  const GRACE_PERIOD = 7 * 24 * 60 * 60 // 7 days in seconds
+  const ORDER_FEE = ethers.parseUnits('1', 18)
+  const sellAmount = ethers.parseEther('100')
+  const buyAmount = ethers.parseEther('200')
+
+  async function createOrder (maker = alice) {
+    await otcSwap.connect(maker).createOrder(
+      ethers.ZeroAddress,
+      liberdusToken.target,
+      sellAmount,
+      tokenA.target,
+      buyAmount
+    )
+  }
+
+  beforeEach(async function () {
+    [owner, alice, bob] = await ethers.getSigners()
+
+    const TestToken = await ethers.getContractFactory('TestToken')
+    tokenA = await TestToken.deploy('Token A', 'TKA')
+    liberdusToken = await TestToken.deploy('Liberdus', 'LBDS')
+    feeToken = await TestToken.deploy('DAI Stablecoin', 'DAI')
+
+    const OTCSwap = await ethers.getContractFactory('OTCSwap')
+    otcSwap = await OTCSwap.deploy(feeToken.target, ORDER_FEE, [tokenA.target, feeToken.target, liberdusToken.target], liberdusToken.target)
+    await otcSwap.waitForDeployment()
+
+    for (const account of [alice, bob]) {
+      await tokenA.transfer(account.address, ethers.parseEther('10000'))
+      await liberdusToken.transfer(account.address, ethers.parseEther('10000'))
+      await feeToken.transfer(account.address, ORDER_FEE * BigInt(100))
+      await liberdusToken.connect(account).approve(otcSwap.target, ethers.MaxUint256)
+      await feeToken.connect(account).approve(otcSwap.target, ethers.MaxUint256)
+    }
+
+    client = new OTCClient(otcSwap.target, ethers.provider, { batchSize: 2 })
+  })
+
+  describe('ABI', function () {
+    it('should ship the ABI of the compiled OTCSwap contract', async function () {
+      const artifact = await artifacts.readArtifact('OTCSwap')
+      expect(OTC_SWAP_ABI).to.deep.equal(artifact.abi)
+    })
+  })
+
+  describe('getAccumulatedFees', function () {
+    it('should list the cleanup reward balance of each fee token', async function () {
+      await createOrder()
+      await createOrder()
+
+      expect(await client.getAccumulatedFees()).to.deep.equal([
+        { token: feeToken.target, amount: ORDER_FEE * BigInt(2) }
+      ])
+    })
+  })
+
+  describe('getOrder', function () {
+    it('should return a typed order with computed deadlines', async function () {
+      await createOrder()
+      const createdAt = await time.latest()
+
+      const order = await client.getOrder(0)
+
+      expect(order.orderId).to.equal(0)
+      expect(order.maker).to.equal(alice.address)
+      expect(order.taker).to.equal(ethers.ZeroAddress)
+      expect(order.sellToken).to.equal(liberdusToken.target)
+      expect(order.sellAmount).to.equal(sellAmount)
+      expect(order.buyToken).to.equal(tokenA.target)
+      expect(order.buyAmount).to.equal(buyAmount)
+      expect(order.feeToken).to.equal(feeToken.target)
+      expect(order.orderCreationFee).to.equal(ORDER_FEE)
+      expect(order.status).to.equal('Active')
+      expect(order.timestamp).to.equal(createdAt)
+      expect(order.expiresAt).to.equal(createdAt + ORDER_EXPIRY)
+      expect(order.graceEndsAt).to.equal(createdAt + ORDER_EXPIRY + GRACE_PERIOD)
+      expect(order.isPublic).to.be.true
+      expect(order.isFillable).to.be.true
+      expect(order.isCancelable).to.be.true
+      expect(order.isCleanable).to.be.false
+    })
+
+    it('should track expiry and grace period against chain time', async function () {
+      await createOrder()
+
+      await time.increase(ORDER_EXPIRY + 1)
+      let order = await client.getOrder(0)
+      expect(order.isExpired).to.be.true
+      expect(order.isFillable).to.be.false
+      expect(order.isCancelable).to.be.true
+
+      await time.increase(GRACE_PERIOD)
+      order = await client.getOrder(0)
+      expect(order.isCancelable).to.be.false
+      expect(order.isCleanable).to.be.true
+    })
+
+    it('should return null for deleted orders', async function () {
+      await createOrder()
+      await time.increase(ORDER_EXPIRY + GRACE_PERIOD + 1)
+      await otcSwap.connect(bob).cleanupExpiredOrders()
+
+      expect(await client.getOrder(0)).to.be.null
+    })
+  })
+
+  describe('getActiveOrders', function () {
+    beforeEach(async function () {
+      for (let i = 0; i < 5; i++) {
+        await createOrder(i % 2 === 0 ? alice : bob)
+      }
+    })
+
+    it('should read the active order index across batches', async function () {
+      const { orders, pagination } = await client.getActiveOrders({ limit: 10 })
+
+      expect(orders.map(order => order.orderId)).to.deep.equal([0, 1, 2, 3, 4])
+      expect(pagination.hasMore).to.be.false
+      expect(pagination.total).to.equal(5)
+    })
+
+    it('should skip filled and canceled orders', async function () {
+      await tokenA.connect(bob).approve(otcSwap.target, buyAmount)
+      await otcSwap.connect(bob).fillOrder(0)
+      await otcSwap.connect(bob).cancelOrder(1)
+
+      const { orders } = await client.getActiveOrders()
+
+      // Removals move the last order of the index into the freed place
+      expect(orders.map(order => order.orderId)).to.deep.equal([4, 3, 2])
+    })
+
+    it('should paginate over matching orders', async function () {
+      const first = await client.getActiveOrders({ offset: 0, limit: 2 })
+      expect(first.orders.map(order => order.orderId)).to.deep.equal([0, 1])
+      expect(first.pagination).to.deep.equal({ hasMore: true, nextOffset: 2, total: 5 })
+
+      const last = await client.getActiveOrders({ offset: 4, limit: 2 })
+      expect(last.orders.map(order => order.orderId)).to.deep.equal([4])
+      expect(last.pagination.hasMore).to.be.false
+    })
+
+    it('should filter by maker', async function () {
+      const { orders } = await client.getActiveOrders({ makerAddress: bob.address })
+
+      expect(orders.map(order => order.orderId)).to.deep.equal([1, 3])
+    })
+
+    it('should filter by pair and by a single token', async function () {
+      await otcSwap.connect(bob).createOrder(ethers.ZeroAddress, liberdusToken.target, sellAmount, feeToken.target, buyAmount)
+
+      const pair = await client.getActiveOrders({ sellToken: liberdusToken.target, buyToken: feeToken.target })
+      expect(pair.orders.map(order => order.orderId)).to.deep.equal([5])
+      const buying = await client.getActiveOrders({ buyToken: tokenA.target })
+      expect(buying.orders.map(order => order.orderId)).to.deep.equal([0, 1, 2, 3, 4])
+      const makerSelling = await client.getActiveOrders({ makerAddress: bob.address, buyToken: feeToken.target })
+      expect(makerSelling.orders.map(order => order.orderId)).to.deep.equal([5])
+    })
+
+    it('should page the index on chain when nothing is left to filter', async function () {
+      const { orders, pagination } = await client.getActiveOrders({ offset: 1, limit: 2, includeExpired: true })
+
+      expect(orders.map(order => order.orderId)).to.deep.equal([1, 2])
+      expect(orders[0].isFillable).to.be.true
+      expect(pagination).to.deep.equal({ hasMore: true, nextOffset: 3, total: 5 })
+    })
+
+    it('should exclude expired orders unless requested', async function () {
+      await time.increase(ORDER_EXPIRY + 1)
+
+      expect((await client.getActiveOrders()).orders).to.have.length(0)
+      expect((await client.getActiveOrders({ includeExpired: true })).orders).to.have.length(5)
+    })
+
+    it('should start scanning at firstOrderId', async function () {
+      await time.increase(ORDER_EXPIRY + GRACE_PERIOD + 1)
+      await otcSwap.connect(owner).cleanupExpiredOrders()
+      await otcSwap.connect(owner).cleanupExpiredOrders()
+
+      expect(await client.getOrderIdWindow()).to.deep.equal({ firstOrderId: 2, nextOrderId: 5 })
+      const orders = await client.getOrders()
+      expect(orders.map(order => order.orderId)).to.deep.equal([2, 3, 4])
+    })
+  })
+
+  describe('transactions', function () {
+    it('should create, fill and cancel orders using the contract events', async function () {
+      client.connect(alice)
+      const created = await client.createOrder({
+        sellToken: liberdusToken.target,
+        sellAmount,
+        buyToken: tokenA.target,
+        buyAmount
+      })
+      expect(created.orderId).to.equal(0)
+      expect(created.maker).to.equal(alice.address)
+      expect(created.creation.timestamp).to.equal(await time.latest())
+
+      const second = await client.createOrder({
+        sellToken: liberdusToken.target,
+        sellAmount,
+        buyToken: tokenA.target,
+        buyAmount
+      })
+      const canceled = await client.cancelOrder(second.orderId)
+      expect(canceled.cancellation.timestamp).to.equal(await time.latest())
+
+      const takerClient = new OTCClient(otcSwap.target, ethers.provider).connect(bob)
+      const filled = await takerClient.fillOrder({
+        orderId: created.orderId,
+        buyToken: tokenA.target,
+        buyAmount
+      })
+      expect(filled.taker).to.equal(bob.address)
+
+      expect((await client.getOrder(0)).status).to.equal('Filled')
+      expect((await client.getOrder(1)).status).to.equal('Canceled')
+    })
+
+    it('should create orders with their own expiry', async function () {
+      client.connect(alice)
+      const { minOrderExpiry, maxOrderExpiry } = await client.getOrderExpiryBounds()
+      expect(minOrderExpiry).to.be.at.most(3600)
+      expect(maxOrderExpiry).to.be.at.least(3600)
+
+      const created = await client.createOrder({
+        sellToken: liberdusToken.target,
+        sellAmount,
+        buyToken: tokenA.target,
+        buyAmount,
+        expiry: 3600
+      })
+      expect(created.expiry).to.equal(3600)
+
+      const order = await client.getOrder(created.orderId)
+      expect(order.expiry).to.equal(3600)
+      expect(order.expiresAt).to.equal(created.creation.timestamp + 3600)
+      expect(order.graceEndsAt).to.equal(created.creation.timestamp + 3600 + GRACE_PERIOD)
+    })
+
+    it('should reprice orders and return their price history', async function () {
+      client.connect(alice)
+      const created = await client.createOrder({
+        sellToken: liberdusToken.target,
+        sellAmount,
+        buyToken: tokenA.target,
+        buyAmount
+      })
+
+      const updated = await client.updateOrder({
+        orderId: created.orderId,
+        newSellAmount: sellAmount * BigInt(2),
+        newBuyAmount: buyAmount
+      })
+      expect(updated.sellAmount).to.equal(sellAmount * BigInt(2))
+      expect(updated.taker).to.equal(ethers.ZeroAddress)
+
+      const order = await client.getOrder(created.orderId)
+      expect(order.remainingSellAmount).to.equal(sellAmount * BigInt(2))
+
+      const history = await client.getPriceHistory(created.orderId)
+      expect(history.map(price => price.sellAmount)).to.deep.equal([sellAmount, sellAmount * BigInt(2)])
+      expect(history[1].timestamp).to.equal(updated.update.timestamp)
+    })
+
+    it('should fill orders partially and report the remainder', async function () {
+      await createOrder()
+
+      const takerClient = new OTCClient(otcSwap.target, ethers.provider).connect(bob)
+      const quoted = quoteFill(await client.getOrder(0), buyAmount / BigInt(4))
+      expect(quoted).to.equal(sellAmount / BigInt(4))
+
+      const partial = await takerClient.fillOrderPartial({
+        orderId: 0,
+        buyToken: tokenA.target,
+        buyAmount: buyAmount / BigInt(4)
+      })
+      expect(partial.sellAmount).to.equal(quoted)
+      expect(partial.isComplete).to.be.false
+
+      let order = await client.getOrder(0)
+      expect(order.status).to.equal('Active')
+      expect(order.isPartiallyFilled).to.be.true
+      expect(order.remainingSellAmount).to.equal(sellAmount - quoted)
+      expect(order.remainingBuyAmount).to.equal(buyAmount - buyAmount / BigInt(4))
+
+      const last = await takerClient.fillOrderPartial({
+        orderId: 0,
+        buyToken: tokenA.target,
+        buyAmount: order.remainingBuyAmount
+      })
+      expect(last.isComplete).to.be.true
+
+      order = await client.getOrder(0)
+      expect(order.status).to.equal('Filled')
+      expect(order.isPartiallyFilled).to.be.false
+    })
+
+    it('should refuse a fill the maker repriced after it was quoted', async function () {
+      await createOrder()
+      const takerClient = new OTCClient(otcSwap.target, ethers.provider).connect(bob)
+      const order = await takerClient.getOrder(0)
+      const params = { orderId: 0, buyToken: tokenA.target, buyAmount: order.remainingBuyAmount, minSellAmount: quoteFill(order, order.remainingBuyAmount) }
+
+      await client.connect(alice).updateOrder({ orderId: 0, newSellAmount: 1n, newBuyAmount: buyAmount })
+
+      const error = await takerClient.fillOrder(params).catch(error => error)
+      expect(error.failures.map(failure => failure.code)).to.deep.equal(['SELL_AMOUNT_BELOW_MINIMUM'])
+      expect(error.message).to.include('The order now gives 0.000000000000000001')
+
+      await client.updateOrder({ orderId: 0, newSellAmount: sellAmount, newBuyAmount: buyAmount })
+      expect(await takerClient.fillOrder(params)).to.include({ sellAmount, isComplete: true })
+    })
+
+    it('should reject quotes outside the remaining amount', async function () {
+      await createOrder()
+      const order = await client.getOrder(0)
+
+      expect(() => quoteFill(order, 0n)).to.throw('Fill amount must be between')
+      expect(() => quoteFill(order, buyAmount + 1n)).to.throw('Fill amount must be between')
+    })
+  })
+})
@@ -79,8 +79,8 @@ describe('OTCSwap', function () {
 
     it('should prevent non-owner from updating fee configuration', async function () {
       await expect(otcSwap.connect(alice).updateFeeConfig(feeToken.target, ORDER_FEE))
-        .to.be.revertedWithCustomError(otcSwap, 'OwnableUnauthorizedAccount')
-        .withArgs(alice.address)
+        .to.be.revertedWithCustomError(otcSwap, 'AccessControlUnauthorizedAccount')
+        .withArgs(alice.address, await otcSwap.TIMELOCK_ROLE())
     })
 
     it('should prevent setting invalid fee configuration', async function () {
@@ -131,7 +131,8 @@ describe('OTCSwap', function () {
           buyAmount,
           await time.latest(),
           feeToken.target,
-          ORDER_FEE
+          ORDER_FEE,
+          ORDER_EXPIRY
         )
 
       // Verify fee token transfer
@@ -843,4 +844,586 @@ describe('OTCSwap', function () {
       console.log('Average gas per cleanup:', ethers.formatEther(totalGasCost / BigInt(numOrders)), 'ETH')
     })
   });
+
+  describe('Batched Order Cleanup', function () {
+    beforeEach(async function () {
+      await liberdusToken.connect(alice).approve(otcSwap.target, sellAmount * BigInt(10))
+      await feeToken.connect(alice).approve(otcSwap.target, generousFeeAllowance)
+    })
+
+    const createLiberdusOrders = async function (count) {
+      for (let i = 0; i < count; i++) {
+        await otcSwap.connect(alice).createOrder(
+          ZERO_ADDRESS,
+          liberdusToken.target,
+          sellAmount,
+          tokenA.target,
+          buyAmount
+        )
+      }
+    }
+
+    it('should clean up several expired orders in one transaction', async function () {
+      await createLiberdusOrders(3)
+      await time.increase(ORDER_EXPIRY + GRACE_PERIOD + 1)
+
+      const aliceBalanceBefore = await liberdusToken.balanceOf(alice.address)
+      const charlieFeesBefore = await feeToken.balanceOf(charlie.address)
+
+      const tx = await otcSwap.connect(charlie)['cleanupExpiredOrders(uint256)'](10)
+      const receipt = await tx.wait()
+
+      expect(await otcSwap.firstOrderId()).to.equal(3)
+      expect(await liberdusToken.balanceOf(alice.address)).to.equal(aliceBalanceBefore + sellAmount * BigInt(3))
+      expect(await feeToken.balanceOf(charlie.address)).to.equal(charlieFeesBefore + ORDER_FEE * BigInt(3))
+      expect(await otcSwap.accumulatedFees(feeToken.target)).to.equal(0)
+
+      // One payout for the single fee token
+      const payouts = receipt.logs.filter(log => log.fragment?.name === 'CleanupFeesDistributed')
+      expect(payouts).to.have.length(1)
+      expect(payouts[0].args.amount).to.equal(ORDER_FEE * BigInt(3))
+    })
+
+    it('should stop at the first order that has not expired', async function () {
+      await createLiberdusOrders(2)
+      await time.increase(ORDER_EXPIRY + GRACE_PERIOD + 1)
+      await createLiberdusOrders(1)
+
+      await otcSwap.connect(charlie)['cleanupExpiredOrders(uint256)'](10)
+
+      expect(await otcSwap.firstOrderId()).to.equal(2)
+      expect((await otcSwap.orders(2)).maker).to.equal(alice.address)
+    })
+
+    it('should not process more than maxOrders orders', async function () {
+      await createLiberdusOrders(3)
+      await time.increase(ORDER_EXPIRY + GRACE_PERIOD + 1)
+
+      await otcSwap.connect(charlie)['cleanupExpiredOrders(uint256)'](2)
+
+      expect(await otcSwap.firstOrderId()).to.equal(2)
+      expect((await otcSwap.orders(2)).maker).to.equal(alice.address)
+    })
+
+    it('should reject batch sizes outside 1..MAX_CLEANUP_BATCH', async function () {
+      await createLiberdusOrders(1)
+      const maxBatch = await otcSwap.MAX_CLEANUP_BATCH()
+
+      await expect(otcSwap.connect(charlie)['cleanupExpiredOrders(uint256)'](0))
+        .to.be.revertedWith('Invalid batch size')
+      await expect(otcSwap.connect(charlie)['cleanupExpiredOrders(uint256)'](maxBatch + BigInt(1)))
+        .to.be.revertedWith('Invalid batch size')
+    })
+
+    it('should pay out once per fee token', async function () {
+      await createLiberdusOrders(1)
+
+      const NewFeeToken = await ethers.getContractFactory('TestTokenDecimals')
+      const newFeeToken = await NewFeeToken.deploy('New Fee Token', 'NFT', 6)
+      const newFeeAmount = ethers.parseUnits('2', 6)
+      await otcSwap.connect(owner).updateFeeConfig(newFeeToken.target, newFeeAmount)
+      await newFeeToken.mint(alice.address, newFeeAmount * BigInt(10))
+      await newFeeToken.connect(alice).approve(otcSwap.target, newFeeAmount * BigInt(10))
+
+      await createLiberdusOrders(2)
+      await time.increase(ORDER_EXPIRY + GRACE_PERIOD + 1)
+
+      const tx = await otcSwap.connect(charlie)['cleanupExpiredOrders(uint256)'](10)
+      const receipt = await tx.wait()
+
+      const payouts = receipt.logs
+        .filter(log => log.fragment?.name === 'CleanupFeesDistributed')
+        .map(log => [log.args.feeToken, log.args.amount])
+      expect(payouts).to.deep.equal([
+        [feeToken.target, ORDER_FEE],
+        [newFeeToken.target, newFeeAmount * BigInt(2)]
+      ])
+      expect(await newFeeToken.balanceOf(charlie.address)).to.equal(newFeeAmount * BigInt(2))
+    })
+
+    it('should retry orders whose refund fails and keep cleaning the rest', async function () {
+      const PausableToken = await ethers.getContractFactory('MisbehavingToken')
+      const pausableToken = await PausableToken.deploy()
+      await otcSwap.connect(owner).updateAllowedTokens([pausableToken.target], [true])
+      await pausableToken.mint(alice.address, sellAmount)
+      await pausableToken.connect(alice).approve(otcSwap.target, sellAmount)
+
+      await otcSwap.connect(alice).createOrder(
+        ZERO_ADDRESS,
+        pausableToken.target,
+        sellAmount,
+        liberdusToken.target,
+        buyAmount
+      )
+      await createLiberdusOrders(2)
+
+      await pausableToken.pause()
+      await time.increase(ORDER_EXPIRY + GRACE_PERIOD + 1)
+
+      const charlieFeesBefore = await feeToken.balanceOf(charlie.address)
+      const tx = await otcSwap.connect(charlie)['cleanupExpiredOrders(uint256)'](10)
+
+      // Order 0 is re-created as order 3, which is not expired yet
+      await expect(tx).to.emit(otcSwap, 'RetryOrder')
+      expect(await otcSwap.firstOrderId()).to.equal(3)
+      expect((await otcSwap.orders(3)).tries).to.equal(1)
+      expect(await feeToken.balanceOf(charlie.address)).to.equal(charlieFeesBefore + ORDER_FEE * BigInt(2))
+    })
+  })
+
+  describe('Partial Fills', function () {
+    let orderId
+
+    beforeEach(async function () {
+      await liberdusToken.connect(alice).approve(otcSwap.target, sellAmount)
+      await feeToken.connect(alice).approve(otcSwap.target, generousFeeAllowance)
+      await tokenA.connect(bob).approve(otcSwap.target, buyAmount)
+      await tokenA.connect(charlie).approve(otcSwap.target, buyAmount)
+
+      await otcSwap.connect(alice).createOrder(
+        ZERO_ADDRESS,
+        liberdusToken.target,
+        sellAmount,
+        tokenA.target,
+        buyAmount
+      )
+      orderId = 0
+    })
+
+    it('should transfer a pro-rata share and keep the order active', async function () {
+      const aliceInitialTokenA = await tokenA.balanceOf(alice.address)
+      const bobInitialLiberdus = await liberdusToken.balanceOf(bob.address)
+
+      const tx = await otcSwap.connect(bob).fillOrderPartial(orderId, buyAmount / BigInt(4))
+
+      await expect(tx)
+        .to.emit(otcSwap, 'OrderPartiallyFilled')
+        .withArgs(
+          orderId,
+          alice.address,
+          bob.address,
+          sellAmount / BigInt(4),
+          buyAmount / BigInt(4),
+          sellAmount * BigInt(3) / BigInt(4),
+          buyAmount * BigInt(3) / BigInt(4),
+          await time.latest()
+        )
+
+      expect(await tokenA.balanceOf(alice.address)).to.equal(aliceInitialTokenA + buyAmount / BigInt(4))
+      expect(await liberdusToken.balanceOf(bob.address)).to.equal(bobInitialLiberdus + sellAmount / BigInt(4))
+
+      const order = await otcSwap.orders(orderId)
+      expect(order.status).to.equal(0) // Active
+      expect(order.remainingSellAmount).to.equal(sellAmount * BigInt(3) / BigInt(4))
+      expect(order.remainingBuyAmount).to.equal(buyAmount * BigInt(3) / BigInt(4))
+      expect(order.sellAmount).to.equal(sellAmount)
+    })
+
+    it('should mark the order filled once nothing remains', async function () {
+      await otcSwap.connect(bob).fillOrderPartial(orderId, buyAmount / BigInt(2))
+
+      const tx = await otcSwap.connect(charlie).fillOrderPartial(orderId, buyAmount / BigInt(2))
+      await expect(tx)
+        .to.emit(otcSwap, 'OrderFilled')
+        .withArgs(
+          orderId,
+          alice.address,
+          charlie.address,
+          liberdusToken.target,
+          sellAmount / BigInt(2),
+          tokenA.target,
+          buyAmount / BigInt(2),
+          await time.latest()
+        )
+
+      const order = await otcSwap.orders(orderId)
+      expect(order.status).to.equal(1) // Filled
+      expect(order.remainingSellAmount).to.equal(0)
+      expect(await liberdusToken.balanceOf(otcSwap.target)).to.equal(0)
+    })
+
+    it('should let fillOrder take the remainder of a partially filled order', async function () {
+      await otcSwap.connect(bob).fillOrderPartial(orderId, buyAmount / BigInt(4))
+
+      const charlieInitialLiberdus = await liberdusToken.balanceOf(charlie.address)
+      await otcSwap.connect(charlie).fillOrder(orderId)
+
+      expect(await liberdusToken.balanceOf(charlie.address)).to.equal(
+        charlieInitialLiberdus + sellAmount * BigInt(3) / BigInt(4)
+      )
+      expect((await otcSwap.orders(orderId)).status).to.equal(1) // Filled
+    })
+
+    it('should round the sell amount down in favor of the maker', async function () {
+      // 100 sell for 200 buy: paying 3 wei of buy token is worth 1.5 wei
+      const tx = await otcSwap.connect(bob).fillOrderPartial(orderId, 3)
+      await expect(tx)
+        .to.emit(otcSwap, 'OrderPartiallyFilled')
+        .withArgs(orderId, alice.address, bob.address, 1, 3, sellAmount - BigInt(1), buyAmount - BigInt(3), await time.latest())
+
+      // Completing the order hands over exactly what is left in escrow
+      await otcSwap.connect(charlie).fillOrder(orderId)
+      expect(await liberdusToken.balanceOf(otcSwap.target)).to.equal(0)
+    })
+
+    it('should reject fills that are zero, too small or too large', async function () {
+      await expect(otcSwap.connect(bob).fillOrderPartial(orderId, 0))
+        .to.be.revertedWith('Invalid fill amount')
+      await expect(otcSwap.connect(bob).fillOrderPartial(orderId, buyAmount + BigInt(1)))
+        .to.be.revertedWith('Invalid fill amount')
+      await expect(otcSwap.connect(bob).fillOrderPartial(orderId, 1))
+        .to.be.revertedWith('Fill amount too small')
+    })
+
+    it('should return only the remainder on cancel', async function () {
+      await otcSwap.connect(bob).fillOrderPartial(orderId, buyAmount / BigInt(4))
+
+      const aliceLiberdusBefore = await liberdusToken.balanceOf(alice.address)
+      await otcSwap.connect(alice).cancelOrder(orderId)
+
+      expect(await liberdusToken.balanceOf(alice.address)).to.equal(
+        aliceLiberdusBefore + sellAmount * BigInt(3) / BigInt(4)
+      )
+      expect(await liberdusToken.balanceOf(otcSwap.target)).to.equal(0)
+    })
+
+    it('should return only the remainder on cleanup', async function () {
+      await otcSwap.connect(bob).fillOrderPartial(orderId, buyAmount / BigInt(2))
+      await time.increase(ORDER_EXPIRY + GRACE_PERIOD + 1)
+
+      const aliceLiberdusBefore = await liberdusToken.balanceOf(alice.address)
+      await otcSwap.connect(charlie).cleanupExpiredOrders()
+
+      expect(await liberdusToken.balanceOf(alice.address)).to.equal(aliceLiberdusBefore + sellAmount / BigInt(2))
+      expect(await liberdusToken.balanceOf(otcSwap.target)).to.equal(0)
+    })
+
+    it('should enforce expiry and taker restrictions on partial fills', async function () {
+      await liberdusToken.connect(alice).approve(otcSwap.target, sellAmount)
+      await otcSwap.connect(alice).createOrder(
+        charlie.address,
+        liberdusToken.target,
+        sellAmount,
+        tokenA.target,
+        buyAmount
+      )
+
+      await expect(otcSwap.connect(bob).fillOrderPartial(1, buyAmount / BigInt(2)))
+        .to.be.revertedWith('Not authorized to fill this order')
+
+      await time.increase(ORDER_EXPIRY + 1)
+      await expect(otcSwap.connect(charlie).fillOrderPartial(1, buyAmount / BigInt(2)))
+        .to.be.revertedWith('Order has expired')
+    })
+  })
+
+  describe('Order Expiry', function () {
+    const ONE_HOUR = 60 * 60
+    const createWithExpiry = 'createOrder(address,address,uint256,address,uint256,uint256)'
+
+    beforeEach(async function () {
+      await liberdusToken.connect(alice).approve(otcSwap.target, ethers.MaxUint256)
+      await feeToken.connect(alice).approve(otcSwap.target, generousFeeAllowance)
+      await tokenA.connect(bob).approve(otcSwap.target, ethers.MaxUint256)
+    })
+
+    const createOrder = async function (expiry) {
+      const args = [ZERO_ADDRESS, liberdusToken.target, sellAmount, tokenA.target, buyAmount]
+      if (expiry === undefined) {
+        return otcSwap.connect(alice).createOrder(...args)
+      }
+      return otcSwap.connect(alice)[createWithExpiry](...args, expiry)
+    }
+
+    it('should store the expiry chosen by the maker', async function () {
+      await expect(createOrder(ONE_HOUR))
+        .to.emit(otcSwap, 'OrderCreated')
+        .withArgs(0, alice.address, ZERO_ADDRESS, liberdusToken.target, sellAmount, tokenA.target, buyAmount,
+          await time.latest() + 1, feeToken.target, ORDER_FEE, ONE_HOUR)
+
+      expect((await otcSwap.orders(0)).expiry).to.equal(ONE_HOUR)
+    })
+
+    it('should default to ORDER_EXPIRY', async function () {
+      await createOrder()
+      expect((await otcSwap.orders(0)).expiry).to.equal(ORDER_EXPIRY)
+    })
+
+    it('should stop fills and cancels at the order expiry', async function () {
+      await createOrder(ONE_HOUR)
+      await createOrder(ONE_HOUR)
+
+      await time.increase(ONE_HOUR + 1)
+      await expect(otcSwap.connect(bob).fillOrder(0))
+        .to.be.revertedWith('Order has expired')
+
+      // The maker can still cancel during the grace period that follows
+      await otcSwap.connect(alice).cancelOrder(0)
+      await time.increase(GRACE_PERIOD)
+      await expect(otcSwap.connect(alice).cancelOrder(1))
+        .to.be.revertedWith('Grace period has expired')
+    })
+
+    it('should reject expiries outside the configured bounds', async function () {
+      const minExpiry = await otcSwap.minOrderExpiry()
+      const maxExpiry = await otcSwap.maxOrderExpiry()
+
+      await expect(createOrder(minExpiry - BigInt(1))).to.be.revertedWith('Invalid expiry')
+      await expect(createOrder(maxExpiry + BigInt(1))).to.be.revertedWith('Invalid expiry')
+      await createOrder(minExpiry)
+      await createOrder(maxExpiry)
+    })
+
+    it('should let the owner update the bounds', async function () {
+      await expect(otcSwap.connect(owner).updateOrderExpiryBounds(60, ONE_HOUR))
+        .to.emit(otcSwap, 'OrderExpiryBoundsUpdated')
+        .withArgs(60, ONE_HOUR, await time.latest() + 1)
+
+      // The default expiry is checked against the bounds as well
+      await expect(createOrder()).to.be.revertedWith('Invalid expiry')
+      await createOrder(60)
+
+      await expect(otcSwap.connect(owner).updateOrderExpiryBounds(ONE_HOUR, 60))
+        .to.be.revertedWith('Invalid expiry bounds')
+      await expect(otcSwap.connect(owner).updateOrderExpiryBounds(0, 60))
+        .to.be.revertedWith('Invalid expiry bounds')
+      await expect(otcSwap.connect(alice).updateOrderExpiryBounds(60, ONE_HOUR))
+        .to.be.revertedWithCustomError(otcSwap, 'AccessControlUnauthorizedAccount')
+    })
+
+    it('should clean up short-lived orders behind a longer one', async function () {
+      await createOrder(ORDER_EXPIRY)
+      await createOrder(ONE_HOUR)
+      await createOrder(ONE_HOUR)
+
+      await time.increase(ONE_HOUR + GRACE_PERIOD + 1)
+
+      // The single-order cleanup only looks at the head of the queue
+      await otcSwap.connect(charlie).cleanupExpiredOrders()
+      expect((await otcSwap.orders(1)).maker).to.equal(alice.address)
+
+      const charlieFeesBefore = await feeToken.balanceOf(charlie.address)
+      await otcSwap.connect(charlie)['cleanupExpiredOrders(uint256)'](10)
+
+      expect((await otcSwap.orders(0)).maker).to.equal(alice.address)
+      expect((await otcSwap.orders(1)).maker).to.equal(ZERO_ADDRESS)
+      expect((await otcSwap.orders(2)).maker).to.equal(ZERO_ADDRESS)
+      expect(await feeToken.balanceOf(charlie.address)).to.equal(charlieFeesBefore + ORDER_FEE * BigInt(2))
+      // Order 0 is still live, so the window cannot move past it
+      expect(await otcSwap.firstOrderId()).to.equal(0)
+
+      await time.increase(ORDER_EXPIRY)
+      await otcSwap.connect(charlie)['cleanupExpiredOrders(uint256)'](10)
+      expect(await otcSwap.firstOrderId()).to.equal(3)
+    })
+
+    it('should reach expired orders past the batch window with cleanupExpiredOrdersFrom', async function () {
+      await createOrder(ORDER_EXPIRY)
+      await createOrder(ORDER_EXPIRY)
+      await createOrder(ONE_HOUR)
+
+      await time.increase(ONE_HOUR + GRACE_PERIOD + 1)
+
+      await otcSwap.connect(charlie)['cleanupExpiredOrders(uint256)'](2)
+      expect((await otcSwap.orders(2)).maker).to.equal(alice.address)
+
+      await otcSwap.connect(charlie).cleanupExpiredOrdersFrom(2, 1)
+      expect((await otcSwap.orders(2)).maker).to.equal(ZERO_ADDRESS)
+      expect(await otcSwap.firstOrderId()).to.equal(0)
+
+      await expect(otcSwap.connect(charlie).cleanupExpiredOrdersFrom(3, 1))
+        .to.be.revertedWith('No orders to clean up')
+    })
+  })
+
+  describe('Order Updates', function () {
+    const newSellAmount = ethers.parseEther('150')
+    const newBuyAmount = ethers.parseEther('250')
+
+    beforeEach(async function () {
+      await liberdusToken.connect(alice).approve(otcSwap.target, ethers.MaxUint256)
+      await feeToken.connect(alice).approve(otcSwap.target, generousFeeAllowance)
+      await tokenA.connect(bob).approve(otcSwap.target, ethers.MaxUint256)
+
+      await otcSwap.connect(alice).createOrder(
+        ZERO_ADDRESS,
+        liberdusToken.target,
+        sellAmount,
+        tokenA.target,
+        buyAmount
+      )
+    })
+
+    it('should top up escrow when the sell amount grows', async function () {
+      const update = otcSwap.connect(alice).updateOrder(0, sellAmount, buyAmount, newSellAmount, newBuyAmount, ZERO_ADDRESS)
+
+      await expect(update).to.changeTokenBalances(
+        liberdusToken,
+        [alice, otcSwap],
+        [-(newSellAmount - sellAmount), newSellAmount - sellAmount]
+      )
+      await expect(update).to.not.emit(feeToken, 'Transfer')
+
+      const order = await otcSwap.orders(0)
+      expect(order.sellAmount).to.equal(newSellAmount)
+      expect(order.buyAmount).to.equal(newBuyAmount)
+      expect(order.remainingSellAmount).to.equal(newSellAmount)
+      expect(order.remainingBuyAmount).to.equal(newBuyAmount)
+      expect(await otcSwap.accumulatedFees(feeToken.target)).to.equal(ORDER_FEE)
+    })
+
+    it('should refund escrow and change the taker', async function () {
+      const smallerSell = ethers.parseEther('40')
+
+      const tx = await otcSwap.connect(alice).updateOrder(0, sellAmount, buyAmount, smallerSell, buyAmount, bob.address)
+      await expect(tx)
+        .to.emit(otcSwap, 'OrderUpdated')
+        .withArgs(0, alice.address, bob.address, sellAmount, buyAmount, smallerSell, buyAmount, await time.latest())
+      await expect(tx).to.changeTokenBalance(liberdusToken, alice, sellAmount - smallerSell)
+
+      expect((await otcSwap.orders(0)).taker).to.equal(bob.address)
+      await expect(otcSwap.connect(charlie).fillOrder(0))
+        .to.be.revertedWith('Not authorized to fill this order')
+
+      await otcSwap.connect(bob).fillOrder(0)
+      expect(await liberdusToken.balanceOf(otcSwap.target)).to.equal(0)
+    })
+
+    it('should revert when the order changed since the maker read it', async function () {
+      // A partial fill lands before the update
+      await otcSwap.connect(bob).fillOrderPartial(0, buyAmount / BigInt(2))
+
+      await expect(otcSwap.connect(alice).updateOrder(0, sellAmount, buyAmount, newSellAmount, newBuyAmount, ZERO_ADDRESS))
+        .to.be.revertedWith('Order amounts changed')
+    })
+
+    it('should reprice only the remainder of a partially filled order', async function () {
+      await otcSwap.connect(bob).fillOrderPartial(0, buyAmount / BigInt(2))
+      const half = sellAmount / BigInt(2)
+
+      await otcSwap.connect(alice).updateOrder(0, half, buyAmount / BigInt(2), half, buyAmount, ZERO_ADDRESS)
+
+      const order = await otcSwap.orders(0)
+      expect(order.sellAmount).to.equal(sellAmount)
+      expect(order.buyAmount).to.equal(buyAmount + buyAmount / BigInt(2))
+      expect(order.remainingBuyAmount).to.equal(buyAmount)
+
+      await expect(otcSwap.connect(bob).fillOrder(0))
+        .to.changeTokenBalance(tokenA, alice, buyAmount)
+    })
+
+    it('should not let an update that lands first worsen a bounded fill', async function () {
+      const fill = () => otcSwap.connect(bob)['fillOrderPartial(uint256,uint256,uint256)'](0, buyAmount, sellAmount)
+
+      // Asking more for the same sell tokens turns the payment into a partial fill
+      await otcSwap.connect(alice).updateOrder(0, sellAmount, buyAmount, sellAmount, buyAmount * BigInt(2), ZERO_ADDRESS)
+      await expect(fill()).to.be.revertedWith('Sell amount below minimum')
+
+      // So does cutting the sell tokens down to almost nothing
+      await otcSwap.connect(alice).updateOrder(0, sellAmount, buyAmount * BigInt(2), 1, buyAmount, ZERO_ADDRESS)
+      await expect(fill()).to.be.revertedWith('Sell amount below minimum')
+
+      // At the price the taker saw, the bounded fill takes the whole order
+      await otcSwap.connect(alice).updateOrder(0, 1, buyAmount, sellAmount, buyAmount, ZERO_ADDRESS)
+      await expect(fill()).to.emit(otcSwap, 'OrderFilled')
+        .withArgs(0, alice.address, bob.address, liberdusToken.target, sellAmount, tokenA.target, buyAmount, await time.latest() + 1)
+    })
+
+    it('should only let the maker update a live order', async function () {
+      await expect(otcSwap.connect(bob).updateOrder(0, sellAmount, buyAmount, newSellAmount, newBuyAmount, ZERO_ADDRESS))
+        .to.be.revertedWith('Only maker can update order')
+      await expect(otcSwap.connect(alice).updateOrder(0, sellAmount, buyAmount, 0, newBuyAmount, ZERO_ADDRESS))
+        .to.be.revertedWith('Invalid sell amount')
+
+      await time.increase(ORDER_EXPIRY + 1)
+      await expect(otcSwap.connect(alice).updateOrder(0, sellAmount, buyAmount, newSellAmount, newBuyAmount, ZERO_ADDRESS))
+        .to.be.revertedWith('Order has expired')
+
+      await otcSwap.connect(alice).cancelOrder(0)
+      await expect(otcSwap.connect(alice).updateOrder(0, sellAmount, buyAmount, newSellAmount, newBuyAmount, ZERO_ADDRESS))
+        .to.be.revertedWith('Order is not active')
+    })
+  })
+
+  describe('Fee Token Accounting', function () {
+    let newFeeToken
+    const newFeeAmount = ethers.parseUnits('2', 6)
+
+    async function createLiberdusOrder () {
+      await otcSwap.connect(alice).createOrder(
+        ZERO_ADDRESS,
+        liberdusToken.target,
+        sellAmount,
+        tokenA.target,
+        buyAmount
+      )
+    }
+
+    // One order paying the DAI fee, then two paying a 6-decimal fee token
+    beforeEach(async function () {
+      await liberdusToken.connect(alice).approve(otcSwap.target, sellAmount * BigInt(10))
+      await feeToken.connect(alice).approve(otcSwap.target, generousFeeAllowance)
+      await createLiberdusOrder()
+
+      const NewFeeToken = await ethers.getContractFactory('TestTokenDecimals')
+      newFeeToken = await NewFeeToken.deploy('New Fee Token', 'NFT', 6)
+      await otcSwap.connect(owner).updateFeeConfig(newFeeToken.target, newFeeAmount)
+      await newFeeToken.mint(alice.address, newFeeAmount * BigInt(10))
+      await newFeeToken.connect(alice).approve(otcSwap.target, newFeeAmount * BigInt(10))
+
+      await createLiberdusOrder()
+      await createLiberdusOrder()
+    })
+
+    it('should keep a separate balance per fee token', async function () {
+      expect(await otcSwap.accumulatedFees(feeToken.target)).to.equal(ORDER_FEE)
+      expect(await otcSwap.accumulatedFees(newFeeToken.target)).to.equal(newFeeAmount * BigInt(2))
+
+      // Switching back does not list the old fee token twice
+      await otcSwap.connect(owner).updateFeeConfig(feeToken.target, ORDER_FEE)
+      const [tokens, amounts] = await otcSwap.getAccumulatedFees()
+      expect(tokens).to.deep.equal([feeToken.target, newFeeToken.target])
+      expect(amounts).to.deep.equal([ORDER_FEE, newFeeAmount * BigInt(2)])
+    })
+
+    it('should pay each era its own fee token one order at a time', async function () {
+      await time.increase(ORDER_EXPIRY + GRACE_PERIOD + 1)
+
+      await expect(otcSwap.connect(charlie).cleanupExpiredOrders())
+        .to.changeTokenBalance(feeToken, charlie, ORDER_FEE)
+      await expect(otcSwap.connect(charlie).cleanupExpiredOrders())
+        .to.changeTokenBalance(newFeeToken, charlie, newFeeAmount)
+      await expect(otcSwap.connect(charlie).cleanupExpiredOrders())
+        .to.changeTokenBalance(newFeeToken, charlie, newFeeAmount)
+
+      const [, amounts] = await otcSwap.getAccumulatedFees()
+      expect(amounts).to.deep.equal([BigInt(0), BigInt(0)])
+    })
+
+    it('should pay both eras in one batch', async function () {
+      // An order of a third era, created after switching back to DAI
+      await otcSwap.connect(owner).updateFeeConfig(feeToken.target, ORDER_FEE)
+      await createLiberdusOrder()
+      await time.increase(ORDER_EXPIRY + GRACE_PERIOD + 1)
+
+      const cleanup = otcSwap.connect(charlie)['cleanupExpiredOrders(uint256)'](10)
+      await expect(cleanup).to.changeTokenBalance(feeToken, charlie, ORDER_FEE * BigInt(2))
+      await expect(cleanup).to.changeTokenBalance(newFeeToken, charlie, newFeeAmount * BigInt(2))
+
+      expect(await otcSwap.accumulatedFees(feeToken.target)).to.equal(0)
+      expect(await otcSwap.accumulatedFees(newFeeToken.target)).to.equal(0)
+    })
+
+    it('should not let fills or cancels move the fee balances', async function () {
+      await otcSwap.connect(alice).cancelOrder(0)
+      await tokenA.connect(bob).approve(otcSwap.target, buyAmount)
+      await otcSwap.connect(bob).fillOrder(1)
+
+      // Filled and canceled orders still pay their reward on cleanup
+      await time.increase(ORDER_EXPIRY + GRACE_PERIOD + 1)
+      const cleanup = otcSwap.connect(charlie)['cleanupExpiredOrders(uint256)'](10)
+      await expect(cleanup).to.changeTokenBalance(feeToken, charlie, ORDER_FEE)
+      await expect(cleanup).to.changeTokenBalance(newFeeToken, charlie, newFeeAmount * BigInt(2))
+    })
+  })
 });
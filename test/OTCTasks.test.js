@@ -0,0 +1,167 @@
+const { expect } = require('chai')
+const { ethers } = require('hardhat')
+const hre = require('hardhat')
+const path = require('path')
+const { time } = require('@nomicfoundation/hardhat-toolbox/network-helpers')
+
+describe('otc tasks', function () {
+  let otcSwap
+  let usdc
+  let feeToken
+  let liberdusToken
+  let owner
+  let alice
+
+  const ORDER_EXPIRY = 7 * 24 * 60 * 60 // 7 days in seconds
+  const GRACE_PERIOD = 7 * 24 * 60 * 60 // 7 days in seconds
+  const ORDER_FEE = ethers.parseUnits('1', 18)
+
+  function run (task, args = {}) {
+    return hre.run({ scope: 'otc', task }, { contract: otcSwap.target, ...args })
+  }
+
+  beforeEach(async function () {
+    [owner, alice] = await ethers.getSigners()
+
+    const TestToken = await ethers.getContractFactory('TestToken')
+    const TestTokenDecimals = await ethers.getContractFactory('TestTokenDecimals')
+    liberdusToken = await TestToken.deploy('Liberdus', 'LBDS')
+    feeToken = await TestToken.deploy('DAI Stablecoin', 'DAI')
+    usdc = await TestTokenDecimals.deploy('USD Coin', 'USDC', 6)
+
+    const OTCSwap = await ethers.getContractFactory('OTCSwap')
+    otcSwap = await OTCSwap.deploy(feeToken.target, ORDER_FEE, [usdc.target, feeToken.target, liberdusToken.target], liberdusToken.target)
+    await otcSwap.waitForDeployment()
+
+    await usdc.mint(owner.address, ethers.parseUnits('10000', 6))
+    await usdc.mint(alice.address, ethers.parseUnits('10000', 6))
+    await liberdusToken.transfer(alice.address, ethers.parseEther('10000'))
+    await feeToken.transfer(alice.address, ORDER_FEE * BigInt(10))
+  })
+
+  it('should create orders in token units and approve the sell token and fee', async function () {
+    const orderId = await run('create', {
+      sellToken: usdc.target,
+      sellAmount: '150.5',
+      buyToken: liberdusToken.target,
+      buyAmount: '300'
+    })
+
+    const order = await otcSwap.orders(orderId)
+    expect(order.sellAmount).to.equal(ethers.parseUnits('150.5', 6))
+    expect(order.buyAmount).to.equal(ethers.parseEther('300'))
+    expect(await feeToken.balanceOf(otcSwap.target)).to.equal(ORDER_FEE)
+  })
+
+  it('should approve a shared sell and fee token once for both', async function () {
+    await run('create', {
+      sellToken: feeToken.target,
+      sellAmount: '5',
+      buyToken: liberdusToken.target,
+      buyAmount: '10'
+    })
+
+    expect(await feeToken.balanceOf(otcSwap.target)).to.equal(ethers.parseEther('5') + ORDER_FEE)
+  })
+
+  it('should not approve again when the allowance covers the order', async function () {
+    await usdc.connect(owner).approve(otcSwap.target, ethers.parseUnits('1000', 6))
+    await feeToken.connect(owner).approve(otcSwap.target, ORDER_FEE * BigInt(10))
+
+    await run('create', { sellToken: usdc.target, sellAmount: '1', buyToken: liberdusToken.target, buyAmount: '1' })
+
+    expect(await usdc.allowance(owner.address, otcSwap.target)).to.equal(ethers.parseUnits('999', 6))
+    expect(await feeToken.allowance(owner.address, otcSwap.target)).to.equal(ORDER_FEE * BigInt(9))
+  })
+
+  it('should sign a permit for the sell token with --permit', async function () {
+    const TestPermitToken = await ethers.getContractFactory('TestPermitToken')
+    const permitToken = await TestPermitToken.deploy('Permit Token', 'PRM')
+    await otcSwap.connect(owner).updateAllowedTokens([permitToken.target], [true])
+
+    const orderId = await run('create', {
+      sellToken: permitToken.target,
+      sellAmount: '5',
+      buyToken: liberdusToken.target,
+      buyAmount: '10',
+      permit: true
+    })
+
+    expect((await otcSwap.orders(orderId)).sellToken).to.equal(permitToken.target)
+    expect(await permitToken.nonces(owner.address)).to.equal(1)
+    expect(await permitToken.allowance(owner.address, otcSwap.target)).to.equal(0)
+  })
+
+  it('should fill orders in part or in full', async function () {
+    await liberdusToken.connect(alice).approve(otcSwap.target, ethers.MaxUint256)
+    await feeToken.connect(alice).approve(otcSwap.target, ethers.MaxUint256)
+    await otcSwap.connect(alice).createOrder(ethers.ZeroAddress, liberdusToken.target, ethers.parseEther('100'), usdc.target, ethers.parseUnits('50', 6))
+
+    const partial = await run('fill', { id: 0, amount: '10' })
+    expect(partial.sellAmount).to.equal(ethers.parseEther('20'))
+    expect(partial.isComplete).to.be.false
+
+    const rest = await run('fill', { id: 0 })
+    expect(rest.buyAmount).to.equal(ethers.parseUnits('40', 6))
+    expect(rest.isComplete).to.be.true
+    expect(await usdc.balanceOf(alice.address)).to.equal(ethers.parseUnits('10050', 6))
+  })
+
+  it('should list, show, cancel and clean up orders', async function () {
+    await run('create', { sellToken: usdc.target, sellAmount: '1', buyToken: liberdusToken.target, buyAmount: '1' })
+    await run('create', { sellToken: usdc.target, sellAmount: '2', buyToken: liberdusToken.target, buyAmount: '2' })
+
+    expect((await run('list')).map(order => order.orderId)).to.deep.equal([0, 1])
+    expect((await run('show', { id: 1 })).sellAmount).to.equal(ethers.parseUnits('2', 6))
+
+    await run('cancel', { id: 0 })
+    expect((await run('list')).map(order => order.orderId)).to.deep.equal([1])
+
+    await time.increase(ORDER_EXPIRY + GRACE_PERIOD + 1)
+    expect(await run('cleanup')).to.deep.equal({ cleaned: 2, retried: 0 })
+    await expect(run('show', { id: 1 })).to.be.rejectedWith('Order 1 does not exist')
+  })
+
+  it('should report fees', async function () {
+    await otcSwap.connect(owner).updateProtocolFees(25, 10, owner.address)
+    await run('create', { sellToken: usdc.target, sellAmount: '1', buyToken: liberdusToken.target, buyAmount: '1' })
+
+    const fees = await run('fees')
+    expect(fees.feeAmount).to.equal(ORDER_FEE)
+    expect(fees.takerFeeBps).to.equal(25)
+    expect(fees.accumulatedFees).to.deep.equal([{ token: feeToken.target, amount: ORDER_FEE }])
+    expect(fees.protocolFeeBalances).to.deep.equal([])
+  })
+
+  it('should report protocol fees in a token that has been delisted', async function () {
+    await otcSwap.connect(owner).updateProtocolFees(25, 10, owner.address)
+    await run('create', { sellToken: usdc.target, sellAmount: '100', buyToken: liberdusToken.target, buyAmount: '100' })
+    await liberdusToken.connect(alice).approve(otcSwap.target, ethers.MaxUint256)
+    await otcSwap.connect(alice).fillOrder(0)
+    await otcSwap.connect(owner).updateAllowedTokens([usdc.target], [false])
+
+    const fees = await run('fees')
+    expect(fees.protocolFeeBalances).to.deep.equal([
+      { token: liberdusToken.target, amount: ethers.parseEther('0.1') },
+      { token: usdc.target, amount: ethers.parseUnits('0.25', 6) }
+    ])
+  })
+
+  it('should require a contract address', async function () {
+    const env = { address: process.env.OTC_SWAP_ADDRESS, dir: process.env.OTC_DEPLOYMENTS_DIR }
+    delete process.env.OTC_SWAP_ADDRESS
+    // No manifests here, whatever has been deployed locally
+    process.env.OTC_DEPLOYMENTS_DIR = path.join(__dirname, 'no-deployments')
+    try {
+      await expect(hre.run({ scope: 'otc', task: 'list' }, {})).to.be.rejectedWith('No OTCSwap address')
+    } finally {
+      for (const [name, value] of [['OTC_SWAP_ADDRESS', env.address], ['OTC_DEPLOYMENTS_DIR', env.dir]]) {
+        if (value === undefined) {
+          delete process.env[name]
+        } else {
+          process.env[name] = value
+        }
+      }
+    }
+  })
+})
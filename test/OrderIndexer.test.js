@@ -0,0 +1,275 @@
+const { expect } = require('chai')
+const { ethers } = require('hardhat')
+const { time } = require('@nomicfoundation/hardhat-toolbox/network-helpers')
+const { OrderIndexer, MemoryStore } = require('../indexer')
+
+describe('OrderIndexer', function () {
+  let otcSwap
+  let tokenA
+  let feeToken
+  let liberdusToken
+  let misbehavingToken
+  let alice
+  let bob
+  let charlie
+  let startBlock
+
+  const ORDER_EXPIRY = 7 * 24 * 60 * 60 // 7 days in seconds
+  const GRACE_PERIOD = 7 * 24 * 60 * 60 // 7 days in seconds
+  const ORDER_FEE = ethers.parseUnits('1', 18)
+  const sellAmount = ethers.parseEther('100')
+  const buyAmount = ethers.parseEther('200')
+
+  function newIndexer (options = {}) {
+    return new OrderIndexer(otcSwap.target, ethers.provider, { startBlock, ...options })
+  }
+
+  async function createOrder (sellToken = liberdusToken) {
+    await otcSwap.connect(alice).createOrder(
+      ethers.ZeroAddress,
+      sellToken.target,
+      sellAmount,
+      sellToken === liberdusToken ? tokenA.target : liberdusToken.target,
+      buyAmount
+    )
+  }
+
+  beforeEach(async function () {
+    [, alice, bob, charlie] = await ethers.getSigners()
+    startBlock = await ethers.provider.getBlockNumber()
+
+    const TestToken = await ethers.getContractFactory('TestToken')
+    tokenA = await TestToken.deploy('Token A', 'TKA')
+    liberdusToken = await TestToken.deploy('Liberdus', 'LBDS')
+    feeToken = await TestToken.deploy('DAI Stablecoin', 'DAI')
+    const MisbehavingToken = await ethers.getContractFactory('MisbehavingToken')
+    misbehavingToken = await MisbehavingToken.deploy()
+
+    const OTCSwap = await ethers.getContractFactory('OTCSwap')
+    otcSwap = await OTCSwap.deploy(
+      feeToken.target,
+      ORDER_FEE,
+      [tokenA.target, feeToken.target, liberdusToken.target, misbehavingToken.target],
+      liberdusToken.target
+    )
+    await otcSwap.waitForDeployment()
+
+    await liberdusToken.transfer(alice.address, ethers.parseEther('10000'))
+    await misbehavingToken.mint(alice.address, ethers.parseEther('10000'))
+    await feeToken.transfer(alice.address, ORDER_FEE * BigInt(100))
+    await tokenA.transfer(bob.address, ethers.parseEther('10000'))
+    await liberdusToken.transfer(bob.address, ethers.parseEther('10000'))
+
+    await liberdusToken.connect(alice).approve(otcSwap.target, ethers.MaxUint256)
+    await misbehavingToken.connect(alice).approve(otcSwap.target, ethers.MaxUint256)
+    await feeToken.connect(alice).approve(otcSwap.target, ethers.MaxUint256)
+    await tokenA.connect(bob).approve(otcSwap.target, ethers.MaxUint256)
+    await liberdusToken.connect(bob).approve(otcSwap.target, ethers.MaxUint256)
+  })
+
+  it('should index created, filled and canceled orders', async function () {
+    await createOrder()
+    await createOrder()
+    await createOrder()
+    await otcSwap.connect(bob).fillOrder(0)
+    await otcSwap.connect(alice).cancelOrder(1)
+
+    const indexer = newIndexer()
+    await indexer.sync()
+
+    const filled = indexer.getOrder(0)
+    expect(filled.status).to.equal('Filled')
+    expect(filled.filledBy).to.equal(bob.address)
+    expect(filled.sellAmount).to.equal(sellAmount)
+    expect(filled.feeToken).to.equal(feeToken.target)
+    expect(filled.expiry).to.equal(ORDER_EXPIRY)
+
+    expect(indexer.getOrder(1).status).to.equal('Canceled')
+    expect(indexer.getActiveOrders().map(order => order.orderId)).to.deep.equal([2])
+  })
+
+  it('should mark active orders expired when they are cleaned up', async function () {
+    await createOrder()
+    await createOrder()
+    await otcSwap.connect(alice).cancelOrder(1)
+    await time.increase(ORDER_EXPIRY + GRACE_PERIOD + 1)
+    await otcSwap.connect(charlie).cleanupExpiredOrders()
+    await otcSwap.connect(charlie).cleanupExpiredOrders()
+
+    const indexer = newIndexer()
+    await indexer.sync()
+
+    expect(indexer.getOrder(0).status).to.equal('Expired')
+    expect(indexer.getOrder(0).cleanedUpAt).to.not.be.null
+    expect(indexer.getOrder(1).status).to.equal('Canceled')
+    expect(indexer.getOrder(1).cleanedUpAt).to.not.be.null
+    expect(indexer.getOrderByOnChainId(0)).to.be.null
+  })
+
+  it('should follow RetryOrder chains so an order keeps its identity', async function () {
+    await createOrder(misbehavingToken)
+    await misbehavingToken.pause()
+    await time.increase(ORDER_EXPIRY + GRACE_PERIOD + 1)
+
+    // Transfer back to the maker fails, so the order is re-created as id 1
+    await otcSwap.connect(charlie).cleanupExpiredOrders()
+    await misbehavingToken.unpause()
+
+    const indexer = newIndexer()
+    await indexer.sync()
+
+    let order = indexer.getOrder(0)
+    expect(order.status).to.equal('Active')
+    expect(order.currentOrderId).to.equal(1)
+    expect(order.orderIds).to.deep.equal([0, 1])
+    expect(order.tries).to.equal(1)
+    expect(indexer.getOrderByOnChainId(1)).to.equal(order)
+    expect(indexer.getOrderByOnChainId(0)).to.be.null
+
+    // The retried order is filled under its new id
+    await otcSwap.connect(bob).fillOrder(1)
+    await indexer.sync()
+
+    order = indexer.getOrder(0)
+    expect(order.status).to.equal('Filled')
+    expect(indexer.getOrder(1)).to.be.null
+  })
+
+  it('should mark orders force deleted after MAX_RETRY_ATTEMPTS', async function () {
+    await createOrder(misbehavingToken)
+    await misbehavingToken.pause()
+
+    for (let i = 0; i <= 10; i++) {
+      await time.increase(ORDER_EXPIRY + GRACE_PERIOD + 1)
+      await otcSwap.connect(charlie).cleanupExpiredOrders()
+    }
+
+    const indexer = newIndexer()
+    await indexer.sync()
+
+    const order = indexer.getOrder(0)
+    expect(order.tries).to.equal(10)
+    expect(order.status).to.equal('Expired')
+    expect(order.forceDeleted).to.be.true
+    expect(indexer.getActiveOrders()).to.have.length(0)
+  })
+
+  it('should not take a token\'s revert reason for the max retries error', async function () {
+    await createOrder(misbehavingToken)
+    // The cleanup's balance check reverts with the text of the max retries error
+    await misbehavingToken.setRevertReason('Max retries reached')
+    await time.increase(ORDER_EXPIRY + GRACE_PERIOD + 1)
+    await otcSwap.connect(charlie).cleanupExpiredOrders()
+
+    const indexer = newIndexer()
+    await indexer.sync()
+
+    // The order was retried, not deleted
+    const order = indexer.getOrder(0)
+    expect(order.status).to.equal('Active')
+    expect(order.forceDeleted).to.be.false
+    expect(order.currentOrderId).to.equal(1)
+    expect(indexer.getOrderByOnChainId(1)).to.equal(order)
+  })
+
+  it('should track partial fills and remaining amounts', async function () {
+    await createOrder()
+    await otcSwap.connect(bob).fillOrderPartial(0, buyAmount / BigInt(4))
+
+    const indexer = newIndexer()
+    await indexer.sync()
+
+    let order = indexer.getOrder(0)
+    expect(order.status).to.equal('Active')
+    expect(order.remainingSellAmount).to.equal(sellAmount * BigInt(3) / BigInt(4))
+    expect(order.remainingBuyAmount).to.equal(buyAmount * BigInt(3) / BigInt(4))
+    expect(order.fills).to.have.length(1)
+    expect(order.fills[0].taker).to.equal(bob.address)
+    expect(order.fills[0].sellAmount).to.equal(sellAmount / BigInt(4))
+
+    await otcSwap.connect(bob).fillOrder(0)
+    await indexer.sync()
+
+    order = indexer.getOrder(0)
+    expect(order.status).to.equal('Filled')
+    expect(order.remainingSellAmount).to.equal(0n)
+    expect(order.fills.map(fill => fill.buyAmount)).to.deep.equal([
+      buyAmount / BigInt(4),
+      buyAmount * BigInt(3) / BigInt(4)
+    ])
+  })
+
+  it('should record the price history of updated orders', async function () {
+    await createOrder()
+    await otcSwap.connect(bob).fillOrderPartial(0, buyAmount / BigInt(2))
+    await otcSwap.connect(alice).updateOrder(0, sellAmount / BigInt(2), buyAmount / BigInt(2), sellAmount, buyAmount, bob.address)
+
+    const indexer = newIndexer()
+    await indexer.sync()
+
+    const order = indexer.getOrder(0)
+    expect(order.taker).to.equal(bob.address)
+    expect(order.remainingSellAmount).to.equal(sellAmount)
+    expect(order.sellAmount).to.equal(sellAmount + sellAmount / BigInt(2))
+    expect(order.buyAmount).to.equal(buyAmount + buyAmount / BigInt(2))
+    expect(order.priceHistory.map(price => [price.sellAmount, price.buyAmount, price.taker])).to.deep.equal([
+      [sellAmount, buyAmount, ethers.ZeroAddress],
+      [sellAmount, buyAmount, bob.address]
+    ])
+  })
+
+  it('should resume from the stored checkpoint', async function () {
+    const store = new MemoryStore()
+    await createOrder()
+    await createOrder()
+
+    const first = newIndexer({ store, blockRange: 3 })
+    expect(await first.sync()).to.equal(2)
+    const checkpoint = (await store.load()).lastBlock
+    expect(checkpoint).to.equal(await ethers.provider.getBlockNumber())
+
+    await otcSwap.connect(bob).fillOrder(1)
+
+    // A fresh process picks up only the blocks after the checkpoint
+    const second = newIndexer({ store, blockRange: 3 })
+    expect(await second.sync()).to.equal(1)
+    expect(second.getOrder(0).status).to.equal('Active')
+    expect(second.getOrder(1).status).to.equal('Filled')
+    expect(second.getOrder(1).sellAmount).to.equal(sellAmount)
+  })
+
+  it('should leave unconfirmed blocks for a later sync', async function () {
+    await createOrder()
+    await createOrder()
+
+    const indexer = newIndexer({ confirmations: 1 })
+    await indexer.sync()
+
+    expect(indexer.getActiveOrders().map(order => order.orderId)).to.deep.equal([0])
+  })
+
+  it('should price orders with token metadata kept in the checkpoint', async function () {
+    const store = new MemoryStore()
+    await createOrder()
+    await newIndexer({ store }).sync()
+
+    const stored = await store.load()
+    expect(stored.liberdusToken).to.equal(liberdusToken.target)
+    expect(stored.tokens[tokenA.target.toLowerCase()]).to.deep.equal({ address: tokenA.target, symbol: 'TKA', decimals: 18 })
+
+    const indexer = newIndexer({ store })
+    await indexer.load()
+    const prices = indexer.getOrderPrice(indexer.getOrder(0))
+    expect(prices.liberdusPerUnit).to.equal(ethers.parseEther('0.5'))
+    expect(prices.unitToken).to.equal(tokenA.target)
+    expect(await indexer.tokens.formatOrderPrice(indexer.getOrder(0), stored.liberdusToken)).to.equal('0.5 LBDS per TKA')
+  })
+
+  it('should refuse a checkpoint from another contract', async function () {
+    const store = new MemoryStore()
+    await newIndexer({ store }).sync()
+
+    const other = new OrderIndexer(tokenA.target, ethers.provider, { store })
+    await expect(other.load()).to.be.rejectedWith('Stored index belongs to')
+  })
+})
@@ -0,0 +1,180 @@
+const { expect } = require('chai')
+const { ethers } = require('hardhat')
+const { time } = require('@nomicfoundation/hardhat-toolbox/network-helpers')
+const { OTCClient } = require('../client')
+
+describe('OTCSwap - Order Lookup Views', function () {
+  let otcSwap
+  let tokenA
+  let tokenB
+  let feeToken
+  let liberdusToken
+  let owner
+  let alice
+  let bob
+  let charlie
+
+  const ORDER_EXPIRY = 7 * 24 * 60 * 60 // 7 days in seconds
+  const GRACE_PERIOD = 7 * 24 * 60 * 60 // 7 days in seconds
+  const ORDER_FEE = ethers.parseUnits('1', 18)
+  const sellAmount = ethers.parseEther('100')
+  const buyAmount = ethers.parseEther('200')
+
+  async function createOrder (maker = alice, buyToken = tokenA) {
+    await otcSwap.connect(maker).createOrder(ethers.ZeroAddress, liberdusToken.target, sellAmount, buyToken.target, buyAmount)
+  }
+
+  // Ids in a page, sorted since the index keeps no order
+  function ids ([page]) {
+    return page.map(details => Number(details.orderId)).sort((a, b) => a - b)
+  }
+
+  beforeEach(async function () {
+    [owner, alice, bob, charlie] = await ethers.getSigners()
+
+    const TestToken = await ethers.getContractFactory('TestToken')
+    tokenA = await TestToken.deploy('Token A', 'TKA')
+    tokenB = await TestToken.deploy('Token B', 'TKB')
+    liberdusToken = await TestToken.deploy('Liberdus', 'LBDS')
+    feeToken = await TestToken.deploy('DAI Stablecoin', 'DAI')
+
+    const OTCSwap = await ethers.getContractFactory('OTCSwap')
+    otcSwap = await OTCSwap.deploy(feeToken.target, ORDER_FEE, [tokenA.target, tokenB.target, liberdusToken.target], liberdusToken.target)
+    await otcSwap.waitForDeployment()
+
+    for (const account of [alice, bob]) {
+      await feeToken.transfer(account.address, ORDER_FEE * BigInt(100))
+      for (const token of [tokenA, tokenB, liberdusToken, feeToken]) {
+        if (token !== feeToken) {
+          await token.transfer(account.address, ethers.parseEther('10000'))
+        }
+        await token.connect(account).approve(otcSwap.target, ethers.MaxUint256)
+      }
+    }
+  })
+
+  it('should return full orders with their deadline and whether they can be filled', async function () {
+    await createOrder()
+    const createdAt = await time.latest()
+
+    const [[details], total] = await otcSwap.getActiveOrders(0, 10)
+
+    expect(total).to.equal(1)
+    expect(details.orderId).to.equal(0)
+    expect(details.order.maker).to.equal(alice.address)
+    expect(details.order.sellToken).to.equal(liberdusToken.target)
+    expect(details.order.remainingBuyAmount).to.equal(buyAmount)
+    expect(details.expiresAt).to.equal(createdAt + ORDER_EXPIRY)
+    expect(details.fillable).to.be.true
+
+    await time.increase(ORDER_EXPIRY + 1)
+    expect((await otcSwap.getActiveOrders(0, 10))[0][0].fillable).to.be.false
+  })
+
+  it('should not report orders as fillable while paused', async function () {
+    await createOrder()
+    await otcSwap.connect(owner).pause()
+
+    expect((await otcSwap.getActiveOrders(0, 10))[0][0].fillable).to.be.false
+  })
+
+  it('should index orders by maker and by pair', async function () {
+    await createOrder(alice)
+    await createOrder(bob)
+    await createOrder(alice, tokenB)
+
+    expect(ids(await otcSwap.getOrdersByMaker(alice.address, 0, 10))).to.deep.equal([0, 2])
+    expect(ids(await otcSwap.getOrdersByMaker(bob.address, 0, 10))).to.deep.equal([1])
+    expect(ids(await otcSwap.getOrdersByPair(liberdusToken.target, tokenA.target, 0, 10))).to.deep.equal([0, 1])
+    expect(ids(await otcSwap.getOrdersByPair(tokenA.target, liberdusToken.target, 0, 10))).to.deep.equal([])
+  })
+
+  it('should paginate', async function () {
+    for (let i = 0; i < 5; i++) {
+      await createOrder()
+    }
+
+    const pages = []
+    for (let offset = 0; offset < 6; offset += 2) {
+      const [page, total] = await otcSwap.getActiveOrders(offset, 2)
+      expect(total).to.equal(5)
+      pages.push(...page.map(details => Number(details.orderId)))
+    }
+
+    expect(pages.sort()).to.deep.equal([0, 1, 2, 3, 4])
+    expect((await otcSwap.getActiveOrders(10, 2))[0]).to.have.length(0)
+  })
+
+  it('should accept any limit', async function () {
+    await createOrder(alice)
+    await createOrder(bob)
+
+    expect(ids(await otcSwap.getActiveOrders(0, ethers.MaxUint256))).to.deep.equal([0, 1])
+    expect(ids(await otcSwap.getOrdersByMaker(bob.address, 0, ethers.MaxUint256))).to.deep.equal([1])
+    expect(ids(await otcSwap.getActiveOrders(1, ethers.MaxUint256))).to.have.length(1)
+    expect(ids(await otcSwap.getActiveOrders(ethers.MaxUint256, ethers.MaxUint256))).to.deep.equal([])
+  })
+
+  it('should drop filled and canceled orders but keep partially filled ones', async function () {
+    for (let i = 0; i < 3; i++) {
+      await createOrder()
+    }
+
+    await otcSwap.connect(bob).fillOrder(0)
+    await otcSwap.connect(bob).fillOrderPartial(1, buyAmount / BigInt(2))
+    await otcSwap.connect(alice).cancelOrder(2)
+
+    expect(ids(await otcSwap.getActiveOrders(0, 10))).to.deep.equal([1])
+    expect(ids(await otcSwap.getOrdersByMaker(alice.address, 0, 10))).to.deep.equal([1])
+    expect(ids(await otcSwap.getOrdersByPair(liberdusToken.target, tokenA.target, 0, 10))).to.deep.equal([1])
+  })
+
+  it('should drop orders when they are cleaned up', async function () {
+    await createOrder()
+    await createOrder(bob)
+    await time.increase(ORDER_EXPIRY + GRACE_PERIOD + 1)
+
+    await otcSwap.connect(charlie)['cleanupExpiredOrders(uint256)'](10)
+
+    expect((await otcSwap.getActiveOrders(0, 10))[1]).to.equal(0)
+    expect((await otcSwap.getOrdersByMaker(bob.address, 0, 10))[1]).to.equal(0)
+  })
+
+  it('should move retried orders to their new id', async function () {
+    const MisbehavingToken = await ethers.getContractFactory('MisbehavingToken')
+    const pausableToken = await MisbehavingToken.deploy()
+    await otcSwap.connect(owner).updateAllowedTokens([pausableToken.target], [true])
+    await pausableToken.mint(alice.address, sellAmount)
+    await pausableToken.connect(alice).approve(otcSwap.target, sellAmount)
+
+    await otcSwap.connect(alice).createOrder(ethers.ZeroAddress, pausableToken.target, sellAmount, liberdusToken.target, buyAmount)
+    await pausableToken.pause()
+    await time.increase(ORDER_EXPIRY + GRACE_PERIOD + 1)
+    const cleanup = await otcSwap.connect(charlie).cleanupExpiredOrders()
+    await expect(cleanup)
+      .to.emit(otcSwap, 'RetryOrder')
+      .withArgs(0, 1, alice.address, 1, await time.latest())
+
+    expect(ids(await otcSwap.getOrdersByMaker(alice.address, 0, 10))).to.deep.equal([1])
+    expect(ids(await otcSwap.getOrdersByPair(pausableToken.target, liberdusToken.target, 0, 10))).to.deep.equal([1])
+  })
+
+  describe('OTCClient', function () {
+    it('should read maker and pair pages from the contract', async function () {
+      await createOrder(alice)
+      await createOrder(bob)
+      await createOrder(alice, tokenB)
+      const client = new OTCClient(otcSwap.target, ethers.provider)
+
+      const { orders, pagination } = await client.getOrdersByMaker(alice.address, { limit: 1 })
+      expect(orders).to.have.length(1)
+      expect(orders[0].maker).to.equal(alice.address)
+      expect(orders[0].isFillable).to.be.true
+      expect(pagination).to.deep.equal({ hasMore: true, nextOffset: 1, total: 2 })
+
+      const byPair = await client.getOrdersByPair(liberdusToken.target, tokenB.target)
+      expect(byPair.orders.map(order => order.orderId)).to.deep.equal([2])
+      expect(byPair.pagination.hasMore).to.be.false
+    })
+  })
+})
@@ -0,0 +1,332 @@
+const { expect } = require('chai')
+const { ethers, network } = require('hardhat')
+const { time, mine } = require('@nomicfoundation/hardhat-toolbox/network-helpers')
+const { OTCClient } = require('../client')
+
+describe('OTCClient.watchOrders', function () {
+  let otcSwap
+  let tokenA
+  let feeToken
+  let liberdusToken
+  let alice
+  let bob
+  let charlie
+  let client
+  let watcher
+  let updates
+  let errors
+
+  const ORDER_EXPIRY = 7 * 24 * 60 * 60 // 7 days in seconds
+  const GRACE_PERIOD = 7 * 24 * 60 * 60 // 7 days in seconds
+  const ORDER_FEE = ethers.parseUnits('1', 18)
+  const sellAmount = ethers.parseEther('100')
+  const buyAmount = ethers.parseEther('200')
+
+  async function createOrder (maker = alice) {
+    await otcSwap.connect(maker).createOrder(ethers.ZeroAddress, liberdusToken.target, sellAmount, tokenA.target, buyAmount)
+  }
+
+  async function watch (filter = {}, options = {}) {
+    watcher = await client.watchOrders(filter, update => updates.push(update), {
+      pollInterval: 60000,
+      onError: error => errors.push(error.message),
+      ...options
+    })
+    return watcher
+  }
+
+  beforeEach(async function () {
+    [, alice, bob, charlie] = await ethers.getSigners()
+    updates = []
+    errors = []
+
+    const TestToken = await ethers.getContractFactory('TestToken')
+    tokenA = await TestToken.deploy('Token A', 'TKA')
+    liberdusToken = await TestToken.deploy('Liberdus', 'LBDS')
+    feeToken = await TestToken.deploy('DAI Stablecoin', 'DAI')
+
+    const OTCSwap = await ethers.getContractFactory('OTCSwap')
+    otcSwap = await OTCSwap.deploy(feeToken.target, ORDER_FEE, [tokenA.target, liberdusToken.target], liberdusToken.target)
+    await otcSwap.waitForDeployment()
+
+    for (const account of [alice, bob]) {
+      await feeToken.transfer(account.address, ORDER_FEE * BigInt(100))
+      for (const token of [tokenA, liberdusToken, feeToken]) {
+        if (token !== feeToken) {
+          await token.transfer(account.address, ethers.parseEther('10000'))
+        }
+        await token.connect(account).approve(otcSwap.target, ethers.MaxUint256)
+      }
+    }
+
+    client = new OTCClient(otcSwap.target, ethers.provider)
+  })
+
+  afterEach(async function () {
+    if (watcher) {
+      await watcher.stop()
+      watcher = null
+    }
+  })
+
+  it('should stream order changes with the order as of each event', async function () {
+    await watch()
+
+    await createOrder()
+    await otcSwap.connect(bob).fillOrderPartial(0, buyAmount / BigInt(4))
+    await otcSwap.connect(alice).updateOrder(0, ethers.parseEther('75'), ethers.parseEther('150'), ethers.parseEther('50'), ethers.parseEther('150'), ethers.ZeroAddress)
+    await otcSwap.connect(alice).cancelOrder(0)
+    expect(await watcher.poll()).to.equal(4)
+
+    expect(updates.map(update => update.type)).to.deep.equal(['created', 'partiallyFilled', 'updated', 'canceled'])
+    expect(updates.every(update => update.orderId === 0)).to.be.true
+
+    const [created, partiallyFilled, updated, canceled] = updates.map(update => update.order)
+    expect(created.status).to.equal('Active')
+    expect(created.remainingSellAmount).to.equal(sellAmount)
+    expect(created.isFillable).to.be.true
+    expect(partiallyFilled.remainingSellAmount).to.equal(ethers.parseEther('75'))
+    expect(updated.remainingSellAmount).to.equal(ethers.parseEther('50'))
+    expect(canceled.status).to.equal('Canceled')
+
+    expect(updates[0].event.name).to.equal('OrderCreated')
+    expect(updates[0].event.args.maker).to.equal(alice.address)
+    expect(await watcher.poll()).to.equal(0)
+  })
+
+  it('should report full fills', async function () {
+    await createOrder()
+    await watch()
+
+    await otcSwap.connect(bob).fillOrder(0)
+    await watcher.poll()
+
+    expect(updates).to.have.length(1)
+    expect(updates[0].type).to.equal('filled')
+    expect(updates[0].order.status).to.equal('Filled')
+    expect(updates[0].order.remainingBuyAmount).to.equal(0)
+  })
+
+  it('should only deliver orders matching the filter', async function () {
+    await watch({ makerAddress: bob.address.toLowerCase(), buyToken: tokenA.target })
+
+    await createOrder(alice)
+    await createOrder(bob)
+    await otcSwap.connect(bob).createOrder(ethers.ZeroAddress, tokenA.target, sellAmount, liberdusToken.target, buyAmount)
+    await watcher.poll()
+
+    expect(updates.map(update => update.orderId)).to.deep.equal([1])
+  })
+
+  it('should report cleaned up and retried orders', async function () {
+    const MisbehavingToken = await ethers.getContractFactory('MisbehavingToken')
+    const pausableToken = await MisbehavingToken.deploy()
+    await otcSwap.updateAllowedTokens([pausableToken.target], [true])
+    await pausableToken.mint(alice.address, sellAmount)
+    await pausableToken.connect(alice).approve(otcSwap.target, sellAmount)
+
+    await createOrder()
+    await otcSwap.connect(alice).createOrder(ethers.ZeroAddress, pausableToken.target, sellAmount, liberdusToken.target, buyAmount)
+    await pausableToken.pause()
+    await time.increase(ORDER_EXPIRY + GRACE_PERIOD + 1)
+    await watch()
+
+    await otcSwap.connect(charlie)['cleanupExpiredOrders(uint256)'](10)
+    await watcher.poll()
+
+    const [cleanedUp, retried] = updates
+    expect(cleanedUp.type).to.equal('cleanedUp')
+    expect(cleanedUp.orderId).to.equal(0)
+    // The order as it was before it was removed
+    expect(cleanedUp.order.maker).to.equal(alice.address)
+    expect(cleanedUp.order.isCleanable).to.be.true
+
+    expect(retried.type).to.equal('retried')
+    expect(retried.orderId).to.equal(2)
+    expect(retried.previousOrderId).to.equal(1)
+    expect(retried.order.sellToken).to.equal(pausableToken.target)
+    expect(retried.order.tries).to.equal(1)
+  })
+
+  it('should backfill from a past block', async function () {
+    const fromBlock = await ethers.provider.getBlockNumber() + 1
+    await createOrder()
+    await createOrder(bob)
+
+    await watch({}, { fromBlock, blockRange: 1 })
+    expect(updates).to.have.length(0)
+    await watcher.poll()
+
+    expect(updates.map(update => update.order.maker)).to.deep.equal([alice.address, bob.address])
+  })
+
+  it('should fall back to the latest order state when the node has pruned old state', async function () {
+    const fromBlock = await ethers.provider.getBlockNumber() + 1
+    await createOrder()
+    await otcSwap.connect(bob).fillOrderPartial(0, buyAmount / BigInt(4))
+    await time.increase(ORDER_EXPIRY + GRACE_PERIOD + 1)
+    await otcSwap.connect(charlie)['cleanupExpiredOrders(uint256)'](10)
+    await createOrder()
+    await createOrder(bob)
+
+    await watch({ makerAddress: alice.address }, { fromBlock })
+    // Reads at a past block fail, as they do on a node without archive state
+    watcher.contract = new Proxy(watcher.contract, {
+      get: (target, property) => property === 'orders'
+        ? (orderId, overrides) => overrides ? Promise.reject(new Error('missing trie node')) : target.orders(orderId)
+        : target[property]
+    })
+    await watcher.poll()
+
+    // Order 0 is gone, so only its events' makers are known
+    expect(updates.map(update => [update.type, update.orderId, update.order && update.order.maker])).to.deep.equal([
+      ['created', 0, null],
+      ['partiallyFilled', 0, null],
+      ['cleanedUp', 0, null],
+      ['created', 1, alice.address]
+    ])
+    expect(errors).to.deep.equal([])
+  })
+
+  it('should fail the round when a past read fails for another reason', async function () {
+    const fromBlock = await ethers.provider.getBlockNumber() + 1
+    await createOrder()
+
+    await watch({}, { fromBlock })
+    const contract = watcher.contract
+    watcher.contract = new Proxy(contract, {
+      get: (target, property) => property === 'orders'
+        ? (orderId, overrides) => overrides ? Promise.reject(new Error('request timed out')) : target.orders(orderId)
+        : target[property]
+    })
+    expect(await watcher.poll()).to.be.null
+    expect(errors).to.deep.equal(['request timed out'])
+    expect(updates).to.have.length(0)
+
+    // The next round reads the order as of its event
+    watcher.contract = contract
+    await otcSwap.connect(alice).cancelOrder(0)
+    expect(await watcher.poll()).to.equal(2)
+    expect(updates.map(update => update.order.statusCode)).to.deep.equal([0, 2])
+  })
+
+  it('should wait for the confirmation depth', async function () {
+    await watch({}, { confirmations: 2 })
+
+    await createOrder()
+    await watcher.poll()
+    expect(updates).to.have.length(0)
+
+    await mine(1)
+    await watcher.poll()
+    expect(updates).to.have.length(0)
+
+    await mine(1)
+    await watcher.poll()
+    expect(updates).to.have.length(1)
+  })
+
+  it('should not deliver orders dropped by a reorg shallower than the confirmation depth', async function () {
+    await watch({}, { confirmations: 2 })
+    const snapshot = await network.provider.send('evm_snapshot')
+
+    await createOrder(alice)
+    await watcher.poll()
+    await network.provider.send('evm_revert', [snapshot])
+    await createOrder(bob)
+    await mine(2)
+    await watcher.poll()
+
+    expect(updates.map(update => update.order.maker)).to.deep.equal([bob.address])
+    expect(errors).to.deep.equal([])
+  })
+
+  it('should replay blocks replaced by a deeper reorg', async function () {
+    await watch()
+    const snapshot = await network.provider.send('evm_snapshot')
+
+    await createOrder(alice)
+    await watcher.poll()
+    await network.provider.send('evm_revert', [snapshot])
+    await createOrder(bob)
+    await mine(1)
+    await watcher.poll()
+
+    expect(errors).to.have.length(1)
+    expect(errors[0]).to.match(/^Chain reorganised after block \d+; replaying from block \d+$/)
+    expect(updates.map(update => [update.orderId, update.order.maker])).to.deep.equal([
+      [0, alice.address],
+      [0, bob.address]
+    ])
+  })
+
+  it('should reconnect after the provider drops and backfill missed blocks', async function () {
+    const reconnects = []
+    await watch({}, {
+      reconnect: async () => {
+        reconnects.push(true)
+        return ethers.provider
+      }
+    })
+    await createOrder()
+    await watcher.poll()
+
+    const dropped = () => Promise.reject(new Error('connection dropped'))
+    watcher.provider = { getBlockNumber: dropped, getBlock: dropped, getLogs: dropped }
+    await createOrder()
+    await createOrder(bob)
+
+    expect(await watcher.poll()).to.be.null
+    expect(watcher.failures).to.equal(1)
+    expect(errors).to.deep.equal(['connection dropped'])
+    expect(reconnects).to.have.length(1)
+
+    expect(await watcher.poll()).to.equal(2)
+    expect(watcher.failures).to.equal(0)
+    expect(updates.map(update => update.orderId)).to.deep.equal([0, 1, 2])
+  })
+
+  it('should read through the reconnected provider once the client\'s has dropped', async function () {
+    await watch({}, { reconnect: async () => ethers.provider })
+    await createOrder()
+
+    // Nothing has been read yet through the client, which keeps the dropped provider
+    const dropped = () => Promise.reject(new Error('connection dropped'))
+    const droppedProvider = { getBlockNumber: dropped, getBlock: dropped, getLogs: dropped, call: dropped }
+    watcher.provider = droppedProvider
+    watcher.contract = client.contract = otcSwap.connect(droppedProvider)
+
+    expect(await watcher.poll()).to.be.null
+    expect(await watcher.poll()).to.equal(1)
+    expect(updates[0].order.graceEndsAt).to.equal(updates[0].order.expiresAt + GRACE_PERIOD)
+  })
+
+  it('should keep streaming when a handler throws', async function () {
+    watcher = await client.watchOrders({}, update => {
+      updates.push(update)
+      throw new Error('handler failed')
+    }, { pollInterval: 60000, onError: error => errors.push(error.message) })
+
+    await createOrder()
+    await createOrder()
+    await watcher.poll()
+
+    expect(updates).to.have.length(2)
+    expect(errors).to.deep.equal(['handler failed', 'handler failed'])
+  })
+
+  it('should poll on its own until stopped', async function () {
+    await watch({}, { pollInterval: 20 })
+    await createOrder()
+
+    for (let i = 0; i < 100 && updates.length === 0; i++) {
+      await new Promise(resolve => setTimeout(resolve, 20))
+    }
+    expect(updates).to.have.length(1)
+
+    await watcher.stop()
+    await createOrder()
+    await new Promise(resolve => setTimeout(resolve, 100))
+    expect(updates).to.have.length(1)
+  })
+})
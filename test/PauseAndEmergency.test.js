@@ -0,0 +1,250 @@
+const { expect } = require('chai')
+const { ethers } = require('hardhat')
+const { time } = require('@nomicfoundation/hardhat-toolbox/network-helpers')
+const { NATIVE_TOKEN } = require('../client')
+
+describe('OTCSwap - Pause and Emergency Mode', function () {
+  let otcSwap
+  let tokenA
+  let feeToken
+  let liberdusToken
+  let owner
+  let alice
+  let bob
+  let charlie
+
+  const ORDER_EXPIRY = 7 * 24 * 60 * 60 // 7 days in seconds
+  const GRACE_PERIOD = 7 * 24 * 60 * 60 // 7 days in seconds
+  const ORDER_FEE = ethers.parseUnits('1', 18)
+  const sellAmount = ethers.parseEther('100')
+  const buyAmount = ethers.parseEther('200')
+
+  async function createOrder (maker = alice) {
+    return otcSwap.connect(maker).createOrder(
+      ethers.ZeroAddress,
+      liberdusToken.target,
+      sellAmount,
+      tokenA.target,
+      buyAmount
+    )
+  }
+
+  beforeEach(async function () {
+    [owner, alice, bob, charlie] = await ethers.getSigners()
+
+    const TestToken = await ethers.getContractFactory('TestToken')
+    tokenA = await TestToken.deploy('Token A', 'TKA')
+    liberdusToken = await TestToken.deploy('Liberdus', 'LBDS')
+    feeToken = await TestToken.deploy('DAI Stablecoin', 'DAI')
+
+    const OTCSwap = await ethers.getContractFactory('OTCSwap')
+    otcSwap = await OTCSwap.deploy(feeToken.target, ORDER_FEE, [tokenA.target, feeToken.target, liberdusToken.target, NATIVE_TOKEN], liberdusToken.target)
+    await otcSwap.waitForDeployment()
+
+    for (const account of [alice, bob]) {
+      await tokenA.transfer(account.address, ethers.parseEther('10000'))
+      await liberdusToken.transfer(account.address, ethers.parseEther('10000'))
+      await feeToken.transfer(account.address, ORDER_FEE * BigInt(100))
+      for (const token of [tokenA, liberdusToken, feeToken]) {
+        await token.connect(account).approve(otcSwap.target, ethers.MaxUint256)
+      }
+    }
+  })
+
+  describe('pause', function () {
+    it('should block new orders, updates and fills until unpaused', async function () {
+      await createOrder()
+
+      const pause = await otcSwap.connect(owner).pause()
+      await expect(pause)
+        .to.emit(otcSwap, 'Paused')
+        .withArgs(owner.address, await time.latest())
+      expect(await otcSwap.paused()).to.be.true
+
+      await expect(createOrder()).to.be.revertedWith('Contract is paused')
+      await expect(otcSwap.connect(bob).fillOrder(0)).to.be.revertedWith('Contract is paused')
+      await expect(otcSwap.connect(bob).fillOrderPartial(0, buyAmount / BigInt(2)))
+        .to.be.revertedWith('Contract is paused')
+      await expect(otcSwap.connect(alice).updateOrder(0, sellAmount, buyAmount, sellAmount, buyAmount * BigInt(2), ethers.ZeroAddress))
+        .to.be.revertedWith('Contract is paused')
+
+      const unpause = await otcSwap.connect(owner).unpause()
+      await expect(unpause)
+        .to.emit(otcSwap, 'Unpaused')
+        .withArgs(owner.address, await time.latest())
+      await expect(otcSwap.connect(bob).fillOrder(0)).to.emit(otcSwap, 'OrderFilled')
+    })
+
+    it('should block signed order fills', async function () {
+      await otcSwap.connect(owner).pause()
+
+      const order = {
+        maker: alice.address,
+        taker: ethers.ZeroAddress,
+        sellToken: liberdusToken.target,
+        sellAmount,
+        buyToken: tokenA.target,
+        buyAmount,
+        nonce: 1,
+        expiry: (await time.latest()) + 3600
+      }
+      await expect(otcSwap.connect(bob).fillSignedOrder(order, '0x'))
+        .to.be.revertedWith('Contract is paused')
+    })
+
+    it('should still let makers cancel and anyone clean up', async function () {
+      await createOrder()
+      await createOrder()
+      await otcSwap.connect(owner).pause()
+
+      await expect(otcSwap.connect(alice).cancelOrder(0))
+        .to.changeTokenBalance(liberdusToken, alice, sellAmount)
+
+      await time.increase(ORDER_EXPIRY + GRACE_PERIOD + 1)
+      await expect(otcSwap.connect(charlie)['cleanupExpiredOrders(uint256)'](10))
+        .to.changeTokenBalance(liberdusToken, alice, sellAmount)
+    })
+
+    it('should only switch between states it is not already in', async function () {
+      await expect(otcSwap.connect(owner).unpause()).to.be.revertedWith('Contract not paused')
+      await otcSwap.connect(owner).pause()
+      await expect(otcSwap.connect(owner).pause()).to.be.revertedWith('Contract already paused')
+    })
+
+    it('should only let pausers pause and unpause', async function () {
+      await expect(otcSwap.connect(alice).pause())
+        .to.be.revertedWithCustomError(otcSwap, 'AccessControlUnauthorizedAccount')
+      await otcSwap.connect(owner).pause()
+      await expect(otcSwap.connect(alice).unpause())
+        .to.be.revertedWithCustomError(otcSwap, 'AccessControlUnauthorizedAccount')
+    })
+  })
+
+  describe('emergency mode', function () {
+    it('should only be enabled while paused', async function () {
+      await expect(otcSwap.connect(owner).setEmergencyMode(true))
+        .to.be.revertedWith('Contract not paused')
+
+      await otcSwap.connect(owner).pause()
+      const enable = await otcSwap.connect(owner).setEmergencyMode(true)
+      await expect(enable)
+        .to.emit(otcSwap, 'EmergencyModeUpdated')
+        .withArgs(true, await time.latest())
+      await expect(otcSwap.connect(owner).setEmergencyMode(true))
+        .to.be.revertedWith('Emergency mode unchanged')
+      await expect(otcSwap.connect(alice).setEmergencyMode(false))
+        .to.be.revertedWithCustomError(otcSwap, 'AccessControlUnauthorizedAccount')
+    })
+
+    it('should let makers reclaim escrow past the grace period', async function () {
+      await createOrder()
+      await otcSwap.connect(bob).fillOrderPartial(0, buyAmount / BigInt(4))
+      await time.increase(ORDER_EXPIRY + GRACE_PERIOD + 1)
+
+      await expect(otcSwap.connect(alice).cancelOrder(0))
+        .to.be.revertedWith('Grace period has expired')
+
+      await otcSwap.connect(owner).pause()
+      await otcSwap.connect(owner).setEmergencyMode(true)
+
+      await expect(otcSwap.connect(bob).cancelOrder(0))
+        .to.be.revertedWith('Only maker can cancel order')
+      const cancel = otcSwap.connect(alice).cancelOrder(0)
+      await expect(cancel).to.changeTokenBalance(liberdusToken, alice, sellAmount * BigInt(3) / BigInt(4))
+      await expect(cancel).to.emit(otcSwap, 'OrderCanceled')
+      expect(await otcSwap.escrowedBalances(liberdusToken.target)).to.equal(0)
+
+      // The creation fee is still paid out when the canceled order is cleaned up
+      await expect(otcSwap.connect(charlie).cleanupExpiredOrders())
+        .to.changeTokenBalance(feeToken, charlie, ORDER_FEE)
+    })
+
+    it('should have to be switched off before unpausing', async function () {
+      await createOrder()
+      await otcSwap.connect(owner).pause()
+      await otcSwap.connect(owner).setEmergencyMode(true)
+
+      await expect(otcSwap.connect(owner).unpause())
+        .to.be.revertedWith('Emergency mode active')
+
+      await expect(otcSwap.connect(owner).setEmergencyMode(false))
+        .to.emit(otcSwap, 'EmergencyModeUpdated')
+      await otcSwap.connect(owner).unpause()
+      await expect(otcSwap.connect(bob).fillOrder(0)).to.emit(otcSwap, 'OrderFilled')
+    })
+  })
+
+  describe('rescue', function () {
+    it('should send tokens sent to the contract by mistake', async function () {
+      await createOrder()
+      await liberdusToken.connect(bob).transfer(otcSwap.target, ethers.parseEther('5'))
+
+      const rescue = await otcSwap.connect(owner).rescueTokens(liberdusToken.target, charlie.address, ethers.parseEther('5'))
+      await expect(rescue).to.changeTokenBalance(liberdusToken, charlie, ethers.parseEther('5'))
+      await expect(rescue)
+        .to.emit(otcSwap, 'TokensRescued')
+        .withArgs(liberdusToken.target, charlie.address, ethers.parseEther('5'), await time.latest())
+    })
+
+    it('should not touch escrow, protocol fees or cleanup rewards', async function () {
+      await otcSwap.connect(owner).updateProtocolFees(100, 0, owner.address)
+      await createOrder()
+      await createOrder()
+      await otcSwap.connect(bob).fillOrder(0)
+
+      // Escrow of order 1, the taker fee of order 0 and both creation fees
+      expect(await liberdusToken.balanceOf(otcSwap.target)).to.equal(sellAmount + sellAmount / BigInt(100))
+      await expect(otcSwap.connect(owner).rescueTokens(liberdusToken.target, owner.address, 1))
+        .to.be.revertedWith('Amount exceeds surplus')
+      await expect(otcSwap.connect(owner).rescueTokens(feeToken.target, owner.address, 1))
+        .to.be.revertedWith('Amount exceeds surplus')
+    })
+
+    it('should not touch native escrow', async function () {
+      const nativeAmount = ethers.parseEther('1')
+      await otcSwap.connect(alice)['createOrder(address,address,uint256,address,uint256)'](
+        ethers.ZeroAddress, NATIVE_TOKEN, nativeAmount, liberdusToken.target, buyAmount, { value: nativeAmount }
+      )
+
+      await expect(otcSwap.connect(owner).rescueTokens(NATIVE_TOKEN, owner.address, 1))
+        .to.be.revertedWith('Amount exceeds surplus')
+    })
+
+    it('should release the escrow of orders dropped after MAX_RETRY_ATTEMPTS', async function () {
+      const PausableToken = await ethers.getContractFactory('MisbehavingToken')
+      const pausableToken = await PausableToken.deploy()
+      await otcSwap.connect(owner).updateAllowedTokens([pausableToken.target], [true])
+      await pausableToken.mint(alice.address, sellAmount)
+      await pausableToken.connect(alice).approve(otcSwap.target, sellAmount)
+
+      await otcSwap.connect(alice).createOrder(ethers.ZeroAddress, pausableToken.target, sellAmount, liberdusToken.target, buyAmount)
+      await pausableToken.pause()
+      for (let i = 0; i <= 10; i++) {
+        await time.increase(ORDER_EXPIRY + GRACE_PERIOD + 1)
+        await otcSwap.connect(charlie).cleanupExpiredOrders()
+      }
+      await pausableToken.unpause()
+
+      await expect(otcSwap.connect(owner).rescueTokens(pausableToken.target, alice.address, sellAmount))
+        .to.changeTokenBalance(pausableToken, alice, sellAmount)
+    })
+
+    it('should only let the admin rescue tokens', async function () {
+      await expect(otcSwap.connect(alice).rescueTokens(liberdusToken.target, alice.address, 1))
+        .to.be.revertedWithCustomError(otcSwap, 'AccessControlUnauthorizedAccount')
+      await expect(otcSwap.connect(owner).rescueTokens(liberdusToken.target, ethers.ZeroAddress, 1))
+        .to.be.revertedWith('Invalid recipient')
+    })
+  })
+
+  describe('admin module', function () {
+    it('should not let direct calls change the swap', async function () {
+      const adminModule = await ethers.getContractAt('OTCSwapAdmin', await otcSwap.adminModule())
+
+      expect(await adminModule.hasRole(await adminModule.PAUSER_ROLE(), otcSwap.target)).to.be.true
+      await expect(adminModule.connect(owner).pause())
+        .to.be.revertedWithCustomError(adminModule, 'AccessControlUnauthorizedAccount')
+      expect(await otcSwap.paused()).to.be.false
+    })
+  })
+})
@@ -0,0 +1,226 @@
+const { expect } = require('chai')
+const { ethers } = require('hardhat')
+const { time } = require('@nomicfoundation/hardhat-toolbox/network-helpers')
+const { OTCClient, getPermitDomain, signPermit } = require('../client')
+
+describe('Approvals and permits', function () {
+  let otcSwap
+  let permitToken
+  let plainToken
+  let feeToken
+  let liberdusToken
+  let alice
+  let bob
+  let charlie
+
+  const ORDER_EXPIRY = 7 * 24 * 60 * 60 // 7 days in seconds
+  const ORDER_FEE = ethers.parseUnits('1', 18)
+  const sellAmount = ethers.parseEther('100')
+  const buyAmount = ethers.parseEther('200')
+
+  async function permit (token, owner, value, signer = owner) {
+    const domain = await getPermitDomain(token.target, ethers.provider)
+    return signPermit(signer, domain, {
+      owner: owner.address,
+      spender: otcSwap.target,
+      value,
+      nonce: await token.nonces(owner.address),
+      deadline: (await time.latest()) + 3600
+    })
+  }
+
+  function createOrderWithPermit (maker, sellToken, buyToken, permits) {
+    return otcSwap.connect(maker).createOrderWithPermit(
+      ethers.ZeroAddress, sellToken.target, sellAmount, buyToken.target, buyAmount, ORDER_EXPIRY, permits
+    )
+  }
+
+  async function transactionCount (account) {
+    return ethers.provider.getTransactionCount(account.address)
+  }
+
+  beforeEach(async function () {
+    [, alice, bob, charlie] = await ethers.getSigners()
+
+    const TestToken = await ethers.getContractFactory('TestToken')
+    const TestPermitToken = await ethers.getContractFactory('TestPermitToken')
+    permitToken = await TestPermitToken.deploy('Permit Token', 'PRM')
+    feeToken = await TestPermitToken.deploy('DAI Stablecoin', 'DAI')
+    plainToken = await TestToken.deploy('Token A', 'TKA')
+    liberdusToken = await TestToken.deploy('Liberdus', 'LBDS')
+
+    const OTCSwap = await ethers.getContractFactory('OTCSwap')
+    otcSwap = await OTCSwap.deploy(
+      feeToken.target,
+      ORDER_FEE,
+      [permitToken.target, plainToken.target, feeToken.target, liberdusToken.target],
+      liberdusToken.target
+    )
+    await otcSwap.waitForDeployment()
+
+    // Nobody has approved anything
+    for (const account of [alice, bob]) {
+      for (const token of [permitToken, plainToken, feeToken, liberdusToken]) {
+        await token.transfer(account.address, ethers.parseEther('10000'))
+      }
+    }
+  })
+
+  describe('createOrderWithPermit', function () {
+    it('should create an order using permits for the sell token and the fee', async function () {
+      const permits = [
+        await permit(permitToken, alice, sellAmount),
+        await permit(feeToken, alice, ORDER_FEE)
+      ]
+
+      const tx = await createOrderWithPermit(alice, permitToken, liberdusToken, permits)
+
+      await expect(tx).to.emit(otcSwap, 'OrderCreated')
+      expect(await permitToken.balanceOf(otcSwap.target)).to.equal(sellAmount)
+      expect(await feeToken.balanceOf(otcSwap.target)).to.equal(ORDER_FEE)
+      expect(await permitToken.allowance(alice.address, otcSwap.target)).to.equal(0)
+    })
+
+    it('should still create the order when someone submits the permit first', async function () {
+      const permits = [await permit(permitToken, alice, sellAmount), await permit(feeToken, alice, ORDER_FEE)]
+      const { value, deadline, v, r, s } = permits[0]
+      await permitToken.connect(charlie).permit(alice.address, otcSwap.target, value, deadline, v, r, s)
+
+      await expect(createOrderWithPermit(alice, permitToken, liberdusToken, permits)).to.emit(otcSwap, 'OrderCreated')
+    })
+
+    it('should revert with the allowance check when a permit is invalid', async function () {
+      const permits = [await permit(permitToken, alice, sellAmount, bob), await permit(feeToken, alice, ORDER_FEE)]
+
+      await expect(createOrderWithPermit(alice, permitToken, liberdusToken, permits))
+        .to.be.revertedWith('Insufficient allowance for sell token')
+    })
+
+    it('should respect the pause', async function () {
+      const [owner] = await ethers.getSigners()
+      await otcSwap.connect(owner).pause()
+
+      await expect(createOrderWithPermit(alice, permitToken, liberdusToken, []))
+        .to.be.revertedWith('Contract is paused')
+    })
+  })
+
+  describe('fillOrderWithPermit', function () {
+    beforeEach(async function () {
+      await liberdusToken.connect(alice).approve(otcSwap.target, sellAmount)
+      await feeToken.connect(alice).approve(otcSwap.target, ORDER_FEE)
+      await otcSwap.connect(alice).createOrder(ethers.ZeroAddress, liberdusToken.target, sellAmount, permitToken.target, buyAmount)
+    })
+
+    it('should fill using a permit for the buy token', async function () {
+      const fillAmount = buyAmount / 4n
+      const permits = [await permit(permitToken, bob, fillAmount)]
+
+      const tx = await otcSwap.connect(bob).fillOrderWithPermit(0, fillAmount, sellAmount / 4n, permits)
+
+      await expect(tx).to.emit(otcSwap, 'OrderPartiallyFilled')
+        .withArgs(0, alice.address, bob.address, sellAmount / 4n, fillAmount, sellAmount - sellAmount / 4n, buyAmount - fillAmount, await time.latest())
+      expect(await permitToken.balanceOf(alice.address)).to.equal(ethers.parseEther('10000') + fillAmount)
+    })
+
+    it('should complete the order when the permit covers all that remains', async function () {
+      const permits = [await permit(permitToken, bob, buyAmount)]
+
+      await expect(otcSwap.connect(bob).fillOrderWithPermit(0, buyAmount, sellAmount, permits)).to.emit(otcSwap, 'OrderFilled')
+    })
+
+    it('should check the order like any other fill', async function () {
+      await expect(otcSwap.connect(bob).fillOrderWithPermit(1, buyAmount, 0, []))
+        .to.be.revertedWith('Order does not exist')
+      await expect(otcSwap.connect(bob).fillOrderWithPermit(0, buyAmount, 0, []))
+        .to.be.revertedWith('Insufficient allowance for buy token')
+    })
+  })
+
+  describe('getPermitDomain', function () {
+    it('should describe tokens that support EIP-2612 and reject the rest', async function () {
+      expect(await getPermitDomain(permitToken.target, ethers.provider)).to.deep.equal({
+        name: 'Permit Token',
+        version: '1',
+        chainId: 1337n,
+        verifyingContract: permitToken.target
+      })
+      expect(await getPermitDomain(plainToken.target, ethers.provider)).to.be.null
+    })
+  })
+
+  describe('OTCClient', function () {
+    let client
+
+    beforeEach(async function () {
+      client = new OTCClient(otcSwap.target, alice)
+    })
+
+    it('should approve the sell token and the fee before creating an order', async function () {
+      await client.createOrder({ sellToken: plainToken.target, sellAmount, buyToken: liberdusToken.target, buyAmount })
+
+      expect(await plainToken.balanceOf(otcSwap.target)).to.equal(sellAmount)
+      expect(await feeToken.balanceOf(otcSwap.target)).to.equal(ORDER_FEE)
+    })
+
+    it('should approve the sum once when the sell token is the fee token', async function () {
+      const before = await transactionCount(alice)
+
+      await client.createOrder({ sellToken: feeToken.target, sellAmount, buyToken: liberdusToken.target, buyAmount })
+
+      expect(await transactionCount(alice)).to.equal(before + 2)
+      expect(await feeToken.balanceOf(otcSwap.target)).to.equal(sellAmount + ORDER_FEE)
+      expect(await feeToken.allowance(alice.address, otcSwap.target)).to.equal(0)
+    })
+
+    it('should not send approvals the allowance already covers', async function () {
+      await plainToken.connect(alice).approve(otcSwap.target, ethers.MaxUint256)
+      await feeToken.connect(alice).approve(otcSwap.target, ethers.MaxUint256)
+      const before = await transactionCount(alice)
+
+      await client.createOrder({ sellToken: plainToken.target, sellAmount, buyToken: liberdusToken.target, buyAmount })
+
+      expect(await transactionCount(alice)).to.equal(before + 1)
+      expect(await plainToken.allowance(alice.address, otcSwap.target)).to.equal(ethers.MaxUint256)
+    })
+
+    it('should create an order in one transaction with permits', async function () {
+      const before = await transactionCount(alice)
+
+      const { orderId, expiry } = await client.createOrder({
+        sellToken: permitToken.target, sellAmount, buyToken: liberdusToken.target, buyAmount, usePermit: true
+      })
+
+      expect(await transactionCount(alice)).to.equal(before + 1)
+      expect(orderId).to.equal(0)
+      expect(expiry).to.equal(ORDER_EXPIRY)
+      expect(await permitToken.balanceOf(otcSwap.target)).to.equal(sellAmount)
+    })
+
+    it('should approve tokens without permit support', async function () {
+      const before = await transactionCount(alice)
+
+      await client.createOrder({
+        sellToken: plainToken.target, sellAmount, buyToken: liberdusToken.target, buyAmount, usePermit: true
+      })
+
+      // The sell token is approved, the fee comes with a permit
+      expect(await transactionCount(alice)).to.equal(before + 2)
+      expect(await feeToken.balanceOf(otcSwap.target)).to.equal(ORDER_FEE)
+    })
+
+    it('should fill an order in one transaction with a permit', async function () {
+      await client.createOrder({ sellToken: liberdusToken.target, sellAmount, buyToken: permitToken.target, buyAmount })
+      const taker = new OTCClient(otcSwap.target, bob)
+      const before = await transactionCount(bob)
+
+      const partial = await taker.fillOrderPartial({ orderId: 0, buyToken: permitToken.target, buyAmount: buyAmount / 2n, usePermit: true })
+      expect(partial.isComplete).to.be.false
+      const full = await taker.fillOrder({ orderId: 0, buyToken: permitToken.target, buyAmount: buyAmount / 2n, usePermit: true })
+      expect(full.taker).to.equal(bob.address)
+
+      expect(await transactionCount(bob)).to.equal(before + 2)
+      expect((await client.getOrder(0)).status).to.equal('Filled')
+    })
+  })
+})
@@ -0,0 +1,239 @@
+const { expect } = require('chai')
+const { ethers } = require('hardhat')
+const { time } = require('@nomicfoundation/hardhat-toolbox/network-helpers')
+const { OTCClient, NATIVE_TOKEN } = require('../client')
+
+describe('OTCSwap - Protocol Fees', function () {
+  let otcSwap
+  let feeToken
+  let liberdusToken
+  let owner
+  let alice
+  let bob
+  let charlie
+  let treasury
+
+  const ORDER_EXPIRY = 7 * 24 * 60 * 60 // 7 days in seconds
+  const GRACE_PERIOD = 7 * 24 * 60 * 60 // 7 days in seconds
+  const ORDER_FEE = ethers.parseUnits('1', 18)
+  const TAKER_FEE_BPS = 30 // 0.3%
+  const MAKER_FEE_BPS = 10 // 0.1%
+  const sellAmount = ethers.parseEther('100')
+  const buyAmount = ethers.parseEther('200')
+  const takerFee = sellAmount * BigInt(TAKER_FEE_BPS) / BigInt(10000)
+  const makerFee = buyAmount * BigInt(MAKER_FEE_BPS) / BigInt(10000)
+
+  // Sells Liberdus for the fee token, so both fees land in tokens the
+  // contract also holds for other reasons
+  async function createOrder (maker = alice) {
+    return otcSwap.connect(maker).createOrder(
+      ethers.ZeroAddress,
+      liberdusToken.target,
+      sellAmount,
+      feeToken.target,
+      buyAmount
+    )
+  }
+
+  async function enableFees () {
+    await otcSwap.connect(owner).updateProtocolFees(TAKER_FEE_BPS, MAKER_FEE_BPS, treasury.address)
+  }
+
+  beforeEach(async function () {
+    [owner, alice, bob, charlie, treasury] = await ethers.getSigners()
+
+    const TestToken = await ethers.getContractFactory('TestToken')
+    liberdusToken = await TestToken.deploy('Liberdus', 'LBDS')
+    feeToken = await TestToken.deploy('DAI Stablecoin', 'DAI')
+
+    const OTCSwap = await ethers.getContractFactory('OTCSwap')
+    otcSwap = await OTCSwap.deploy(feeToken.target, ORDER_FEE, [feeToken.target, liberdusToken.target, NATIVE_TOKEN], liberdusToken.target)
+    await otcSwap.waitForDeployment()
+
+    for (const account of [alice, bob]) {
+      await liberdusToken.transfer(account.address, ethers.parseEther('10000'))
+      await feeToken.transfer(account.address, ethers.parseEther('10000'))
+      await liberdusToken.connect(account).approve(otcSwap.target, ethers.MaxUint256)
+      await feeToken.connect(account).approve(otcSwap.target, ethers.MaxUint256)
+    }
+  })
+
+  describe('configuration', function () {
+    it('should charge nothing and pay the owner by default', async function () {
+      expect(await otcSwap.takerFeeBps()).to.equal(0)
+      expect(await otcSwap.makerFeeBps()).to.equal(0)
+      expect(await otcSwap.feeRecipient()).to.equal(owner.address)
+
+      await createOrder()
+      const fill = otcSwap.connect(bob).fillOrder(0)
+      await expect(fill).to.changeTokenBalance(liberdusToken, bob, sellAmount)
+      await expect(fill).to.changeTokenBalance(feeToken, alice, buyAmount)
+      await expect(fill).to.not.emit(otcSwap, 'ProtocolFeeAccrued')
+    })
+
+    it('should let only fee managers update the fees', async function () {
+      await expect(otcSwap.connect(alice).updateProtocolFees(TAKER_FEE_BPS, MAKER_FEE_BPS, treasury.address))
+        .to.be.revertedWithCustomError(otcSwap, 'AccessControlUnauthorizedAccount')
+
+      const update = await otcSwap.connect(owner).updateProtocolFees(TAKER_FEE_BPS, MAKER_FEE_BPS, treasury.address)
+      await expect(update)
+        .to.emit(otcSwap, 'ProtocolFeeConfigUpdated')
+        .withArgs(TAKER_FEE_BPS, MAKER_FEE_BPS, treasury.address, await time.latest())
+    })
+
+    it('should reject fees above the cap and a zero recipient', async function () {
+      const maxFee = await otcSwap.MAX_PROTOCOL_FEE_BPS()
+
+      await expect(otcSwap.connect(owner).updateProtocolFees(maxFee + BigInt(1), 0, treasury.address))
+        .to.be.revertedWith('Protocol fee too high')
+      await expect(otcSwap.connect(owner).updateProtocolFees(0, maxFee + BigInt(1), treasury.address))
+        .to.be.revertedWith('Protocol fee too high')
+      await expect(otcSwap.connect(owner).updateProtocolFees(TAKER_FEE_BPS, MAKER_FEE_BPS, ethers.ZeroAddress))
+        .to.be.revertedWith('Invalid fee recipient')
+    })
+  })
+
+  describe('fills', function () {
+    beforeEach(enableFees)
+
+    it('should take the taker fee in the sell token and the maker fee in the buy token', async function () {
+      await createOrder()
+
+      const fill = await otcSwap.connect(bob).fillOrder(0)
+      await expect(fill).to.changeTokenBalance(liberdusToken, bob, sellAmount - takerFee)
+      await expect(fill).to.changeTokenBalances(feeToken, [bob, alice], [-buyAmount, buyAmount - makerFee])
+      await expect(fill)
+        .to.emit(otcSwap, 'ProtocolFeeAccrued')
+        .withArgs(0, feeToken.target, alice.address, makerFee, await time.latest())
+      await expect(fill)
+        .to.emit(otcSwap, 'ProtocolFeeAccrued')
+        .withArgs(0, liberdusToken.target, bob.address, takerFee, await time.latest())
+      // The fill event still reports the traded amounts
+      await expect(fill)
+        .to.emit(otcSwap, 'OrderFilled')
+        .withArgs(0, alice.address, bob.address, liberdusToken.target, sellAmount, feeToken.target, buyAmount, await time.latest())
+
+      expect(await otcSwap.protocolFeeBalances(liberdusToken.target)).to.equal(takerFee)
+      expect(await otcSwap.protocolFeeBalances(feeToken.target)).to.equal(makerFee)
+      expect(await otcSwap.escrowedBalances(liberdusToken.target)).to.equal(0)
+    })
+
+    it('should charge partial fills on the amounts they trade', async function () {
+      await createOrder()
+
+      await otcSwap.connect(bob).fillOrderPartial(0, buyAmount / BigInt(4))
+      await otcSwap.connect(bob).fillOrder(0)
+
+      expect(await otcSwap.protocolFeeBalances(liberdusToken.target)).to.equal(
+        (sellAmount / BigInt(4)) * BigInt(TAKER_FEE_BPS) / BigInt(10000) +
+        (sellAmount * BigInt(3) / BigInt(4)) * BigInt(TAKER_FEE_BPS) / BigInt(10000)
+      )
+      expect(await otcSwap.protocolFeeBalances(feeToken.target)).to.equal(
+        (buyAmount / BigInt(4)) * BigInt(MAKER_FEE_BPS) / BigInt(10000) +
+        (buyAmount * BigInt(3) / BigInt(4)) * BigInt(MAKER_FEE_BPS) / BigInt(10000)
+      )
+    })
+
+    it('should keep the maker fee out of native coin paid to the maker', async function () {
+      const nativeAmount = ethers.parseEther('2')
+      const nativeFee = nativeAmount * BigInt(MAKER_FEE_BPS) / BigInt(10000)
+      await otcSwap.connect(alice).createOrder(ethers.ZeroAddress, liberdusToken.target, sellAmount, NATIVE_TOKEN, nativeAmount)
+
+      const fill = otcSwap.connect(bob).fillOrder(0, { value: nativeAmount })
+      await expect(fill).to.changeEtherBalances([bob, alice, otcSwap], [-nativeAmount, nativeAmount - nativeFee, nativeFee])
+      expect(await otcSwap.protocolFeeBalances(NATIVE_TOKEN)).to.equal(nativeFee)
+    })
+
+    it('should refuse a maker fee in a token that arrives short', async function () {
+      const FeeOnTransferToken = await ethers.getContractFactory('FeeOnTransferToken')
+      const fotToken = await FeeOnTransferToken.deploy(100)
+      await otcSwap.connect(owner).updateAllowedTokens([fotToken.target], [true])
+      await fotToken.mint(bob.address, buyAmount)
+      await fotToken.connect(bob).approve(otcSwap.target, ethers.MaxUint256)
+      await otcSwap.connect(alice).createOrder(ethers.ZeroAddress, liberdusToken.target, sellAmount, fotToken.target, buyAmount)
+
+      // Booking the full fee would leave protocolFeeBalances above what is held
+      await expect(otcSwap.connect(bob).fillOrder(0))
+        .to.be.revertedWith('Fee-on-transfer tokens not supported')
+      expect(await otcSwap.protocolFeeBalances(fotToken.target)).to.equal(0)
+    })
+
+    it('should leave cleanup rewards alone', async function () {
+      await createOrder()
+      await createOrder()
+      await otcSwap.connect(bob).fillOrder(0)
+      expect(await otcSwap.accumulatedFees(feeToken.target)).to.equal(ORDER_FEE * BigInt(2))
+
+      // Protocol fees in the fee token are withdrawn without eating into rewards
+      await otcSwap.connect(owner).withdrawProtocolFees(feeToken.target)
+      await time.increase(ORDER_EXPIRY + GRACE_PERIOD + 1)
+      await expect(otcSwap.connect(charlie)['cleanupExpiredOrders(uint256)'](10))
+        .to.changeTokenBalance(feeToken, charlie, ORDER_FEE * BigInt(2))
+    })
+  })
+
+  describe('withdrawals', function () {
+    beforeEach(enableFees)
+
+    it('should send a token\'s fees to the fee recipient', async function () {
+      await createOrder()
+      await otcSwap.connect(bob).fillOrder(0)
+
+      const withdraw = await otcSwap.connect(owner).withdrawProtocolFees(liberdusToken.target)
+      await expect(withdraw).to.changeTokenBalances(liberdusToken, [otcSwap, treasury], [-takerFee, takerFee])
+      await expect(withdraw)
+        .to.emit(otcSwap, 'ProtocolFeesWithdrawn')
+        .withArgs(liberdusToken.target, treasury.address, takerFee, await time.latest())
+      expect(await otcSwap.protocolFeeBalances(liberdusToken.target)).to.equal(0)
+      // The other token's fees are left alone
+      expect(await otcSwap.protocolFeeBalances(feeToken.target)).to.equal(makerFee)
+    })
+
+    it('should list every token fees were charged in, once', async function () {
+      await createOrder()
+      await createOrder()
+      await otcSwap.connect(bob).fillOrder(0)
+      await otcSwap.connect(bob).fillOrder(1)
+      await otcSwap.connect(owner).withdrawProtocolFees(liberdusToken.target)
+
+      const [tokens, amounts] = await otcSwap.getProtocolFeeBalances()
+      expect(tokens).to.deep.equal([feeToken.target, liberdusToken.target])
+      expect(amounts).to.deep.equal([makerFee * BigInt(2), 0])
+
+      const client = new OTCClient(otcSwap.target, ethers.provider)
+      expect(await client.getProtocolFeeBalances()).to.deep.equal([{ token: feeToken.target, amount: makerFee * BigInt(2) }])
+    })
+
+    it('should not pay out escrow or an empty balance', async function () {
+      await createOrder()
+
+      await expect(otcSwap.connect(owner).withdrawProtocolFees(liberdusToken.target))
+        .to.be.revertedWith('No protocol fees')
+      await expect(otcSwap.connect(alice).withdrawProtocolFees(liberdusToken.target))
+        .to.be.revertedWithCustomError(otcSwap, 'AccessControlUnauthorizedAccount')
+    })
+
+    it('should send native fees to the fee recipient', async function () {
+      const nativeAmount = ethers.parseEther('2')
+      const nativeFee = nativeAmount * BigInt(MAKER_FEE_BPS) / BigInt(10000)
+      await otcSwap.connect(alice).createOrder(ethers.ZeroAddress, liberdusToken.target, sellAmount, NATIVE_TOKEN, nativeAmount)
+      await otcSwap.connect(bob).fillOrder(0, { value: nativeAmount })
+
+      await expect(otcSwap.connect(owner).withdrawProtocolFees(NATIVE_TOKEN))
+        .to.changeEtherBalances([otcSwap, treasury], [-nativeFee, nativeFee])
+    })
+  })
+
+  describe('OTCClient', function () {
+    it('should read the protocol fee configuration', async function () {
+      await enableFees()
+      const client = new OTCClient(otcSwap.target, ethers.provider)
+
+      expect(await client.getProtocolFees()).to.deep.equal({
+        takerFeeBps: TAKER_FEE_BPS,
+        makerFeeBps: MAKER_FEE_BPS,
+        feeRecipient: treasury.address
+      })
+    })
+  })
+})
@@ -0,0 +1,233 @@
+const { expect } = require('chai')
+const { ethers } = require('hardhat')
+const { time } = require('@nomicfoundation/hardhat-toolbox/network-helpers')
+const {
+  OTCClient,
+  SIGNED_ORDER_TYPES,
+  signedOrderDomain,
+  buildSignedOrder,
+  hashSignedOrder,
+  signOrder,
+  verifySignedOrder,
+  serializeSignedOrder,
+  deserializeSignedOrder
+} = require('../client')
+
+describe('OTCSwap - Signed Orders', function () {
+  let otcSwap
+  let tokenA
+  let feeToken
+  let liberdusToken
+  let alice
+  let bob
+  let charlie
+  let domain
+
+  const ORDER_FEE = ethers.parseUnits('1', 18)
+  const sellAmount = ethers.parseEther('100')
+  const buyAmount = ethers.parseEther('200')
+
+  async function signedOrder (overrides = {}, signer = alice) {
+    const order = buildSignedOrder({
+      maker: alice.address,
+      sellToken: liberdusToken.target,
+      sellAmount,
+      buyToken: tokenA.target,
+      buyAmount,
+      nonce: 1,
+      expiry: (await time.latest()) + 3600,
+      ...overrides
+    })
+    // Signed directly so tests can produce signatures from the wrong account
+    const signature = await signer.signTypedData(domain, SIGNED_ORDER_TYPES, order)
+    return { order, signature }
+  }
+
+  beforeEach(async function () {
+    [, alice, bob, charlie] = await ethers.getSigners()
+
+    const TestToken = await ethers.getContractFactory('TestToken')
+    tokenA = await TestToken.deploy('Token A', 'TKA')
+    liberdusToken = await TestToken.deploy('Liberdus', 'LBDS')
+    feeToken = await TestToken.deploy('DAI Stablecoin', 'DAI')
+
+    const OTCSwap = await ethers.getContractFactory('OTCSwap')
+    otcSwap = await OTCSwap.deploy(feeToken.target, ORDER_FEE, [tokenA.target, feeToken.target, liberdusToken.target], liberdusToken.target)
+    await otcSwap.waitForDeployment()
+
+    await liberdusToken.transfer(alice.address, ethers.parseEther('10000'))
+    await tokenA.transfer(bob.address, ethers.parseEther('10000'))
+    await tokenA.transfer(charlie.address, ethers.parseEther('10000'))
+
+    await liberdusToken.connect(alice).approve(otcSwap.target, ethers.MaxUint256)
+    await tokenA.connect(bob).approve(otcSwap.target, ethers.MaxUint256)
+    await tokenA.connect(charlie).approve(otcSwap.target, ethers.MaxUint256)
+
+    const { chainId } = await ethers.provider.getNetwork()
+    domain = signedOrderDomain(chainId, otcSwap.target)
+  })
+
+  describe('fillSignedOrder', function () {
+    it('should swap both legs directly between maker and taker', async function () {
+      const { order, signature } = await signedOrder()
+
+      const aliceTokenA = await tokenA.balanceOf(alice.address)
+      const bobLiberdus = await liberdusToken.balanceOf(bob.address)
+
+      const tx = await otcSwap.connect(bob).fillSignedOrder(order, signature)
+      await expect(tx)
+        .to.emit(otcSwap, 'SignedOrderFilled')
+        .withArgs(
+          hashSignedOrder(domain, order),
+          alice.address,
+          bob.address,
+          liberdusToken.target,
+          sellAmount,
+          tokenA.target,
+          buyAmount,
+          1,
+          await time.latest()
+        )
+
+      expect(await tokenA.balanceOf(alice.address)).to.equal(aliceTokenA + buyAmount)
+      expect(await liberdusToken.balanceOf(bob.address)).to.equal(bobLiberdus + sellAmount)
+      expect(await liberdusToken.balanceOf(otcSwap.target)).to.equal(0)
+      expect(await otcSwap.accumulatedFees(feeToken.target)).to.equal(0)
+      expect(await otcSwap.signedOrderNonceUsed(alice.address, 1)).to.be.true
+    })
+
+    it('should match the contract digest', async function () {
+      const { order } = await signedOrder()
+      expect(await otcSwap.hashSignedOrder(order)).to.equal(hashSignedOrder(domain, order))
+    })
+
+    it('should not fill the same order twice', async function () {
+      const { order, signature } = await signedOrder()
+      await otcSwap.connect(bob).fillSignedOrder(order, signature)
+
+      await expect(otcSwap.connect(bob).fillSignedOrder(order, signature))
+        .to.be.revertedWith('Order nonce already used')
+    })
+
+    it('should reject orders not signed by the maker', async function () {
+      const { order, signature } = await signedOrder({}, bob)
+      await expect(otcSwap.connect(bob).fillSignedOrder(order, signature))
+        .to.be.revertedWith('Invalid signature')
+
+      // A valid signature does not cover altered amounts
+      const signed = await signedOrder()
+      const tampered = { ...signed.order, sellAmount: sellAmount * BigInt(2) }
+      await expect(otcSwap.connect(bob).fillSignedOrder(tampered, signed.signature))
+        .to.be.revertedWith('Invalid signature')
+    })
+
+    it('should enforce expiry and taker restrictions', async function () {
+      const expiring = await signedOrder()
+      await time.increase(3601)
+      await expect(otcSwap.connect(bob).fillSignedOrder(expiring.order, expiring.signature))
+        .to.be.revertedWith('Order has expired')
+
+      const { order, signature } = await signedOrder({ taker: charlie.address, nonce: 2 })
+      await expect(otcSwap.connect(bob).fillSignedOrder(order, signature))
+        .to.be.revertedWith('Not authorized to fill this order')
+      await otcSwap.connect(charlie).fillSignedOrder(order, signature)
+    })
+
+    it('should apply the same token rules as createOrder', async function () {
+      const TestToken = await ethers.getContractFactory('TestToken')
+      const tokenC = await TestToken.deploy('Token C', 'TKC')
+
+      const { order, signature } = await signedOrder({ buyToken: tokenC.target })
+      await expect(otcSwap.connect(bob).fillSignedOrder(order, signature))
+        .to.be.revertedWith('Buy token not allowed')
+    })
+
+    it('should fail cleanly when the maker no longer has the tokens', async function () {
+      const { order, signature } = await signedOrder()
+      await liberdusToken.connect(alice).approve(otcSwap.target, 0)
+
+      await expect(otcSwap.connect(bob).fillSignedOrder(order, signature))
+        .to.be.revertedWith('Insufficient maker allowance for sell token')
+    })
+  })
+
+  describe('cancellation', function () {
+    it('should cancel a single order by nonce', async function () {
+      const { order, signature } = await signedOrder()
+
+      await expect(otcSwap.connect(alice).cancelSignedOrder(1))
+        .to.emit(otcSwap, 'SignedOrderCanceled')
+        .withArgs(alice.address, 1, await time.latest() + 1)
+
+      await expect(otcSwap.connect(bob).fillSignedOrder(order, signature))
+        .to.be.revertedWith('Order nonce already used')
+      await expect(otcSwap.connect(alice).cancelSignedOrder(1))
+        .to.be.revertedWith('Order nonce already used')
+    })
+
+    it('should cancel every order below a nonce', async function () {
+      const first = await signedOrder({ nonce: 5 })
+      const second = await signedOrder({ nonce: 9 })
+      const kept = await signedOrder({ nonce: 10 })
+
+      await otcSwap.connect(alice).cancelSignedOrdersUpTo(10)
+
+      await expect(otcSwap.connect(bob).fillSignedOrder(first.order, first.signature))
+        .to.be.revertedWith('Order nonce already used')
+      await expect(otcSwap.connect(bob).fillSignedOrder(second.order, second.signature))
+        .to.be.revertedWith('Order nonce already used')
+      await otcSwap.connect(bob).fillSignedOrder(kept.order, kept.signature)
+
+      await expect(otcSwap.connect(alice).cancelSignedOrdersUpTo(10))
+        .to.be.revertedWith('Nonce must increase')
+    })
+  })
+
+  describe('JS helpers', function () {
+    it('should sign and verify orders off-chain', async function () {
+      const { order } = await signedOrder()
+      const signature = await signOrder(alice, domain, order)
+
+      expect(verifySignedOrder(domain, order, signature)).to.be.true
+      expect(verifySignedOrder(domain, { ...order, buyAmount: 1n }, signature)).to.be.false
+      await expect(signOrder(bob, domain, order)).to.be.rejectedWith('signed by their maker')
+
+      const restored = deserializeSignedOrder(JSON.parse(JSON.stringify(serializeSignedOrder(order, signature))))
+      expect(restored.order).to.deep.equal(order)
+      expect(restored.signature).to.equal(signature)
+    })
+
+    it('should sign, track and fill orders through OTCClient', async function () {
+      const makerClient = new OTCClient(otcSwap.target, ethers.provider).connect(alice)
+      const takerClient = new OTCClient(otcSwap.target, ethers.provider).connect(bob)
+
+      expect(await makerClient.getSignedOrderDomain()).to.deep.equal(domain)
+
+      const { order, signature, orderHash } = await makerClient.signOrder({
+        sellToken: liberdusToken.target,
+        sellAmount,
+        buyToken: tokenA.target,
+        buyAmount
+      })
+      expect(order.maker).to.equal(alice.address)
+      expect((await takerClient.getSignedOrderState(order)).isFillable).to.be.true
+
+      const filled = await takerClient.fillSignedOrder(order, signature)
+      expect(filled.orderHash).to.equal(orderHash)
+
+      const state = await takerClient.getSignedOrderState(order)
+      expect(state.nonceUsed).to.be.true
+      expect(state.isFillable).to.be.false
+
+      const next = await makerClient.signOrder({
+        sellToken: liberdusToken.target,
+        sellAmount,
+        buyToken: tokenA.target,
+        buyAmount,
+        nonce: order.nonce + 1n
+      })
+      await makerClient.cancelSignedOrdersUpTo(next.order.nonce + 1n)
+      expect((await takerClient.getSignedOrderState(next.order)).isCanceled).to.be.true
+    })
+  })
+})
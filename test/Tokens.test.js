@@ -0,0 +1,132 @@
+const { expect } = require('chai')
+const { ethers } = require('hardhat')
+const { TokenCache, NATIVE_TOKEN, price, orderPrice, formatPrice } = require('../client')
+
+describe('Token metadata and pricing', function () {
+  const USDC = { address: '0x00000000000000000000000000000000000000aa', symbol: 'USDC', decimals: 6 }
+  const WBTC = { address: '0x00000000000000000000000000000000000000bb', symbol: 'WBTC', decimals: 8 }
+  const LBDS = { address: '0x00000000000000000000000000000000000000cc', symbol: 'LBDS', decimals: 18 }
+
+  function order (sell, sellAmount, buy, buyAmount, remaining = {}) {
+    return {
+      sellToken: sell.address,
+      buyToken: buy.address,
+      sellAmount,
+      buyAmount,
+      remainingSellAmount: remaining.sell ?? sellAmount,
+      remainingBuyAmount: remaining.buy ?? buyAmount
+    }
+  }
+
+  describe('price', function () {
+    it('should scale amounts by each token\'s decimals', function () {
+      // 1 USDC for 2 LBDS
+      expect(price(ethers.parseUnits('1', 6), 6, ethers.parseEther('2'), 18)).to.equal(ethers.parseEther('2'))
+      expect(price(ethers.parseEther('2'), 18, ethers.parseUnits('1', 6), 6)).to.equal(ethers.parseEther('0.5'))
+    })
+
+    it('should price pairs where neither side has 18 decimals', function () {
+      // 0.5 WBTC for 30,000 USDC
+      const wbtc = ethers.parseUnits('0.5', 8)
+      const usdc = ethers.parseUnits('30000', 6)
+
+      expect(price(wbtc, 8, usdc, 6)).to.equal(ethers.parseEther('60000'))
+      // 1/60000 rounded down at 18 decimals
+      expect(price(usdc, 6, wbtc, 8)).to.equal(16666666666666n)
+    })
+
+    it('should have no price for a zero base amount', function () {
+      expect(price(0n, 18, 1n, 18)).to.be.null
+      expect(formatPrice(null)).to.equal('n/a')
+    })
+  })
+
+  describe('orderPrice', function () {
+    it('should price both directions normalised to Liberdus per unit', function () {
+      const selling = orderPrice(order(USDC, ethers.parseUnits('100', 6), LBDS, ethers.parseEther('250')), USDC, LBDS, LBDS.address)
+      expect(selling.buyPerSell).to.equal(ethers.parseEther('2.5'))
+      expect(selling.sellPerBuy).to.equal(ethers.parseEther('0.4'))
+      expect(selling.liberdusPerUnit).to.equal(ethers.parseEther('2.5'))
+      expect(selling.unitToken).to.equal(USDC.address)
+
+      // The same price seen from a maker selling Liberdus
+      const buying = orderPrice(order(LBDS, ethers.parseEther('250'), USDC, ethers.parseUnits('100', 6)), LBDS, USDC, LBDS.address)
+      expect(buying.liberdusPerUnit).to.equal(ethers.parseEther('2.5'))
+      expect(buying.unitToken).to.equal(USDC.address)
+    })
+
+    it('should price the remainder of open orders and the totals of finished ones', function () {
+      const repriced = order(LBDS, ethers.parseEther('100'), WBTC, ethers.parseUnits('1', 8), {
+        sell: ethers.parseEther('50'),
+        buy: ethers.parseUnits('1', 8)
+      })
+      expect(orderPrice(repriced, LBDS, WBTC, LBDS.address).liberdusPerUnit).to.equal(ethers.parseEther('50'))
+
+      const filled = order(LBDS, ethers.parseEther('100'), WBTC, ethers.parseUnits('1', 8), { sell: 0n, buy: 0n })
+      expect(orderPrice(filled, LBDS, WBTC, LBDS.address).liberdusPerUnit).to.equal(ethers.parseEther('100'))
+    })
+
+    it('should leave liberdusPerUnit empty when neither side is Liberdus', function () {
+      const prices = orderPrice(order(WBTC, ethers.parseUnits('1', 8), USDC, ethers.parseUnits('60000', 6)), WBTC, USDC, LBDS.address)
+
+      expect(prices.buyPerSell).to.equal(ethers.parseEther('60000'))
+      expect(prices.liberdusPerUnit).to.be.null
+      expect(prices.unitToken).to.be.null
+    })
+  })
+
+  describe('TokenCache', function () {
+    let usdc
+    let liberdusToken
+    let alice
+
+    beforeEach(async function () {
+      [, alice] = await ethers.getSigners()
+      const TestToken = await ethers.getContractFactory('TestToken')
+      const TestTokenDecimals = await ethers.getContractFactory('TestTokenDecimals')
+      liberdusToken = await TestToken.deploy('Liberdus', 'LBDS')
+      usdc = await TestTokenDecimals.deploy('USD Coin', 'USDC', 6)
+    })
+
+    it('should read metadata once and format and parse amounts with it', async function () {
+      const tokens = new TokenCache(ethers.provider)
+
+      expect(tokens.get(usdc.target)).to.equal(tokens.get(usdc.target.toLowerCase()))
+      expect(await tokens.get(usdc.target)).to.deep.equal({ address: usdc.target, symbol: 'USDC', decimals: 6 })
+      expect(await tokens.format(usdc.target, 1500000n)).to.equal('1.5 USDC')
+      expect(await tokens.parse(usdc.target, '1.5')).to.equal(1500000n)
+      expect(await tokens.all()).to.have.length(1)
+    })
+
+    it('should fall back for tokens without metadata and for the native coin', async function () {
+      const tokens = new TokenCache(ethers.provider)
+
+      const unknown = await tokens.get(alice.address)
+      expect(unknown.decimals).to.equal(18)
+      expect(unknown.symbol).to.equal(`${alice.address.slice(0, 6)}...${alice.address.slice(-4)}`)
+      expect(await tokens.format(NATIVE_TOKEN, ethers.parseEther('2'))).to.equal('2.0 POL')
+    })
+
+    it('should describe order prices without reading seeded tokens', async function () {
+      const tokens = new TokenCache(null, { tokens: [USDC, LBDS] })
+      const usdcOrder = order(USDC, ethers.parseUnits('100', 6), LBDS, ethers.parseEther('250'))
+
+      expect(await tokens.formatOrderPrice(usdcOrder, LBDS.address)).to.equal('2.5 LBDS per USDC')
+      expect(await tokens.formatOrderPrice(usdcOrder)).to.equal('2.5 LBDS per USDC')
+      expect(await tokens.formatOrderPrice(order(LBDS, ethers.parseEther('1'), USDC, ethers.parseUnits('4', 6)), USDC.address))
+        .to.equal('4.0 USDC per LBDS')
+    })
+
+    it('should price orders between deployed tokens of different decimals', async function () {
+      const tokens = new TokenCache(ethers.provider)
+      const usdcOrder = order(
+        { address: liberdusToken.target }, ethers.parseEther('300'),
+        { address: usdc.target }, ethers.parseUnits('150', 6)
+      )
+
+      const prices = await tokens.orderPrice(usdcOrder, liberdusToken.target)
+      expect(prices.liberdusPerUnit).to.equal(ethers.parseEther('2'))
+      expect(await tokens.formatOrderPrice(usdcOrder, liberdusToken.target)).to.equal('2.0 LBDS per USDC')
+    })
+  })
+})
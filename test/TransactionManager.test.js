@@ -0,0 +1,267 @@
+const { expect } = require('chai')
+const { ethers, network } = require('hardhat')
+const hre = require('hardhat')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { mine } = require('@nomicfoundation/hardhat-toolbox/network-helpers')
+const { OTCClient, TransactionManager, decodeRevert } = require('../client')
+const { MemoryStore, JsonFileStore } = require('../indexer')
+
+describe('TransactionManager', function () {
+  let otcSwap
+  let tokenA
+  let feeToken
+  let liberdusToken
+  let alice
+  let bob
+  let manager
+  let updates
+
+  const ORDER_FEE = ethers.parseUnits('1', 18)
+  const sellAmount = ethers.parseEther('100')
+  const buyAmount = ethers.parseEther('200')
+
+  function createOrderRequest () {
+    return otcSwap.connect(alice)['createOrder(address,address,uint256,address,uint256)'].populateTransaction(
+      ethers.ZeroAddress, liberdusToken.target, sellAmount, tokenA.target, buyAmount
+    )
+  }
+
+  function newManager (options = {}) {
+    return new TransactionManager(alice, {
+      pollInterval: 10,
+      onUpdate: (type, tx) => updates.push([type, tx.nonce]),
+      ...options
+    })
+  }
+
+  beforeEach(async function () {
+    [, alice, bob] = await ethers.getSigners()
+    updates = []
+
+    const TestToken = await ethers.getContractFactory('TestToken')
+    tokenA = await TestToken.deploy('Token A', 'TKA')
+    liberdusToken = await TestToken.deploy('Liberdus', 'LBDS')
+    feeToken = await TestToken.deploy('DAI Stablecoin', 'DAI')
+
+    const OTCSwap = await ethers.getContractFactory('OTCSwap')
+    otcSwap = await OTCSwap.deploy(feeToken.target, ORDER_FEE, [tokenA.target, liberdusToken.target], liberdusToken.target)
+    await otcSwap.waitForDeployment()
+
+    await liberdusToken.transfer(alice.address, ethers.parseEther('10000'))
+    await feeToken.transfer(alice.address, ORDER_FEE * 100n)
+    await liberdusToken.connect(alice).approve(otcSwap.target, ethers.MaxUint256)
+    await feeToken.connect(alice).approve(otcSwap.target, ethers.MaxUint256)
+
+    manager = newManager()
+  })
+
+  afterEach(async function () {
+    await manager.stop()
+    await network.provider.send('evm_setAutomine', [true])
+  })
+
+  it('should queue transactions with consecutive local nonces', async function () {
+    await network.provider.send('evm_setAutomine', [false])
+    const first = await ethers.provider.getTransactionCount(alice.address)
+
+    const sent = await Promise.all([0, 1, 2].map(async () => manager.send(await createOrderRequest(), { label: 'createOrder' })))
+    expect(sent.map(tx => tx.nonce)).to.deep.equal([first, first + 1, first + 2])
+    expect(manager.pending()).to.have.length(3)
+
+    await mine(1)
+    const receipts = await Promise.all(sent.map(tx => tx.wait()))
+
+    expect(receipts.map(receipt => receipt.status)).to.deep.equal([1, 1, 1])
+    expect(new Set(receipts.map(receipt => receipt.blockNumber)).size).to.equal(1)
+    expect(await otcSwap.nextOrderId()).to.equal(3)
+    expect(manager.pending()).to.deep.equal([])
+    expect(updates).to.deep.equal([
+      ['sent', first], ['sent', first + 1], ['sent', first + 2],
+      ['confirmed', first], ['confirmed', first + 1], ['confirmed', first + 2]
+    ])
+  })
+
+  it('should price transactions with the fee strategy', async function () {
+    const { baseFeePerGas } = await ethers.provider.getBlock('latest')
+    const { maxPriorityFeePerGas: priorityFee } = await ethers.provider.getFeeData()
+
+    expect(await manager.fees()).to.deep.equal({
+      maxPriorityFeePerGas: priorityFee * 125n / 100n,
+      maxFeePerGas: baseFeePerGas * 2n + priorityFee * 125n / 100n
+    })
+    expect((await newManager({ feeStrategy: 'fast' }).fees()).maxFeePerGas)
+      .to.equal(baseFeePerGas * 3n + priorityFee * 2n)
+
+    const custom = newManager({ feeStrategy: async ({ baseFee }) => ({ maxFeePerGas: baseFee + 5n, maxPriorityFeePerGas: 5n }) })
+    expect(await custom.fees()).to.deep.equal({ maxFeePerGas: baseFeePerGas + 5n, maxPriorityFeePerGas: 5n })
+
+    const capped = newManager({ maxFeePerGas: 1000n })
+    expect(await capped.fees()).to.deep.equal({ maxFeePerGas: 1000n, maxPriorityFeePerGas: 1000n })
+
+    expect(() => newManager({ feeStrategy: 'instant' })).to.throw('Unknown fee strategy instant')
+    expect(() => newManager({ bumpPercent: 5 })).to.throw('bumpPercent must be at least 10')
+  })
+
+  it('should replace a stuck transaction with higher fees', async function () {
+    manager = newManager({ feeStrategy: 'slow', bumpAfter: 0 })
+    await network.provider.send('evm_setAutomine', [false])
+
+    const tx = await manager.send(await createOrderRequest(), { label: 'createOrder' })
+    const [stuck] = manager.pending()
+    // Base fees jump past what the transaction offers, so it is not mined
+    await network.provider.send('hardhat_setNextBlockBaseFeePerGas', [ethers.toQuantity(stuck.maxFeePerGas * 4n)])
+    await mine(1)
+    expect(await ethers.provider.getTransactionReceipt(stuck.hashes[0])).to.be.null
+
+    await manager.poll()
+    const [bumped] = manager.pending()
+    expect(bumped.hashes).to.have.length(2)
+    expect(bumped.nonce).to.equal(stuck.nonce)
+    expect(bumped.maxFeePerGas).to.be.greaterThanOrEqual(stuck.maxFeePerGas * 115n / 100n)
+    expect(bumped.maxPriorityFeePerGas).to.be.greaterThanOrEqual(stuck.maxPriorityFeePerGas * 115n / 100n)
+    expect(tx.hash).to.equal(bumped.hashes[1])
+
+    await mine(1)
+    const receipt = await tx.wait()
+    expect(receipt.hash).to.equal(bumped.hashes[1])
+    expect(updates.map(([type]) => type)).to.deep.equal(['sent', 'bumped', 'confirmed'])
+  })
+
+  it('should not bump past maxFeePerGas', async function () {
+    const { maxFeePerGas } = await manager.fees()
+    manager = newManager({ bumpAfter: 0, maxFeePerGas })
+    await network.provider.send('evm_setAutomine', [false])
+
+    await manager.send(await createOrderRequest())
+    await manager.poll()
+
+    expect(manager.pending()[0].hashes).to.have.length(1)
+    await mine(1)
+  })
+
+  it('should reject a transaction that would revert with the decoded reason', async function () {
+    const request = await otcSwap.connect(alice).fillOrder.populateTransaction(5)
+    const error = await manager.send(request).catch(error => error)
+
+    expect(error.message).to.equal('Transaction would revert: Order does not exist')
+    expect(error.revert).to.deep.equal({ name: 'Error', args: ['Order does not exist'], reason: 'Order does not exist' })
+
+    // The nonce was not used
+    await manager.send(await createOrderRequest())
+    expect(updates).to.deep.equal([['sent', await ethers.provider.getTransactionCount(alice.address) - 1]])
+  })
+
+  it('should decode custom errors', async function () {
+    const request = await otcSwap.connect(alice).pause.populateTransaction()
+    const error = await manager.send(request).catch(error => error)
+
+    expect(error.revert.name).to.equal('AccessControlUnauthorizedAccount')
+    expect(error.revert.args[0]).to.equal(alice.address)
+
+    const data = new ethers.Interface(['error ERC20InsufficientAllowance(address spender, uint256 allowance, uint256 needed)'])
+      .encodeErrorResult('ERC20InsufficientAllowance', [otcSwap.target, 1, 2])
+    expect(decodeRevert(data).reason).to.equal(`ERC20InsufficientAllowance(${otcSwap.target}, 1, 2)`)
+    expect(decodeRevert('0x12345678').reason).to.equal('Unknown error 0x12345678')
+  })
+
+  it('should report why a mined transaction reverted', async function () {
+    await network.provider.send('evm_setAutomine', [false])
+    const request = await otcSwap.connect(alice).fillOrder.populateTransaction(5)
+
+    const tx = await manager.send({ ...request, gasLimit: 200000 })
+    await mine(1)
+    const error = await tx.wait().catch(error => error)
+
+    expect(error.message).to.match(/^Transaction 0x[0-9a-f]+ reverted: Order does not exist$/)
+    expect(error.receipt.status).to.equal(0)
+    expect(error.revert.reason).to.equal('Order does not exist')
+    expect(updates.map(([type]) => type)).to.deep.equal(['sent', 'failed'])
+  })
+
+  it('should report a nonce used by another transaction', async function () {
+    await network.provider.send('evm_setAutomine', [false])
+    const tx = await manager.send(await createOrderRequest())
+    const [pending] = manager.pending()
+
+    await alice.sendTransaction({
+      to: bob.address,
+      nonce: tx.nonce,
+      maxFeePerGas: pending.maxFeePerGas * 2n,
+      maxPriorityFeePerGas: pending.maxPriorityFeePerGas * 2n
+    })
+    await mine(1)
+
+    await expect(tx.wait()).to.be.rejectedWith(`Nonce ${tx.nonce} of ${alice.address} was used by another transaction`)
+  })
+
+  it('should resume pending transactions saved by an earlier process', async function () {
+    const store = new MemoryStore()
+    manager = newManager({ store })
+    await network.provider.send('evm_setAutomine', [false])
+
+    const tx = await manager.send(await createOrderRequest(), { label: 'createOrder' })
+    await manager.stop()
+    expect((await store.load()).transactions.map(saved => saved.id)).to.deep.equal([tx.id])
+
+    const restarted = newManager({ store })
+    const [resumed] = await restarted.resume()
+    expect(resumed).to.include({ id: tx.id, label: 'createOrder', nonce: tx.nonce, hash: tx.hash })
+
+    await mine(1)
+    expect((await resumed.wait()).hash).to.equal(tx.hash)
+    expect((await store.load()).transactions).to.deep.equal([])
+  })
+
+  describe('with OTCClient', function () {
+    it('should send client calls through the manager with parsed logs', async function () {
+      const client = new OTCClient(otcSwap.target, alice, { transactions: manager })
+
+      const { orderId } = await client.createOrder({ sellToken: liberdusToken.target, sellAmount, buyToken: tokenA.target, buyAmount })
+      expect(orderId).to.equal(0)
+      await client.cancelOrder(0)
+
+      expect(updates.map(([type]) => type)).to.deep.equal(['sent', 'confirmed', 'sent', 'confirmed'])
+    })
+
+    it('should keep the decoded revert on failed client calls', async function () {
+      const client = new OTCClient(otcSwap.target, alice, { transactions: manager })
+
+      const error = await client.cancelOrder(3).catch(error => error)
+      expect(error.message).to.equal('Failed to cancel order: Transaction would revert: Order does not exist')
+      expect(error.cause.revert.reason).to.equal('Order does not exist')
+    })
+  })
+
+  describe('otc pending', function () {
+    let file
+
+    beforeEach(function () {
+      file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'otc-transactions-')), 'transactions.json')
+      process.env.OTC_TRANSACTIONS_FILE = file
+    })
+
+    afterEach(function () {
+      delete process.env.OTC_TRANSACTIONS_FILE
+      fs.rmSync(path.dirname(file), { recursive: true, force: true })
+    })
+
+    it('should wait for the transactions an earlier command left pending', async function () {
+      expect(await hre.run({ scope: 'otc', task: 'pending' })).to.deep.equal([])
+
+      // The otc commands send from the first signer
+      const [owner] = await ethers.getSigners()
+      manager = new TransactionManager(owner, { store: new JsonFileStore(file) })
+      await network.provider.send('evm_setAutomine', [false])
+      const tx = await manager.send({ to: bob.address, value: 1 }, { label: 'transfer' })
+      await manager.stop()
+      await mine(1)
+
+      expect(await hre.run({ scope: 'otc', task: 'pending' })).to.deep.equal([
+        { nonce: tx.nonce, status: 'confirmed', hash: tx.hash }
+      ])
+      expect(JSON.parse(fs.readFileSync(file, 'utf8')).transactions).to.deep.equal([])
+    })
+  })
+})
@@ -0,0 +1,274 @@
+const { expect } = require('chai')
+const { ethers } = require('hardhat')
+const { time } = require('@nomicfoundation/hardhat-toolbox/network-helpers')
+const fs = require('fs')
+const path = require('path')
+const { OTCClient, CREATE_ORDER_CHECKS, FILL_ORDER_CHECKS } = require('../client')
+
+// Revert strings of the given functions and modifiers in the order they are
+// checked, following calls to the internal checks in `inline`
+function requireMessages (source, names, inline = []) {
+  const messages = []
+  for (const name of names) {
+    const start = source.search(new RegExp(`(function|modifier) ${name}\\(`))
+    expect(start, `${name} not found`).to.be.greaterThan(-1)
+    const body = source.slice(start, source.indexOf('\n    }\n', start))
+    const helpers = inline.length > 0 ? `|\\b(${inline.join('|')})\\(` : ''
+    const statements = new RegExp(`require\\(([\\s\\S]*?)\\);${helpers}`, 'g')
+    for (const [, call, helper] of body.slice(body.indexOf('{')).matchAll(statements)) {
+      if (helper) {
+        messages.push(...requireMessages(source, [helper]))
+      } else {
+        messages.push(call.match(/"([^"]+)"\s*$/)[1])
+      }
+    }
+  }
+  return messages
+}
+
+describe('Order validation', function () {
+  let otcSwap
+  let tokenA
+  let tokenB
+  let unlistedToken
+  let feeToken
+  let liberdusToken
+  let owner
+  let alice
+  let bob
+  let charlie
+  let client
+
+  const ORDER_EXPIRY = 7 * 24 * 60 * 60 // 7 days in seconds
+  const ORDER_FEE = ethers.parseUnits('1', 18)
+  const sellAmount = ethers.parseEther('100')
+  const buyAmount = ethers.parseEther('200')
+
+  function orderParams (overrides = {}) {
+    return {
+      taker: ethers.ZeroAddress,
+      sellToken: liberdusToken.target,
+      sellAmount,
+      buyToken: tokenA.target,
+      buyAmount,
+      expiry: ORDER_EXPIRY,
+      ...overrides
+    }
+  }
+
+  function sendCreateOrder (from, params) {
+    const { taker, sellToken, buyToken, expiry, value = 0 } = params
+    return otcSwap.connect(from)['createOrder(address,address,uint256,address,uint256,uint256)'](
+      taker, sellToken, params.sellAmount, buyToken, params.buyAmount, expiry, { value }
+    )
+  }
+
+  beforeEach(async function () {
+    [owner, alice, bob, charlie] = await ethers.getSigners()
+
+    const TestToken = await ethers.getContractFactory('TestToken')
+    tokenA = await TestToken.deploy('Token A', 'TKA')
+    tokenB = await TestToken.deploy('Token B', 'TKB')
+    unlistedToken = await TestToken.deploy('Unlisted', 'UNL')
+    liberdusToken = await TestToken.deploy('Liberdus', 'LBDS')
+    feeToken = await TestToken.deploy('DAI Stablecoin', 'DAI')
+
+    const OTCSwap = await ethers.getContractFactory('OTCSwap')
+    otcSwap = await OTCSwap.deploy(
+      feeToken.target,
+      ORDER_FEE,
+      [tokenA.target, tokenB.target, liberdusToken.target, feeToken.target],
+      liberdusToken.target
+    )
+    await otcSwap.waitForDeployment()
+
+    for (const account of [alice, bob]) {
+      for (const token of [tokenA, tokenB, unlistedToken, liberdusToken, feeToken]) {
+        await token.transfer(account.address, ethers.parseEther('10000'))
+        await token.connect(account).approve(otcSwap.target, ethers.MaxUint256)
+      }
+    }
+
+    client = new OTCClient(otcSwap.target, alice)
+  })
+
+  describe('validateCreateOrder', function () {
+    // Each case breaks one rule; the validator's first failure must be the
+    // revert the contract actually gives
+    const cases = [
+      ['CONTRACT_PAUSED', async () => otcSwap.connect(owner).pause()],
+      ['CONTRACT_DISABLED', async () => otcSwap.connect(owner).disableContract()],
+      ['INVALID_SELL_TOKEN', async () => ({ sellToken: ethers.ZeroAddress })],
+      ['INVALID_BUY_TOKEN', async () => ({ buyToken: ethers.ZeroAddress })],
+      ['INVALID_SELL_AMOUNT', async () => ({ sellAmount: 0n })],
+      ['INVALID_BUY_AMOUNT', async () => ({ buyAmount: 0n })],
+      ['SAME_TOKEN', async () => ({ buyToken: liberdusToken.target })],
+      ['SELL_TOKEN_NOT_ALLOWED', async () => ({ sellToken: unlistedToken.target })],
+      ['BUY_TOKEN_NOT_ALLOWED', async () => ({ buyToken: unlistedToken.target })],
+      ['NO_ANCHOR_TOKEN', async () => ({ sellToken: tokenB.target })],
+      ['PAIR_DISABLED', async () => otcSwap.connect(owner).setPairEnabled(liberdusToken.target, tokenA.target, false)],
+      ['BELOW_MINIMUM_SIZE', async () => otcSwap.connect(owner).updateMinOrderSize(tokenA.target, buyAmount * 2n)],
+      ['INVALID_EXPIRY', async () => ({ expiry: 1 })],
+      ['INCORRECT_NATIVE_AMOUNT', async () => ({ value: 1n })],
+      ['INSUFFICIENT_SELL_BALANCE', async () => liberdusToken.connect(alice).transfer(bob.address, ethers.parseEther('10000'))],
+      ['INSUFFICIENT_SELL_ALLOWANCE', async () => liberdusToken.connect(alice).approve(otcSwap.target, sellAmount - 1n)],
+      ['INSUFFICIENT_FEE_BALANCE', async () => feeToken.connect(alice).transfer(bob.address, ethers.parseEther('10000'))],
+      ['INSUFFICIENT_FEE_ALLOWANCE', async () => feeToken.connect(alice).approve(otcSwap.target, 0)]
+    ]
+
+    for (const [code, breakRule] of cases) {
+      it(`should report ${code} as the contract's revert`, async function () {
+        const result = await breakRule()
+        const params = orderParams(result && !result.hash ? result : {})
+
+        const { ok, failures } = await client.validateCreateOrder(params)
+        expect(ok).to.be.false
+        expect(failures[0].code).to.equal(code)
+        expect(failures[0].message).to.equal(CREATE_ORDER_CHECKS[code])
+        expect(failures[0].remediation).to.be.a('string').and.not.empty
+        await expect(sendCreateOrder(alice, params)).to.be.revertedWith(failures[0].revertReason)
+      })
+    }
+
+    it('should pass an order the contract accepts', async function () {
+      const params = orderParams()
+      expect(await client.validateCreateOrder(params)).to.deep.equal({ ok: true, failures: [] })
+      await expect(sendCreateOrder(alice, params)).to.emit(otcSwap, 'OrderCreated')
+    })
+
+    it('should list every failing condition in the order the contract checks them', async function () {
+      await otcSwap.connect(owner).updateMinOrderSize(tokenA.target, buyAmount * 2n)
+      const { failures } = await client.validateCreateOrder(orderParams({ sellAmount: 0n, maker: charlie.address }))
+
+      expect(failures.map(failure => failure.code)).to.deep.equal([
+        'INVALID_SELL_AMOUNT',
+        'BELOW_MINIMUM_SIZE',
+        'INSUFFICIENT_FEE_BALANCE',
+        'INSUFFICIENT_FEE_ALLOWANCE'
+      ])
+      expect(failures[1].remediation).to.equal('Buy at least 400.0 TKA')
+      expect(failures[3].remediation).to.equal('Approve 1.0 DAI for the creation fee')
+    })
+
+    it('should require a token that pays for both the order and the fee to cover both', async function () {
+      await feeToken.connect(alice).approve(otcSwap.target, sellAmount)
+      const params = orderParams({ sellToken: feeToken.target, buyToken: liberdusToken.target })
+
+      const { failures } = await client.validateCreateOrder(params)
+      expect(failures).to.deep.equal([{
+        code: 'INSUFFICIENT_ALLOWANCE_FOR_SELL_AND_FEE',
+        message: 'Allowance does not cover the order and the creation fee',
+        revertReason: null,
+        remediation: 'Approve 101.0 DAI for the order and the creation fee'
+      }])
+      // Every require passes; the second transfer runs out of allowance
+      await expect(sendCreateOrder(alice, params)).to.be.revertedWithCustomError(feeToken, 'ERC20InsufficientAllowance')
+    })
+
+    it('should check native sells against the value and the native balance', async function () {
+      const NATIVE_TOKEN = await otcSwap.NATIVE_TOKEN()
+      await otcSwap.connect(owner).updateAllowedTokens([NATIVE_TOKEN], [true])
+      const balance = await ethers.provider.getBalance(alice.address)
+      const params = orderParams({ sellToken: NATIVE_TOKEN, sellAmount: balance + 1n, buyToken: liberdusToken.target })
+
+      const { failures } = await client.validateCreateOrder({ ...params, value: 0n })
+      expect(failures.map(failure => failure.code)).to.deep.equal(['INCORRECT_NATIVE_AMOUNT', 'INSUFFICIENT_NATIVE_BALANCE'])
+      await expect(sendCreateOrder(alice, params)).to.be.revertedWith(failures[0].revertReason)
+    })
+  })
+
+  describe('validateFillOrder', function () {
+    beforeEach(async function () {
+      await sendCreateOrder(alice, orderParams())
+      await sendCreateOrder(alice, orderParams({ taker: charlie.address }))
+    })
+
+    const cases = [
+      ['CONTRACT_PAUSED', async () => otcSwap.connect(owner).pause()],
+      ['ORDER_NOT_FOUND', async () => ({ orderId: 99 })],
+      ['ORDER_NOT_ACTIVE', async () => otcSwap.connect(alice).cancelOrder(0)],
+      ['ORDER_EXPIRED', async () => time.increase(ORDER_EXPIRY + 1)],
+      ['NOT_AUTHORIZED_TAKER', async () => ({ orderId: 1 })],
+      ['INVALID_FILL_AMOUNT', async () => ({ buyAmount: buyAmount + 1n })],
+      ['FILL_TOO_SMALL', async () => ({ buyAmount: 1n })],
+      ['SELL_AMOUNT_BELOW_MINIMUM', async () => ({ minSellAmount: sellAmount + 1n })],
+      ['INCORRECT_NATIVE_AMOUNT', async () => ({ value: 1n })],
+      ['INSUFFICIENT_BUY_BALANCE', async () => tokenA.connect(bob).transfer(alice.address, ethers.parseEther('10000'))],
+      ['INSUFFICIENT_BUY_ALLOWANCE', async () => tokenA.connect(bob).approve(otcSwap.target, buyAmount - 1n)]
+    ]
+
+    for (const [code, breakRule] of cases) {
+      it(`should report ${code} as the contract's revert`, async function () {
+        const result = await breakRule()
+        const { orderId = 0, buyAmount: fillAmount = buyAmount, minSellAmount = 0n, value = 0n } = result && !result.hash ? result : {}
+
+        const { ok, failures } = await client.validateFillOrder(orderId, bob.address, { buyAmount: fillAmount, minSellAmount, value })
+        expect(ok).to.be.false
+        expect(failures[0].code).to.equal(code)
+        expect(failures[0].message).to.equal(FILL_ORDER_CHECKS[code])
+        await expect(otcSwap.connect(bob)['fillOrderPartial(uint256,uint256,uint256)'](orderId, fillAmount, minSellAmount, { value }))
+          .to.be.revertedWith(failures[0].revertReason)
+      })
+    }
+
+    it('should pass a fill the contract accepts', async function () {
+      expect(await client.validateFillOrder(0, bob.address, { buyAmount: buyAmount / 2n })).to.deep.equal({ ok: true, failures: [] })
+      await expect(otcSwap.connect(bob).fillOrderPartial(0, buyAmount / 2n)).to.emit(otcSwap, 'OrderPartiallyFilled')
+    })
+
+    it('should name the smallest fill that buys anything', async function () {
+      await sendCreateOrder(alice, orderParams({ sellAmount: 3n, buyAmount: 7n }))
+      const { failures } = await client.validateFillOrder(2, bob.address, { buyAmount: 2n })
+
+      expect(failures[0].code).to.equal('FILL_TOO_SMALL')
+      expect(failures[0].remediation).to.equal('Pay at least 0.000000000000000003 TKA')
+      await expect(otcSwap.connect(bob).fillOrderPartial(2, 3n)).to.emit(otcSwap, 'OrderPartiallyFilled')
+    })
+
+    it('should check the connected signer by default', async function () {
+      const { failures } = await client.validateFillOrder(1)
+      expect(failures.map(failure => failure.code)).to.deep.equal(['NOT_AUTHORIZED_TAKER'])
+    })
+  })
+
+  describe('failed transactions', function () {
+    it('should explain why an order could not be created', async function () {
+      await otcSwap.connect(owner).updateMinOrderSize(tokenA.target, buyAmount * 2n)
+
+      const error = await client.createOrder(orderParams()).catch(error => error)
+      expect(error.message).to.include('Failed to create order:')
+      expect(error.message).to.include('Order below minimum size: Buy at least 400.0 TKA')
+      expect(error.failures.map(failure => failure.code)).to.deep.equal(['BELOW_MINIMUM_SIZE'])
+    })
+
+    it('should explain why an order could not be filled', async function () {
+      await sendCreateOrder(alice, orderParams({ taker: charlie.address }))
+
+      const error = await client.connect(bob).fillOrder({ orderId: 0, buyToken: tokenA.target, buyAmount }).catch(error => error)
+      expect(error.message).to.include('Failed to fill order:')
+      expect(error.failures.map(failure => failure.code)).to.deep.equal(['NOT_AUTHORIZED_TAKER'])
+    })
+  })
+
+  describe('lockstep with the contract', function () {
+    const contracts = path.join(__dirname, '..', 'contracts')
+    const otcSwapSource = fs.readFileSync(path.join(contracts, 'OTCSwap.sol'), 'utf8')
+    const storageSource = fs.readFileSync(path.join(contracts, 'OTCSwapStorage.sol'), 'utf8')
+
+    it('should know every revert of createOrder, in contract order', function () {
+      const messages = [
+        ...requireMessages(storageSource, ['whenNotPaused']),
+        ...requireMessages(otcSwapSource, ['_createOrder'], ['_checkPair'])
+      ]
+      expect(Object.values(CREATE_ORDER_CHECKS)).to.deep.equal(messages)
+    })
+
+    it('should know every revert of fillOrder, in contract order', function () {
+      const messages = [
+        ...requireMessages(storageSource, ['whenNotPaused', 'validOrder']),
+        ...requireMessages(otcSwapSource, ['_fillOrder'])
+      ]
+      expect(Object.values(FILL_ORDER_CHECKS)).to.deep.equal(messages)
+    })
+  })
+})